@@ -1,17 +1,71 @@
 module.exports = {
+    ApplicationFilterField: require("./enums/applicationFilterField"),
     ApplicationSortField: require("./enums/applicationSortField"),
     ApplicationValidationErrorCode: require("./enums/applicationValidationErrorCode"),
+    AuditLogFilterField: require("./enums/auditLogFilterField"),
+    AuditLogSortField: require("./enums/auditLogSortField"),
+    CategoryFilterField: require("./enums/categoryFilterField"),
     CategorySortField: require("./enums/categorySortField"),
     CategoryValidationErrorCode: require("./enums/categoryValidationErrorCode"),
+    CommentFilterField: require("./enums/commentFilterField"),
+    CommentValidationErrorCode: require("./enums/commentValidationErrorCode"),
+    EventType: require("./enums/eventType"),
+    FilterField: require("./enums/filterField"),
+    FilterOperator: require("./enums/filterOperator"),
+    FilterValidationErrorCode: require("./enums/filterValidationErrorCode"),
+    FundingMode: require("./enums/fundingMode"),
+    ImageFilterField: require("./enums/imageFilterField"),
     ImageSortField: require("./enums/imageSortField"),
+    MapValidationErrorCode: require("./enums/mapValidationErrorCode"),
+    PageValidationErrorCode: require("./enums/pageValidationErrorCode"),
+    PaymentErrorCode: require("./enums/paymentErrorCode"),
+    PaymentFilterField: require("./enums/paymentFilterField"),
+    PaymentSortField: require("./enums/paymentSortField"),
+    PaymentStatus: require("./enums/paymentStatus"),
+    PaymentValidationErrorCode: require("./enums/paymentValidationErrorCode"),
+    PledgeFilterField: require("./enums/pledgeFilterField"),
+    PledgeSortField: require("./enums/pledgeSortField"),
+    PledgeStatus: require("./enums/pledgeStatus"),
+    PledgeValidationErrorCode: require("./enums/pledgeValidationErrorCode"),
+    ProjectFilterField: require("./enums/projectFilterField"),
+    ProjectMemberFilterField: require("./enums/projectMemberFilterField"),
+    ProjectMemberRole: require("./enums/projectMemberRole"),
+    ProjectMemberSortField: require("./enums/projectMemberSortField"),
+    ProjectMemberValidationErrorCode: require("./enums/projectMemberValidationErrorCode"),
+    ProjectPermission: require("./enums/projectPermission"),
+    ProjectRevisionFilterField: require("./enums/projectRevisionFilterField"),
+    ProjectRevisionSortField: require("./enums/projectRevisionSortField"),
+    ProjectRevisionValidationErrorCode: require("./enums/projectRevisionValidationErrorCode"),
     ProjectSortField: require("./enums/projectSortField"),
     ProjectStatus: require("./enums/projectStatus"),
+    ProjectStatusChangeFilterField: require("./enums/projectStatusChangeFilterField"),
+    ProjectStatusChangeSortField: require("./enums/projectStatusChangeSortField"),
+    ProjectTemplateFilterField: require("./enums/projectTemplateFilterField"),
+    ProjectTemplateSortField: require("./enums/projectTemplateSortField"),
+    ProjectTemplateValidationErrorCode: require("./enums/projectTemplateValidationErrorCode"),
+    ProjectTransitionActor: require("./enums/projectTransitionActor"),
+    ProjectTransitionEffect: require("./enums/projectTransitionEffect"),
+    ProjectUpdateFilterField: require("./enums/projectUpdateFilterField"),
+    ProjectUpdateSortField: require("./enums/projectUpdateSortField"),
+    ProjectUpdateValidationErrorCode: require("./enums/projectUpdateValidationErrorCode"),
+    ProjectUpdateVisibility: require("./enums/projectUpdateVisibility"),
     ProjectValidationErrorCode: require("./enums/projectValidationErrorCode"),
+    ReviewDecision: require("./enums/reviewDecision"),
+    ReviewValidationErrorCode: require("./enums/reviewValidationErrorCode"),
+    SearchValidationErrorCode: require("./enums/searchValidationErrorCode"),
+    SessionFilterField: require("./enums/sessionFilterField"),
     SessionSortField: require("./enums/sessionSortField"),
     SortDirection: require("./enums/sortDirection"),
     SortField: require("./enums/sortField"),
+    TagFilterField: require("./enums/tagFilterField"),
+    TagMatch: require("./enums/tagMatch"),
+    TagSortField: require("./enums/tagSortField"),
+    TagValidationErrorCode: require("./enums/tagValidationErrorCode"),
+    TaskFilterField: require("./enums/taskFilterField"),
     TaskSortField: require("./enums/taskSortField"),
+    TaskStatus: require("./enums/taskStatus"),
     TaskValidationErrorCode: require("./enums/taskValidationErrorCode"),
+    UserFilterField: require("./enums/userFilterField"),
     UserGender: require("./enums/userGender"),
     UserRole: require("./enums/userRole"),
     UserSortField: require("./enums/userSortField"),
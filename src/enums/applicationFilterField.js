@@ -0,0 +1,12 @@
+/**
+ * Enum describing fields of {@link Application} by which items may be filtered.
+ */
+const ApplicationFilterField = {
+    ...require("./filterField"),
+    TEXT: "text",
+    ACCEPTED: "accepted",
+    TASK_ID: "TaskId",
+    USER_ID: "UserId",
+}
+
+module.exports = ApplicationFilterField
@@ -0,0 +1,12 @@
+/**
+ * Enum describing fields of {@link AuditLog} by which items may be filtered.
+ */
+const AuditLogFilterField = {
+    ...require("./filterField"),
+    ACTION: "action",
+    ENTITY_TYPE: "entityType",
+    ENTITY_ID: "entityId",
+    ACTOR_ID: "ActorId",
+}
+
+module.exports = AuditLogFilterField
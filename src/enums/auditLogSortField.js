@@ -0,0 +1,10 @@
+/**
+ * Enum describing fields of {@link AuditLog} by which items may be sorted.
+ */
+const AuditLogSortField = {
+    ...require("./sortField"),
+    ACTION: "action",
+    ENTITY_TYPE: "entityType",
+}
+
+module.exports = AuditLogSortField
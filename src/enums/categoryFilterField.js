@@ -0,0 +1,10 @@
+/**
+ * Enum describing fields of {@link Category} by which items may be filtered.
+ */
+const CategoryFilterField = {
+    ...require("./filterField"),
+    NAME: "name",
+    IMAGE_ID: "ImageId",
+}
+
+module.exports = CategoryFilterField
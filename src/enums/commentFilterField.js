@@ -0,0 +1,12 @@
+/**
+ * Enum describing fields of {@link Comment} by which items may be filtered.
+ */
+const CommentFilterField = {
+    ...require("./filterField"),
+    AUTHOR_ID: "AuthorId",
+    PARENT_ID: "ParentId",
+    EDITED_AT: "editedAt",
+    DELETED_AT: "deletedAt",
+}
+
+module.exports = CommentFilterField
@@ -0,0 +1,13 @@
+/**
+ * Enum describing validation error codes for validating a {@link Comment}
+ */
+const CommentValidationErrorCode = {
+    TEXT_NOT_STRING: "TEXT_NOT_STRING",
+    TEXT_EMPTY: "TEXT_EMPTY",
+    TEXT_TOO_LONG: "TEXT_TOO_LONG",
+    TARGET_INVALID: "TARGET_INVALID",
+    PARENT_DELETED: "PARENT_DELETED",
+    COMMENT_DELETED: "COMMENT_DELETED",
+}
+
+module.exports = CommentValidationErrorCode
@@ -0,0 +1,66 @@
+/**
+ * Enum describing the types of events emitted by {@link Swolly}.
+ */
+const EventType = {
+    APPLICATION_CREATE: "application.create",
+    APPLICATION_UPDATE: "application.update",
+    APPLICATION_DELETE: "application.delete",
+    CATEGORY_CREATE: "category.create",
+    CATEGORY_UPDATE: "category.update",
+    CATEGORY_DELETE: "category.delete",
+    COMMENT_CREATE: "comment.create",
+    COMMENT_UPDATE: "comment.update",
+    COMMENT_DELETE: "comment.delete",
+    IMAGE_CREATE: "image.create",
+    IMAGE_DELETE: "image.delete",
+    IMAGE_ASSIGN: "image.assign",
+    IMAGE_UNASSIGN: "image.unassign",
+    PAYMENT_AUTHORIZE: "payment.authorize",
+    PAYMENT_CAPTURE: "payment.capture",
+    PAYMENT_REFUND: "payment.refund",
+    PAYMENT_VOID: "payment.void",
+    PAYMENT_UPDATE: "payment.update",
+    PLEDGE_CREATE: "pledge.create",
+    PLEDGE_CANCEL: "pledge.cancel",
+    PROJECT_CREATE: "project.create",
+    PROJECT_UPDATE: "project.update",
+    PROJECT_DELETE: "project.delete",
+    PROJECT_RESTORE: "project.restore",
+    PROJECT_PURGE: "project.purge",
+    PROJECT_APPROVE: "project.approve",
+    PROJECT_REJECT: "project.reject",
+    PROJECT_REQUEST_CHANGES: "project.requestChanges",
+    PROJECT_RESUBMIT: "project.resubmit",
+    PROJECT_CLOSE_FUNDING: "project.closeFunding",
+    PROJECT_FOLLOW: "project.follow",
+    PROJECT_UNFOLLOW: "project.unfollow",
+    PROJECT_ROLLBACK: "project.rollback",
+    PROJECT_MEMBER_CREATE: "projectMember.create",
+    PROJECT_MEMBER_UPDATE: "projectMember.update",
+    PROJECT_MEMBER_DELETE: "projectMember.delete",
+    PROJECT_TEMPLATE_CREATE: "projectTemplate.create",
+    PROJECT_TEMPLATE_UPDATE: "projectTemplate.update",
+    PROJECT_TEMPLATE_DELETE: "projectTemplate.delete",
+    PROJECT_UPDATE_CREATE: "projectUpdate.create",
+    PROJECT_UPDATE_UPDATE: "projectUpdate.update",
+    PROJECT_UPDATE_DELETE: "projectUpdate.delete",
+    SESSION_CREATE: "session.create",
+    SESSION_DELETE: "session.delete",
+    TAG_UPDATE: "tag.update",
+    TAG_DELETE: "tag.delete",
+    TAG_MERGE: "tag.merge",
+    TAG_ASSIGN: "tag.assign",
+    TAG_UNASSIGN: "tag.unassign",
+    TASK_CREATE: "task.create",
+    TASK_UPDATE: "task.update",
+    TASK_DELETE: "task.delete",
+    TASK_RESTORE: "task.restore",
+    TASK_PURGE: "task.purge",
+    USER_CREATE: "user.create",
+    USER_UPDATE: "user.update",
+    USER_DELETE: "user.delete",
+    USER_RESTORE: "user.restore",
+    USER_PURGE: "user.purge",
+}
+
+module.exports = EventType
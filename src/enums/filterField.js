@@ -0,0 +1,10 @@
+/**
+ * Enum describing fields of any {@link Model} by which items may be filtered.
+ */
+const FilterField = {
+    ID: "id",
+    CREATED: "createdAt",
+    UPDATED: "updatedAt",
+}
+
+module.exports = FilterField
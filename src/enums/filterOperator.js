@@ -0,0 +1,19 @@
+/**
+ * Enum describing the operators of a filter expression (see {@link compileFilter}).
+ */
+const FilterOperator = {
+    EQ: "eq",
+    IN: "in",
+    GT: "gt",
+    GTE: "gte",
+    LT: "lt",
+    LTE: "lte",
+    BETWEEN: "between",
+    LIKE: "like",
+    IS_NULL: "isNull",
+    AND: "and",
+    OR: "or",
+    NOT: "not",
+}
+
+module.exports = FilterOperator
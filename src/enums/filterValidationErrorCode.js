@@ -0,0 +1,11 @@
+/**
+ * Enum describing validation error codes for validating a filter expression (see {@link compileFilter})
+ */
+const FilterValidationErrorCode = {
+    EXPRESSION_INVALID: "EXPRESSION_INVALID",
+    FIELD_INVALID: "FIELD_INVALID",
+    OPERATOR_INVALID: "OPERATOR_INVALID",
+    VALUE_INVALID: "VALUE_INVALID",
+}
+
+module.exports = FilterValidationErrorCode
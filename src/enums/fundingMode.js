@@ -0,0 +1,11 @@
+/**
+ * Enum describing how the funding campaign of a {@link Project} ends (see {@link Swolly#closeExpiredCampaigns}).
+ */
+const FundingMode = {
+    /** The project is only funded if the money goal is reached, otherwise all pledges are cancelled */
+    ALL_OR_NOTHING: "ALL_OR_NOTHING",
+    /** The project is funded with whatever was pledged */
+    KEEP_WHAT_YOU_RAISE: "KEEP_WHAT_YOU_RAISE",
+}
+
+module.exports = FundingMode
@@ -0,0 +1,9 @@
+/**
+ * Enum describing fields of {@link Image} by which items may be filtered.
+ */
+const ImageFilterField = {
+    ...require("./filterField"),
+    EXTENSION: "extension",
+}
+
+module.exports = ImageFilterField
@@ -0,0 +1,11 @@
+/**
+ * Enum describing validation error codes for validating the viewport of a map (see {@link ProjectRepository#getInBounds})
+ */
+const MapValidationErrorCode = {
+    BOUNDS_INVALID: "BOUNDS_INVALID",
+    LATITUDE_INVALID: "LATITUDE_INVALID",
+    LONGITUDE_INVALID: "LONGITUDE_INVALID",
+    ZOOM_INVALID: "ZOOM_INVALID",
+}
+
+module.exports = MapValidationErrorCode
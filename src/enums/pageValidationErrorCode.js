@@ -0,0 +1,9 @@
+/**
+ * Enum describing validation error codes for validating the pagination options of a listing
+ */
+const PageValidationErrorCode = {
+    LIMIT_INVALID: "LIMIT_INVALID",
+    CURSOR_INVALID: "CURSOR_INVALID",
+}
+
+module.exports = PageValidationErrorCode
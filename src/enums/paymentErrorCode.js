@@ -0,0 +1,12 @@
+/**
+ * Enum describing codes of errors reported by a {@link PaymentProvider}
+ */
+const PaymentErrorCode = {
+    NOT_CONFIGURED: "NOT_CONFIGURED",
+    DECLINED: "DECLINED",
+    PROVIDER_FAILURE: "PROVIDER_FAILURE",
+    UNKNOWN_REFERENCE: "UNKNOWN_REFERENCE",
+    SIGNATURE_INVALID: "SIGNATURE_INVALID",
+}
+
+module.exports = PaymentErrorCode
@@ -0,0 +1,15 @@
+/**
+ * Enum describing fields of {@link Payment} by which items may be filtered.
+ */
+const PaymentFilterField = {
+    ...require("./filterField"),
+    AMOUNT: "amount",
+    AMOUNT_CAPTURED: "amountCaptured",
+    AMOUNT_REFUNDED: "amountRefunded",
+    STATUS: "status",
+    USER_ID: "UserId",
+    PROJECT_ID: "ProjectId",
+    PLEDGE_ID: "PledgeId",
+}
+
+module.exports = PaymentFilterField
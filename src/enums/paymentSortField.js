@@ -0,0 +1,10 @@
+/**
+ * Enum describing fields of {@link Payment} by which items may be sorted.
+ */
+const PaymentSortField = {
+    ...require("./sortField"),
+    AMOUNT: "amount",
+    STATUS: "status",
+}
+
+module.exports = PaymentSortField
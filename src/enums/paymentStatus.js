@@ -0,0 +1,13 @@
+/**
+ * Enum describing statuses a {@link Payment} may have.
+ */
+const PaymentStatus = {
+    AUTHORIZED: "AUTHORIZED",
+    CAPTURED: "CAPTURED",
+    REFUNDED: "REFUNDED",
+    /** The authorization was released without capturing anything, e.g. because the pledge was cancelled */
+    VOIDED: "VOIDED",
+    FAILED: "FAILED",
+}
+
+module.exports = PaymentStatus
@@ -0,0 +1,20 @@
+/**
+ * Enum describing validation error codes for validating a {@link Payment}
+ */
+const PaymentValidationErrorCode = {
+    AMOUNT_NOT_NUMBER: "AMOUNT_NOT_NUMBER",
+    AMOUNT_NOT_POSITIVE: "AMOUNT_NOT_POSITIVE",
+    AMOUNT_TOO_PRECISE: "AMOUNT_TOO_PRECISE",
+    AMOUNT_TOO_LARGE: "AMOUNT_TOO_LARGE",
+    AMOUNT_EXCEEDS_AUTHORIZED: "AMOUNT_EXCEEDS_AUTHORIZED",
+    AMOUNT_EXCEEDS_CAPTURED: "AMOUNT_EXCEEDS_CAPTURED",
+    PROJECT_INVALID: "PROJECT_INVALID",
+    PLEDGE_INVALID: "PLEDGE_INVALID",
+    PLEDGE_NOT_ACTIVE: "PLEDGE_NOT_ACTIVE",
+    AMOUNT_EXCEEDS_PLEDGE: "AMOUNT_EXCEEDS_PLEDGE",
+    PROJECT_NOT_PUBLIC: "PROJECT_NOT_PUBLIC",
+    FUNDING_CLOSED: "FUNDING_CLOSED",
+    STATUS_INVALID: "STATUS_INVALID",
+}
+
+module.exports = PaymentValidationErrorCode
@@ -0,0 +1,12 @@
+/**
+ * Enum describing fields of {@link Pledge} by which items may be filtered.
+ */
+const PledgeFilterField = {
+    ...require("./filterField"),
+    AMOUNT: "amount",
+    STATUS: "status",
+    USER_ID: "UserId",
+    PROJECT_ID: "ProjectId",
+}
+
+module.exports = PledgeFilterField
@@ -0,0 +1,10 @@
+/**
+ * Enum describing fields of {@link Pledge} by which items may be sorted.
+ */
+const PledgeSortField = {
+    ...require("./sortField"),
+    AMOUNT: "amount",
+    STATUS: "status",
+}
+
+module.exports = PledgeSortField
@@ -0,0 +1,9 @@
+/**
+ * Enum describing statuses a {@link Pledge} may have.
+ */
+const PledgeStatus = {
+    ACTIVE: "ACTIVE",
+    CANCELLED: "CANCELLED",
+}
+
+module.exports = PledgeStatus
@@ -0,0 +1,15 @@
+/**
+ * Enum describing validation error codes for validating a {@link Pledge}
+ */
+const PledgeValidationErrorCode = {
+    AMOUNT_NOT_NUMBER: "AMOUNT_NOT_NUMBER",
+    AMOUNT_NOT_POSITIVE: "AMOUNT_NOT_POSITIVE",
+    AMOUNT_TOO_PRECISE: "AMOUNT_TOO_PRECISE",
+    AMOUNT_TOO_LARGE: "AMOUNT_TOO_LARGE",
+    PROJECT_INVALID: "PROJECT_INVALID",
+    PROJECT_NOT_PUBLIC: "PROJECT_NOT_PUBLIC",
+    FUNDING_CLOSED: "FUNDING_CLOSED",
+    ALREADY_CANCELLED: "ALREADY_CANCELLED",
+}
+
+module.exports = PledgeValidationErrorCode
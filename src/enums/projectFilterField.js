@@ -0,0 +1,24 @@
+/**
+ * Enum describing fields of {@link Project} by which items may be filtered.
+ */
+const ProjectFilterField = {
+    ...require("./filterField"),
+    TITLE: "title",
+    DESCRIPTION: "description",
+    STATUS: "status",
+    MONEY_GOAL: "moneyGoal",
+    MONEY_PLEDGED: "moneyPledged",
+    FUNDING_START: "fundingStart",
+    FUNDING_END: "fundingEnd",
+    FUNDING_MODE: "fundingMode",
+    LAT: "lat",
+    LON: "lon",
+    POSTAL_CODE: "postalCode",
+    CITY: "city",
+    COUNTRY: "country",
+    CREATOR_ID: "CreatorId",
+    CATEGORY_ID: "CategoryId",
+    DELETED_AT: "deletedAt",
+}
+
+module.exports = ProjectFilterField
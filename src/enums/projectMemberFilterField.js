@@ -0,0 +1,10 @@
+/**
+ * Enum describing fields of {@link ProjectMember} by which items may be filtered.
+ */
+const ProjectMemberFilterField = {
+    ...require("./filterField"),
+    ROLE: "role",
+    USER_ID: "UserId",
+}
+
+module.exports = ProjectMemberFilterField
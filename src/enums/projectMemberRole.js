@@ -0,0 +1,14 @@
+/**
+ * Enum describing the roles of the members of a {@link Project}, who run it together (see {@link ProjectRoles} for what each role may do).
+ * The creator of a project always is an owner, without being listed as a member.
+ */
+const ProjectMemberRole = {
+    /** May do everything the creator may do, including managing the members */
+    OWNER: "OWNER",
+    /** Edits the project, its tasks and its updates */
+    EDITOR: "EDITOR",
+    /** Manages the tasks and the supporters applying for them */
+    COORDINATOR: "COORDINATOR",
+}
+
+module.exports = ProjectMemberRole
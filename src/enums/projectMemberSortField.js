@@ -0,0 +1,9 @@
+/**
+ * Enum describing fields of {@link ProjectMember} by which items may be sorted.
+ */
+const ProjectMemberSortField = {
+    ...require("./sortField"),
+    ROLE: "role",
+}
+
+module.exports = ProjectMemberSortField
@@ -0,0 +1,10 @@
+/**
+ * Enum describing validation error codes for validating a {@link ProjectMember}
+ */
+const ProjectMemberValidationErrorCode = {
+    ROLE_INVALID: "ROLE_INVALID",
+    ALREADY_MEMBER: "ALREADY_MEMBER",
+    USER_IS_CREATOR: "USER_IS_CREATOR",
+}
+
+module.exports = ProjectMemberValidationErrorCode
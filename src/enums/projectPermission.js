@@ -0,0 +1,25 @@
+/**
+ * Enum describing what the members of a {@link Project} may be allowed to do (see {@link ProjectRoles}).
+ */
+const ProjectPermission = {
+    /** Edit the project and change its status */
+    EDIT: "EDIT",
+    /** Delete the project */
+    DELETE: "DELETE",
+    /** Add, change and remove members */
+    MANAGE_MEMBERS: "MANAGE_MEMBERS",
+    /** Create, edit and delete tasks */
+    MANAGE_TASKS: "MANAGE_TASKS",
+    /** Accept, read and delete applications for tasks */
+    MANAGE_APPLICATIONS: "MANAGE_APPLICATIONS",
+    /** Post, edit and delete updates */
+    POST_UPDATES: "POST_UPDATES",
+    /** Delete comments of other users */
+    MODERATE_COMMENTS: "MODERATE_COMMENTS",
+    /** See the pledges and payments */
+    VIEW_FUNDING: "VIEW_FUNDING",
+    /** Capture and refund payments */
+    MANAGE_PAYMENTS: "MANAGE_PAYMENTS",
+}
+
+module.exports = ProjectPermission
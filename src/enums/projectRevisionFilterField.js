@@ -0,0 +1,11 @@
+/**
+ * Enum describing fields of {@link ProjectRevision} by which items may be filtered.
+ */
+const ProjectRevisionFilterField = {
+    ...require("./filterField"),
+    NUMBER: "number",
+    TITLE: "title",
+    AUTHOR_ID: "AuthorId",
+}
+
+module.exports = ProjectRevisionFilterField
@@ -0,0 +1,9 @@
+/**
+ * Enum describing fields of {@link ProjectRevision} by which items may be sorted.
+ */
+const ProjectRevisionSortField = {
+    ...require("./sortField"),
+    NUMBER: "number",
+}
+
+module.exports = ProjectRevisionSortField
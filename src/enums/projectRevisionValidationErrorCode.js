@@ -0,0 +1,8 @@
+/**
+ * Enum describing validation error codes for diffing and rolling back a {@link ProjectRevision}
+ */
+const ProjectRevisionValidationErrorCode = {
+    PROJECT_MISMATCH: "PROJECT_MISMATCH",
+}
+
+module.exports = ProjectRevisionValidationErrorCode
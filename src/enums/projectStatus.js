@@ -1,10 +1,17 @@
 /**
- * Enum describing statuses a {@link Project} may have.
+ * Enum describing statuses a {@link Project} may have. Which status may follow which is described by {@link ProjectLifecycle}.
  */
 ProjectStatus = {
     NEEDS_VERIFICATION: "NEEDS_VERIFICATION",
+    CHANGES_REQUESTED: "CHANGES_REQUESTED",
+    REJECTED: "REJECTED",
     UNLISTED: "UNLISTED",
-    PUBLIC: "PUBLIC"
+    PUBLIC: "PUBLIC",
+    FUNDED: "FUNDED",
+    FUNDING_FAILED: "FUNDING_FAILED",
+    IN_PROGRESS: "IN_PROGRESS",
+    COMPLETED: "COMPLETED",
+    ARCHIVED: "ARCHIVED"
 }
 
 module.exports = ProjectStatus
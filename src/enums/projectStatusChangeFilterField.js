@@ -0,0 +1,12 @@
+/**
+ * Enum describing fields of {@link ProjectStatusChange} by which items may be filtered.
+ */
+const ProjectStatusChangeFilterField = {
+    ...require("./filterField"),
+    FROM_STATUS: "fromStatus",
+    TO_STATUS: "toStatus",
+    DECISION: "decision",
+    ACTOR_ID: "ActorId",
+}
+
+module.exports = ProjectStatusChangeFilterField
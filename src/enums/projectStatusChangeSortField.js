@@ -0,0 +1,9 @@
+/**
+ * Enum describing fields of {@link ProjectStatusChange} by which items may be sorted.
+ */
+const ProjectStatusChangeSortField = {
+    ...require("./sortField"),
+    DECISION: "decision",
+}
+
+module.exports = ProjectStatusChangeSortField
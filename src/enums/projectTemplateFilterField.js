@@ -0,0 +1,12 @@
+/**
+ * Enum describing fields of {@link ProjectTemplate} by which items may be filtered.
+ */
+const ProjectTemplateFilterField = {
+    ...require("./filterField"),
+    TITLE: "title",
+    MONEY_GOAL: "moneyGoal",
+    FUNDING_MODE: "fundingMode",
+    CATEGORY_ID: "CategoryId",
+}
+
+module.exports = ProjectTemplateFilterField
@@ -0,0 +1,10 @@
+/**
+ * Enum describing fields of {@link ProjectTemplate} by which items may be sorted.
+ */
+const ProjectTemplateSortField = {
+    ...require("./sortField"),
+    TITLE: "title",
+    MONEY_GOAL: "moneyGoal",
+}
+
+module.exports = ProjectTemplateSortField
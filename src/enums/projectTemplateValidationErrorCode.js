@@ -0,0 +1,16 @@
+/**
+ * Enum describing validation error codes for validating a {@link ProjectTemplate}
+ */
+const ProjectTemplateValidationErrorCode = {
+    TITLE_NOT_STRING: "TITLE_NOT_STRING",
+    TITLE_TOO_SHORT: "TITLE_TOO_SHORT",
+    DESCRIPTION_NOT_STRING: "DESCRIPTION_NOT_STRING",
+    MONEY_GOAL_NOT_NUMBER: "MONEY_GOAL_NOT_NUMBER",
+    MONEY_GOAL_NEGATIVE: "MONEY_GOAL_NEGATIVE",
+    FUNDING_MODE_INVALID: "FUNDING_MODE_INVALID",
+    TASKS_NOT_ARRAY: "TASKS_NOT_ARRAY",
+    IMAGES_NOT_ARRAY: "IMAGES_NOT_ARRAY",
+    TOO_MANY_IMAGES: "TOO_MANY_IMAGES",
+}
+
+module.exports = ProjectTemplateValidationErrorCode
@@ -0,0 +1,12 @@
+/**
+ * Enum describing who may make a transition between two statuses of a {@link Project} (see {@link ProjectLifecycle}).
+ */
+const ProjectTransitionActor = {
+    ADMIN: "ADMIN",
+    /** The creator of the project, or a member allowed to edit it (see {@link ProjectPermission}.EDIT) */
+    CREATOR: "CREATOR",
+    /** Swolly itself, e.g. when closing expired funding campaigns */
+    SYSTEM: "SYSTEM",
+}
+
+module.exports = ProjectTransitionActor
@@ -0,0 +1,11 @@
+/**
+ * Enum describing side effects of a transition between two statuses of a {@link Project} (see {@link ProjectLifecycle}).
+ */
+const ProjectTransitionEffect = {
+    /** Closes all tasks of the project which are not closed yet */
+    CLOSE_TASKS: "CLOSE_TASKS",
+    /** Cancels all active pledges to the project */
+    CANCEL_PLEDGES: "CANCEL_PLEDGES",
+}
+
+module.exports = ProjectTransitionEffect
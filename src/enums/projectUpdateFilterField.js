@@ -0,0 +1,12 @@
+/**
+ * Enum describing fields of {@link ProjectUpdate} by which items may be filtered.
+ */
+const ProjectUpdateFilterField = {
+    ...require("./filterField"),
+    TITLE: "title",
+    VISIBILITY: "visibility",
+    PUBLISHED_AT: "publishedAt",
+    AUTHOR_ID: "AuthorId",
+}
+
+module.exports = ProjectUpdateFilterField
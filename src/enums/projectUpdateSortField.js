@@ -0,0 +1,10 @@
+/**
+ * Enum describing fields of {@link ProjectUpdate} by which items may be sorted.
+ */
+const ProjectUpdateSortField = {
+    ...require("./sortField"),
+    TITLE: "title",
+    PUBLISHED_AT: "publishedAt",
+}
+
+module.exports = ProjectUpdateSortField
@@ -0,0 +1,14 @@
+/**
+ * Enum describing validation error codes for validating a {@link ProjectUpdate}
+ */
+const ProjectUpdateValidationErrorCode = {
+    TITLE_TOO_SHORT: "TITLE_TOO_SHORT",
+    TITLE_NOT_STRING: "TITLE_NOT_STRING",
+    BODY_NOT_STRING: "BODY_NOT_STRING",
+    VISIBILITY_INVALID: "VISIBILITY_INVALID",
+    PUBLISHED_AT_NOT_DATE: "PUBLISHED_AT_NOT_DATE",
+    IMAGES_NOT_ARRAY: "IMAGES_NOT_ARRAY",
+    TOO_MANY_IMAGES: "TOO_MANY_IMAGES",
+}
+
+module.exports = ProjectUpdateValidationErrorCode
@@ -0,0 +1,11 @@
+/**
+ * Enum describing who may read a {@link ProjectUpdate}.
+ */
+const ProjectUpdateVisibility = {
+    /** Everyone may read the update */
+    PUBLIC: "PUBLIC",
+    /** Only supporters of the project (users with an accepted application for one of its tasks) may read the update */
+    SUPPORTERS: "SUPPORTERS",
+}
+
+module.exports = ProjectUpdateVisibility
@@ -6,15 +6,29 @@ ProjectValidationErrorCode = {
     TITLE_NOT_STRING: "TITLE_NOT_STRING",
     DESCRIPTION_NOT_STRING: "DESCRIPTION_NOT_STRING",
     STATUS_INVALID: "STATUS_INVALID",
+    TRANSITION_INVALID: "TRANSITION_INVALID",
     MONEY_GOAL_NOT_NUMBER: "MONEY_GOAL_NOT_NUMBER",
     MONEY_GOAL_NEGATIVE: "MONEY_GOAL_NEGATIVE",
     LAT_NOT_NUMBER: "LAT_NOT_NUMBER",
     LAT_OUT_OF_RANGE: "LAT_OUT_OF_RANGE",
     LON_NOT_NUMBER: "LON_NOT_NUMBER",
     LON_OUT_OF_RANGE: "LON_OUT_OF_RANGE",
+    STREET_NOT_STRING: "STREET_NOT_STRING",
+    POSTAL_CODE_NOT_STRING: "POSTAL_CODE_NOT_STRING",
+    CITY_NOT_STRING: "CITY_NOT_STRING",
+    COUNTRY_INVALID: "COUNTRY_INVALID",
+    ADDRESS_NOT_FOUND: "ADDRESS_NOT_FOUND",
+    FUNDING_START_NOT_DATE: "FUNDING_START_NOT_DATE",
+    FUNDING_END_NOT_DATE: "FUNDING_END_NOT_DATE",
+    FUNDING_END_BEFORE_START: "FUNDING_END_BEFORE_START",
+    FUNDING_MODE_INVALID: "FUNDING_MODE_INVALID",
     CREATOR_INVALID: "CREATOR_INVALID",
     CATEGORY_INVALID: "CATEGORY_INVALID",
     TOO_MANY_IMAGES: "TOO_MANY_IMAGES",
+    TAGS_NOT_ARRAY: "TAGS_NOT_ARRAY",
+    TOO_MANY_TAGS: "TOO_MANY_TAGS",
+    CREATOR_DELETED: "CREATOR_DELETED",
+    HAS_FINANCIAL_RECORDS: "HAS_FINANCIAL_RECORDS",
 }
 
 module.exports = ProjectValidationErrorCode
@@ -0,0 +1,11 @@
+/**
+ * Enum describing decisions recorded in the status history of a {@link Project} (see {@link ReviewRepository}).
+ */
+const ReviewDecision = {
+    APPROVE: "APPROVE",
+    REJECT: "REJECT",
+    REQUEST_CHANGES: "REQUEST_CHANGES",
+    RESUBMIT: "RESUBMIT",
+}
+
+module.exports = ReviewDecision
@@ -0,0 +1,10 @@
+/**
+ * Enum describing validation error codes for reviewing a {@link Project}
+ */
+const ReviewValidationErrorCode = {
+    STATUS_INVALID: "STATUS_INVALID",
+    REASON_MISSING: "REASON_MISSING",
+    REASON_NOT_STRING: "REASON_NOT_STRING",
+}
+
+module.exports = ReviewValidationErrorCode
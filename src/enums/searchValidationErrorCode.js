@@ -0,0 +1,10 @@
+/**
+ * Enum describing validation error codes for validating a search query (see {@link buildSearch})
+ */
+const SearchValidationErrorCode = {
+    QUERY_NOT_STRING: "QUERY_NOT_STRING",
+    QUERY_EMPTY: "QUERY_EMPTY",
+    QUERY_TOO_LONG: "QUERY_TOO_LONG",
+}
+
+module.exports = SearchValidationErrorCode
@@ -0,0 +1,9 @@
+/**
+ * Enum describing fields of {@link Session} by which items may be filtered.
+ */
+const SessionFilterField = {
+    ...require("./filterField"),
+    USER_ID: "UserId",
+}
+
+module.exports = SessionFilterField
@@ -0,0 +1,9 @@
+/**
+ * Enum describing fields of {@link Tag} by which items may be filtered.
+ */
+const TagFilterField = {
+    ...require("./filterField"),
+    NAME: "name",
+}
+
+module.exports = TagFilterField
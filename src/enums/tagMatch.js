@@ -0,0 +1,11 @@
+/**
+ * Enum describing how projects are matched when filtering them by several tags (see {@link ProjectRepository#getAll})
+ */
+const TagMatch = {
+    /** Projects with at least one of the tags */
+    ANY: "ANY",
+    /** Projects with all of the tags */
+    ALL: "ALL",
+}
+
+module.exports = TagMatch
@@ -0,0 +1,9 @@
+/**
+ * Enum describing fields of {@link Tag} by which items may be sorted.
+ */
+const TagSortField = {
+    ...require("./sortField"),
+    NAME: "name",
+}
+
+module.exports = TagSortField
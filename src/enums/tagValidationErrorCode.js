@@ -0,0 +1,13 @@
+/**
+ * Enum describing validation error codes for validating a {@link Tag}
+ */
+const TagValidationErrorCode = {
+    NAME_NOT_STRING: "NAME_NOT_STRING",
+    NAME_TOO_SHORT: "NAME_TOO_SHORT",
+    NAME_TOO_LONG: "NAME_TOO_LONG",
+    NAME_INVALID: "NAME_INVALID",
+    NAME_TAKEN: "NAME_TAKEN",
+    MERGE_INVALID: "MERGE_INVALID",
+}
+
+module.exports = TagValidationErrorCode
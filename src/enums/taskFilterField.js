@@ -0,0 +1,14 @@
+/**
+ * Enum describing fields of {@link Task} by which items may be filtered.
+ */
+const TaskFilterField = {
+    ...require("./filterField"),
+    TITLE: "title",
+    STATUS: "status",
+    DESCRIPTION: "description",
+    SUPPORTER_GOAL: "supporterGoal",
+    PROJECT_ID: "ProjectId",
+    DELETED_AT: "deletedAt",
+}
+
+module.exports = TaskFilterField
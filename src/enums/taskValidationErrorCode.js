@@ -8,6 +8,7 @@ TaskValidationErrorCode = {
     DESCRIPTION_NOT_STRING: "DESCRIPTION_NOT_STRING",
     SUPPORTER_GOAL_NOT_NUMBER: "SUPPORTER_GOAL_NOT_NUMBER",
     SUPPORTER_GOAL_OUT_OF_RANGE: "SUPPORTER_GOAL_OUT_OF_RANGE",
+    PROJECT_DELETED: "PROJECT_DELETED",
 }
 
 module.exports = TaskValidationErrorCode
@@ -0,0 +1,12 @@
+/**
+ * Enum describing fields of {@link User} by which items may be filtered.
+ */
+const UserFilterField = {
+    ...require("./filterField"),
+    FULLNAME: "fullname",
+    GENDER: "gender",
+    ROLE: "role",
+    DELETED_AT: "deletedAt",
+}
+
+module.exports = UserFilterField
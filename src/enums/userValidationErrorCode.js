@@ -10,7 +10,8 @@ UserValidationErrorCode = {
     MAIL_NOT_STRING: "MAIL_NOT_STRING",
     MAIL_ALREADY_USED: "MAIL_ALREADY_USED",
     ROLE_INVALID: "ROLE_INVALID",
-    GENDER_INVALID: "GENDER_INVALID"
+    GENDER_INVALID: "GENDER_INVALID",
+    HAS_FINANCIAL_RECORDS: "HAS_FINANCIAL_RECORDS"
 }
 
 module.exports = UserValidationErrorCode
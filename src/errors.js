@@ -2,10 +2,13 @@ const Errors = {
     AuthorizationError: require("./errors/authorizationError.js"),
     BaseError: require("./errors/baseError.js"),
     ConnectionError: require("./errors/connectionError.js"),
+    MigrationError: require("./errors/migrationError.js"),
     SequelizeError: require("./errors/sequelizeError.js"),
     NotFoundError: require("./errors/notFoundError.js"),
+    PaymentError: require("./errors/paymentError.js"),
     ValidationError: require("./errors/validationError.js"),
-    UploadError: require("./errors/uploadError.js")
+    UploadError: require("./errors/uploadError.js"),
+    VetoError: require("./errors/vetoError.js")
 }
 
 module.exports = Errors
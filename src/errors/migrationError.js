@@ -0,0 +1,20 @@
+const SwollyBaseError = require("./baseError")
+
+/**
+ * Thrown when a schema migration could not be applied or reverted (details in message)
+ */
+class SwollyMigrationError extends SwollyBaseError {
+    /**
+     * Initialize the error with a message.
+     * 
+     * @param {message} string - The message describing why the error occurred
+     * */
+    constructor(message) {
+        super(message);
+
+        /** @type {string} */
+        this.name = 'SwollyMigrationError';
+    }
+}
+
+module.exports = SwollyMigrationError
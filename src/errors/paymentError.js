@@ -0,0 +1,24 @@
+const SwollyBaseError = require("./baseError")
+
+/**
+ * Thrown when a payment provider rejects or fails to process a payment
+ */
+class SwollyPaymentError extends SwollyBaseError {
+    /**
+     * Initialize the error with a message.
+     * 
+     * @param {string} message - The message describing why the error occurred
+     * @param {PaymentErrorCode} code - The code describing why the error occurred
+     * */
+    constructor(message, code) {
+        super(message);
+
+        /** @type {string} */
+        this.code = code;
+
+        /** @type {string} */
+        this.name = 'SwollyPaymentError';
+    }
+}
+
+module.exports = SwollyPaymentError
@@ -0,0 +1,20 @@
+const SwollyBaseError = require("./baseError")
+
+/**
+ * Thrown when a hook registered with {@link Swolly#before} vetoes a change
+ */
+class SwollyVetoError extends SwollyBaseError {
+    /**
+     * Initialize the error with a message.
+     * 
+     * @param {message} string - The message describing why the error occurred
+     * */
+    constructor(message) {
+        super(message);
+
+        /** @type {string} */
+        this.name = 'SwollyVetoError';
+    }
+}
+
+module.exports = SwollyVetoError
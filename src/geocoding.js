@@ -0,0 +1,6 @@
+const Geocoding = {
+    Geocoder: require("./geocoding/geocoder.js"),
+    GazetteerGeocoder: require("./geocoding/gazetteerGeocoder.js"),
+}
+
+module.exports = Geocoding
@@ -0,0 +1,205 @@
+const Geocoder = require("./geocoder")
+
+const fs = require("fs")
+const path = require("path")
+
+/**
+ * The gazetteer shipped with swolly, covering the postal codes of major cities
+ */
+const DEFAULT_FILE = path.join(__dirname, "gazetteer.tsv")
+
+/**
+ * The number of characters a postal code has to share with known ones to be located by them. Shorter prefixes only tell the region of a country.
+ */
+const MIN_PREFIX_LENGTH = 3
+
+/**
+ * Normalizes the name of a place for comparison, ignoring case, accents and punctuation
+ *
+ * @param {string} name
+ * @return {string}
+ */
+function normalizeName(name) {
+    return String(name)
+        .normalize("NFD")
+        .replace(/\p{M}/gu, "")
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, " ")
+        .trim()
+}
+
+/**
+ * Normalizes a postal code for comparison, ignoring case, spaces and hyphens
+ *
+ * @param {string} postalCode
+ * @return {string}
+ */
+function normalizePostalCode(postalCode) {
+    return String(postalCode).toUpperCase().replace(/[\s-]+/g, "")
+}
+
+/**
+ * Adds an entry to the list stored under a key of a map
+ *
+ * @param {Map<string, object[]>} map
+ * @param {string} key
+ * @param {object} entry
+ */
+function addTo(map, key, entry) {
+    if (!map.has(key)) {
+        map.set(key, [])
+    }
+    map.get(key).push(entry)
+}
+
+/**
+ * Looks up addresses offline, in a gazetteer of postal codes and cities.
+ *
+ * The gazetteer is a tab separated file in the format of the postal code dumps of GeoNames (https://download.geonames.org/export/zip/):
+ * country code, postal code, place name, three pairs of names and codes of administrative divisions, latitude, longitude and accuracy.
+ * The gazetteer shipped with swolly only covers major cities, a complete dump may be used instead.
+ *
+ * Addresses are located by their postal code, or by their city if the postal code is unknown. Streets are not taken into account.
+ * If neither is in the gazetteer, the address is roughly located by the postal codes sharing the longest prefix with its postal code,
+ * as postal codes starting alike are usually close to each other. The prefix has to be at least three characters long.
+ * Addresses matching places in more than one country are ambiguous and not found, unless their country is set.
+ */
+class GazetteerGeocoder extends Geocoder {
+    /**
+     * The constructor for this class.
+     *
+     * @param {string} [file] - The path of the gazetteer. Defaults to the gazetteer shipped with swolly.
+     */
+    constructor(file = DEFAULT_FILE) {
+        super()
+
+        /** @type {string} */
+        this.file = file
+
+        /** @type {Promise<{byPostalCode: Map, byCity: Map, entries: object[]}>} */
+        this._index = null
+    }
+
+    async geocode(address) {
+        const { byPostalCode, byCity, entries } = await this._load()
+
+        const country = address.country != null ? String(address.country).toUpperCase() : null
+        const city = address.city != null ? normalizeName(address.city) : null
+
+        const inCountry = entry => country == null || entry.country === country
+
+        let matches = []
+
+        if (address.postalCode != null) {
+            matches = (byPostalCode.get(normalizePostalCode(address.postalCode)) || []).filter(inCountry)
+
+            // Postal codes are reused across countries, the city tells them apart
+            if (city != null && matches.some(entry => entry.city === city)) {
+                matches = matches.filter(entry => entry.city === city)
+            }
+        }
+
+        if (matches.length === 0 && city != null) {
+            matches = (byCity.get(city) || []).filter(inCountry)
+        }
+
+        if (matches.length === 0 && address.postalCode != null) {
+            matches = GazetteerGeocoder._matchPrefix(entries.filter(inCountry), normalizePostalCode(address.postalCode))
+        }
+
+        if (matches.length === 0 || new Set(matches.map(entry => entry.country)).size > 1) {
+            return null
+        }
+
+        return {
+            lat: matches.reduce((sum, entry) => sum + entry.lat, 0) / matches.length,
+            lon: matches.reduce((sum, entry) => sum + entry.lon, 0) / matches.length
+        }
+    }
+
+    /**
+     * Reads the gazetteer and indexes its entries by postal code and by city. The gazetteer is only read once.
+     *
+     * @return {{byPostalCode: Map<string, object[]>, byCity: Map<string, object[]>, entries: object[]}}
+     */
+    _load() {
+        if (this._index == null) {
+            this._index = fs.promises.readFile(this.file, "utf8").then(GazetteerGeocoder._parse)
+
+            // Reading is retried on the next call if it failed
+            this._index.catch(() => { this._index = null })
+        }
+        return this._index
+    }
+
+    /**
+     * Finds the entries whose postal code shares the longest prefix with a postal code, which has to be at least {@link MIN_PREFIX_LENGTH} characters long
+     *
+     * @param {object[]} entries - The entries to search
+     * @param {string} postalCode - The normalized postal code
+     *
+     * @return {object[]}
+     */
+    static _matchPrefix(entries, postalCode) {
+        let longest = 0
+        let matches = []
+
+        for (const entry of entries) {
+            let length = 0
+            while (length < postalCode.length && entry.postalCode[length] === postalCode[length]) {
+                length++
+            }
+
+            if (length >= MIN_PREFIX_LENGTH && length >= longest) {
+                if (length > longest) {
+                    longest = length
+                    matches = []
+                }
+                matches.push(entry)
+            }
+        }
+
+        return matches
+    }
+
+    /**
+     * Parses and indexes a gazetteer
+     *
+     * @param {string} content - The content of the gazetteer
+     *
+     * @return {{byPostalCode: Map<string, object[]>, byCity: Map<string, object[]>, entries: object[]}}
+     */
+    static _parse(content) {
+        const byPostalCode = new Map()
+        const byCity = new Map()
+        const entries = []
+
+        for (const line of content.split(/\r?\n/)) {
+            const columns = line.split("\t")
+
+            if (columns.length < 11) {
+                continue
+            }
+
+            const entry = {
+                country: columns[0].toUpperCase(),
+                postalCode: normalizePostalCode(columns[1]),
+                city: normalizeName(columns[2]),
+                lat: Number(columns[9]),
+                lon: Number(columns[10])
+            }
+
+            if (isNaN(entry.lat) || isNaN(entry.lon)) {
+                continue
+            }
+
+            addTo(byPostalCode, entry.postalCode, entry)
+            addTo(byCity, entry.city, entry)
+            entries.push(entry)
+        }
+
+        return { byPostalCode, byCity, entries }
+    }
+}
+
+module.exports = GazetteerGeocoder
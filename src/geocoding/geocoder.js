@@ -0,0 +1,28 @@
+/**
+ * The address of a place. All fields are optional, but geocoders need at least a postal code or a city.
+ *
+ * @typedef {object} Address
+ * @property {string} [street] - The street and house number
+ * @property {string} [postalCode] - The postal code
+ * @property {string} [city] - The name of the city
+ * @property {string} [country] - The ISO 3166-1 alpha-2 code of the country, e.g. "DE"
+ */
+
+/**
+ * Interface for converting addresses to coordinates.
+ * All methods must be implemented by the geocoders extending this class.
+ */
+class Geocoder {
+    /**
+     * Finds the coordinates of an address.
+     *
+     * @param {Address} address - The address to look up
+     *
+     * @return {{lat: number, lon: number}} The coordinates, or null if the address could not be found
+     */
+    async geocode(address) {
+        throw new Error(`${this.constructor.name}.geocode is not implemented.`)
+    }
+}
+
+module.exports = Geocoder
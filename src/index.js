@@ -1,11 +1,24 @@
 const Errors = require("./errors")
 const Enums = require("./enums")
+const Storage = require("./storage")
+const Payments = require("./payments")
+const Geocoding = require("./geocoding")
 
 const Model = require("./models/model")
+const AuditLog = require("./models/auditLog")
 const Category = require("./models/category")
+const Comment = require("./models/comment")
 const Image = require("./models/image")
+const Payment = require("./models/payment")
+const Pledge = require("./models/pledge")
 const Project = require("./models/project")
+const ProjectMember = require("./models/projectMember")
+const ProjectRevision = require("./models/projectRevision")
+const ProjectTemplate = require("./models/projectTemplate")
+const ProjectStatusChange = require("./models/projectStatusChange")
+const ProjectUpdate = require("./models/projectUpdate")
 const Session = require("./models/session")
+const Tag = require("./models/tag")
 const Task = require("./models/task")
 const User = require("./models/user")
 
@@ -13,14 +26,30 @@ module.exports = {
     Swolly: require("./swolly"),
     Errors,
     Enums,
+    Storage,
+    Payments,
+    Geocoding,
 
     Model,
+    AuditLog,
     Category,
+    Comment,
     Image,
+    Payment,
+    Pledge,
     Project,
+    ProjectMember,
+    ProjectRevision,
+    ProjectTemplate,
+    ProjectStatusChange,
+    ProjectUpdate,
     Session,
+    Tag,
     Task,
     User,
 
-    ...Errors
+    ...Errors,
+    ...Storage,
+    ...Payments,
+    ...Geocoding
 }
@@ -0,0 +1,24 @@
+/**
+ * All schema migrations, keyed by their name. They are executed in the order of their names.
+ */
+const Migrations = {
+    "0001-initial": require("./migrations/0001-initial"),
+    "0002-audit-log": require("./migrations/0002-audit-log"),
+    "0003-pledges": require("./migrations/0003-pledges"),
+    "0004-payments": require("./migrations/0004-payments"),
+    "0005-project-status-changes": require("./migrations/0005-project-status-changes"),
+    "0006-task-status": require("./migrations/0006-task-status"),
+    "0007-fulltext-search": require("./migrations/0007-fulltext-search"),
+    "0008-funding-campaigns": require("./migrations/0008-funding-campaigns"),
+    "0009-project-updates": require("./migrations/0009-project-updates"),
+    "0010-comments": require("./migrations/0010-comments"),
+    "0011-project-follows": require("./migrations/0011-project-follows"),
+    "0012-project-members": require("./migrations/0012-project-members"),
+    "0013-project-addresses": require("./migrations/0013-project-addresses"),
+    "0014-tags": require("./migrations/0014-tags"),
+    "0015-project-revisions": require("./migrations/0015-project-revisions"),
+    "0016-soft-delete": require("./migrations/0016-soft-delete"),
+    "0017-project-templates": require("./migrations/0017-project-templates"),
+}
+
+module.exports = Migrations
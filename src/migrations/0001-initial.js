@@ -0,0 +1,266 @@
+/**
+ * Initial schema, as it was previously created by sequelize.sync().
+ */
+module.exports = {
+    /**
+     * @param {QueryInterface} queryInterface - The query interface of the sequelize instance
+     * @param {DataTypes} DataTypes - The sequelize data types
+     */
+    async up(queryInterface, DataTypes) {
+        // Only MariaDB and MySQL know unsigned integers
+        const supportsUnsigned = ["mariadb", "mysql"].includes(queryInterface.sequelize.getDialect())
+
+        const timestamps = {
+            createdAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            },
+        }
+
+        await queryInterface.createTable("Users", {
+            id: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                primaryKey: true
+            },
+            fullname: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            mail: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                unique: true
+            },
+            gender: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            role: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            password: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            ...timestamps
+        })
+
+        await queryInterface.createTable("Sessions", {
+            id: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                primaryKey: true
+            },
+            token: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            ...timestamps,
+            UserId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                references: { model: "Users", key: "id" },
+                onDelete: "CASCADE",
+                onUpdate: "CASCADE"
+            }
+        })
+
+        await queryInterface.createTable("Images", {
+            id: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                primaryKey: true
+            },
+            extension: {
+                type: DataTypes.STRING,
+                defaultValue: "",
+                allowNull: false,
+            },
+            ...timestamps
+        })
+
+        await queryInterface.createTable("Categories", {
+            id: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                primaryKey: true
+            },
+            name: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            ...timestamps,
+            ImageId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                references: { model: "Images", key: "id" },
+                onDelete: "NO ACTION",
+                onUpdate: "CASCADE"
+            }
+        })
+
+        await queryInterface.createTable("Projects", {
+            id: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                primaryKey: true
+            },
+            title: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            description: {
+                type: DataTypes.TEXT,
+                allowNull: false
+            },
+            status: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                defaultValue: "NEEDS_VERIFICATION"
+            },
+            moneyGoal: {
+                type: DataTypes.DECIMAL(13, 2),
+                allowNull: false,
+                defaultValue: 0
+            },
+            moneyPledged: {
+                type: DataTypes.DECIMAL(13, 2),
+                allowNull: false,
+                defaultValue: 0
+            },
+            lat: {
+                type: DataTypes.DOUBLE,
+                allowNull: false,
+                defaultValue: 0
+            },
+            lon: {
+                type: DataTypes.DOUBLE,
+                allowNull: false,
+                defaultValue: 0
+            },
+            ...timestamps,
+            CreatorId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                references: { model: "Users", key: "id" },
+                onDelete: "CASCADE",
+                onUpdate: "CASCADE"
+            },
+            CategoryId: {
+                type: DataTypes.UUID,
+                allowNull: true,
+                references: { model: "Categories", key: "id" },
+                onDelete: "SET NULL",
+                onUpdate: "CASCADE"
+            }
+        })
+
+        await queryInterface.createTable("Tasks", {
+            id: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                primaryKey: true
+            },
+            title: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            description: {
+                type: DataTypes.TEXT,
+                allowNull: false
+            },
+            supporterGoal: {
+                type: supportsUnsigned ? DataTypes.INTEGER.UNSIGNED : DataTypes.INTEGER,
+                allowNull: false,
+                defaultValue: 1
+            },
+            ...timestamps,
+            ProjectId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                references: { model: "Projects", key: "id" },
+                onDelete: "CASCADE",
+                onUpdate: "CASCADE"
+            }
+        })
+
+        await queryInterface.createTable("ProjectImages", {
+            ...timestamps,
+            ProjectId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                primaryKey: true,
+                references: { model: "Projects", key: "id" },
+                onDelete: "CASCADE",
+                onUpdate: "CASCADE"
+            },
+            ImageId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                primaryKey: true,
+                references: { model: "Images", key: "id" },
+                onDelete: "CASCADE",
+                onUpdate: "CASCADE"
+            }
+        })
+
+        await queryInterface.createTable("Applications", {
+            id: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                primaryKey: true
+            },
+            text: {
+                type: DataTypes.TEXT,
+                allowNull: false,
+                defaultValue: ""
+            },
+            accepted: {
+                type: DataTypes.BOOLEAN,
+                allowNull: false,
+                defaultValue: false
+            },
+            ...timestamps,
+            TaskId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                references: { model: "Tasks", key: "id" },
+                onDelete: "CASCADE",
+                onUpdate: "CASCADE"
+            },
+            UserId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                references: { model: "Users", key: "id" },
+                onDelete: "CASCADE",
+                onUpdate: "CASCADE"
+            }
+        })
+
+        await queryInterface.addIndex("Applications", ["TaskId", "UserId"], {
+            name: "Applications_TaskId_UserId_unique",
+            unique: true
+        })
+    },
+
+    /**
+     * @param {QueryInterface} queryInterface - The query interface of the sequelize instance
+     * @param {DataTypes} DataTypes - The sequelize data types
+     */
+    async down(queryInterface, DataTypes) {
+        await queryInterface.dropTable("Applications")
+        await queryInterface.dropTable("ProjectImages")
+        await queryInterface.dropTable("Tasks")
+        await queryInterface.dropTable("Projects")
+        await queryInterface.dropTable("Categories")
+        await queryInterface.dropTable("Images")
+        await queryInterface.dropTable("Sessions")
+        await queryInterface.dropTable("Users")
+    }
+}
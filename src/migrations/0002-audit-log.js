@@ -0,0 +1,59 @@
+/**
+ * Adds the audit log, which records all changes made through the repositories.
+ */
+module.exports = {
+    /**
+     * @param {QueryInterface} queryInterface - The query interface of the sequelize instance
+     * @param {DataTypes} DataTypes - The sequelize data types
+     */
+    async up(queryInterface, DataTypes) {
+        await queryInterface.createTable("AuditLogs", {
+            id: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                primaryKey: true
+            },
+            action: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            entityType: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            entityId: {
+                type: DataTypes.STRING,
+                allowNull: true
+            },
+            // Not a foreign key, so entries outlive the users they refer to
+            ActorId: {
+                type: DataTypes.UUID,
+                allowNull: true
+            },
+            diff: {
+                type: DataTypes.TEXT,
+                allowNull: false
+            },
+            createdAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            },
+        })
+
+        await queryInterface.addIndex("AuditLogs", ["entityType", "entityId"])
+        await queryInterface.addIndex("AuditLogs", ["ActorId"])
+        await queryInterface.addIndex("AuditLogs", ["createdAt"])
+    },
+
+    /**
+     * @param {QueryInterface} queryInterface - The query interface of the sequelize instance
+     * @param {DataTypes} DataTypes - The sequelize data types
+     */
+    async down(queryInterface, DataTypes) {
+        await queryInterface.dropTable("AuditLogs")
+    }
+}
@@ -0,0 +1,60 @@
+/**
+ * Adds pledges, which make up the money pledged to a project.
+ */
+module.exports = {
+    /**
+     * @param {QueryInterface} queryInterface - The query interface of the sequelize instance
+     * @param {DataTypes} DataTypes - The sequelize data types
+     */
+    async up(queryInterface, DataTypes) {
+        await queryInterface.createTable("Pledges", {
+            id: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                primaryKey: true
+            },
+            amount: {
+                type: DataTypes.DECIMAL(13, 2),
+                allowNull: false
+            },
+            status: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                defaultValue: "ACTIVE"
+            },
+            createdAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            },
+            UserId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                references: { model: "Users", key: "id" },
+                onDelete: "CASCADE",
+                onUpdate: "CASCADE"
+            },
+            ProjectId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                references: { model: "Projects", key: "id" },
+                onDelete: "CASCADE",
+                onUpdate: "CASCADE"
+            }
+        })
+
+        await queryInterface.addIndex("Pledges", ["ProjectId", "status"])
+        await queryInterface.addIndex("Pledges", ["UserId"])
+    },
+
+    /**
+     * @param {QueryInterface} queryInterface - The query interface of the sequelize instance
+     * @param {DataTypes} DataTypes - The sequelize data types
+     */
+    async down(queryInterface, DataTypes) {
+        await queryInterface.dropTable("Pledges")
+    }
+}
@@ -0,0 +1,87 @@
+/**
+ * Adds payments, which are processed by a payment provider and pay the pledges supporters made to projects.
+ */
+module.exports = {
+    /**
+     * @param {QueryInterface} queryInterface - The query interface of the sequelize instance
+     * @param {DataTypes} DataTypes - The sequelize data types
+     */
+    async up(queryInterface, DataTypes) {
+        await queryInterface.createTable("Payments", {
+            id: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                primaryKey: true
+            },
+            amount: {
+                type: DataTypes.DECIMAL(13, 2),
+                allowNull: false
+            },
+            amountCaptured: {
+                type: DataTypes.DECIMAL(13, 2),
+                allowNull: false,
+                defaultValue: 0
+            },
+            amountRefunded: {
+                type: DataTypes.DECIMAL(13, 2),
+                allowNull: false,
+                defaultValue: 0
+            },
+            status: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            failureCode: {
+                type: DataTypes.STRING,
+                allowNull: true
+            },
+            // Null if the provider failed before assigning one
+            providerReference: {
+                type: DataTypes.STRING,
+                allowNull: true,
+                unique: true
+            },
+            createdAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            },
+            UserId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                references: { model: "Users", key: "id" },
+                onDelete: "CASCADE",
+                onUpdate: "CASCADE"
+            },
+            ProjectId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                references: { model: "Projects", key: "id" },
+                onDelete: "CASCADE",
+                onUpdate: "CASCADE"
+            },
+            PledgeId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                references: { model: "Pledges", key: "id" },
+                onDelete: "RESTRICT",
+                onUpdate: "CASCADE"
+            }
+        })
+
+        await queryInterface.addIndex("Payments", ["ProjectId"])
+        await queryInterface.addIndex("Payments", ["UserId"])
+        await queryInterface.addIndex("Payments", ["PledgeId"])
+    },
+
+    /**
+     * @param {QueryInterface} queryInterface - The query interface of the sequelize instance
+     * @param {DataTypes} DataTypes - The sequelize data types
+     */
+    async down(queryInterface, DataTypes) {
+        await queryInterface.dropTable("Payments")
+    }
+}
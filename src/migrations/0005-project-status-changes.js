@@ -0,0 +1,66 @@
+/**
+ * Adds the status history of projects, which records reviews and all other changes of their status.
+ */
+module.exports = {
+    /**
+     * @param {QueryInterface} queryInterface - The query interface of the sequelize instance
+     * @param {DataTypes} DataTypes - The sequelize data types
+     */
+    async up(queryInterface, DataTypes) {
+        await queryInterface.createTable("ProjectStatusChanges", {
+            id: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                primaryKey: true
+            },
+            fromStatus: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            toStatus: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            decision: {
+                type: DataTypes.STRING,
+                allowNull: true
+            },
+            reason: {
+                type: DataTypes.TEXT,
+                allowNull: true
+            },
+            createdAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            },
+            ProjectId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                references: { model: "Projects", key: "id" },
+                onDelete: "CASCADE",
+                onUpdate: "CASCADE"
+            },
+            ActorId: {
+                type: DataTypes.UUID,
+                allowNull: true,
+                references: { model: "Users", key: "id" },
+                onDelete: "SET NULL",
+                onUpdate: "CASCADE"
+            }
+        })
+
+        await queryInterface.addIndex("ProjectStatusChanges", ["ProjectId", "createdAt"])
+    },
+
+    /**
+     * @param {QueryInterface} queryInterface - The query interface of the sequelize instance
+     * @param {DataTypes} DataTypes - The sequelize data types
+     */
+    async down(queryInterface, DataTypes) {
+        await queryInterface.dropTable("ProjectStatusChanges")
+    }
+}
@@ -0,0 +1,24 @@
+/**
+ * Adds a status to tasks, so they can be closed, e.g. once their project is completed.
+ */
+module.exports = {
+    /**
+     * @param {QueryInterface} queryInterface - The query interface of the sequelize instance
+     * @param {DataTypes} DataTypes - The sequelize data types
+     */
+    async up(queryInterface, DataTypes) {
+        await queryInterface.addColumn("Tasks", "status", {
+            type: DataTypes.STRING,
+            allowNull: false,
+            defaultValue: "OPEN"
+        })
+    },
+
+    /**
+     * @param {QueryInterface} queryInterface - The query interface of the sequelize instance
+     * @param {DataTypes} DataTypes - The sequelize data types
+     */
+    async down(queryInterface, DataTypes) {
+        await queryInterface.removeColumn("Tasks", "status")
+    }
+}
@@ -0,0 +1,30 @@
+/**
+ * Adds FULLTEXT indexes for searching projects and tasks. Only MariaDB and MySQL use them, other dialects search without an index.
+ */
+module.exports = {
+    /**
+     * @param {QueryInterface} queryInterface - The query interface of the sequelize instance
+     * @param {DataTypes} DataTypes - The sequelize data types
+     */
+    async up(queryInterface, DataTypes) {
+        if (!["mariadb", "mysql"].includes(queryInterface.sequelize.getDialect())) {
+            return
+        }
+
+        await queryInterface.addIndex("Projects", ["title", "description"], { type: "FULLTEXT", name: "projects_fulltext" })
+        await queryInterface.addIndex("Tasks", ["title", "description"], { type: "FULLTEXT", name: "tasks_fulltext" })
+    },
+
+    /**
+     * @param {QueryInterface} queryInterface - The query interface of the sequelize instance
+     * @param {DataTypes} DataTypes - The sequelize data types
+     */
+    async down(queryInterface, DataTypes) {
+        if (!["mariadb", "mysql"].includes(queryInterface.sequelize.getDialect())) {
+            return
+        }
+
+        await queryInterface.removeIndex("Projects", "projects_fulltext")
+        await queryInterface.removeIndex("Tasks", "tasks_fulltext")
+    }
+}
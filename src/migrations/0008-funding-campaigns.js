@@ -0,0 +1,38 @@
+/**
+ * Adds funding campaigns to projects, which may have a start, an end and a mode deciding how they end.
+ */
+module.exports = {
+    /**
+     * @param {QueryInterface} queryInterface - The query interface of the sequelize instance
+     * @param {DataTypes} DataTypes - The sequelize data types
+     */
+    async up(queryInterface, DataTypes) {
+        await queryInterface.addColumn("Projects", "fundingStart", {
+            type: DataTypes.DATE,
+            allowNull: true
+        })
+        await queryInterface.addColumn("Projects", "fundingEnd", {
+            type: DataTypes.DATE,
+            allowNull: true
+        })
+        await queryInterface.addColumn("Projects", "fundingMode", {
+            type: DataTypes.STRING,
+            allowNull: false,
+            defaultValue: "ALL_OR_NOTHING"
+        })
+
+        // Used to find expired campaigns
+        await queryInterface.addIndex("Projects", ["status", "fundingEnd"])
+    },
+
+    /**
+     * @param {QueryInterface} queryInterface - The query interface of the sequelize instance
+     * @param {DataTypes} DataTypes - The sequelize data types
+     */
+    async down(queryInterface, DataTypes) {
+        await queryInterface.removeIndex("Projects", ["status", "fundingEnd"])
+        await queryInterface.removeColumn("Projects", "fundingMode")
+        await queryInterface.removeColumn("Projects", "fundingEnd")
+        await queryInterface.removeColumn("Projects", "fundingStart")
+    }
+}
@@ -0,0 +1,95 @@
+/**
+ * Adds updates, which the creator of a project posts to keep its supporters informed, and the images attached to them.
+ */
+module.exports = {
+    /**
+     * @param {QueryInterface} queryInterface - The query interface of the sequelize instance
+     * @param {DataTypes} DataTypes - The sequelize data types
+     */
+    async up(queryInterface, DataTypes) {
+        await queryInterface.createTable("ProjectUpdates", {
+            id: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                primaryKey: true
+            },
+            title: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            body: {
+                type: DataTypes.TEXT,
+                allowNull: false
+            },
+            visibility: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                defaultValue: "PUBLIC"
+            },
+            publishedAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            },
+            createdAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            },
+            ProjectId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                references: { model: "Projects", key: "id" },
+                onDelete: "CASCADE",
+                onUpdate: "CASCADE"
+            },
+            AuthorId: {
+                type: DataTypes.UUID,
+                allowNull: true,
+                references: { model: "Users", key: "id" },
+                onDelete: "SET NULL",
+                onUpdate: "CASCADE"
+            }
+        })
+
+        await queryInterface.addIndex("ProjectUpdates", ["ProjectId", "publishedAt"])
+
+        await queryInterface.createTable("ProjectUpdateImages", {
+            createdAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            },
+            ProjectUpdateId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                primaryKey: true,
+                references: { model: "ProjectUpdates", key: "id" },
+                onDelete: "CASCADE",
+                onUpdate: "CASCADE"
+            },
+            ImageId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                primaryKey: true,
+                references: { model: "Images", key: "id" },
+                onDelete: "CASCADE",
+                onUpdate: "CASCADE"
+            }
+        })
+    },
+
+    /**
+     * @param {QueryInterface} queryInterface - The query interface of the sequelize instance
+     * @param {DataTypes} DataTypes - The sequelize data types
+     */
+    async down(queryInterface, DataTypes) {
+        await queryInterface.dropTable("ProjectUpdateImages")
+        await queryInterface.dropTable("ProjectUpdates")
+    }
+}
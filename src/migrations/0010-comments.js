@@ -0,0 +1,77 @@
+/**
+ * Adds threaded comments on projects and their tasks.
+ */
+module.exports = {
+    /**
+     * @param {QueryInterface} queryInterface - The query interface of the sequelize instance
+     * @param {DataTypes} DataTypes - The sequelize data types
+     */
+    async up(queryInterface, DataTypes) {
+        await queryInterface.createTable("Comments", {
+            id: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                primaryKey: true
+            },
+            text: {
+                type: DataTypes.TEXT,
+                allowNull: false
+            },
+            editedAt: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            deletedAt: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            createdAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            },
+            ProjectId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                references: { model: "Projects", key: "id" },
+                onDelete: "CASCADE",
+                onUpdate: "CASCADE"
+            },
+            TaskId: {
+                type: DataTypes.UUID,
+                allowNull: true,
+                references: { model: "Tasks", key: "id" },
+                onDelete: "CASCADE",
+                onUpdate: "CASCADE"
+            },
+            ParentId: {
+                type: DataTypes.UUID,
+                allowNull: true,
+                references: { model: "Comments", key: "id" },
+                onDelete: "CASCADE",
+                onUpdate: "CASCADE"
+            },
+            AuthorId: {
+                type: DataTypes.UUID,
+                allowNull: true,
+                references: { model: "Users", key: "id" },
+                onDelete: "SET NULL",
+                onUpdate: "CASCADE"
+            }
+        })
+
+        await queryInterface.addIndex("Comments", ["ProjectId", "TaskId"])
+        await queryInterface.addIndex("Comments", ["ParentId"])
+    },
+
+    /**
+     * @param {QueryInterface} queryInterface - The query interface of the sequelize instance
+     * @param {DataTypes} DataTypes - The sequelize data types
+     */
+    async down(queryInterface, DataTypes) {
+        await queryInterface.dropTable("Comments")
+    }
+}
@@ -0,0 +1,38 @@
+/**
+ * Adds addresses to projects, from which their coordinates may be looked up (see {@link Geocoder}).
+ */
+module.exports = {
+    /**
+     * @param {QueryInterface} queryInterface - The query interface of the sequelize instance
+     * @param {DataTypes} DataTypes - The sequelize data types
+     */
+    async up(queryInterface, DataTypes) {
+        await queryInterface.addColumn("Projects", "street", {
+            type: DataTypes.STRING,
+            allowNull: true
+        })
+        await queryInterface.addColumn("Projects", "postalCode", {
+            type: DataTypes.STRING,
+            allowNull: true
+        })
+        await queryInterface.addColumn("Projects", "city", {
+            type: DataTypes.STRING,
+            allowNull: true
+        })
+        await queryInterface.addColumn("Projects", "country", {
+            type: DataTypes.STRING(2),
+            allowNull: true
+        })
+    },
+
+    /**
+     * @param {QueryInterface} queryInterface - The query interface of the sequelize instance
+     * @param {DataTypes} DataTypes - The sequelize data types
+     */
+    async down(queryInterface, DataTypes) {
+        await queryInterface.removeColumn("Projects", "country")
+        await queryInterface.removeColumn("Projects", "city")
+        await queryInterface.removeColumn("Projects", "postalCode")
+        await queryInterface.removeColumn("Projects", "street")
+    }
+}
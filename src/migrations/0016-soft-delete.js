@@ -0,0 +1,40 @@
+const { Op } = require("sequelize")
+
+/**
+ * Keeps deleted projects, tasks and users until they are purged, instead of deleting them along with everything depending on them.
+ */
+module.exports = {
+    /**
+     * @param {QueryInterface} queryInterface - The query interface of the sequelize instance
+     * @param {DataTypes} DataTypes - The sequelize data types
+     */
+    async up(queryInterface, DataTypes) {
+        await queryInterface.addColumn("Projects", "deletedAt", {
+            type: DataTypes.DATE,
+            allowNull: true
+        })
+        await queryInterface.addColumn("Tasks", "deletedAt", {
+            type: DataTypes.DATE,
+            allowNull: true
+        })
+        await queryInterface.addColumn("Users", "deletedAt", {
+            type: DataTypes.DATE,
+            allowNull: true
+        })
+    },
+
+    /**
+     * @param {QueryInterface} queryInterface - The query interface of the sequelize instance
+     * @param {DataTypes} DataTypes - The sequelize data types
+     */
+    async down(queryInterface, DataTypes) {
+        // Deleted rows are purged, they would reappear otherwise
+        for (const table of ["Tasks", "Projects", "Users"]) {
+            await queryInterface.bulkDelete(table, { deletedAt: {[Op.ne]: null} })
+        }
+
+        await queryInterface.removeColumn("Users", "deletedAt")
+        await queryInterface.removeColumn("Tasks", "deletedAt")
+        await queryInterface.removeColumn("Projects", "deletedAt")
+    }
+}
@@ -0,0 +1,104 @@
+/**
+ * Adds project templates, which admins curate so initiators can start recurring projects without entering every task again.
+ */
+module.exports = {
+    /**
+     * @param {QueryInterface} queryInterface - The query interface of the sequelize instance
+     * @param {DataTypes} DataTypes - The sequelize data types
+     */
+    async up(queryInterface, DataTypes) {
+        await queryInterface.createTable("ProjectTemplates", {
+            id: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                primaryKey: true
+            },
+            title: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            description: {
+                type: DataTypes.TEXT,
+                allowNull: false
+            },
+            moneyGoal: {
+                type: DataTypes.DECIMAL(13, 2),
+                allowNull: false,
+                defaultValue: 0
+            },
+            fundingMode: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                defaultValue: "ALL_OR_NOTHING"
+            },
+            tags: {
+                type: DataTypes.TEXT,
+                allowNull: false,
+                defaultValue: "[]"
+            },
+            tasks: {
+                type: DataTypes.TEXT,
+                allowNull: false,
+                defaultValue: "[]"
+            },
+            createdAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            },
+            CategoryId: {
+                type: DataTypes.UUID,
+                allowNull: true,
+                references: { model: "Categories", key: "id" },
+                onDelete: "SET NULL",
+                onUpdate: "CASCADE"
+            },
+            CreatorId: {
+                type: DataTypes.UUID,
+                allowNull: true,
+                references: { model: "Users", key: "id" },
+                onDelete: "SET NULL",
+                onUpdate: "CASCADE"
+            }
+        })
+
+        await queryInterface.createTable("ProjectTemplateImages", {
+            createdAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            },
+            ProjectTemplateId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                primaryKey: true,
+                references: { model: "ProjectTemplates", key: "id" },
+                onDelete: "CASCADE",
+                onUpdate: "CASCADE"
+            },
+            ImageId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                primaryKey: true,
+                references: { model: "Images", key: "id" },
+                onDelete: "CASCADE",
+                onUpdate: "CASCADE"
+            }
+        })
+    },
+
+    /**
+     * @param {QueryInterface} queryInterface - The query interface of the sequelize instance
+     * @param {DataTypes} DataTypes - The sequelize data types
+     */
+    async down(queryInterface, DataTypes) {
+        await queryInterface.dropTable("ProjectTemplateImages")
+        await queryInterface.dropTable("ProjectTemplates")
+    }
+}
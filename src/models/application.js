@@ -2,7 +2,7 @@ const Model = require("./model");
 const User = require("./user");
 const Task = require("./task");
 const { ValidationError } = require("../errors");
-const { ApplicationValidationErrorCode } = require("../enums");
+const { ApplicationValidationErrorCode, ProjectPermission } = require("../enums");
 
 /**
  * Class representing a single application and its properties
@@ -116,10 +116,8 @@ class Application extends Model {
         }
 
         const task = await this.getTask()
-        const project = await task.getProject()
-        const creatorId = await project.getCreatorId()
 
-        if (this._caller.getId() == creatorId) {
+        if (await this._swolly.ProjectMember._hasPermission(this._caller, task.getProjectId(), ProjectPermission.MANAGE_APPLICATIONS)) {
             return this._text
         }
 
@@ -151,10 +149,8 @@ class Application extends Model {
         }
 
         const task = await this.getTask()
-        const project = await task.getProject()
-        const creatorId = await project.getCreatorId()
 
-        if (this._caller.getId() == creatorId) {
+        if (await this._swolly.ProjectMember._hasPermission(this._caller, task.getProjectId(), ProjectPermission.MANAGE_APPLICATIONS)) {
             return this._UserId
         }
 
@@ -186,10 +182,8 @@ class Application extends Model {
         }
 
         const task = await this.getTask()
-        const project = await task.getProject()
-        const creatorId = await project.getCreatorId()
 
-        if (this._caller.getId() == creatorId) {
+        if (await this._swolly.ProjectMember._hasPermission(this._caller, task.getProjectId(), ProjectPermission.MANAGE_APPLICATIONS)) {
             return this._swolly.User.get(this._callerToken, this._UserId)
         }
 
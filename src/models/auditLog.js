@@ -0,0 +1,127 @@
+const Model = require('./model');
+
+/**
+ * Class representing a single entry of the audit log
+ * */
+class AuditLog extends Model {
+    /**
+     * The constructor for this class.
+     * 
+     * @param {Sequelize.Model} instance - The sequelize model instance to build this object from
+     * @param {Swolly} swolly - The swolly instance this instance belongs to
+     * @param {string} [token] - The session token this object was queried with
+     *
+     * */
+    constructor (instance, swolly, token) {
+        super(instance, swolly, token)
+        this._loadInstance()
+    }
+
+    /**
+     * Loads all values relevant to this class from the provided instance.
+     * */
+    _loadInstance() {
+        super._loadInstance()
+
+        /** @type {string} */
+        this._action = this._readScalar("action", "string")
+
+        /** @type {string} */
+        this._entityType = this._readScalar("entityType", "string")
+
+        /** @type {string} */
+        this._entityId = this._readScalar("entityId", "string", true)
+
+        /** @type {string} */
+        this._ActorId = this._readScalar("ActorId", "string", true)
+
+        /** @type {object} */
+        this._diff = this._readScalar("diff", "object")
+    }
+
+    /**
+     * Outputs a (optionally un-)filtered object-representation of the contained data.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {object}
+     * 
+     * */
+    getData(filtered = this.isAuthenticated) {
+        if (
+            !filtered
+            || !this.isAuthenticated
+            || this._caller.isAdmin
+        ) {
+            return {
+                ...super.getData(filtered),
+                action: this.getAction(filtered),
+                entityType: this.getEntityType(filtered),
+                entityId: this.getEntityId(filtered),
+                ActorId: this.getActorId(filtered),
+                diff: this.getDiff(filtered),
+            }
+        }
+    }
+
+    /***
+     * Returns the value of 'action', e.g. "update"
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {string}
+     * */
+    getAction(filtered = this.isAuthenticated) {
+        return this._action
+    }
+
+    /***
+     * Returns the value of 'entityType', e.g. "project"
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {string}
+     * */
+    getEntityType(filtered = this.isAuthenticated) {
+        return this._entityType
+    }
+
+    /***
+     * Returns the value of 'entityId'
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {string}
+     * */
+    getEntityId(filtered = this.isAuthenticated) {
+        return this._entityId
+    }
+
+    /***
+     * Returns the value of 'ActorId', the id of the user who made the change
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {string}
+     * */
+    getActorId(filtered = this.isAuthenticated) {
+        return this._ActorId
+    }
+
+    /***
+     * Returns the value of 'diff', an object mapping the names of all changed fields to an object with a 'from' and a 'to' property
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {object}
+     * */
+    getDiff(filtered = this.isAuthenticated) {
+        return this._diff
+    }
+
+    /***
+     * Returns the user who made the change
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {User}
+     * */
+    async getActor(filtered = this.isAuthenticated) {
+        return this._ActorId == null ? null : this._swolly.User.get(this._callerToken, this._ActorId)
+    }
+}
+
+module.exports = AuditLog
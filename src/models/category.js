@@ -3,6 +3,7 @@ const Session = require("./session");
 const Project = require("./project");
 const Task = require("./task");
 
+const { ValidationError } = require("../errors");
 const CategoryValidationErrorCode = require("../enums/categoryValidationErrorCode");
 
 /**
@@ -55,7 +56,7 @@ class Category extends Model {
         if (category.name.length < 3 ) {
             throw new ValidationError(
                 "name must be atleast 3 characters long.",
-                UserValidationErrorCode.NAME_TOO_SHORT
+                CategoryValidationErrorCode.NAME_TOO_SHORT
             )
         }
     }
@@ -0,0 +1,270 @@
+const Model = require("./model");
+const { ValidationError } = require("../errors");
+const { CommentValidationErrorCode } = require("../enums");
+
+/**
+ * The maximum length of the text of a comment
+ */
+const MAX_TEXT_LENGTH = 10000
+
+/**
+ * Class representing a single comment on a project or a task, or a reply to another comment
+ * */
+class Comment extends Model {
+    /**
+     * The constructor for this class.
+     *
+     * @param {Sequelize.Model} instance - The sequelize model instance to build this object from
+     * @param {Swolly} swolly - The swolly instance this instance belongs to
+     * @param {string} [token] - The session token this object was queried with
+     *
+     * */
+    constructor (instance, swolly, token) {
+        super(instance, swolly, token)
+        this._loadInstance()
+    }
+
+    /**
+     * Loads all values relevant to this class from the provided instance.
+     * */
+    _loadInstance() {
+        super._loadInstance()
+
+        /** @type {string} */
+        this._text = this._readScalar("text", "string")
+
+        /** @type {Date} */
+        this._editedAt = this._readScalar("editedAt", "object", true)
+
+        /** @type {Date} */
+        this._deletedAt = this._readScalar("deletedAt", "object", true)
+
+        /** @type {string} */
+        this._ProjectId = this._readScalar("ProjectId", "string")
+
+        /** @type {string} */
+        this._TaskId = this._readScalar("TaskId", "string", true)
+
+        /** @type {string} */
+        this._ParentId = this._readScalar("ParentId", "string", true)
+
+        /** @type {string} */
+        this._AuthorId = this._readScalar("AuthorId", "string", true)
+    }
+
+    /***
+     * Deletes this comment. Its replies are kept.
+     * */
+    async delete() {
+        await this._swolly.Comment.delete(this._callerToken, this._id)
+        await this.reload()
+    }
+
+    /***
+     * Updates the database and this object with the provided values
+     *
+     * @param {object} update - The object containing all the values to update.
+     * */
+    async update(update) {
+        await this._swolly.Comment.update(this._callerToken, this._id, update)
+        await this.reload()
+    }
+
+    /***
+     * Replies to this comment. The caller is the author of the reply.
+     *
+     * @param {string} text - The text of the reply
+     * @return {Comment}
+     * */
+    async reply(text) {
+        return this._swolly.Comment.create(this._callerToken, { parentId: this._id, text })
+    }
+
+    /**
+     * Validates a given object against certain rules
+     *
+     * @param {object|Comment} comment - The object to validate
+     *
+     * */
+    static validate(comment) {
+        if (comment instanceof Comment) {
+            comment = comment.getData()
+        }
+
+        if (typeof comment.text != "string") {
+            throw new ValidationError(
+                "text must be a string",
+                CommentValidationErrorCode.TEXT_NOT_STRING
+            )
+        }
+
+        if (comment.text.trim() === "") {
+            throw new ValidationError(
+                "text may not be empty.",
+                CommentValidationErrorCode.TEXT_EMPTY
+            )
+        }
+
+        if (comment.text.length > MAX_TEXT_LENGTH) {
+            throw new ValidationError(
+                `text may be at most ${MAX_TEXT_LENGTH} characters long.`,
+                CommentValidationErrorCode.TEXT_TOO_LONG
+            )
+        }
+    }
+
+    /**
+     * Whether the comment has been deleted
+     *
+     * @return {boolean}
+     * */
+    get isDeleted () {
+        return this._deletedAt != null
+    }
+
+    /**
+     * Outputs a (optionally un-)filtered object-representation of the contained data.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {object}
+     *
+     * */
+    getData(filtered = this.isAuthenticated) {
+        return {
+            ...super.getData(filtered),
+            text: this.getText(filtered),
+            editedAt: this.getEditedAt(filtered),
+            deletedAt: this.getDeletedAt(filtered),
+            ProjectId: this.getProjectId(filtered),
+            TaskId: this.getTaskId(filtered),
+            ParentId: this.getParentId(filtered),
+            AuthorId: this.getAuthorId(filtered)
+        }
+    }
+
+    /***
+     * Returns the value of 'text'. Null if the comment has been deleted and the data is filtered.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {string}
+     * */
+    getText(filtered = this.isAuthenticated) {
+        return filtered && this.isDeleted ? null : this._text
+    }
+
+    /***
+     * Returns the value of 'editedAt', the date the text was last changed. Null if it was never changed.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {Date}
+     * */
+    getEditedAt(filtered = this.isAuthenticated) {
+        return this._editedAt
+    }
+
+    /***
+     * Returns the value of 'deletedAt'. Null if the comment has not been deleted.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {Date}
+     * */
+    getDeletedAt(filtered = this.isAuthenticated) {
+        return this._deletedAt
+    }
+
+    /***
+     * Returns the value of 'ProjectId'. Comments on tasks also carry the id of the project of the task.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {string}
+     * */
+    getProjectId(filtered = this.isAuthenticated) {
+        return this._ProjectId
+    }
+
+    /***
+     * Returns the value of 'TaskId'. Null if the comment is on the project itself.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {string}
+     * */
+    getTaskId(filtered = this.isAuthenticated) {
+        return this._TaskId
+    }
+
+    /***
+     * Returns the value of 'ParentId', the id of the comment this is a reply to. Null if this is not a reply.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {string}
+     * */
+    getParentId(filtered = this.isAuthenticated) {
+        return this._ParentId
+    }
+
+    /***
+     * Returns the value of 'AuthorId'
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {string}
+     * */
+    getAuthorId(filtered = this.isAuthenticated) {
+        return this._AuthorId
+    }
+
+    /***
+     * Returns the associated project
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {Project}
+     * */
+    async getProject(filtered = this.isAuthenticated) {
+        return this._swolly.Project.get(this._callerToken, this._ProjectId)
+    }
+
+    /***
+     * Returns the associated task. Null if the comment is on the project itself.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {Task}
+     * */
+    async getTask(filtered = this.isAuthenticated) {
+        return this._TaskId == null ? null : this._swolly.Task.get(this._callerToken, this._TaskId)
+    }
+
+    /***
+     * Returns the comment this is a reply to. Null if this is not a reply.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {Comment}
+     * */
+    async getParent(filtered = this.isAuthenticated) {
+        return this._ParentId == null ? null : this._swolly.Comment.get(this._callerToken, this._ParentId)
+    }
+
+    /***
+     * Returns the user who wrote the comment
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {User}
+     * */
+    async getAuthor(filtered = this.isAuthenticated) {
+        return this._AuthorId == null ? null : this._swolly.User.get(this._callerToken, this._AuthorId)
+    }
+
+    /***
+     * Returns the replies to this comment
+     *
+     * @param {object} [options] - See {@link CommentRepository#getAll} for more information. "filter.parentId" will already be set.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {Comment[]}
+     * */
+    async getReplies(options = {}, filtered = this.isAuthenticated) {
+        options.filter = options.filter == null ? {} : options.filter
+        options.filter.parentId = this._id
+        return this._swolly.Comment.getAll(this._callerToken, options)
+    }
+}
+
+module.exports = Comment
@@ -68,6 +68,22 @@ class Image extends Model {
         this._swolly.Image.unassign(this._callerToken, this._id, projectId)
     }
 
+    /***
+     * Deletes this instance and its file
+     * */
+    async delete() {
+        await this._swolly.Image.delete(this._callerToken, this._id)
+    }
+
+    /***
+     * Returns a stream of the contents of this image
+     *
+     * @return {Readable}
+     * */
+    async read() {
+        return this._swolly.Image.read(this._callerToken, this._id)
+    }
+
     /***
      * Returns the value of 'extension'
      *
@@ -56,7 +56,10 @@ class Model {
      * Reloads all values from the database.
      * */
     async reload() {
-        await this._instance.reload()
+        const transaction = this._swolly._transaction
+        await this._instance.reload({
+            ...(transaction != null && !transaction.finished && {transaction})
+        })
         this._loadInstance()
     }
 
@@ -0,0 +1,270 @@
+const Model = require("./model");
+const { ValidationError } = require("../errors");
+const { PaymentValidationErrorCode } = require("../enums");
+
+/**
+ * The largest amount a single payment may have, limited by the precision of the database column
+ */
+const MAX_AMOUNT = 99999999999.99
+
+/**
+ * Class representing a single payment and its properties
+ * */
+class Payment extends Model {
+    /**
+     * The constructor for this class.
+     *
+     * @param {Sequelize.Model} instance The sequelize model instance to build this object from
+     * @param {Swolly} swolly - The swolly instance this instance belongs to
+     * @param {string} [token] The session token this object was queried with
+     *
+     * */
+    constructor (instance, swolly, token) {
+        super(instance, swolly, token)
+        this._loadInstance()
+    }
+
+    /**
+     * Loads all values relevant to this class from the provided instance.
+     * */
+    _loadInstance() {
+        super._loadInstance()
+
+        /** @type {number} */
+        this._amount = this._readScalar("amount", "number")
+
+        /** @type {number} */
+        this._amountCaptured = this._readScalar("amountCaptured", "number")
+
+        /** @type {number} */
+        this._amountRefunded = this._readScalar("amountRefunded", "number")
+
+        /** @type {PaymentStatus} */
+        this._status = this._readScalar("status", "string")
+
+        /** @type {PaymentErrorCode} */
+        this._failureCode = this._readScalar("failureCode", "string", true)
+
+        /** @type {string} */
+        this._providerReference = this._readScalar("providerReference", "string", true)
+
+        /** @type {string} */
+        this._UserId = this._readScalar("UserId", "string")
+
+        /** @type {string} */
+        this._ProjectId = this._readScalar("ProjectId", "string")
+
+        /** @type {string} */
+        this._PledgeId = this._readScalar("PledgeId", "string")
+    }
+
+    /**
+     * Validates an amount to authorize, capture or refund
+     *
+     * @param {number} amount - The amount to validate
+     *
+     * */
+    static validateAmount(amount) {
+        if (typeof amount != "number" || !Number.isFinite(amount)) {
+            throw new ValidationError(
+                "amount must be a number",
+                PaymentValidationErrorCode.AMOUNT_NOT_NUMBER
+            )
+        }
+
+        if (amount <= 0) {
+            throw new ValidationError(
+                "amount must be greater than zero",
+                PaymentValidationErrorCode.AMOUNT_NOT_POSITIVE
+            )
+        }
+
+        // Payments are made in whole cents
+        if (Math.abs(amount * 100 - Math.round(amount * 100)) > 1e-6) {
+            throw new ValidationError(
+                "amount may have at most two decimal places",
+                PaymentValidationErrorCode.AMOUNT_TOO_PRECISE
+            )
+        }
+
+        if (amount > MAX_AMOUNT) {
+            throw new ValidationError(
+                `amount may be at most ${MAX_AMOUNT}`,
+                PaymentValidationErrorCode.AMOUNT_TOO_LARGE
+            )
+        }
+    }
+
+    /***
+     * Captures (part of) the authorized amount of this payment
+     *
+     * @param {number} [amount] - The amount to capture. Defaults to the whole remaining amount.
+     * */
+    async capture(amount) {
+        await this._swolly.Payment.capture(this._callerToken, this._id, amount)
+        await this.reload()
+    }
+
+    /***
+     * Refunds (part of) the captured amount of this payment
+     *
+     * @param {number} [amount] - The amount to refund. Defaults to the whole remaining amount.
+     * */
+    async refund(amount) {
+        await this._swolly.Payment.refund(this._callerToken, this._id, amount)
+        await this.reload()
+    }
+
+
+    /**
+     * Outputs a (optionally un-)filtered object-representation of the contained data.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {object}
+     *
+     * */
+    getData(filtered = this.isAuthenticated) {
+        return {
+            ...super.getData(filtered),
+            amount: this.getAmount(filtered),
+            amountCaptured: this.getAmountCaptured(filtered),
+            amountRefunded: this.getAmountRefunded(filtered),
+            status: this.getStatus(filtered),
+            failureCode: this.getFailureCode(filtered),
+            providerReference: this.getProviderReference(filtered),
+            UserId: this.getUserId(filtered),
+            ProjectId: this.getProjectId(filtered),
+            PledgeId: this.getPledgeId(filtered)
+        }
+    }
+
+    /***
+     * Returns the value of 'amount', the authorized amount
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {number}
+     * */
+    getAmount(filtered = this.isAuthenticated) {
+        return this._amount
+    }
+
+    /***
+     * Returns the value of 'amountCaptured'
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {number}
+     * */
+    getAmountCaptured(filtered = this.isAuthenticated) {
+        return this._amountCaptured
+    }
+
+    /***
+     * Returns the value of 'amountRefunded'
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {number}
+     * */
+    getAmountRefunded(filtered = this.isAuthenticated) {
+        return this._amountRefunded
+    }
+
+    /***
+     * Returns the value of 'status'
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {PaymentStatus}
+     * */
+    getStatus(filtered = this.isAuthenticated) {
+        return this._status
+    }
+
+    /***
+     * Returns the value of 'failureCode', the reason the payment failed
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {PaymentErrorCode}
+     * */
+    getFailureCode(filtered = this.isAuthenticated) {
+        return this._failureCode
+    }
+
+    /***
+     * Returns the value of 'providerReference', the id of the payment at the payment provider
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {string}
+     * */
+    getProviderReference(filtered = this.isAuthenticated) {
+        if (
+            !filtered
+            || !this.isAuthenticated
+            || this._caller.isAdmin
+        ) {
+            return this._providerReference
+        }
+
+        return null
+    }
+
+    /***
+     * Returns the value of 'UserId'
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {string}
+     * */
+    getUserId(filtered = this.isAuthenticated) {
+        return this._UserId
+    }
+
+    /***
+     * Returns the value of 'ProjectId'
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {string}
+     * */
+    getProjectId(filtered = this.isAuthenticated) {
+        return this._ProjectId
+    }
+
+    /***
+     * Returns the value of 'PledgeId', the id of the pledge paid by this payment
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {string}
+     * */
+    getPledgeId(filtered = this.isAuthenticated) {
+        return this._PledgeId
+    }
+
+    /***
+     * Returns the associated user
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {User}
+     * */
+    async getUser(filtered = this.isAuthenticated) {
+        return this._swolly.User.get(this._callerToken, this._UserId)
+    }
+
+    /***
+     * Returns the associated project
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {Project}
+     * */
+    async getProject(filtered = this.isAuthenticated) {
+        return this._swolly.Project.get(this._callerToken, this._ProjectId)
+    }
+
+    /***
+     * Returns the pledge paid by this payment
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {Pledge}
+     * */
+    async getPledge(filtered = this.isAuthenticated) {
+        return this._swolly.Pledge.get(this._callerToken, this._PledgeId)
+    }
+}
+
+module.exports = Payment
@@ -0,0 +1,198 @@
+const Model = require("./model");
+const { ValidationError } = require("../errors");
+const { PledgeValidationErrorCode } = require("../enums");
+
+/**
+ * The largest amount a single pledge may have, limited by the precision of the database column
+ */
+const MAX_AMOUNT = 99999999999.99
+
+/**
+ * Class representing a single pledge and its properties
+ * */
+class Pledge extends Model {
+    /**
+     * The constructor for this class.
+     *
+     * @param {Sequelize.Model} instance The sequelize model instance to build this object from
+     * @param {Swolly} swolly - The swolly instance this instance belongs to
+     * @param {string} [token] The session token this object was queried with
+     *
+     * */
+    constructor (instance, swolly, token) {
+        super(instance, swolly, token)
+        this._loadInstance()
+    }
+
+    /**
+     * Loads all values relevant to this class from the provided instance.
+     * */
+    _loadInstance() {
+        super._loadInstance()
+
+        /** @type {number} */
+        this._amount = this._readScalar("amount", "number")
+
+        /** @type {PledgeStatus} */
+        this._status = this._readScalar("status", "string")
+
+        /** @type {string} */
+        this._UserId = this._readScalar("UserId", "string")
+
+        /** @type {string} */
+        this._ProjectId = this._readScalar("ProjectId", "string")
+    }
+
+    /**
+     * Validates a given object against certain rules
+     *
+     * @param {object|Pledge} pledge - The object to validate
+     *
+     * */
+    static validate(pledge) {
+        if (pledge instanceof Pledge) {
+            pledge = pledge.getData()
+        }
+
+        if (typeof pledge.amount != "number" || !Number.isFinite(pledge.amount)) {
+            throw new ValidationError(
+                "amount must be a number",
+                PledgeValidationErrorCode.AMOUNT_NOT_NUMBER
+            )
+        }
+
+        if (pledge.amount <= 0) {
+            throw new ValidationError(
+                "amount must be greater than zero",
+                PledgeValidationErrorCode.AMOUNT_NOT_POSITIVE
+            )
+        }
+
+        // Amounts are stored in cents, allowing for floating point errors
+        if (Math.abs(pledge.amount * 100 - Math.round(pledge.amount * 100)) > 1e-6) {
+            throw new ValidationError(
+                "amount may have at most two decimal places",
+                PledgeValidationErrorCode.AMOUNT_TOO_PRECISE
+            )
+        }
+
+        if (pledge.amount > MAX_AMOUNT) {
+            throw new ValidationError(
+                `amount may be at most ${MAX_AMOUNT}`,
+                PledgeValidationErrorCode.AMOUNT_TOO_LARGE
+            )
+        }
+    }
+
+    /***
+     * Cancels this pledge
+     * */
+    async cancel() {
+        await this._swolly.Pledge.cancel(this._callerToken, this._id)
+        await this.reload()
+    }
+
+    /***
+     * Authorizes a payment for this pledge
+     *
+     * @param {number} [amount] - The amount to authorize. Defaults to the amount of the pledge which is not being paid yet.
+     * @return {Payment}
+     * */
+    async pay(amount) {
+        return this._swolly.Payment.authorize(this._callerToken, { pledgeId: this._id, amount })
+    }
+
+
+    /**
+     * Outputs a (optionally un-)filtered object-representation of the contained data.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {object}
+     *
+     * */
+    getData(filtered = this.isAuthenticated) {
+        return {
+            ...super.getData(filtered),
+            amount: this.getAmount(filtered),
+            status: this.getStatus(filtered),
+            UserId: this.getUserId(filtered),
+            ProjectId: this.getProjectId(filtered)
+        }
+    }
+
+    /***
+     * Returns the value of 'amount'
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {number}
+     * */
+    getAmount(filtered = this.isAuthenticated) {
+        return this._amount
+    }
+
+    /***
+     * Returns the value of 'status'
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {PledgeStatus}
+     * */
+    getStatus(filtered = this.isAuthenticated) {
+        return this._status
+    }
+
+    /***
+     * Returns the value of 'UserId'
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {string}
+     * */
+    getUserId(filtered = this.isAuthenticated) {
+        return this._UserId
+    }
+
+    /***
+     * Returns the value of 'ProjectId'
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {string}
+     * */
+    getProjectId(filtered = this.isAuthenticated) {
+        return this._ProjectId
+    }
+
+    /***
+     * Returns the associated user
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {User}
+     * */
+    async getUser(filtered = this.isAuthenticated) {
+        return this._swolly.User.get(this._callerToken, this._UserId)
+    }
+
+    /***
+     * Returns the associated project
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {Project}
+     * */
+    async getProject(filtered = this.isAuthenticated) {
+        return this._swolly.Project.get(this._callerToken, this._ProjectId)
+    }
+
+    /***
+     * Returns the payments made for this pledge
+     *
+     * @param {object} [options] - See {@link PaymentRepository#getAll} for more information. "filter.pledgeId" will already be set.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {Payment[]}
+     * */
+    async getPayments(options = {}, filtered = this.isAuthenticated) {
+        options.filter = options.filter == null ? {} : options.filter
+        options.filter.pledgeId = this._id
+        return this._swolly.Payment.getAll(this._callerToken, options)
+    }
+}
+
+module.exports = Pledge
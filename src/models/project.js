@@ -4,8 +4,15 @@ const Category = require('./category');
 const Task = require('./task');
 const Image = require('./image');
 
+const ProjectLifecycle = require('../utils/projectLifecycle');
+const { ValidationError } = require('../errors');
 const Enums = require('../enums');
+const { ProjectValidationErrorCode } = Enums;
 
+/**
+ * The maximum number of tags of a project
+ */
+const MAX_TAGS = 10
 
 /**
  * Class representing a single project and its properties
@@ -51,11 +58,60 @@ class Project extends Model {
         /** @type {number} */
         this._lon = this._readScalar("lon", "number")
 
+        /** @type {string} */
+        this._street = this._readScalar("street", "string", true)
+
+        /** @type {string} */
+        this._postalCode = this._readScalar("postalCode", "string", true)
+
+        /** @type {string} */
+        this._city = this._readScalar("city", "string", true)
+
+        /** @type {string} */
+        this._country = this._readScalar("country", "string", true)
+
         /** @type {string} */
         this._CreatorId = this._readScalar("CreatorId", "string")
 
         /** @type {string} */
-        this._CategoryId = this._readScalar("CategoryId", "string")
+        this._CategoryId = this._readScalar("CategoryId", "string", true)
+
+        /** @type {Date} */
+        this._fundingStart = this._readScalar("fundingStart", "object", true)
+
+        /** @type {Date} */
+        this._fundingEnd = this._readScalar("fundingEnd", "object", true)
+
+        /** @type {FundingMode} */
+        this._fundingMode = this._readScalar("fundingMode", "string")
+
+        /** @type {Date} */
+        this._deletedAt = this._readScalar("deletedAt", "object", true)
+
+        /** @type {number} */
+        this._distance = this._readScalar("distance", "number", true)
+
+        /** @type {number} */
+        this._relevance = this._readScalar("relevance", "number", true)
+    }
+
+    /**
+     * Authenticates the instance and loads the role of the caller in this project (see {@link ProjectMemberRole}).
+     *
+     * @param {User} user - optional object to avoid query
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could not be authenticated.
+     * @return {Project} Returns the project this method was called on
+     *
+     * */
+    async authenticate(user) {
+        await super.authenticate(user)
+
+        /** @type {ProjectMemberRole} */
+        this._callerRole = this._caller.isAdmin
+            ? null
+            : await this._swolly.ProjectMember._getRole(this._caller, this._instance)
+
+        return this
     }
 
     /***
@@ -75,6 +131,74 @@ class Project extends Model {
         await this._swolly.Project.delete(this._callerToken, this._id)
     }
 
+    /***
+     * Restores this instance if it has been deleted, along with the tasks deleted with it
+     * */
+    async restore() {
+        await this._swolly.Project.restore(this._callerToken, this._id)
+        await this.reload()
+    }
+
+    /***
+     * Deletes this instance from the database for good, deleted or not
+     * */
+    async purge() {
+        await this._swolly.Project.purge(this._callerToken, this._id)
+    }
+
+    /***
+     * Copies this project along with its tasks and images into a new project, which needs to be verified
+     *
+     * @param {object} [overrides] - See {@link ProjectRepository#clone}
+     * @return {Project}
+     * */
+    async clone(overrides = {}) {
+        return this._swolly.Project.clone(this._callerToken, this._id, overrides)
+    }
+
+    /***
+     * Adds this project to the watch list of the caller
+     * */
+    async follow() {
+        await this._swolly.Project.follow(this._callerToken, this._id)
+    }
+
+    /***
+     * Removes this project from the watch list of the caller
+     * */
+    async unfollow() {
+        await this._swolly.Project.unfollow(this._callerToken, this._id)
+    }
+
+    /***
+     * Adds a user to the members of this project
+     *
+     * @param {string} userId - The id of the user
+     * @param {ProjectMemberRole} role - The role of the user in this project
+     * @return {ProjectMember}
+     * */
+    async addMember(userId, role) {
+        return this._swolly.ProjectMember.create(this._callerToken, { projectId: this._id, userId, role })
+    }
+
+    /***
+     * Labels this project with tags. Tags which do not exist yet are created.
+     *
+     * @param {string[]} names - The names of the tags
+     * */
+    async addTags(names) {
+        await this._swolly.Tag.assign(this._callerToken, this._id, names)
+    }
+
+    /***
+     * Removes tags from this project
+     *
+     * @param {string[]} names - The names of the tags
+     * */
+    async removeTags(names) {
+        await this._swolly.Tag.unassign(this._callerToken, this._id, names)
+    }
+
     /**
      * Validates a given object against certain rules
      * 
@@ -89,76 +213,208 @@ class Project extends Model {
         if (typeof project.title != "string") {
             throw new ValidationError(
                 "title must be a string",
-                CategoryValidationErrorCode.TITLE_NOT_STRING
+                ProjectValidationErrorCode.TITLE_NOT_STRING
             )
         }
 
         if (project.title.length < 3 ) {
             throw new ValidationError(
                 "title must be atleast 3 characters long.",
-                UserValidationErrorCode.TILE_TOO_SHORT
+                ProjectValidationErrorCode.TITLE_TOO_SHORT
             )
         }
 
         if (typeof project.description != "string") {
             throw new ValidationError(
                 "description must be a string",
-                CategoryValidationErrorCode.DESCRIPTION_NOT_STRING
+                ProjectValidationErrorCode.DESCRIPTION_NOT_STRING
             )
         }
 
         if (!Object.values(Enums.ProjectStatus).includes(project.status)) {
             throw new ValidationError(
                 "status is not a valid status",
-                CategoryValidationErrorCode.STATUS_INVALID
+                ProjectValidationErrorCode.STATUS_INVALID
             )
         }
 
         if (typeof project.moneyGoal != "number") {
             throw new ValidationError(
                 "moneyGoal must be a number",
-                CategoryValidationErrorCode.MONEY_GOAL_NOT_NUMBER
+                ProjectValidationErrorCode.MONEY_GOAL_NOT_NUMBER
             )
         }
 
         if (project.moneyGoal < 0) {
             throw new ValidationError(
                 "moneyGoal must atleast zero",
-                CategoryValidationErrorCode.MONEY_GOAL_NEGATIVE
+                ProjectValidationErrorCode.MONEY_GOAL_NEGATIVE
             )
         }
 
         if (typeof project.lat != "number") {
             throw new ValidationError(
                 "lat must be a number",
-                CategoryValidationErrorCode.LAT_NOT_NUMBER
+                ProjectValidationErrorCode.LAT_NOT_NUMBER
             )
         }
 
         if (project.lat < -90 || project.lat > 90) {
             throw new ValidationError(
                 "lat must be between -90 and 90",
-                CategoryValidationErrorCode.LAT_OUT_OF_RANGE
+                ProjectValidationErrorCode.LAT_OUT_OF_RANGE
             )
         }
 
         if (typeof project.lon != "number") {
             throw new ValidationError(
                 "lon must be a number",
-                CategoryValidationErrorCode.LON_NOT_NUMBER
+                ProjectValidationErrorCode.LON_NOT_NUMBER
             )
         }
 
         if (project.lon < -180 || project.lon > 180) {
             throw new ValidationError(
                 "lon must be between -180 and 180",
-                CategoryValidationErrorCode.LON_OUT_OF_RANGE
+                ProjectValidationErrorCode.LON_OUT_OF_RANGE
             )
         }
+
+        Project.validateAddress(project)
+
+        if (project.tags != null) {
+            Project.validateTags(project.tags)
+        }
+
+        if (project.fundingStart != null && !Project._isDate(project.fundingStart)) {
+            throw new ValidationError(
+                "fundingStart must be a date",
+                ProjectValidationErrorCode.FUNDING_START_NOT_DATE
+            )
+        }
+
+        if (project.fundingEnd != null && !Project._isDate(project.fundingEnd)) {
+            throw new ValidationError(
+                "fundingEnd must be a date",
+                ProjectValidationErrorCode.FUNDING_END_NOT_DATE
+            )
+        }
+
+        if (
+            project.fundingStart != null
+            && project.fundingEnd != null
+            && project.fundingEnd.getTime() <= project.fundingStart.getTime()
+        ) {
+            throw new ValidationError(
+                "fundingEnd must be after fundingStart",
+                ProjectValidationErrorCode.FUNDING_END_BEFORE_START
+            )
+        }
+
+        if (project.fundingMode != null && !Object.values(Enums.FundingMode).includes(project.fundingMode)) {
+            throw new ValidationError(
+                "fundingMode is not a valid funding mode",
+                ProjectValidationErrorCode.FUNDING_MODE_INVALID
+            )
+        }
+    }
+
+    /**
+     * Validates the address of a project. All fields of the address are optional.
+     *
+     * @param {Address} address - The address to validate
+     *
+     * */
+    static validateAddress(address) {
+        if (address.street != null && typeof address.street != "string") {
+            throw new ValidationError(
+                "street must be a string",
+                ProjectValidationErrorCode.STREET_NOT_STRING
+            )
+        }
+
+        if (address.postalCode != null && typeof address.postalCode != "string") {
+            throw new ValidationError(
+                "postalCode must be a string",
+                ProjectValidationErrorCode.POSTAL_CODE_NOT_STRING
+            )
+        }
+
+        if (address.city != null && typeof address.city != "string") {
+            throw new ValidationError(
+                "city must be a string",
+                ProjectValidationErrorCode.CITY_NOT_STRING
+            )
+        }
+
+        if (address.country != null && !(typeof address.country == "string" && /^[A-Z]{2}$/.test(address.country))) {
+            throw new ValidationError(
+                "country must be an ISO 3166-1 alpha-2 code, e.g. \"DE\"",
+                ProjectValidationErrorCode.COUNTRY_INVALID
+            )
+        }
+    }
+
+    /**
+     * Validates the names of the tags of a project. The names themselves are validated by {@link Tag.validate}.
+     *
+     * @param {string[]} tags - The names of the tags
+     *
+     * */
+    static validateTags(tags) {
+        if (!Array.isArray(tags)) {
+            throw new ValidationError(
+                "tags must be an array",
+                ProjectValidationErrorCode.TAGS_NOT_ARRAY
+            )
+        }
+
+        if (tags.length > MAX_TAGS) {
+            throw new ValidationError(
+                `A project may have at most ${MAX_TAGS} tags.`,
+                ProjectValidationErrorCode.TOO_MANY_TAGS
+            )
+        }
+    }
+
+    /**
+     * Checks whether the funding campaign of a project is running, i.e. it may be pledged and paid to.
+     *
+     * @param {object} project - An object with the status, fundingStart and fundingEnd of the project
+     * @param {Date} [date=new Date()] - The point in time to check
+     *
+     * @return {boolean}
+     * */
+    static isFundingOpen(project, date = new Date()) {
+        return project.status === Enums.ProjectStatus.PUBLIC
+            && (project.fundingStart == null || project.fundingStart.getTime() <= date.getTime())
+            && (project.fundingEnd == null || project.fundingEnd.getTime() > date.getTime())
+    }
+
+    /**
+     * @param {*} value
+     * @return {boolean} Whether the value is a valid date
+     * */
+    static _isDate(value) {
+        return value instanceof Date && !isNaN(value.getTime())
     }
 
+    /**
+     * Whether the project has been deleted (see {@link ProjectRepository#delete})
+     *
+     * @type {boolean}
+     */
+    get isDeleted () {
+        return this._deletedAt != null
+    }
+
+    /**
+     * Whether the project is shown to everyone (see {@link ProjectLifecycle}.LISTED_STATUSES)
+     *
+     * @type {boolean}
+     */
     get isPublic () {
-        return this._status === Enums.ProjectStatus.PUBLIC
+        return ProjectLifecycle.LISTED_STATUSES.includes(this._status)
     }
 
     /**
@@ -174,7 +430,7 @@ class Project extends Model {
             || !this.isAuthenticated
             || this.isPublic
             || this._caller.isAdmin
-            || this._instance.CreatorId === this._caller.getId()
+            || this._callerRole != null
         ) {
             return {
                 ...super.getData(filtered),
@@ -185,8 +441,18 @@ class Project extends Model {
                 moneyPledged: this.getMoneyPledged(filtered),
                 lat: this.getLat(filtered),
                 lon: this.getLon(filtered),
+                street: this.getStreet(filtered),
+                postalCode: this.getPostalCode(filtered),
+                city: this.getCity(filtered),
+                country: this.getCountry(filtered),
                 CreatorId: this.getCreatorId(filtered),
                 CategoryId: this.getCategoryId(filtered),
+                fundingStart: this.getFundingStart(filtered),
+                fundingEnd: this.getFundingEnd(filtered),
+                fundingMode: this.getFundingMode(filtered),
+                deletedAt: this.getDeletedAt(filtered),
+                ...(this._distance != null && {distance: this.getDistance(filtered)}),
+                ...(this._relevance != null && {relevance: this.getRelevance(filtered)}),
             }
         }
     }
@@ -221,6 +487,18 @@ class Project extends Model {
         return this._status
     }
 
+    /***
+     * Returns the statuses the caller may move this project to (see {@link ProjectLifecycle})
+     *
+     * @return {ProjectStatus[]}
+     * */
+    getNextStatuses() {
+        if (!this.isAuthenticated) {
+            return []
+        }
+        return ProjectLifecycle.getNextStatuses(this._status, this._caller, this._callerRole, this._fundingEnd)
+    }
+
     /***
      * Returns the value of 'moneyGoal'
      *
@@ -261,6 +539,46 @@ class Project extends Model {
         return this._lon
     }
 
+    /***
+     * Returns the value of 'street', the street and house number of the address
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {string}
+     * */
+    getStreet(filtered = this.isAuthenticated) {
+        return this._street
+    }
+
+    /***
+     * Returns the value of 'postalCode'
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {string}
+     * */
+    getPostalCode(filtered = this.isAuthenticated) {
+        return this._postalCode
+    }
+
+    /***
+     * Returns the value of 'city'
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {string}
+     * */
+    getCity(filtered = this.isAuthenticated) {
+        return this._city
+    }
+
+    /***
+     * Returns the value of 'country', an ISO 3166-1 alpha-2 code
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {string}
+     * */
+    getCountry(filtered = this.isAuthenticated) {
+        return this._country
+    }
+
     /***
      * Returns the value of 'CreatorId'
      *
@@ -281,6 +599,79 @@ class Project extends Model {
         return this._CategoryId
     }
 
+    /***
+     * Returns the value of 'fundingStart', the point in time from which on the project may be pledged to
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {Date} The start of the funding campaign, or null if it started right away
+     * */
+    getFundingStart(filtered = this.isAuthenticated) {
+        return this._fundingStart
+    }
+
+    /***
+     * Returns the value of 'fundingEnd', the point in time at which the funding campaign is closed (see {@link Swolly#closeExpiredCampaigns})
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {Date} The end of the funding campaign, or null if it does not end
+     * */
+    getFundingEnd(filtered = this.isAuthenticated) {
+        return this._fundingEnd
+    }
+
+    /***
+     * Returns the value of 'fundingMode'
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {FundingMode}
+     * */
+    getFundingMode(filtered = this.isAuthenticated) {
+        return this._fundingMode
+    }
+
+    /***
+     * Returns the value of 'deletedAt'. Null if the project has not been deleted.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {Date}
+     * */
+    getDeletedAt(filtered = this.isAuthenticated) {
+        return this._deletedAt
+    }
+
+    /***
+     * Returns whether the funding campaign of this project is running (see {@link Project.isFundingOpen})
+     *
+     * @return {boolean}
+     * */
+    isFundingOpen() {
+        return Project.isFundingOpen({
+            status: this._status,
+            fundingStart: this._fundingStart,
+            fundingEnd: this._fundingEnd
+        })
+    }
+
+    /***
+     * Returns the distance to the origin of a location based query (see {@link ProjectRepository#getAll})
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {number} The distance in meters, or null if this project was not queried by location
+     * */
+    getDistance(filtered = this.isAuthenticated) {
+        return this._distance
+    }
+
+    /***
+     * Returns the relevance of this project to the query of a search (see {@link ProjectRepository#search}). Higher is more relevant.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {number} The relevance, or null if this project was not found by a search
+     * */
+    getRelevance(filtered = this.isAuthenticated) {
+        return this._relevance
+    }
+
     /***
      * Returns the associated creator
      *
@@ -315,6 +706,76 @@ class Project extends Model {
         return this._swolly.Task.getAll(this._callerToken, options)
     }
 
+    /***
+     * Returns the comments on this project, without those on its tasks
+     *
+     * @param {object} [options] - See {@link CommentRepository#getAll} for more information. "filter.projectId" will already be set.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {Comment[]}
+     * */
+    async getComments(options = {}, filtered = this.isAuthenticated) {
+        options.filter = options.filter == null ? {} : options.filter
+        options.filter.projectId = this._id
+        return this._swolly.Comment.getAll(this._callerToken, options)
+    }
+
+    /***
+     * Returns the members of this project. The creator is not listed, but always holds the role OWNER.
+     *
+     * @param {object} [options] - See {@link ProjectMemberRepository#getAll} for more information. "filter.projectId" will already be set.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {ProjectMember[]}
+     * */
+    async getMembers(options = {}, filtered = this.isAuthenticated) {
+        options.filter = options.filter == null ? {} : options.filter
+        options.filter.projectId = this._id
+        return this._swolly.ProjectMember.getAll(this._callerToken, options)
+    }
+
+    /***
+     * Returns the revision history of this project, the newest revision first
+     *
+     * @param {object} [options] - See {@link ProjectRevisionRepository#getAll} for more information. "filter.projectId" will already be set.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {ProjectRevision[]}
+     * */
+    async getRevisions(options = {}, filtered = this.isAuthenticated) {
+        options.filter = options.filter == null ? {} : options.filter
+        options.filter.projectId = this._id
+        return this._swolly.ProjectRevision.getAll(this._callerToken, options)
+    }
+
+    /***
+     * Returns the tags of this project
+     *
+     * @param {object} [options] - See {@link TagRepository#getAll} for more information. "filter.projectId" will already be set.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {Tag[]}
+     * */
+    async getTags(options = {}, filtered = this.isAuthenticated) {
+        options.filter = options.filter == null ? {} : options.filter
+        options.filter.projectId = this._id
+        return this._swolly.Tag.getAll(this._callerToken, options)
+    }
+
+    /***
+     * Returns the updates posted on this project which the caller may read
+     *
+     * @param {object} [options] - See {@link ProjectUpdateRepository#getAll} for more information. "filter.projectId" will already be set.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {ProjectUpdate[]}
+     * */
+    async getUpdates(options = {}, filtered = this.isAuthenticated) {
+        options.filter = options.filter == null ? {} : options.filter
+        options.filter.projectId = this._id
+        return this._swolly.ProjectUpdate.getAll(this._callerToken, options)
+    }
+
     /***
      * Returns the associated images
      *
@@ -0,0 +1,141 @@
+const Model = require("./model");
+const { ValidationError } = require("../errors");
+const { ProjectMemberValidationErrorCode, ProjectMemberRole } = require("../enums");
+
+/**
+ * Class representing the membership of a user in a project, running it together with its creator
+ * */
+class ProjectMember extends Model {
+    /**
+     * The constructor for this class.
+     *
+     * @param {Sequelize.Model} instance - The sequelize model instance to build this object from
+     * @param {Swolly} swolly - The swolly instance this instance belongs to
+     * @param {string} [token] - The session token this object was queried with
+     *
+     * */
+    constructor (instance, swolly, token) {
+        super(instance, swolly, token)
+        this._loadInstance()
+    }
+
+    /**
+     * Loads all values relevant to this class from the provided instance.
+     * */
+    _loadInstance() {
+        super._loadInstance()
+
+        /** @type {ProjectMemberRole} */
+        this._role = this._readScalar("role", "string")
+
+        /** @type {string} */
+        this._ProjectId = this._readScalar("ProjectId", "string")
+
+        /** @type {string} */
+        this._UserId = this._readScalar("UserId", "string")
+    }
+
+    /***
+     * Removes the user from the members of the project
+     * */
+    async delete() {
+        await this._swolly.ProjectMember.delete(this._callerToken, this._id)
+    }
+
+    /***
+     * Updates the database and this object with the provided values
+     *
+     * @param {object} update - The object containing all the values to update.
+     * */
+    async update(update) {
+        await this._swolly.ProjectMember.update(this._callerToken, this._id, update)
+        await this.reload()
+    }
+
+    /**
+     * Validates a given object against certain rules
+     *
+     * @param {object|ProjectMember} member - The object to validate
+     *
+     * */
+    static validate(member) {
+        if (member instanceof ProjectMember) {
+            member = member.getData()
+        }
+
+        if (!Object.values(ProjectMemberRole).includes(member.role)) {
+            throw new ValidationError(
+                `role must be one of ${Object.values(ProjectMemberRole).join(", ")}`,
+                ProjectMemberValidationErrorCode.ROLE_INVALID
+            )
+        }
+    }
+
+    /**
+     * Outputs a (optionally un-)filtered object-representation of the contained data.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {object}
+     *
+     * */
+    getData(filtered = this.isAuthenticated) {
+        return {
+            ...super.getData(filtered),
+            role: this.getRole(filtered),
+            ProjectId: this.getProjectId(filtered),
+            UserId: this.getUserId(filtered)
+        }
+    }
+
+    /***
+     * Returns the value of 'role'
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {ProjectMemberRole}
+     * */
+    getRole(filtered = this.isAuthenticated) {
+        return this._role
+    }
+
+    /***
+     * Returns the value of 'ProjectId'
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {string}
+     * */
+    getProjectId(filtered = this.isAuthenticated) {
+        return this._ProjectId
+    }
+
+    /***
+     * Returns the value of 'UserId'
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {string}
+     * */
+    getUserId(filtered = this.isAuthenticated) {
+        return this._UserId
+    }
+
+    /***
+     * Returns the associated project
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {Project}
+     * */
+    async getProject(filtered = this.isAuthenticated) {
+        return this._swolly.Project.get(this._callerToken, this._ProjectId)
+    }
+
+    /***
+     * Returns the associated user
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {User}
+     * */
+    async getUser(filtered = this.isAuthenticated) {
+        return this._swolly.User.get(this._callerToken, this._UserId)
+    }
+}
+
+module.exports = ProjectMember
@@ -0,0 +1,162 @@
+const Model = require("./model");
+
+/**
+ * Class representing a single entry of the revision history of a project, holding its title and description after a change
+ * */
+class ProjectRevision extends Model {
+    /**
+     * The constructor for this class.
+     *
+     * @param {Sequelize.Model} instance - The sequelize model instance to build this object from
+     * @param {Swolly} swolly - The swolly instance this instance belongs to
+     * @param {string} [token] - The session token this object was queried with
+     *
+     * */
+    constructor (instance, swolly, token) {
+        super(instance, swolly, token)
+        this._loadInstance()
+    }
+
+    /**
+     * Loads all values relevant to this class from the provided instance.
+     * */
+    _loadInstance() {
+        super._loadInstance()
+
+        /** @type {number} */
+        this._number = this._readScalar("number", "number")
+
+        /** @type {string} */
+        this._title = this._readScalar("title", "string")
+
+        /** @type {string} */
+        this._description = this._readScalar("description", "string")
+
+        /** @type {number} */
+        this._restoredFrom = this._readScalar("restoredFrom", "number", true)
+
+        /** @type {string} */
+        this._ProjectId = this._readScalar("ProjectId", "string")
+
+        /** @type {string} */
+        this._AuthorId = this._readScalar("AuthorId", "string", true)
+    }
+
+    /***
+     * Compares this revision with another revision of the same project
+     *
+     * @param {string} otherId - The id of the other revision
+     * @return {object} See {@link ProjectRevisionRepository#diff}
+     * */
+    async diff(otherId) {
+        return this._swolly.ProjectRevision.diff(this._callerToken, this._id, otherId)
+    }
+
+    /***
+     * Restores the title and description of the project from this revision, which adds a new revision
+     * */
+    async rollback() {
+        await this._swolly.ProjectRevision.rollback(this._callerToken, this._id)
+    }
+
+    /**
+     * Outputs a (optionally un-)filtered object-representation of the contained data.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {object}
+     *
+     * */
+    getData(filtered = this.isAuthenticated) {
+        return {
+            ...super.getData(filtered),
+            number: this.getNumber(filtered),
+            title: this.getTitle(filtered),
+            description: this.getDescription(filtered),
+            restoredFrom: this.getRestoredFrom(filtered),
+            ProjectId: this.getProjectId(filtered),
+            AuthorId: this.getAuthorId(filtered)
+        }
+    }
+
+    /***
+     * Returns the value of 'number', counting the revisions of the project from 1
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {number}
+     * */
+    getNumber(filtered = this.isAuthenticated) {
+        return this._number
+    }
+
+    /***
+     * Returns the value of 'title', the title of the project in this revision
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {string}
+     * */
+    getTitle(filtered = this.isAuthenticated) {
+        return this._title
+    }
+
+    /***
+     * Returns the value of 'description', the description of the project in this revision
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {string}
+     * */
+    getDescription(filtered = this.isAuthenticated) {
+        return this._description
+    }
+
+    /***
+     * Returns the value of 'restoredFrom', the number of the revision this one was rolled back to. Null if this revision was not made by a rollback.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {number}
+     * */
+    getRestoredFrom(filtered = this.isAuthenticated) {
+        return this._restoredFrom
+    }
+
+    /***
+     * Returns the value of 'ProjectId'
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {string}
+     * */
+    getProjectId(filtered = this.isAuthenticated) {
+        return this._ProjectId
+    }
+
+    /***
+     * Returns the value of 'AuthorId', the id of the user who made the change. Null if unknown.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {string}
+     * */
+    getAuthorId(filtered = this.isAuthenticated) {
+        return this._AuthorId
+    }
+
+    /***
+     * Returns the associated project
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {Project}
+     * */
+    async getProject(filtered = this.isAuthenticated) {
+        return this._swolly.Project.get(this._callerToken, this._ProjectId)
+    }
+
+    /***
+     * Returns the user who made the change
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {User}
+     * */
+    async getAuthor(filtered = this.isAuthenticated) {
+        return this._AuthorId == null ? null : this._swolly.User.get(this._callerToken, this._AuthorId)
+    }
+}
+
+module.exports = ProjectRevision
@@ -0,0 +1,145 @@
+const Model = require("./model");
+
+/**
+ * Class representing a single entry of the status history of a project
+ * */
+class ProjectStatusChange extends Model {
+    /**
+     * The constructor for this class.
+     *
+     * @param {Sequelize.Model} instance - The sequelize model instance to build this object from
+     * @param {Swolly} swolly - The swolly instance this instance belongs to
+     * @param {string} [token] - The session token this object was queried with
+     *
+     * */
+    constructor (instance, swolly, token) {
+        super(instance, swolly, token)
+        this._loadInstance()
+    }
+
+    /**
+     * Loads all values relevant to this class from the provided instance.
+     * */
+    _loadInstance() {
+        super._loadInstance()
+
+        /** @type {ProjectStatus} */
+        this._fromStatus = this._readScalar("fromStatus", "string")
+
+        /** @type {ProjectStatus} */
+        this._toStatus = this._readScalar("toStatus", "string")
+
+        /** @type {ReviewDecision} */
+        this._decision = this._readScalar("decision", "string", true)
+
+        /** @type {string} */
+        this._reason = this._readScalar("reason", "string", true)
+
+        /** @type {string} */
+        this._ProjectId = this._readScalar("ProjectId", "string")
+
+        /** @type {string} */
+        this._ActorId = this._readScalar("ActorId", "string", true)
+    }
+
+    /**
+     * Outputs a (optionally un-)filtered object-representation of the contained data.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {object}
+     *
+     * */
+    getData(filtered = this.isAuthenticated) {
+        return {
+            ...super.getData(filtered),
+            fromStatus: this.getFromStatus(filtered),
+            toStatus: this.getToStatus(filtered),
+            decision: this.getDecision(filtered),
+            reason: this.getReason(filtered),
+            ProjectId: this.getProjectId(filtered),
+            ActorId: this.getActorId(filtered)
+        }
+    }
+
+    /***
+     * Returns the value of 'fromStatus', the status of the project before the change
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {ProjectStatus}
+     * */
+    getFromStatus(filtered = this.isAuthenticated) {
+        return this._fromStatus
+    }
+
+    /***
+     * Returns the value of 'toStatus', the status of the project after the change
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {ProjectStatus}
+     * */
+    getToStatus(filtered = this.isAuthenticated) {
+        return this._toStatus
+    }
+
+    /***
+     * Returns the value of 'decision'. Null if the status was changed without a review.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {ReviewDecision}
+     * */
+    getDecision(filtered = this.isAuthenticated) {
+        return this._decision
+    }
+
+    /***
+     * Returns the value of 'reason'
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {string}
+     * */
+    getReason(filtered = this.isAuthenticated) {
+        return this._reason
+    }
+
+    /***
+     * Returns the value of 'ProjectId'
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {string}
+     * */
+    getProjectId(filtered = this.isAuthenticated) {
+        return this._ProjectId
+    }
+
+    /***
+     * Returns the value of 'ActorId', the id of the user who changed the status
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {string}
+     * */
+    getActorId(filtered = this.isAuthenticated) {
+        return this._ActorId
+    }
+
+    /***
+     * Returns the associated project
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {Project}
+     * */
+    async getProject(filtered = this.isAuthenticated) {
+        return this._swolly.Project.get(this._callerToken, this._ProjectId)
+    }
+
+    /***
+     * Returns the user who changed the status
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {User}
+     * */
+    async getActor(filtered = this.isAuthenticated) {
+        return this._ActorId == null ? null : this._swolly.User.get(this._callerToken, this._ActorId)
+    }
+}
+
+module.exports = ProjectStatusChange
@@ -0,0 +1,315 @@
+const Model = require("./model");
+const Project = require("./project");
+const Task = require("./task");
+const Tag = require("./tag");
+const { ValidationError } = require("../errors");
+const { FundingMode, ProjectTemplateValidationErrorCode } = require("../enums");
+
+/**
+ * The maximum number of images of a project template, the same as for projects
+ */
+const MAX_IMAGES = 10
+
+/**
+ * Class representing a template for recurring projects, from which initiators may start new projects along with their tasks and images
+ * */
+class ProjectTemplate extends Model {
+    /**
+     * The constructor for this class.
+     *
+     * @param {Sequelize.Model} instance - The sequelize model instance to build this object from
+     * @param {Swolly} swolly - The swolly instance this instance belongs to
+     * @param {string} [token] - The session token this object was queried with
+     *
+     * */
+    constructor (instance, swolly, token) {
+        super(instance, swolly, token)
+        this._loadInstance()
+    }
+
+    /**
+     * Loads all values relevant to this class from the provided instance.
+     * */
+    _loadInstance() {
+        super._loadInstance()
+
+        /** @type {string} */
+        this._title = this._readScalar("title", "string")
+
+        /** @type {string} */
+        this._description = this._readScalar("description", "string")
+
+        /** @type {number} */
+        this._moneyGoal = this._readScalar("moneyGoal", "number")
+
+        /** @type {FundingMode} */
+        this._fundingMode = this._readScalar("fundingMode", "string")
+
+        /** @type {string[]} */
+        this._tags = this._readScalar("tags", "object")
+
+        /** @type {{title: string, description: string, supporterGoal: number}[]} */
+        this._tasks = this._readScalar("tasks", "object")
+
+        /** @type {string} */
+        this._CategoryId = this._readScalar("CategoryId", "string", true)
+
+        /** @type {string} */
+        this._CreatorId = this._readScalar("CreatorId", "string", true)
+    }
+
+    /***
+     * Updates the database and this object with the provided values
+     *
+     * @param {object} update - The object containing all the values to update.
+     * */
+    async update(update) {
+        await this._swolly.ProjectTemplate.update(this._callerToken, this._id, update)
+        await this.reload()
+    }
+
+    /***
+     * Deletes this instance from the database. Projects started from it are kept.
+     * */
+    async delete() {
+        await this._swolly.ProjectTemplate.delete(this._callerToken, this._id)
+    }
+
+    /***
+     * Starts a new project from this template
+     *
+     * @param {object} values - See {@link ProjectTemplateRepository#instantiate}
+     * @return {Project}
+     * */
+    async instantiate(values) {
+        return this._swolly.ProjectTemplate.instantiate(this._callerToken, this._id, values)
+    }
+
+    /**
+     * Validates a given object against certain rules. Each task is validated like a task (see {@link Task.validate}), each tag like a tag (see {@link Tag.validate}).
+     *
+     * @param {object|ProjectTemplate} template - The object to validate
+     *
+     * */
+    static validate(template) {
+        if (template instanceof ProjectTemplate) {
+            template = template.getData()
+        }
+
+        if (typeof template.title != "string") {
+            throw new ValidationError(
+                "title must be a string",
+                ProjectTemplateValidationErrorCode.TITLE_NOT_STRING
+            )
+        }
+
+        if (template.title.length < 3 ) {
+            throw new ValidationError(
+                "title must be atleast 3 characters long.",
+                ProjectTemplateValidationErrorCode.TITLE_TOO_SHORT
+            )
+        }
+
+        if (typeof template.description != "string") {
+            throw new ValidationError(
+                "description must be a string",
+                ProjectTemplateValidationErrorCode.DESCRIPTION_NOT_STRING
+            )
+        }
+
+        if (typeof template.moneyGoal != "number") {
+            throw new ValidationError(
+                "moneyGoal must be a number",
+                ProjectTemplateValidationErrorCode.MONEY_GOAL_NOT_NUMBER
+            )
+        }
+
+        if (template.moneyGoal < 0) {
+            throw new ValidationError(
+                "moneyGoal must atleast zero",
+                ProjectTemplateValidationErrorCode.MONEY_GOAL_NEGATIVE
+            )
+        }
+
+        if (template.fundingMode != null && !Object.values(FundingMode).includes(template.fundingMode)) {
+            throw new ValidationError(
+                "fundingMode is not a valid funding mode",
+                ProjectTemplateValidationErrorCode.FUNDING_MODE_INVALID
+            )
+        }
+
+        if (template.tags != null) {
+            Project.validateTags(template.tags)
+
+            for (const name of template.tags) {
+                Tag.validate({ name })
+            }
+        }
+
+        if (template.tasks != null) {
+            if (!Array.isArray(template.tasks)) {
+                throw new ValidationError(
+                    "tasks must be an array",
+                    ProjectTemplateValidationErrorCode.TASKS_NOT_ARRAY
+                )
+            }
+
+            for (const task of template.tasks) {
+                Task.validate(task)
+            }
+        }
+
+        if (template.imageIds != null) {
+            if (!Array.isArray(template.imageIds)) {
+                throw new ValidationError(
+                    "imageIds must be an array",
+                    ProjectTemplateValidationErrorCode.IMAGES_NOT_ARRAY
+                )
+            }
+
+            if (template.imageIds.length > MAX_IMAGES) {
+                throw new ValidationError(
+                    `A project template may have at most ${MAX_IMAGES} images.`,
+                    ProjectTemplateValidationErrorCode.TOO_MANY_IMAGES
+                )
+            }
+        }
+    }
+
+    /**
+     * Outputs a (optionally un-)filtered object-representation of the contained data.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {object}
+     *
+     * */
+    getData(filtered = this.isAuthenticated) {
+        return {
+            ...super.getData(filtered),
+            title: this.getTitle(filtered),
+            description: this.getDescription(filtered),
+            moneyGoal: this.getMoneyGoal(filtered),
+            fundingMode: this.getFundingMode(filtered),
+            tags: this.getTags(filtered),
+            tasks: this.getTasks(filtered),
+            CategoryId: this.getCategoryId(filtered),
+            CreatorId: this.getCreatorId(filtered)
+        }
+    }
+
+    /***
+     * Returns the value of 'title', the title of the projects started from this template
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {string}
+     * */
+    getTitle(filtered = this.isAuthenticated) {
+        return this._title
+    }
+
+    /***
+     * Returns the value of 'description'
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {string}
+     * */
+    getDescription(filtered = this.isAuthenticated) {
+        return this._description
+    }
+
+    /***
+     * Returns the value of 'moneyGoal'
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {number}
+     * */
+    getMoneyGoal(filtered = this.isAuthenticated) {
+        return this._moneyGoal
+    }
+
+    /***
+     * Returns the value of 'fundingMode'
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {FundingMode}
+     * */
+    getFundingMode(filtered = this.isAuthenticated) {
+        return this._fundingMode
+    }
+
+    /***
+     * Returns the value of 'tags', the names of the tags the projects started from this template are labeled with
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {string[]}
+     * */
+    getTags(filtered = this.isAuthenticated) {
+        return this._tags
+    }
+
+    /***
+     * Returns the value of 'tasks', the title, description and supporterGoal of each task created for the projects started from this template
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {{title: string, description: string, supporterGoal: number}[]}
+     * */
+    getTasks(filtered = this.isAuthenticated) {
+        return this._tasks
+    }
+
+    /***
+     * Returns the value of 'CategoryId'. Null if the template has no category.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {string}
+     * */
+    getCategoryId(filtered = this.isAuthenticated) {
+        return this._CategoryId
+    }
+
+    /***
+     * Returns the value of 'CreatorId', the id of the admin who created the template. Null if unknown.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {string}
+     * */
+    getCreatorId(filtered = this.isAuthenticated) {
+        return this._CreatorId
+    }
+
+    /***
+     * Returns the associated category
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {Category}
+     * */
+    async getCategory(filtered = this.isAuthenticated) {
+        return this._CategoryId == null ? null : this._swolly.Category.get(this._callerToken, this._CategoryId)
+    }
+
+    /***
+     * Returns the admin who created the template
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {User}
+     * */
+    async getCreator(filtered = this.isAuthenticated) {
+        return this._CreatorId == null ? null : this._swolly.User.get(this._callerToken, this._CreatorId)
+    }
+
+    /***
+     * Returns the images assigned to the projects started from this template
+     *
+     * @param {object} [options] - See {@link ImageRepository#getAll} for more information. "filter.projectTemplateId" will already be set.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {Image[]}
+     * */
+    async getImages(options = {}, filtered = this.isAuthenticated) {
+        options.filter = options.filter == null ? {} : options.filter
+        options.filter.projectTemplateId = this._id
+        return this._swolly.Image.getAll(this._callerToken, options)
+    }
+}
+
+module.exports = ProjectTemplate
@@ -0,0 +1,244 @@
+const Model = require("./model");
+const { ValidationError } = require("../errors");
+const { ProjectUpdateValidationErrorCode, ProjectUpdateVisibility } = require("../enums");
+
+/**
+ * The maximum number of images attached to an update
+ */
+const MAX_IMAGES = 10
+
+/**
+ * Class representing a single update posted by the creator of a project
+ * */
+class ProjectUpdate extends Model {
+    /**
+     * The constructor for this class.
+     *
+     * @param {Sequelize.Model} instance - The sequelize model instance to build this object from
+     * @param {Swolly} swolly - The swolly instance this instance belongs to
+     * @param {string} [token] - The session token this object was queried with
+     *
+     * */
+    constructor (instance, swolly, token) {
+        super(instance, swolly, token)
+        this._loadInstance()
+    }
+
+    /**
+     * Loads all values relevant to this class from the provided instance.
+     * */
+    _loadInstance() {
+        super._loadInstance()
+
+        /** @type {string} */
+        this._title = this._readScalar("title", "string")
+
+        /** @type {string} */
+        this._body = this._readScalar("body", "string")
+
+        /** @type {ProjectUpdateVisibility} */
+        this._visibility = this._readScalar("visibility", "string")
+
+        /** @type {Date} */
+        this._publishedAt = this._readScalar("publishedAt", "object")
+
+        /** @type {string} */
+        this._ProjectId = this._readScalar("ProjectId", "string")
+
+        /** @type {string} */
+        this._AuthorId = this._readScalar("AuthorId", "string", true)
+    }
+
+    /***
+     * Deletes this instance from the database
+     * */
+    async delete() {
+        await this._swolly.ProjectUpdate.delete(this._callerToken, this._id)
+    }
+
+    /***
+     * Updates the database and this object with the provided values
+     *
+     * @param {object} update - The object containing all the values to update.
+     * */
+    async update(update) {
+        await this._swolly.ProjectUpdate.update(this._callerToken, this._id, update)
+        await this.reload()
+    }
+
+    /**
+     * Validates a given object against certain rules
+     *
+     * @param {object|ProjectUpdate} update - The object to validate
+     *
+     * */
+    static validate(update) {
+        if (update instanceof ProjectUpdate) {
+            update = update.getData()
+        }
+
+        if (typeof update.title != "string") {
+            throw new ValidationError(
+                "title must be a string",
+                ProjectUpdateValidationErrorCode.TITLE_NOT_STRING
+            )
+        }
+
+        if (update.title.length < 3) {
+            throw new ValidationError(
+                "title must be atleast 3 characters long.",
+                ProjectUpdateValidationErrorCode.TITLE_TOO_SHORT
+            )
+        }
+
+        if (typeof update.body != "string") {
+            throw new ValidationError(
+                "body must be a string",
+                ProjectUpdateValidationErrorCode.BODY_NOT_STRING
+            )
+        }
+
+        if (update.visibility != null && !Object.values(ProjectUpdateVisibility).includes(update.visibility)) {
+            throw new ValidationError(
+                `visibility must be one of ${Object.values(ProjectUpdateVisibility).join(", ")}`,
+                ProjectUpdateValidationErrorCode.VISIBILITY_INVALID
+            )
+        }
+
+        if (update.publishedAt != null && !(update.publishedAt instanceof Date && !isNaN(update.publishedAt.getTime()))) {
+            throw new ValidationError(
+                "publishedAt must be a date",
+                ProjectUpdateValidationErrorCode.PUBLISHED_AT_NOT_DATE
+            )
+        }
+
+        if (update.imageIds != null && !Array.isArray(update.imageIds)) {
+            throw new ValidationError(
+                "imageIds must be an array",
+                ProjectUpdateValidationErrorCode.IMAGES_NOT_ARRAY
+            )
+        }
+
+        if (update.imageIds != null && update.imageIds.length > MAX_IMAGES) {
+            throw new ValidationError(
+                `Too many images (max: ${MAX_IMAGES})`,
+                ProjectUpdateValidationErrorCode.TOO_MANY_IMAGES
+            )
+        }
+    }
+
+    /**
+     * Outputs a (optionally un-)filtered object-representation of the contained data.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {object}
+     *
+     * */
+    getData(filtered = this.isAuthenticated) {
+        return {
+            ...super.getData(filtered),
+            title: this.getTitle(filtered),
+            body: this.getBody(filtered),
+            visibility: this.getVisibility(filtered),
+            publishedAt: this.getPublishedAt(filtered),
+            ProjectId: this.getProjectId(filtered),
+            AuthorId: this.getAuthorId(filtered)
+        }
+    }
+
+    /***
+     * Returns the value of 'title'
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {string}
+     * */
+    getTitle(filtered = this.isAuthenticated) {
+        return this._title
+    }
+
+    /***
+     * Returns the value of 'body'
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {string}
+     * */
+    getBody(filtered = this.isAuthenticated) {
+        return this._body
+    }
+
+    /***
+     * Returns the value of 'visibility'
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {ProjectUpdateVisibility}
+     * */
+    getVisibility(filtered = this.isAuthenticated) {
+        return this._visibility
+    }
+
+    /***
+     * Returns the value of 'publishedAt', the date the update is shown from. Until then only the creator of the project and admins can see it.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {Date}
+     * */
+    getPublishedAt(filtered = this.isAuthenticated) {
+        return this._publishedAt
+    }
+
+    /***
+     * Returns the value of 'ProjectId'
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {string}
+     * */
+    getProjectId(filtered = this.isAuthenticated) {
+        return this._ProjectId
+    }
+
+    /***
+     * Returns the value of 'AuthorId', the id of the user who posted the update
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {string}
+     * */
+    getAuthorId(filtered = this.isAuthenticated) {
+        return this._AuthorId
+    }
+
+    /***
+     * Returns the associated project
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {Project}
+     * */
+    async getProject(filtered = this.isAuthenticated) {
+        return this._swolly.Project.get(this._callerToken, this._ProjectId)
+    }
+
+    /***
+     * Returns the user who posted the update
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {User}
+     * */
+    async getAuthor(filtered = this.isAuthenticated) {
+        return this._AuthorId == null ? null : this._swolly.User.get(this._callerToken, this._AuthorId)
+    }
+
+    /***
+     * Returns the attached images
+     *
+     * @param {object} [options] - See {@link ImageRepository#getAll} for more information. "filter.projectUpdateId" will already be set.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {Image[]}
+     * */
+    async getImages(options = {}, filtered = this.isAuthenticated) {
+        options.filter = options.filter == null ? {} : options.filter
+        options.filter.projectUpdateId = this._id
+        return this._swolly.Image.getAll(this._callerToken, options)
+    }
+}
+
+module.exports = ProjectUpdate
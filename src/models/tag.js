@@ -0,0 +1,173 @@
+const Model = require("./model");
+const { ValidationError } = require("../errors");
+const { TagValidationErrorCode } = require("../enums");
+
+/**
+ * The minimum length of the name of a tag
+ */
+const MIN_NAME_LENGTH = 2
+
+/**
+ * The maximum length of the name of a tag
+ */
+const MAX_NAME_LENGTH = 32
+
+/**
+ * Class representing a single free-form tag projects may be labeled with
+ * */
+class Tag extends Model {
+    /**
+     * The constructor for this class.
+     *
+     * @param {Sequelize.Model} instance - The sequelize model instance to build this object from
+     * @param {Swolly} swolly - The swolly instance this instance belongs to
+     * @param {string} [token] - The session token this object was queried with
+     *
+     * */
+    constructor (instance, swolly, token) {
+        super(instance, swolly, token)
+        this._loadInstance()
+    }
+
+    /**
+     * Loads all values relevant to this class from the provided instance.
+     * */
+    _loadInstance() {
+        super._loadInstance()
+
+        /** @type {string} */
+        this._name = this._readScalar("name", "string")
+
+        /** @type {number} */
+        this._projectCount = this._readScalar("projectCount", "number", true)
+    }
+
+    /***
+     * Deletes this instance from the database, removing it from all projects
+     * */
+    async delete() {
+        await this._swolly.Tag.delete(this._callerToken, this._id)
+    }
+
+    /***
+     * Updates the database and this object with the provided values
+     *
+     * @param {object} update - The object containing all the values to update.
+     * */
+    async update(update) {
+        await this._swolly.Tag.update(this._callerToken, this._id, update)
+        await this.reload()
+    }
+
+    /***
+     * Merges this tag into another one. The projects labeled with this tag are labeled with the other one instead, and this tag is deleted.
+     *
+     * @param {string} targetId - The id of the tag to merge into
+     * */
+    async merge(targetId) {
+        await this._swolly.Tag.merge(this._callerToken, this._id, targetId)
+    }
+
+    /**
+     * Brings the name of a tag into the form it is stored in: trimmed, in lower case and with single spaces
+     *
+     * @param {string} name - The name to normalize
+     * @return {string}
+     * */
+    static normalize(name) {
+        return typeof name == "string" ? name.trim().toLowerCase().replace(/\s+/g, " ") : name
+    }
+
+    /**
+     * Validates a given object against certain rules. The name is validated in its normalized form (see {@link Tag.normalize}).
+     *
+     * @param {object|Tag} tag - The object to validate
+     *
+     * */
+    static validate(tag) {
+        if (tag instanceof Tag) {
+            tag = tag.getData()
+        }
+
+        if (typeof tag.name != "string") {
+            throw new ValidationError(
+                "name must be a string",
+                TagValidationErrorCode.NAME_NOT_STRING
+            )
+        }
+
+        const name = Tag.normalize(tag.name)
+
+        if (name.length < MIN_NAME_LENGTH) {
+            throw new ValidationError(
+                `name must be atleast ${MIN_NAME_LENGTH} characters long.`,
+                TagValidationErrorCode.NAME_TOO_SHORT
+            )
+        }
+
+        if (name.length > MAX_NAME_LENGTH) {
+            throw new ValidationError(
+                `name may be at most ${MAX_NAME_LENGTH} characters long.`,
+                TagValidationErrorCode.NAME_TOO_LONG
+            )
+        }
+
+        if (!/^[\p{L}\p{N}][\p{L}\p{N} -]*$/u.test(name)) {
+            throw new ValidationError(
+                "name may only contain letters, numbers, spaces and hyphens and has to start with a letter or number.",
+                TagValidationErrorCode.NAME_INVALID
+            )
+        }
+    }
+
+    /**
+     * Outputs a (optionally un-)filtered object-representation of the contained data.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {object}
+     *
+     * */
+    getData(filtered = this.isAuthenticated) {
+        return {
+            ...super.getData(filtered),
+            name: this.getName(filtered),
+            ...(this._projectCount != null && {projectCount: this.getProjectCount(filtered)}),
+        }
+    }
+
+    /***
+     * Returns the value of 'name'
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {string}
+     * */
+    getName(filtered = this.isAuthenticated) {
+        return this._name
+    }
+
+    /***
+     * Returns the number of projects labeled with this tag. Only set for tags queried by {@link TagRepository#autocomplete}.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {number}
+     * */
+    getProjectCount(filtered = this.isAuthenticated) {
+        return this._projectCount
+    }
+
+    /***
+     * Returns the projects labeled with this tag
+     *
+     * @param {object} [options] - See {@link ProjectRepository#getAll} for more information. "filter.tags" will already be set.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {Project[]}
+     * */
+    async getProjects(options = {}, filtered = this.isAuthenticated) {
+        options.filter = options.filter == null ? {} : options.filter
+        options.filter.tags = [this._name]
+        return this._swolly.Project.getAll(this._callerToken, options)
+    }
+}
+
+module.exports = Tag
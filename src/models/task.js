@@ -2,7 +2,7 @@ const Model = require('./model');
 const Project = require('./project');
 const User = require('./user');
 const { ValidationError } = require("../errors");
-const { TaskValidationErrorCode } = require("../enums");
+const { TaskStatus, TaskValidationErrorCode } = require("../enums");
 
 /**
  * Class representing a single task and its properties
@@ -36,8 +36,26 @@ class Task extends Model {
         /** @type {int} */
         this._supporterGoal = this._readScalar("supporterGoal", "number")
 
+        /** @type {TaskStatus} */
+        this._status = this._readScalar("status", "string")
+
         /** @type {string} */
         this._ProjectId = this._readScalar("ProjectId", "string")
+
+        /** @type {Date} */
+        this._deletedAt = this._readScalar("deletedAt", "object", true)
+
+        /** @type {number} */
+        this._relevance = this._readScalar("relevance", "number", true)
+    }
+
+    /**
+     * Whether the task has been deleted (see {@link TaskRepository#delete})
+     *
+     * @type {boolean}
+     */
+    get isDeleted () {
+        return this._deletedAt != null
     }
 
     /***
@@ -47,6 +65,21 @@ class Task extends Model {
         await this._swolly.Task.delete(this._callerToken, this._id)
     }
 
+    /***
+     * Restores this instance if it has been deleted
+     * */
+    async restore() {
+        await this._swolly.Task.restore(this._callerToken, this._id)
+        await this.reload()
+    }
+
+    /***
+     * Deletes this instance from the database for good, deleted or not
+     * */
+    async purge() {
+        await this._swolly.Task.purge(this._callerToken, this._id)
+    }
+
     /***
      * Updates the database and this object with the provided values
      * 
@@ -111,6 +144,13 @@ class Task extends Model {
                 TaskValidationErrorCode.SUPPORTER_GOAL_OUT_OF_RANGE
             )
         }
+
+        if (task.status != null && !Object.values(TaskStatus).includes(task.status)) {
+            throw new ValidationError(
+                `status must be one of ${Object.values(TaskStatus).join(", ")}`,
+                TaskValidationErrorCode.STATUS_INVALID
+            )
+        }
     }
 
     /**
@@ -126,7 +166,10 @@ class Task extends Model {
             title: this.getTitle(filtered),
             description: this.getDescription(filtered),
             supporterGoal: this.getSupporterGoal(filtered),
+            status: this.getStatus(filtered),
             ProjectId: this.getProjectId(filtered),
+            deletedAt: this.getDeletedAt(filtered),
+            ...(this._relevance != null && {relevance: this.getRelevance(filtered)}),
         }
     }
 
@@ -160,6 +203,16 @@ class Task extends Model {
         return this._supporterGoal
     }
 
+    /***
+     * Returns the value of 'status'
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {TaskStatus}
+     * */
+    getStatus(filtered = this.isAuthenticated) {
+        return this._status
+    }
+
     /***
      * Returns the value of 'ProjectId'
      *
@@ -170,6 +223,26 @@ class Task extends Model {
         return this._ProjectId
     }
 
+    /***
+     * Returns the value of 'deletedAt'. Null if the task has not been deleted.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {Date}
+     * */
+    getDeletedAt(filtered = this.isAuthenticated) {
+        return this._deletedAt
+    }
+
+    /***
+     * Returns the relevance of this task to the query of a search (see {@link TaskRepository#search}). Higher is more relevant.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {number} The relevance, or null if this task was not found by a search
+     * */
+    getRelevance(filtered = this.isAuthenticated) {
+        return this._relevance
+    }
+
     /***
      * Returns the associated project
      *
@@ -180,6 +253,20 @@ class Task extends Model {
         return this._swolly.Project.get(this._callerToken, this._instance.ProjectId)
     }
 
+    /***
+     * Returns the comments on this task
+     *
+     * @param {object} [options] - See {@link CommentRepository#getAll} for more information. "filter.taskId" will already be set.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {Comment[]}
+     * */
+    async getComments(options = {}, filtered = this.isAuthenticated) {
+        options.filter = options.filter == null ? {} : options.filter
+        options.filter.taskId = this._id
+        return this._swolly.Comment.getAll(this._callerToken, options)
+    }
+
     /***
      * Returns the associated applications
      *
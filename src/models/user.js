@@ -43,6 +43,9 @@ class User extends Model {
 
         /** @type {string} */
         this._password = this._readScalar("password", "string")
+
+        /** @type {Date} */
+        this._deletedAt = this._readScalar("deletedAt", "object", true)
     }
 
     get isSupporter() {
@@ -57,6 +60,10 @@ class User extends Model {
         return this.getRole() === "ADMIN"
     }
 
+    get isDeleted() {
+        return this._deletedAt != null
+    }
+
     /***
      * Updates the database and this object with the provided values
      * 
@@ -74,6 +81,21 @@ class User extends Model {
         await this._swolly.User.delete(this._callerToken, this._id)
     }
 
+    /***
+     * Restores this instance if it has been deleted, along with the projects and tasks deleted with them
+     * */
+    async restore() {
+        await this._swolly.User.restore(this._callerToken, this._id)
+        await this.reload()
+    }
+
+    /***
+     * Deletes this instance from the database for good, deleted or not
+     * */
+    async purge() {
+        await this._swolly.User.purge(this._callerToken, this._id)
+    }
+
 
     /***
      * Deletes the session that this user instance is authenticated with and makes this a system instance
@@ -172,6 +194,7 @@ class User extends Model {
             gender: this.getGender(filtered),
             role: this.getRole(filtered),
             password: this.getPassword(filtered),
+            deletedAt: this.getDeletedAt(filtered),
         }
     }
 
@@ -230,6 +253,16 @@ class User extends Model {
         }
     }
 
+    /***
+     * Returns the value of 'deletedAt'. Null if the user has not been deleted.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {Date}
+     * */
+    getDeletedAt(filtered = this.isAuthenticated) {
+        return this._deletedAt
+    }
+
     /***
      * Returns the session affiliated with this user
      *
@@ -279,6 +312,34 @@ class User extends Model {
             options.filter.supporterId = this._id
             return await this._swolly.Task.getAll(this._callerToken, options)
     }
+
+    /***
+     * Returns the projects this user follows (see {@link Project#follow})
+     *
+     * @param {object} [options] - See {@link ProjectRepository#getAll} for more information. "filter.followedBy" will already be set.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {Project[]}
+     * */
+    async getFollowedProjects(options = {}, filtered = this.isAuthenticated) {
+            options.filter = options.filter == null ? {} : options.filter
+            options.filter.followedBy = this._id
+            return await this._swolly.Project.getAll(this._callerToken, options)
+    }
+
+    /***
+     * Returns the memberships of this user in projects created by others
+     *
+     * @param {object} [options] - See {@link ProjectMemberRepository#getAll} for more information. "filter.userId" will already be set.
+     *
+     * @param {boolean} [filtered] - if the return values properties should be filtered to make sure the user is allowed to see them. Defaults to true if the instance is an authenticated instance, false if otherwise.
+     * @return {ProjectMember[]}
+     * */
+    async getMemberships(options = {}, filtered = this.isAuthenticated) {
+            options.filter = options.filter == null ? {} : options.filter
+            options.filter.userId = this._id
+            return await this._swolly.ProjectMember.getAll(this._callerToken, options)
+    }
 }
 
 module.exports = User
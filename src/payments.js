@@ -0,0 +1,6 @@
+const Payments = {
+    PaymentProvider: require("./payments/paymentProvider.js"),
+    FakePaymentProvider: require("./payments/fakePaymentProvider.js"),
+}
+
+module.exports = Payments
@@ -0,0 +1,228 @@
+const PaymentProvider = require("./paymentProvider")
+const Errors = require("../errors")
+const PaymentErrorCode = require("../enums/paymentErrorCode")
+const PaymentStatus = require("../enums/paymentStatus")
+
+const crypto = require("crypto")
+
+/**
+ * Rounds an amount to whole cents
+ *
+ * @param {number} amount
+ * @return {number}
+ */
+function round(amount) {
+    return Math.round(amount * 100) / 100
+}
+
+/**
+ * Processes payments in memory, without any external service. Mainly useful for tests.
+ *
+ * Payments get the references "fake_1", "fake_2" and so on, in the order they are authorized.
+ * Failures are simulated with {@link FakePaymentProvider#failNext}, changes made at the provider's side
+ * (e.g. a capture triggered from its dashboard) with {@link FakePaymentProvider#createWebhook}.
+ *
+ *     const provider = new FakePaymentProvider()
+ *     const swolly = new Swolly({ dataFolder, paymentProvider: provider })
+ *
+ *     provider.failNext("capture")
+ *     await swolly.Payment.capture(token, id) // throws a SwollyPaymentError
+ */
+class FakePaymentProvider extends PaymentProvider {
+    /**
+     * The constructor for this class.
+     *
+     * @param {object} [options] - An object with options
+     * @param {string} [options.secret="fake-secret"] - The secret webhooks are signed with
+     */
+    constructor(options = {}) {
+        super()
+
+        const { secret = "fake-secret" } = options
+
+        /** @type {string} */
+        this.secret = secret
+
+        /** @type {Map<string, PaymentState>} */
+        this.payments = new Map()
+
+        /** @type {{operation: string, code: PaymentErrorCode}[]} */
+        this._failures = []
+
+        /** @type {number} */
+        this._counter = 0
+    }
+
+    /**
+     * Makes the next call of an operation fail.
+     *
+     * @param {string} operation - The operation to fail: "authorize", "capture", "refund" or "void"
+     * @param {PaymentErrorCode} [code=PaymentErrorCode.DECLINED] - The code of the error to throw
+     *
+     * @return {FakePaymentProvider} Returns this instance, so calls may be chained
+     */
+    failNext(operation, code = PaymentErrorCode.DECLINED) {
+        this._failures.push({ operation, code })
+        return this
+    }
+
+    /**
+     * Creates a signed webhook call reporting changes made at the provider's side.
+     *
+     * @param {string} reference - The payment to change
+     * @param {object} [changes] - The changes to make before reporting the state of the payment
+     * @param {number} [changes.capture] - An amount to capture
+     * @param {number} [changes.refund] - An amount to refund
+     *
+     * @return {{payload: string, signature: string}} The body and signature of the webhook request, to be passed to {@link Swolly#Payment}.handleWebhook
+     *
+     * @throws {SwollyPaymentError} Thrown when the payment does not exist or the changes are not possible
+     */
+    createWebhook(reference, changes = {}) {
+        if (changes.capture != null) {
+            this._capture(reference, changes.capture)
+        }
+
+        if (changes.refund != null) {
+            this._refund(reference, changes.refund)
+        }
+
+        const payload = JSON.stringify(this._state(reference))
+        return { payload, signature: this._sign(payload) }
+    }
+
+    async authorize(amount, metadata = {}) {
+        this._failIfRequested("authorize")
+
+        const reference = `fake_${++this._counter}`
+
+        this.payments.set(reference, {
+            reference,
+            status: PaymentStatus.AUTHORIZED,
+            amount: round(amount),
+            amountCaptured: 0,
+            amountRefunded: 0
+        })
+
+        return this._state(reference)
+    }
+
+    async capture(reference, amount) {
+        this._failIfRequested("capture")
+        this._capture(reference, amount)
+        return this._state(reference)
+    }
+
+    async refund(reference, amount) {
+        this._failIfRequested("refund")
+        this._refund(reference, amount)
+        return this._state(reference)
+    }
+
+    async void(reference) {
+        this._failIfRequested("void")
+
+        const payment = this._get(reference)
+
+        if (payment.status !== PaymentStatus.AUTHORIZED || payment.amountCaptured > 0) {
+            throw new Errors.PaymentError("Only payments which have not been captured can be voided.", PaymentErrorCode.DECLINED)
+        }
+
+        payment.status = PaymentStatus.VOIDED
+        return this._state(reference)
+    }
+
+    async verifyWebhook(payload, signature) {
+        const expected = Buffer.from(this._sign(payload))
+        const actual = Buffer.from(String(signature))
+
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            throw new Errors.PaymentError("The webhook signature is invalid.", PaymentErrorCode.SIGNATURE_INVALID)
+        }
+
+        return JSON.parse(payload.toString())
+    }
+
+    /**
+     * Throws an error, if a failure of the operation was requested using {@link FakePaymentProvider#failNext}
+     *
+     * @param {string} operation
+     *
+     * @throws {SwollyPaymentError}
+     */
+    _failIfRequested(operation) {
+        const index = this._failures.findIndex(failure => failure.operation === operation)
+
+        if (index !== -1) {
+            const [{ code }] = this._failures.splice(index, 1)
+            throw new Errors.PaymentError(`Simulated failure of ${operation}.`, code)
+        }
+    }
+
+    /**
+     * @param {string} reference
+     * @return {PaymentState}
+     * @throws {SwollyPaymentError} Thrown when the payment does not exist
+     */
+    _get(reference) {
+        const payment = this.payments.get(reference)
+
+        if (payment == null) {
+            throw new Errors.PaymentError(`Unknown payment: '${reference}'`, PaymentErrorCode.UNKNOWN_REFERENCE)
+        }
+        return payment
+    }
+
+    /**
+     * @param {string} reference
+     * @return {PaymentState} A copy of the state of the payment
+     */
+    _state(reference) {
+        return { ...this._get(reference) }
+    }
+
+    /**
+     * @param {string} reference
+     * @param {number} amount
+     * @throws {SwollyPaymentError} Thrown when more than the remaining authorized amount would be captured
+     */
+    _capture(reference, amount) {
+        const payment = this._get(reference)
+
+        if (payment.status === PaymentStatus.FAILED || round(payment.amountCaptured + amount) > payment.amount) {
+            throw new Errors.PaymentError("The amount exceeds the authorized amount.", PaymentErrorCode.DECLINED)
+        }
+
+        payment.amountCaptured = round(payment.amountCaptured + amount)
+        payment.status = PaymentStatus.CAPTURED
+    }
+
+    /**
+     * @param {string} reference
+     * @param {number} amount
+     * @throws {SwollyPaymentError} Thrown when more than the captured amount would be refunded
+     */
+    _refund(reference, amount) {
+        const payment = this._get(reference)
+
+        if (round(payment.amountRefunded + amount) > payment.amountCaptured) {
+            throw new Errors.PaymentError("The amount exceeds the captured amount.", PaymentErrorCode.DECLINED)
+        }
+
+        payment.amountRefunded = round(payment.amountRefunded + amount)
+
+        if (payment.amountRefunded === payment.amountCaptured) {
+            payment.status = PaymentStatus.REFUNDED
+        }
+    }
+
+    /**
+     * @param {string|Buffer} payload
+     * @return {string} The hex encoded HMAC-SHA256 of the payload
+     */
+    _sign(payload) {
+        return crypto.createHmac("sha256", this.secret).update(payload).digest("hex")
+    }
+}
+
+module.exports = FakePaymentProvider
@@ -0,0 +1,90 @@
+/**
+ * The state of a payment as known to a payment provider
+ *
+ * @typedef {object} PaymentState
+ * @property {string} reference - The id of the payment at the provider
+ * @property {PaymentStatus} status - The status of the payment
+ * @property {number} amount - The authorized amount
+ * @property {number} amountCaptured - The amount captured so far
+ * @property {number} amountRefunded - The amount refunded so far
+ */
+
+/**
+ * Interface for processing payments with an external provider.
+ * All methods must be implemented by the providers extending this class.
+ *
+ * Every method returns the complete state of the payment instead of the change,
+ * so applying the same state (e.g. from a webhook delivered twice) more than once has no further effect.
+ */
+class PaymentProvider {
+    /**
+     * Authorizes a payment, reserving the amount without transferring it yet.
+     *
+     * @param {number} amount - The amount to authorize
+     * @param {object} [metadata] - Information about the payment, e.g. the ids of the user and project
+     *
+     * @return {PaymentState}
+     *
+     * @throws {SwollyPaymentError} Thrown when the payment was declined or could not be processed
+     */
+    async authorize(amount, metadata) {
+        throw new Error(`${this.constructor.name}.authorize is not implemented.`)
+    }
+
+    /**
+     * Captures (part of) the authorized amount of a payment. May be called multiple times, until the whole amount is captured.
+     *
+     * @param {string} reference - The id of the payment at the provider
+     * @param {number} amount - The amount to capture
+     *
+     * @return {PaymentState}
+     *
+     * @throws {SwollyPaymentError} Thrown when the capture was declined or could not be processed
+     */
+    async capture(reference, amount) {
+        throw new Error(`${this.constructor.name}.capture is not implemented.`)
+    }
+
+    /**
+     * Refunds (part of) the captured amount of a payment.
+     *
+     * @param {string} reference - The id of the payment at the provider
+     * @param {number} amount - The amount to refund
+     *
+     * @return {PaymentState}
+     *
+     * @throws {SwollyPaymentError} Thrown when the refund was declined or could not be processed
+     */
+    async refund(reference, amount) {
+        throw new Error(`${this.constructor.name}.refund is not implemented.`)
+    }
+
+    /**
+     * Voids a payment, releasing the authorized amount. Only possible as long as nothing has been captured.
+     *
+     * @param {string} reference - The id of the payment at the provider
+     *
+     * @return {PaymentState}
+     *
+     * @throws {SwollyPaymentError} Thrown when the payment could not be voided
+     */
+    async void(reference) {
+        throw new Error(`${this.constructor.name}.void is not implemented.`)
+    }
+
+    /**
+     * Verifies a webhook call of the provider and extracts the payment state it reports.
+     *
+     * @param {string|Buffer} payload - The raw body of the webhook request
+     * @param {string} signature - The signature sent along with the request
+     *
+     * @return {PaymentState}
+     *
+     * @throws {SwollyPaymentError} Thrown when the signature is invalid
+     */
+    async verifyWebhook(payload, signature) {
+        throw new Error(`${this.constructor.name}.verifyWebhook is not implemented.`)
+    }
+}
+
+module.exports = PaymentProvider
@@ -1,7 +1,10 @@
 const Repository = require("./repository")
 const Application = require("../models/application")
 const ApplicationValidationErrorCode = require("../enums/applicationValidationErrorCode")
+const EventType = require("../enums/eventType")
+const ProjectPermission = require("../enums/projectPermission")
 const Errors = require("../errors")
+const ApplicationFilterField = require("../enums/applicationFilterField")
 
 /**
  * Repository for all methods relating to applications
@@ -26,19 +29,26 @@ class ApplicationRepository extends Repository {
      * @param {string} [options.filter.projectId] Filters result down to applications of a single project
      * @param {string} [options.filter.accepted] Filters result down to applications that have been accepted
      *
+     * @param {object} [options.where] A filter expression further filtering the results, using the fields in {@link ApplicationFilterField} (see {@link compileFilter})
+     *
      * @param {object} [options.sort] Describes how to sort the results
      * @param {ApplicationSortField} [options.sort.field] The field to sort by
      * @param {SortDirection} [options.sort.direction] The direction to sort in
      *
+     * @param {object} [options.page] Paginates the results
+     * @param {number} options.page.limit The maximum number of items per page
+     * @param {string} [options.page.cursor] The nextCursor of the previous page. Starts with the first page if not set.
+     * @param {boolean} [options.page.totalCount=false] Whether to count the items on all pages
+     *
      * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
      * @throws {SwollySequelizeError}
      *
-     * @return {Application[]}
+     * @return {Application[]|Page} Returns a {@link Page} if options.page is set
      */
     async getAll(token, options = {}) { return Repository._rethrow(async () => {
         const caller = await this._getAuth(token)
 
-        let { filter, sort } = options
+        let { filter } = options
 
         if (
             !caller.isAdmin
@@ -49,7 +59,7 @@ class ApplicationRepository extends Repository {
             throw new Errors.AuthorizationError()
         }
 
-        const result = await this.store.Application.findAll({
+        const result = await this._findAll(this.store.Application, {
             ...(filter != null && {where: {
                 ...(filter.taskId != null && {TaskId: filter.taskId}),
                 ...(filter.userId != null && {UserId: filter.userId}),
@@ -67,10 +77,9 @@ class ApplicationRepository extends Repository {
                     }
                 }
             }}),
-            ...(sort != null && {order: [[sort.field, sort.direction]]})
-        })
+        }, options, ApplicationFilterField)
 
-        return result == null ? [] : await Application.createFromArray(result, this.swolly, token, caller)
+        return await this._createResult(Application, result, token, caller)
     })}
 
     /**
@@ -87,7 +96,7 @@ class ApplicationRepository extends Repository {
      */
     async get(token, id) { return Repository._rethrow(async () => {
         const caller = await this._getAuth(token)
-        const result = await this.store.Application.findByPk(id)
+        const result = await this.store.Application.findByPk(id, { transaction: this.transaction })
         return result == null ? null : await Application.create(result, this.swolly, token, caller)
     })}
 
@@ -118,27 +127,35 @@ class ApplicationRepository extends Repository {
 
         Application.validate(values)
 
-        if (await this.store.Application.findOne({ where: {
-            TaskId: values.taskId,
-            UserId: caller.getId()
-        }}) != null) {
+        if (await this.store.Application.findOne({
+            transaction: this.transaction,
+            where: {
+                TaskId: values.taskId,
+                UserId: caller.getId()
+            }
+        }) != null) {
             throw new Errors.ValidationError(
                 "User has already applied to this task.",
                 ApplicationValidationErrorCode.ALREADY_APPLIED
             )
         }
 
-        const task = await this.store.Task.findByPk(values.taskId)
+        const task = await this.store.Task.findByPk(values.taskId, { transaction: this.transaction })
 
         if (task == null) {
             throw new Errors.NotFoundError("Task not found.")
         }
 
-        const application = await task.createApplication({
+        const data = {
             text: values.text,
             UserId: caller.getId(),
             accepted: values.accepted
-        })
+        }
+
+        const application = await this._mutate(EventType.APPLICATION_CREATE, {
+            after: { ...data, TaskId: task.id },
+            caller
+        }, repository => task.createApplication(data, { transaction: repository.transaction }))
 
         return await Application.create(application, this.swolly, token)
     })}
@@ -150,6 +167,7 @@ class ApplicationRepository extends Repository {
      * Authorized Cases:
      * - An admin updating a task
      * - A project creator updating a task they made
+     * - A project member allowed to manage applications (see {@link ProjectPermission}.MANAGE_APPLICATIONS)
      *
      * @param {string} token - A authentication token for verifying authorization
      *
@@ -171,6 +189,7 @@ class ApplicationRepository extends Repository {
         const caller = await this._getAuth(token)
 
         const application = await this.store.Application.findByPk(id, {
+            transaction: this.transaction,
             include: {
                 model: this.store.Task,
                 as: "task",
@@ -180,14 +199,15 @@ class ApplicationRepository extends Repository {
                 }
             }
         })
-        if (application == null) {
-            throw new Error.NotFoundError("Application could not be found.")
+        // Applications to deleted tasks are hidden along with the task
+        if (application == null || application.task == null) {
+            throw new Errors.NotFoundError("Application could not be found.")
         }
 
 
         if(
             !caller.isAdmin
-            && application.task.project.CreatorId !== caller.getId()
+            && !await this.swolly.ProjectMember._hasPermission(caller, application.task.project, ProjectPermission.MANAGE_APPLICATIONS)
         ) { 
             throw new Errors.AuthorizationError()
         }
@@ -195,9 +215,17 @@ class ApplicationRepository extends Repository {
 
         Application.validate({ ...application.dataValues, ...update })
 
-        await this.store.Application.update({
+        const changes = {
             ...(update.accepted != null && {accepted: update.accepted}),
-        }, { where: { id } })
+        }
+        const before = Repository._snapshot(application)
+
+        await this._mutate(EventType.APPLICATION_UPDATE, {
+            id, before, after: { ...before, ...changes }, caller
+        }, async repository => {
+            await repository.store.Application.update(changes, { where: { id }, transaction: repository.transaction })
+            return await application.reload({ transaction: repository.transaction })
+        })
     })}
 
     /**
@@ -207,6 +235,7 @@ class ApplicationRepository extends Repository {
      * Authorized Cases:
      * - An admin deleting an application
      * - A project creator deleting an application for a task they made
+     * - A project member allowed to manage applications
      *
      * @param {string} token - An authentication token for verifying authorization
      * @param {string} id - The application to operate on
@@ -219,6 +248,7 @@ class ApplicationRepository extends Repository {
         const caller = await this._getAuth(token)
 
         const application = await this.store.Application.findByPk(id, {
+            transaction: this.transaction,
             include: {
                 model: this.store.Task,
                 as: "task",
@@ -228,18 +258,24 @@ class ApplicationRepository extends Repository {
                 }
             }
         })
-        if (application == null) {
-            throw new Error.NotFoundError("Application could not be found.")
+        // Applications to deleted tasks are hidden along with the task
+        if (application == null || application.task == null) {
+            throw new Errors.NotFoundError("Application could not be found.")
         }
 
         if(
             !caller.isAdmin
-            && application.task.project.CreatorId !== caller.getId()
+            && !await this.swolly.ProjectMember._hasPermission(caller, application.task.project, ProjectPermission.MANAGE_APPLICATIONS)
         ) { 
             throw new Errors.AuthorizationError()
         }
 
-        await application.destroy()
+        await this._mutate(EventType.APPLICATION_DELETE, {
+            id, before: Repository._snapshot(application), caller
+        }, async repository => {
+            await application.destroy({ transaction: repository.transaction })
+            return null
+        })
     })}
 }
 
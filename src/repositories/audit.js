@@ -0,0 +1,126 @@
+const Repository = require("./repository")
+const AuditLog = require("../models/auditLog")
+const Errors = require("../errors")
+const diff = require("../utils/diff")
+const { Op } = require("sequelize")
+
+const SortDirection = require("../enums/sortDirection")
+const SortField = require("../enums/sortField")
+const AuditLogFilterField = require("../enums/auditLogFilterField")
+
+/**
+ * Repository for all methods relating to the audit log
+ */
+class AuditRepository extends Repository {
+    /**
+     *
+     * Get a listing of audit log entries, optionally filtered and sorted
+     *
+     * Authorized Cases:
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     *
+     * @param {object} [options] An object with options
+     *
+     * @param {object} [options.filter] Describes how to filter the results
+     * @param {string} [options.filter.entityType] Filters result down to entries about one type of entity, e.g. "project"
+     * @param {string} [options.filter.entityId] Filters result down to entries about a single entity
+     * @param {string} [options.filter.actorId] Filters result down to entries of changes made by a single user
+     * @param {string} [options.filter.action] Filters result down to entries of one action, e.g. "update"
+     * @param {Date} [options.filter.from] Filters result down to entries created at or after this time
+     * @param {Date} [options.filter.to] Filters result down to entries created at or before this time
+     *
+     * @param {object} [options.where] A filter expression further filtering the results, using the fields in {@link AuditLogFilterField} (see {@link compileFilter})
+     *
+     * @param {object} [options.sort] Describes how to sort the results
+     * @param {AuditLogSortField} [options.sort.field] The field to sort by
+     * @param {SortDirection} [options.sort.direction] The direction to sort in
+     *
+     * @param {object} [options.page] Paginates the results
+     * @param {number} options.page.limit The maximum number of items per page
+     * @param {string} [options.page.cursor] The nextCursor of the previous page. Starts with the first page if not set.
+     * @param {boolean} [options.page.totalCount=false] Whether to count the items on all pages
+     *
+     * @return {AuditLog[]|Page} Returns a {@link Page} if options.page is set
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollySequelizeError}
+     */
+    async getAll(token, options = {}) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        if(!caller.isAdmin) { 
+            throw new Errors.AuthorizationError()
+        }
+
+        const { filter, sort } = options
+
+        const result = await this._findAll(this.store.AuditLog, {
+            ...(filter != null && {where: {
+                ...(filter.entityType != null && {entityType: filter.entityType}),
+                ...(filter.entityId != null && {entityId: filter.entityId}),
+                ...(filter.actorId != null && {ActorId: filter.actorId}),
+                ...(filter.action != null && {action: filter.action}),
+                ...((filter.from != null || filter.to != null) && {createdAt: {
+                    ...(filter.from != null && {[Op.gte]: filter.from}),
+                    ...(filter.to != null && {[Op.lte]: filter.to}),
+                }}),
+            }}),
+        }, {
+            ...options,
+            sort: sort != null ? sort : { field: SortField.CREATED, direction: SortDirection.ASC }
+        }, AuditLogFilterField)
+
+        return await this._createResult(AuditLog, result, token, caller)
+    })}
+
+    /**
+     *
+     * Get an audit log entry by its id
+     *
+     * Authorized Cases:
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} id - The id of the requested entry
+     *
+     * @return {AuditLog}
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollySequelizeError}
+     */
+    async get(token, id) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        if(!caller.isAdmin) { 
+            throw new Errors.AuthorizationError()
+        }
+
+        const result = await this.store.AuditLog.findByPk(id, { transaction: this.transaction })
+        return result == null ? null : await AuditLog.create(result, this.swolly, token, caller)
+    })}
+
+    /**
+     * Records a change in the audit log
+     *
+     * ### INTERNAL ###
+     *
+     * @param {SwollyEvent} event - The event describing the change
+     *
+     * @throws {SwollySequelizeError}
+     */
+    async _record(event) { return Repository._rethrow(async () => {
+        const [entityType, action] = event.type.split(".")
+
+        await this.store.AuditLog.create({
+            action,
+            entityType,
+            entityId: event.id,
+            ActorId: event.caller != null ? event.caller.getId() : null,
+            diff: diff(event.before, event.after)
+        }, { transaction: this.transaction })
+    })}
+}
+
+module.exports = AuditRepository
@@ -1,5 +1,10 @@
 const Repository = require("./repository")
 const Category = require("../models/category")
+const Errors = require("../errors")
+const Enums = require("../enums")
+const EventType = require("../enums/eventType")
+const { Sequelize } = require("sequelize")
+const CategoryFilterField = require("../enums/categoryFilterField")
 
 /**
  * Repository for all methods relating to categories
@@ -16,23 +21,28 @@ class CategoryRepository extends Repository {
      *
      * @param {object} [options] An object with options
      *
+     * @param {object} [options.where] A filter expression further filtering the results, using the fields in {@link CategoryFilterField} (see {@link compileFilter})
+     *
      * @param {object} [options.sort] Describes how to sort the results
      * @param {CategorySortField} options.sort.field The field to sort by
      * @param {SortDirection} options.sort.direction The direction to sort in
      *
+     * @param {object} [options.page] Paginates the results
+     * @param {number} options.page.limit The maximum number of items per page
+     * @param {string} [options.page.cursor] The nextCursor of the previous page. Starts with the first page if not set.
+     * @param {boolean} [options.page.totalCount=false] Whether to count the items on all pages
+     *
+     * @return {Category[]|Page} Returns a {@link Page} if options.page is set
+     *
      * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
      * @throws {SwollySequelizeError}
      */
     async getAll(token, options = {}) { return Repository._rethrow(async () => {
         const caller = await this._getAuth(token)
 
-        const { sort } = options
+        const result = await this._findAll(this.store.Category, {}, options, CategoryFilterField)
 
-        const result = await this.store.Category.findAll({
-            ...(sort != null && {order: [[sort.field, sort.direction]]})
-        })
-
-        return result == null ? [] : await Category.createFromArray(result, this.swolly, token, caller)
+        return await this._createResult(Category, result, token, caller)
     })}
 
     /**
@@ -50,7 +60,7 @@ class CategoryRepository extends Repository {
      */
     async get(token, id) { return Repository._rethrow(async () => {
         const caller = await this._getAuth(token)
-        const result = await this.store.Category.findByPk(id)
+        const result = await this.store.Category.findByPk(id, { transaction: this.transaction })
         return result == null ? null : await Category.create(result, this.swolly, token, caller)
     })}
 
@@ -83,10 +93,13 @@ class CategoryRepository extends Repository {
         Category.validate(values)
 
         try {
-            const category = await this.store.Category.create({
+            const data = {
                 name: values.name,
                 ImageId: values.ImageId,
-            })
+            }
+            const category = await this._mutate(EventType.CATEGORY_CREATE, {
+                after: data, caller
+            }, repository => repository.store.Category.create(data, { transaction: repository.transaction }))
             return await Category.create(category, this.swolly, token)
         } catch (err) {
             if (err instanceof Sequelize.ForeignKeyConstraintError) {
@@ -129,18 +142,26 @@ class CategoryRepository extends Repository {
             throw new Errors.AuthorizationError()
         }
 
-        const category = await this.store.Category.findByPk(id)
+        const category = await this.store.Category.findByPk(id, { transaction: this.transaction })
         if (category == null) {
-            throw new Error.NotFoundError("Category could not be found.")
+            throw new Errors.NotFoundError("Category could not be found.")
         }
 
         Category.validate({ ...category.dataValues, ...update })
         
+        const changes = {
+            ...(update.name != null && {name: update.name}),
+            ...(update.ImageId != null && {ImageId: update.ImageId})
+        }
+        const before = Repository._snapshot(category)
+
         try {
-            await this.store.Category.update({
-                ...(update.name != null && {name: update.name}),
-                ...(update.ImageId != null && {ImageId: update.ImageId})
-            }, { where: { id } })
+            await this._mutate(EventType.CATEGORY_UPDATE, {
+                id, before, after: { ...before, ...changes }, caller
+            }, async repository => {
+                await repository.store.Category.update(changes, { where: { id }, transaction: repository.transaction })
+                return await category.reload({ transaction: repository.transaction })
+            })
         } catch (err) {
             if (err instanceof Sequelize.ForeignKeyConstraintError) {
                 throw new Errors.ValidationError(
@@ -173,12 +194,17 @@ class CategoryRepository extends Repository {
             throw new Errors.AuthorizationError()
         }
 
-        const category = await this.store.Category.findByPk(id)
+        const category = await this.store.Category.findByPk(id, { transaction: this.transaction })
         if (category == null) {
-            throw new Error.NotFoundError("Category could not be found.")
+            throw new Errors.NotFoundError("Category could not be found.")
         }
 
-        await category.destroy()
+        await this._mutate(EventType.CATEGORY_DELETE, {
+            id, before: Repository._snapshot(category), caller
+        }, async repository => {
+            await category.destroy({ transaction: repository.transaction })
+            return null
+        })
     })}
 }
 
@@ -0,0 +1,366 @@
+const Repository = require("./repository")
+const Comment = require("../models/comment")
+const Errors = require("../errors")
+const ProjectLifecycle = require("../utils/projectLifecycle")
+
+const CommentFilterField = require("../enums/commentFilterField")
+const CommentValidationErrorCode = require("../enums/commentValidationErrorCode")
+const EventType = require("../enums/eventType")
+const ProjectPermission = require("../enums/projectPermission")
+
+/**
+ * Repository for all methods relating to comments on projects and tasks
+ *
+ * Comments may be replied to, forming threads. Deleted comments are kept, without their text, so the replies to them stay in place.
+ */
+class CommentRepository extends Repository {
+    /**
+     *
+     * Get a listing of the comments on a project or task, or of the replies to a comment, optionally sorted
+     *
+     * Authorized Cases:
+     * - Any registered user, for comments on public projects and their tasks
+     * - The creator or a member of the project
+     * - Caller is admin, also for listings of all comments
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     *
+     * @param {object} [options] An object with options
+     *
+     * @param {object} [options.filter] Describes how to filter the results. Callers who are not admins have to set projectId, taskId or parentId.
+     * @param {string} [options.filter.projectId] Filters result down to comments on a project itself, without those on its tasks
+     * @param {string} [options.filter.taskId] Filters result down to comments on a task
+     * @param {string} [options.filter.parentId] Filters result down to replies to a comment
+     * @param {boolean} [options.filter.topLevel] Filters result down to comments which are not replies
+     * @param {string} [options.filter.authorId] Filters result down to comments written by a user
+     *
+     * @param {object} [options.where] A filter expression further filtering the results, using the fields in {@link CommentFilterField} (see {@link compileFilter})
+     *
+     * @param {object} [options.sort] Describes how to sort the results
+     * @param {SortField} [options.sort.field] The field to sort by
+     * @param {SortDirection} [options.sort.direction] The direction to sort in
+     *
+     * @param {object} [options.page] Paginates the results
+     * @param {number} options.page.limit The maximum number of items per page
+     * @param {string} [options.page.cursor] The nextCursor of the previous page. Starts with the first page if not set.
+     * @param {boolean} [options.page.totalCount=false] Whether to count the items on all pages
+     *
+     * @return {Comment[]|Page} Returns a {@link Page} if options.page is set
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyNotFoundError} Thrown when the project, task or comment filtered by could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async getAll(token, options = {}) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        const filter = options.filter == null ? {} : options.filter
+
+        if (filter.projectId == null && filter.taskId == null && filter.parentId == null) {
+            if (!caller.isAdmin) {
+                throw new Errors.AuthorizationError()
+            }
+        } else {
+            const { project } = await this._getTarget(filter)
+
+            if (!await this._canAccess(caller, project)) {
+                throw new Errors.AuthorizationError()
+            }
+        }
+
+        const result = await this._findAll(this.store.Comment, {
+            where: {
+                ...(filter.projectId != null && {ProjectId: filter.projectId, TaskId: null}),
+                ...(filter.taskId != null && {TaskId: filter.taskId}),
+                ...(filter.parentId != null && {ParentId: filter.parentId}),
+                ...(filter.topLevel === true && {ParentId: null}),
+                ...(filter.authorId != null && {AuthorId: filter.authorId}),
+            }
+        }, options, CommentFilterField)
+
+        return await this._createResult(Comment, result, token, caller)
+    })}
+
+    /**
+     *
+     * Get a comment by its id
+     *
+     * Authorized Cases:
+     * - Any registered user, for comments on public projects and their tasks
+     * - The creator or a member of the project
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} id - A valid comment id
+     *
+     * @return {Comment}
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollySequelizeError}
+     */
+    async get(token, id) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        const result = await this.store.Comment.findByPk(id, {
+            transaction: this.transaction,
+            include: {
+                model: this.store.Project,
+                as: "project"
+            }
+        })
+
+        // Comments on deleted projects are hidden along with the project
+        if (result == null || result.project == null) {
+            return null
+        }
+
+        if (!await this._canAccess(caller, result.project)) {
+            throw new Errors.AuthorizationError()
+        }
+
+        return await Comment.create(result, this.swolly, token, caller)
+    })}
+
+    /**
+     *
+     * Write a comment on a project or a task, or reply to a comment. The caller is the author.
+     *
+     * Authorized Cases:
+     * - Any registered user, on public projects and their tasks
+     * - The creator or a member of the project
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     *
+     * @param {object} values - The object containing the values of the comment. Exactly one of projectId, taskId and parentId has to be set.
+     * @param {string} values.text - Text of the comment
+     * @param {string} [values.projectId] - The project to comment on
+     * @param {string} [values.taskId] - The task to comment on
+     * @param {string} [values.parentId] - The comment to reply to
+     *
+     * @return {Comment}
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyValidationError} Thrown when the comment is not correct in some way (see {@link CommentValidationErrorCode} for codes)
+     * @throws {SwollyNotFoundError} Thrown when the project, task or comment could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async create(token, values) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        Comment.validate(values)
+
+        const targets = [values.projectId, values.taskId, values.parentId].filter(target => target != null)
+
+        if (targets.length !== 1) {
+            throw new Errors.ValidationError(
+                "Exactly one of projectId, taskId and parentId has to be set.",
+                CommentValidationErrorCode.TARGET_INVALID
+            )
+        }
+
+        const { project, task, parent } = await this._getTarget(values)
+
+        if (!await this._canAccess(caller, project)) {
+            throw new Errors.AuthorizationError()
+        }
+
+        if (parent != null && parent.deletedAt != null) {
+            throw new Errors.ValidationError(
+                "Deleted comments may not be replied to.",
+                CommentValidationErrorCode.PARENT_DELETED
+            )
+        }
+
+        const data = {
+            text: values.text,
+            ProjectId: project.id,
+            TaskId: parent != null ? parent.TaskId : task != null ? task.id : null,
+            ParentId: parent != null ? parent.id : null,
+            AuthorId: caller.getId()
+        }
+
+        const comment = await this._mutate(EventType.COMMENT_CREATE, {
+            after: data, caller
+        }, repository => repository.store.Comment.create(data, { transaction: repository.transaction }))
+
+        return await Comment.create(comment, this.swolly, token)
+    })}
+
+    /**
+     *
+     * Edit the text of a comment
+     *
+     * Authorized Cases:
+     * - The author of the comment
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     *
+     * @param {string} id - The comment to operate on
+     *
+     * @param {object} update - The object containing the values of the comment
+     * @param {string} [update.text] - Text of the comment
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyValidationError} Thrown when the comment is not correct in some way or has been deleted (see {@link CommentValidationErrorCode} for codes)
+     * @throws {SwollyNotFoundError} Thrown when the comment could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async update(token, id, update) { return Repository._rethrow(async () => {
+        if (update && Object.keys(update).length === 0) {
+            return
+        }
+
+        const caller = await this._getAuth(token)
+
+        const comment = await this.store.Comment.findByPk(id, { transaction: this.transaction })
+
+        if (comment == null) {
+            throw new Errors.NotFoundError("Comment could not be found.")
+        }
+
+        if (comment.AuthorId !== caller.getId()) {
+            throw new Errors.AuthorizationError()
+        }
+
+        if (comment.deletedAt != null) {
+            throw new Errors.ValidationError(
+                "Deleted comments may not be edited.",
+                CommentValidationErrorCode.COMMENT_DELETED
+            )
+        }
+
+        Comment.validate({ ...comment.dataValues, ...update })
+
+        const changes = {
+            ...(update.text != null && {text: update.text, editedAt: new Date()}),
+        }
+        const before = Repository._snapshot(comment)
+
+        await this._mutate(EventType.COMMENT_UPDATE, {
+            id, before, after: { ...before, ...changes }, caller
+        }, async repository => {
+            await repository.store.Comment.update(changes, { where: { id }, transaction: repository.transaction })
+            return await comment.reload({ transaction: repository.transaction })
+        })
+    })}
+
+    /**
+     *
+     * Delete a comment. The comment is kept without its text, so replies to it stay in place.
+     *
+     * Authorized Cases:
+     * - The author of the comment
+     * - The creator of the project, moderating comments on their project
+     * - A member of the project allowed to moderate comments (see {@link ProjectPermission}.MODERATE_COMMENTS)
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} id - The comment to operate on
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyNotFoundError} Thrown when the comment could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async delete(token, id) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        const comment = await this.store.Comment.findByPk(id, {
+            transaction: this.transaction,
+            include: {
+                model: this.store.Project,
+                as: "project"
+            }
+        })
+
+        if (comment == null || comment.project == null) {
+            throw new Errors.NotFoundError("Comment could not be found.")
+        }
+
+        if (
+            !caller.isAdmin
+            && comment.AuthorId !== caller.getId()
+            && !await this.swolly.ProjectMember._hasPermission(caller, comment.project, ProjectPermission.MODERATE_COMMENTS)
+        ) {
+            throw new Errors.AuthorizationError()
+        }
+
+        if (comment.deletedAt != null) {
+            return
+        }
+
+        const before = Repository._snapshot(comment)
+        const deletedAt = new Date()
+
+        await this._mutate(EventType.COMMENT_DELETE, {
+            id, before, after: { ...before, deletedAt }, caller
+        }, async repository => {
+            await repository.store.Comment.update({ deletedAt }, { where: { id }, transaction: repository.transaction })
+            return await comment.reload({ transaction: repository.transaction })
+        })
+    })}
+
+    /**
+     *
+     * Find what a comment is written on
+     *
+     * @param {object} values - An object with exactly one of projectId, taskId and parentId set
+     * @param {string} [values.projectId] - The id of a project
+     * @param {string} [values.taskId] - The id of a task
+     * @param {string} [values.parentId] - The id of a comment
+     *
+     * @return {{project: Sequelize.Model, task: Sequelize.Model, parent: Sequelize.Model}} The project in any case, the task or the parent comment if their id was set
+     *
+     * @throws {SwollyNotFoundError} Thrown when the project, task or comment could not be found, or the project has been deleted
+     */
+    async _getTarget({ projectId, taskId, parentId }) {
+        const include = {
+            model: this.store.Project,
+            as: "project"
+        }
+
+        if (parentId != null) {
+            const parent = await this.store.Comment.findByPk(parentId, { transaction: this.transaction, include })
+
+            if (parent == null || parent.project == null) {
+                throw new Errors.NotFoundError("Comment could not be found.")
+            }
+            return { project: parent.project, task: null, parent }
+        }
+
+        if (taskId != null) {
+            const task = await this.store.Task.findByPk(taskId, { transaction: this.transaction, include })
+
+            if (task == null || task.project == null) {
+                throw new Errors.NotFoundError("Task could not be found.")
+            }
+            return { project: task.project, task, parent: null }
+        }
+
+        const project = await this.store.Project.findByPk(projectId, { transaction: this.transaction })
+
+        if (project == null) {
+            throw new Errors.NotFoundError("Project could not be found.")
+        }
+        return { project, task: null, parent: null }
+    }
+
+    /**
+     *
+     * Check whether a user may read and write comments on a project and its tasks
+     *
+     * @param {User} user - The user to check
+     * @param {Sequelize.Model} project - The project
+     *
+     * @return {boolean}
+     *
+     * @throws {SwollySequelizeError}
+     */
+    async _canAccess(user, project) {
+        return user.isAdmin
+            || ProjectLifecycle.LISTED_STATUSES.includes(project.status)
+            || await this.swolly.ProjectMember._getRole(user, project) != null
+    }
+}
+
+module.exports = CommentRepository
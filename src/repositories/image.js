@@ -2,10 +2,11 @@ const Repository = require("./repository")
 const Image = require("../models/image")
 const Errors = require("../errors")
 const Enums = require("../enums")
-const fs = require("fs")
-const path = require('path')
+const EventType = require("../enums/eventType")
+const { Readable } = require("stream")
 const { v4: uuid } = require('uuid')
 const FileType = require('file-type')
+const ImageFilterField = require("../enums/imageFilterField")
 
 /**
  * Repository for all methods relating to images
@@ -17,6 +18,9 @@ class ImageRepository extends Repository{
      *
      * Authorized Cases:
      * - Caller is Admin
+     * - Any registered user, listing the images of a project
+     * - Any registered user, listing the images of a project update they may read (see {@link ProjectUpdateRepository#get})
+     * - An initiator, listing the images of a project template
      *
      * @param {string} token - An authentication token for verifying authorization
      *
@@ -24,41 +28,84 @@ class ImageRepository extends Repository{
      *
      * @param {object} [options.filter] Describes how to filter the results
      * @param {string} [options.filter.projectId] Filters result down to images used by this project
+     * @param {string} [options.filter.projectUpdateId] Filters result down to images attached to this project update
+     * @param {string} [options.filter.projectTemplateId] Filters result down to images of this project template (only admins and initiators)
+     *
+     * @param {object} [options.where] A filter expression further filtering the results, using the fields in {@link ImageFilterField} (see {@link compileFilter})
      *
      * @param {object} [options.sort] Describes how to sort the results
      * @param {ImageSortField} options.sort.field - The field to sort by
      * @param {SortDirection} options.sort.direction - The direction to sort in
      *
+     * @param {object} [options.page] Paginates the results
+     * @param {number} options.page.limit - The maximum number of items per page
+     * @param {string} [options.page.cursor] - The nextCursor of the previous page. Starts with the first page if not set.
+     * @param {boolean} [options.page.totalCount=false] - Whether to count the items on all pages
+     *
+     * @return {Image[]|Page} Returns a {@link Page} if options.page is set
+     *
      * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
      * @throws {SwollySequelizeError}
      */
     async getAll(token, options = {}) { return Repository._rethrow(async () => {
         const caller = await this._getAuth(token)
 
-        const { sort, filter } = options
+        const { filter } = options
 
         if(
             !caller.isAdmin &&
-            (filter == null || filter.projectId == null)
+            (filter == null || (filter.projectId == null && filter.projectUpdateId == null && filter.projectTemplateId == null))
         ) { 
             throw new Errors.AuthorizationError()
         }
 
-        const result = await this.store.Image.findAll({
-            ...(sort != null && {order: [[sort.field, sort.direction]]}),
-            ...(filter != null && filter.projectId != null && { include: {
-                model: this.store.Project,
-                as: "projects",
-                required: true,
-                through: {
-                    where: {
-                        ProjectId: filter.projectId
+        if (filter != null && filter.projectTemplateId != null && !caller.isAdmin && !caller.isInitiator) {
+            throw new Errors.AuthorizationError()
+        }
+
+        if (filter != null && filter.projectUpdateId != null) {
+            // Throws if the caller may not read the update
+            if (await this.swolly.ProjectUpdate.get(token, filter.projectUpdateId) == null) {
+                throw new Errors.NotFoundError("Project update not found")
+            }
+        }
+
+        const result = await this._findAll(this.store.Image, {
+            include: [
+                ...(filter != null && filter.projectId != null ? [{
+                    model: this.store.Project,
+                    as: "projects",
+                    required: true,
+                    through: {
+                        where: {
+                            ProjectId: filter.projectId
+                        }
                     }
-                }
-            }}),
-        })
+                }] : []),
+                ...(filter != null && filter.projectUpdateId != null ? [{
+                    model: this.store.ProjectUpdate,
+                    as: "projectUpdates",
+                    required: true,
+                    through: {
+                        where: {
+                            ProjectUpdateId: filter.projectUpdateId
+                        }
+                    }
+                }] : []),
+                ...(filter != null && filter.projectTemplateId != null ? [{
+                    model: this.store.ProjectTemplate,
+                    as: "projectTemplates",
+                    required: true,
+                    through: {
+                        where: {
+                            ProjectTemplateId: filter.projectTemplateId
+                        }
+                    }
+                }] : []),
+            ],
+        }, options, ImageFilterField)
 
-        return result == null ? [] : await Image.createFromArray(result, this.swolly, token, caller)
+        return await this._createResult(Image, result, token, caller)
     })}
 
     /**
@@ -76,7 +123,7 @@ class ImageRepository extends Repository{
      */
     async get(token, id) { return Repository._rethrow(async () => {
         const caller = await this._getAuth(token)
-        const result = await this.store.Image.findByPk(id)
+        const result = await this.store.Image.findByPk(id, { transaction: this.transaction })
         return result == null ? null : await Image.create(result, this.swolly, token, caller)
     })}
 
@@ -88,7 +135,7 @@ class ImageRepository extends Repository{
      * - Any authenticated user
      *
      * @param {string} token - A authentication token for verifying authorization
-     * @param {ReadStream} imageStream - The FileStream of the images contents
+     * @param {Readable} imageStream - A stream of the images contents
      *
      * @return {Image}
      *
@@ -100,7 +147,7 @@ class ImageRepository extends Repository{
         const caller = await this._getAuth(token)
         const id = uuid()
         
-        if (!(imageStream instanceof fs.ReadStream)) {
+        if (!(imageStream instanceof Readable)) {
             throw new Errors.UploadError("image was not a stream")
         }
 
@@ -109,58 +156,174 @@ class ImageRepository extends Repository{
         try {
             const validMimeTypes = ["image/png", "image/jpeg"]
             fileTypeStream = await FileType.stream(imageStream)
-            if (!validMimeTypes.includes(fileTypeStream.fileType.mime)) {
+            if (fileTypeStream.fileType == null || !validMimeTypes.includes(fileTypeStream.fileType.mime)) {
                 throw new Errors.UploadError("Image was neither a png nor a jpg.")
             }
-            const writeStream = fs.createWriteStream(path.join(this.swolly.dataFolder, `${id}.${fileTypeStream.fileType.ext}`))
-            fileTypeStream.pipe(writeStream)
         } catch (err) {
             throw new Errors.UploadError(err.message)
         }
 
-        const image = await this.store.Image.create({ id, extension: fileTypeStream.fileType.ext })
+        const data = { id, extension: fileTypeStream.fileType.ext }
+
+        const key = ImageRepository._key(data)
+        let written = false
+
+        let image
+        try {
+            image = await this._mutate(EventType.IMAGE_CREATE, { id, after: data, caller }, async repository => {
+                try {
+                    await repository.swolly.storage.write(key, fileTypeStream)
+                } catch (err) {
+                    throw new Errors.UploadError(err.message)
+                }
+                written = true
+                return await repository.store.Image.create(data, { transaction: repository.transaction })
+            })
+        } catch (err) {
+            // The image was not created, so its file would never be read or deleted
+            if (written) {
+                await this.swolly.storage.delete(key).catch(deleteErr => {
+                    console.warn(`Could not delete the file '${key}' of a failed upload: ${deleteErr.message}`)
+                })
+            }
+            throw err
+        }
         return await Image.create(image, this.swolly, token)
     })}
 
+    /**
+     *
+     * Read the contents of an image
+     *
+     * Authorized Cases:
+     * - Any registered user
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} id - The id of the requested image
+     *
+     * @return {Readable} A stream of the images contents
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyNotFoundError} Thrown when the image or its file could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async read(token, id) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+        const image = await this.store.Image.findByPk(id, { transaction: this.transaction })
+
+        if (image == null) {
+            throw new Errors.NotFoundError("Image not found")
+        }
+
+        const key = ImageRepository._key(image)
+
+        if (!(await this.swolly.storage.exists(key))) {
+            throw new Errors.NotFoundError("Image file not found")
+        }
+
+        return await this.swolly.storage.read(key)
+    })}
+
+    /**
+     *
+     * Delete an existing image and its file
+     *
+     * Authorized Cases:
+     * - An admin deleting an image
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} id - The image to operate on
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyNotFoundError} Thrown when the image could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async delete(token, id) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        if(!caller.isAdmin) { 
+            throw new Errors.AuthorizationError()
+        }
+
+        const image = await this.store.Image.findByPk(id, { transaction: this.transaction })
+
+        if (image == null) {
+            throw new Errors.NotFoundError("Image not found")
+        }
+
+        await this._mutate(EventType.IMAGE_DELETE, {
+            id, before: Repository._snapshot(image), caller
+        }, async repository => {
+            await image.destroy({ transaction: repository.transaction })
+
+            // The file is only deleted once the deletion is committed, so a rollback does not leave an image without its file
+            const key = ImageRepository._key(image)
+            Repository._afterCommit(repository.transaction, () => repository.swolly.storage.delete(key).catch(err => {
+                console.warn(`Could not delete the file '${key}' of a deleted image: ${err.message}`)
+            }))
+            return null
+        })
+    })}
+
+    /**
+     * Returns the key under which the file of an image is stored
+     *
+     * @param {Sequelize.Model|object} image - The sequelize model instance or the values of the image
+     * @return {string}
+     */
+    static _key(image) {
+        return `${image.id}.${image.extension}`
+    }
+
     async assign(token, id, projectId) { return Repository._rethrow(async () => {
         const caller = await this._getAuth(token)
-        const image = await this.store.Image.findByPk(id)
+        const image = await this.store.Image.findByPk(id, { transaction: this.transaction })
 
         if (image == null) {
             throw new Errors.NotFoundError("Image not found")
         }
 
-        const project = await this.store.Project.findByPk(projectId)
+        const project = await this.store.Project.findByPk(projectId, { transaction: this.transaction })
 
         if (project == null) {
             throw new Errors.NotFoundError("Project not found")
         }
 
-        if (await project.countImages() > 9) {
-            throw new Error.ValidationError(
+        if (await project.countImages({ transaction: this.transaction }) > 9) {
+            throw new Errors.ValidationError(
                 "Too many images (max: 10)",
                 Enums.ProjectValidationErrorCode.TOO_MANY_IMAGES
             )
         }
 
-        await project.addImage(image)
+        await this._mutate(EventType.IMAGE_ASSIGN, {
+            id, after: { ImageId: id, ProjectId: projectId }, caller
+        }, async repository => {
+            await project.addImage(image, { transaction: repository.transaction })
+            return { ImageId: id, ProjectId: projectId }
+        })
     })}
 
     async unassign(token, id, projectId) { return Repository._rethrow(async () => {
         const caller = await this._getAuth(token)
-        const image = await this.store.Image.findByPk(id)
+        const image = await this.store.Image.findByPk(id, { transaction: this.transaction })
 
         if (image == null) {
             throw new Errors.NotFoundError("Image not found")
         }
 
-        const project = await this.store.Project.findByPk(projectId)
+        const project = await this.store.Project.findByPk(projectId, { transaction: this.transaction })
 
         if (project == null) {
             throw new Errors.NotFoundError("Project not found")
         }
 
-        await project.removeImage(image)
+        await this._mutate(EventType.IMAGE_UNASSIGN, {
+            id, before: { ImageId: id, ProjectId: projectId }, caller
+        }, async repository => {
+            await project.removeImage(image, { transaction: repository.transaction })
+            return null
+        })
     })}
 }
 
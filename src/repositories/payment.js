@@ -0,0 +1,517 @@
+const Repository = require("./repository")
+const Payment = require("../models/payment")
+const Project = require("../models/project")
+const Errors = require("../errors")
+const { Op } = require("sequelize")
+
+const EventType = require("../enums/eventType")
+const PaymentErrorCode = require("../enums/paymentErrorCode")
+const PaymentFilterField = require("../enums/paymentFilterField")
+const PaymentStatus = require("../enums/paymentStatus")
+const PaymentValidationErrorCode = require("../enums/paymentValidationErrorCode")
+const ProjectPermission = require("../enums/projectPermission")
+const PledgeStatus = require("../enums/pledgeStatus")
+const ProjectStatus = require("../enums/projectStatus")
+
+/**
+ * Repository for all methods relating to payments
+ *
+ * Payments are processed by the {@link PaymentProvider} configured on {@link Swolly}.
+ * Each payment pays a pledge (see {@link PledgeRepository}). The pledged money of a project is only counted by its pledges, so payments do not add to it.
+ * A payment refunded in full cancels its pledge, unless the pledge has other payments which have not been refunded.
+ * Cancelling a pledge in turn voids or refunds its payments (see {@link PledgeRepository#cancel}).
+ */
+class PaymentRepository extends Repository {
+    /**
+     *
+     * Get a listing of payments, optionally filtered and sorted
+     *
+     * Authorized Cases:
+     * - A user accessing their own payments
+     * - A project creator accessing payments to their project
+     * - A project member allowed to see the funding (see {@link ProjectPermission}.VIEW_FUNDING)
+     * - An admin accessing payments
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     *
+     * @param {object} [options] An object with options
+     *
+     * @param {object} [options.filter] Describes how to filter the results
+     * @param {string} [options.filter.userId] Filters result down to payments of a single user
+     * @param {string} [options.filter.projectId] Filters result down to payments to a single project
+     * @param {string} [options.filter.pledgeId] Filters result down to the payments of a single pledge
+     * @param {PaymentStatus} [options.filter.status] Filters result down to payments with a specific status
+     *
+     * @param {object} [options.where] A filter expression further filtering the results, using the fields in {@link PaymentFilterField} (see {@link compileFilter})
+     *
+     * @param {object} [options.sort] Describes how to sort the results
+     * @param {PaymentSortField} [options.sort.field] The field to sort by
+     * @param {SortDirection} [options.sort.direction] The direction to sort in
+     *
+     * @param {object} [options.page] Paginates the results
+     * @param {number} options.page.limit The maximum number of items per page
+     * @param {string} [options.page.cursor] The nextCursor of the previous page. Starts with the first page if not set.
+     * @param {boolean} [options.page.totalCount=false] Whether to count the items on all pages
+     *
+     * @return {Payment[]|Page} Returns a {@link Page} if options.page is set
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollySequelizeError}
+     */
+    async getAll(token, options = {}) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        const { filter } = options
+
+        const pledge = filter != null && filter.pledgeId != null
+            ? await this.store.Pledge.findByPk(filter.pledgeId, { transaction: this.transaction })
+            : null
+
+        if (
+            !caller.isAdmin
+            && (!filter || filter.userId != caller.getId())
+            && !(filter && filter.projectId != null && await this.swolly.ProjectMember._hasPermission(caller, filter.projectId, ProjectPermission.VIEW_FUNDING))
+            && !(pledge != null && pledge.UserId === caller.getId())
+            && !(pledge != null && await this.swolly.ProjectMember._hasPermission(caller, pledge.ProjectId, ProjectPermission.VIEW_FUNDING))
+        ) {
+            throw new Errors.AuthorizationError()
+        }
+
+        const result = await this._findAll(this.store.Payment, {
+            ...(filter != null && {where: {
+                ...(filter.userId != null && {UserId: filter.userId}),
+                ...(filter.projectId != null && {ProjectId: filter.projectId}),
+                ...(filter.pledgeId != null && {PledgeId: filter.pledgeId}),
+                ...(filter.status != null && {status: filter.status}),
+            }}),
+        }, options, PaymentFilterField)
+
+        return await this._createResult(Payment, result, token, caller)
+    })}
+
+    /**
+     *
+     * Get a payment object by its id
+     *
+     * Authorized Cases:
+     * - The user who made the payment
+     * - The creator of the project paid to
+     * - Caller is admin
+     *
+     * @param {string} token - A authentication token for verifying authorization
+     * @param {string} id - A valid payment id
+     *
+     * @return {Payment}
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollySequelizeError}
+     */
+    async get(token, id) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+        const result = await this.store.Payment.findByPk(id, { transaction: this.transaction })
+
+        if (result == null) {
+            return null
+        }
+
+        if (
+            !caller.isAdmin
+            && result.UserId !== caller.getId()
+            && !await this.swolly.ProjectMember._hasPermission(caller, result.ProjectId, ProjectPermission.VIEW_FUNDING)
+        ) {
+            throw new Errors.AuthorizationError()
+        }
+
+        return await Payment.create(result, this.swolly, token, caller)
+    })}
+
+    /**
+     *
+     * Authorize a payment for a pledge. The pledged money of the project does not change, as the pledge is already counted.
+     *
+     * If the provider declines the payment, it is still recorded with the status FAILED before the error is thrown.
+     *
+     * Authorized Cases:
+     * - The supporter who made the pledge, while the funding campaign of the project is running or once the project is funded
+     *
+     * @param {string} token - A authentication token for verifying authorization
+     *
+     * @param {object} values - The object containing the values of the payment
+     * @param {string} values.pledgeId - The pledge to pay
+     * @param {number} [values.amount] - The amount to authorize. Defaults to the amount of the pledge which is not being paid yet.
+     *
+     * @return {Payment}
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyValidationError} Thrown when the payment is not correct in some way (see {@link PaymentValidationErrorCode} for codes)
+     * @throws {SwollyPaymentError} Thrown when the provider declined the payment or no provider is configured
+     * @throws {SwollySequelizeError}
+     */
+    async authorize(token, values) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+        const provider = this._getProvider()
+
+        if (!caller.isSupporter) {
+            throw new Errors.AuthorizationError()
+        }
+
+        const pledge = await this.store.Pledge.findByPk(values.pledgeId, {
+            transaction: this.transaction,
+            include: {
+                model: this.store.Project,
+                as: "project"
+            }
+        })
+
+        if (pledge == null || pledge.project == null) {
+            throw new Errors.ValidationError(
+                "This pledge does not exist.",
+                PaymentValidationErrorCode.PLEDGE_INVALID
+            )
+        }
+
+        if (pledge.UserId !== caller.getId()) {
+            throw new Errors.AuthorizationError()
+        }
+
+        if (pledge.status !== PledgeStatus.ACTIVE) {
+            throw new Errors.ValidationError(
+                "Only active pledges may be paid.",
+                PaymentValidationErrorCode.PLEDGE_NOT_ACTIVE
+            )
+        }
+
+        const project = pledge.project
+
+        if (![ProjectStatus.PUBLIC, ProjectStatus.FUNDED].includes(project.status)) {
+            throw new Errors.ValidationError(
+                "Only public or funded projects may be paid to.",
+                PaymentValidationErrorCode.PROJECT_NOT_PUBLIC
+            )
+        }
+
+        if (project.status === ProjectStatus.PUBLIC && !Project.isFundingOpen(project)) {
+            throw new Errors.ValidationError(
+                "The funding campaign of this project has not started yet or has already ended.",
+                PaymentValidationErrorCode.FUNDING_CLOSED
+            )
+        }
+
+        const outstanding = await this._getOutstanding(pledge)
+        const amount = values.amount == null ? outstanding : values.amount
+
+        Payment.validateAmount(amount)
+
+        if (amount > outstanding) {
+            throw new Errors.ValidationError(
+                `At most ${outstanding} of this pledge may still be paid.`,
+                PaymentValidationErrorCode.AMOUNT_EXCEEDS_PLEDGE
+            )
+        }
+
+        let state = null
+        let failure = null
+
+        try {
+            state = await provider.authorize(amount, { userId: caller.getId(), projectId: project.id })
+        } catch (err) {
+            if (!(err instanceof Errors.PaymentError)) {
+                throw err
+            }
+            failure = err
+        }
+
+        const data = {
+            amount,
+            amountCaptured: state != null ? state.amountCaptured : 0,
+            amountRefunded: state != null ? state.amountRefunded : 0,
+            status: state != null ? state.status : PaymentStatus.FAILED,
+            failureCode: failure != null ? failure.code : null,
+            providerReference: state != null ? state.reference : null,
+            UserId: caller.getId(),
+            ProjectId: project.id,
+            PledgeId: pledge.id,
+        }
+
+        const payment = await this._mutate(EventType.PAYMENT_AUTHORIZE, {
+            after: data, caller
+        }, repository => repository.store.Payment.create(data, { transaction: repository.transaction }))
+
+        if (failure != null) {
+            throw failure
+        }
+
+        return await Payment.create(payment, this.swolly, token)
+    })}
+
+    /**
+     *
+     * Capture (part of) the authorized amount of a payment
+     *
+     * Authorized Cases:
+     * - The creator of the project paid to
+     * - A member of the project allowed to manage payments (see {@link ProjectPermission}.MANAGE_PAYMENTS)
+     * - Caller is admin
+     *
+     * @param {string} token - A authentication token for verifying authorization
+     * @param {string} id - The payment to operate on
+     * @param {number} [amount] - The amount to capture. Defaults to the whole remaining amount.
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyValidationError} Thrown when the amount is invalid or the payment can not be captured (see {@link PaymentValidationErrorCode} for codes)
+     * @throws {SwollyNotFoundError} Thrown when the payment could not be found
+     * @throws {SwollyPaymentError} Thrown when the provider declined the capture or no provider is configured
+     * @throws {SwollySequelizeError}
+     */
+    async capture(token, id, amount) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+        const provider = this._getProvider()
+
+        const payment = await this._getForProcessing(caller, id)
+
+        if (![PaymentStatus.AUTHORIZED, PaymentStatus.CAPTURED].includes(payment.status)) {
+            throw new Errors.ValidationError(
+                `A payment with status ${payment.status} can not be captured.`,
+                PaymentValidationErrorCode.STATUS_INVALID
+            )
+        }
+
+        const remaining = Math.round((payment.amount - payment.amountCaptured) * 100) / 100
+        amount = amount == null ? remaining : amount
+
+        Payment.validateAmount(amount)
+
+        if (amount > remaining) {
+            throw new Errors.ValidationError(
+                `At most ${remaining} may still be captured.`,
+                PaymentValidationErrorCode.AMOUNT_EXCEEDS_AUTHORIZED
+            )
+        }
+
+        const state = await provider.capture(payment.providerReference, amount)
+
+        await this._inTransaction(repository => repository._applyState(id, state, EventType.PAYMENT_CAPTURE, caller))
+    })}
+
+    /**
+     *
+     * Refund (part of) the captured amount of a payment. Refunding it in full cancels its pledge (see {@link PaymentRepository}).
+     *
+     * Authorized Cases:
+     * - The creator of the project paid to
+     * - A member of the project allowed to manage payments (see {@link ProjectPermission}.MANAGE_PAYMENTS)
+     * - Caller is admin
+     *
+     * @param {string} token - A authentication token for verifying authorization
+     * @param {string} id - The payment to operate on
+     * @param {number} [amount] - The amount to refund. Defaults to the whole captured amount which has not been refunded yet.
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyValidationError} Thrown when the amount is invalid or the payment can not be refunded (see {@link PaymentValidationErrorCode} for codes)
+     * @throws {SwollyNotFoundError} Thrown when the payment could not be found
+     * @throws {SwollyPaymentError} Thrown when the provider declined the refund or no provider is configured
+     * @throws {SwollySequelizeError}
+     */
+    async refund(token, id, amount) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+        const provider = this._getProvider()
+
+        const payment = await this._getForProcessing(caller, id)
+
+        if (payment.status !== PaymentStatus.CAPTURED) {
+            throw new Errors.ValidationError(
+                `A payment with status ${payment.status} can not be refunded.`,
+                PaymentValidationErrorCode.STATUS_INVALID
+            )
+        }
+
+        const remaining = Math.round((payment.amountCaptured - payment.amountRefunded) * 100) / 100
+        amount = amount == null ? remaining : amount
+
+        Payment.validateAmount(amount)
+
+        if (amount > remaining) {
+            throw new Errors.ValidationError(
+                `At most ${remaining} may still be refunded.`,
+                PaymentValidationErrorCode.AMOUNT_EXCEEDS_CAPTURED
+            )
+        }
+
+        const state = await provider.refund(payment.providerReference, amount)
+
+        await this._inTransaction(repository => repository._applyState(id, state, EventType.PAYMENT_REFUND, caller))
+    })}
+
+    /**
+     *
+     * Handle a webhook call of the payment provider, updating the payment it reports on.
+     * Does not require a token, as the call is authenticated by its signature. Calling this more than once with the same webhook has no further effect.
+     *
+     * @param {string|Buffer} payload - The raw body of the webhook request
+     * @param {string} signature - The signature sent along with the request
+     *
+     * @throws {SwollyPaymentError} Thrown when the signature is invalid or no provider is configured
+     * @throws {SwollyNotFoundError} Thrown when the payment reported on could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async handleWebhook(payload, signature) { return Repository._rethrow(async () => {
+        const provider = this._getProvider()
+
+        const state = await provider.verifyWebhook(payload, signature)
+
+        const payment = await this.store.Payment.findOne({
+            where: { providerReference: state.reference },
+            transaction: this.transaction
+        })
+        if (payment == null) {
+            throw new Errors.NotFoundError("Payment could not be found.")
+        }
+
+        await this._inTransaction(repository => repository._applyState(payment.id, state, EventType.PAYMENT_UPDATE, null))
+    })}
+
+    /**
+     *
+     * Get the configured payment provider
+     *
+     * @return {PaymentProvider}
+     *
+     * @throws {SwollyPaymentError} Thrown when no provider is configured
+     */
+    _getProvider() {
+        if (this.swolly.paymentProvider == null) {
+            throw new Errors.PaymentError("No payment provider is configured.", PaymentErrorCode.NOT_CONFIGURED)
+        }
+        return this.swolly.paymentProvider
+    }
+
+    /**
+     *
+     * Get a payment which the caller is going to capture or refund
+     *
+     * @param {User} caller - The user making the call
+     * @param {string} id - The id of the payment
+     *
+     * @return {Sequelize.Model}
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller is neither an admin nor allowed to manage the payments of the project
+     * @throws {SwollyNotFoundError} Thrown when the payment could not be found
+     */
+    async _getForProcessing(caller, id) {
+        const payment = await this.store.Payment.findByPk(id, { transaction: this.transaction })
+        if (payment == null) {
+            throw new Errors.NotFoundError("Payment could not be found.")
+        }
+
+        if (!caller.isAdmin && !await this.swolly.ProjectMember._hasPermission(caller, payment.ProjectId, ProjectPermission.MANAGE_PAYMENTS)) {
+            throw new Errors.AuthorizationError()
+        }
+
+        return payment
+    }
+
+    /**
+     *
+     * Update a payment to the state reported by the provider, cancelling its pledge once it and all other payments of the pledge are refunded in full.
+     * Does nothing if the state has not changed. Has to be called in a transaction.
+     *
+     * @param {string} id - The id of the payment
+     * @param {PaymentState} state - The state reported by the provider
+     * @param {EventType} type - The type of the change
+     * @param {User} [caller] - The user making the change
+     *
+     * @return {Sequelize.Model} The updated payment
+     */
+    async _applyState(id, state, type, caller) {
+        // Locked, so concurrent updates (e.g. a webhook arriving twice) are applied one after another
+        const payment = await this.store.Payment.findByPk(id, { transaction: this.transaction, lock: true })
+
+        if (
+            payment.status === state.status
+            && payment.amountCaptured === state.amountCaptured
+            && payment.amountRefunded === state.amountRefunded
+        ) {
+            return payment
+        }
+
+        const changes = {
+            status: state.status,
+            amountCaptured: state.amountCaptured,
+            amountRefunded: state.amountRefunded,
+        }
+        const before = Repository._snapshot(payment)
+
+        const result = await this._mutate(type, {
+            id, before, after: { ...before, ...changes }, caller
+        }, async repository => {
+            await repository.store.Payment.update(changes, { where: { id }, transaction: repository.transaction })
+            return await payment.reload({ transaction: repository.transaction })
+        })
+
+        if (state.status === PaymentStatus.REFUNDED) {
+            const unrefunded = await this.store.Payment.count({
+                where: { PledgeId: payment.PledgeId, status: {[Op.in]: [PaymentStatus.AUTHORIZED, PaymentStatus.CAPTURED]} },
+                transaction: this.transaction
+            })
+
+            if (unrefunded === 0) {
+                await this.swolly.Pledge._cancelAll({ id: payment.PledgeId }, caller)
+            }
+        }
+
+        return result
+    }
+
+    /**
+     *
+     * Give back the money paid for a pledge: voids its payments which have only been authorized and refunds the captured amount of the others.
+     * Has to be called in a transaction, so a failing provider leaves the pledge and its payments as they are.
+     *
+     * @param {string} pledgeId - The pledge whose payments to release
+     * @param {User} [caller] - The user causing the change, or null for changes made by swolly itself
+     *
+     * @throws {SwollyPaymentError} Thrown when the provider declined voiding or refunding a payment or no provider is configured
+     * @throws {SwollySequelizeError}
+     */
+    async _release(pledgeId, caller = null) {
+        const payments = await this.store.Payment.findAll({
+            where: { PledgeId: pledgeId, status: {[Op.in]: [PaymentStatus.AUTHORIZED, PaymentStatus.CAPTURED]} },
+            transaction: this.transaction
+        })
+
+        for (const payment of payments) {
+            const provider = this._getProvider()
+
+            if (payment.status === PaymentStatus.AUTHORIZED) {
+                const state = await provider.void(payment.providerReference)
+                await this._applyState(payment.id, state, EventType.PAYMENT_VOID, caller)
+            } else {
+                const remaining = Math.round((payment.amountCaptured - payment.amountRefunded) * 100) / 100
+                const state = await provider.refund(payment.providerReference, remaining)
+                await this._applyState(payment.id, state, EventType.PAYMENT_REFUND, caller)
+            }
+        }
+    }
+
+    /**
+     *
+     * Get the amount of a pledge which is not being paid yet, i.e. not covered by its payments which have neither failed nor been refunded in full
+     *
+     * @param {Sequelize.Model} pledge - The pledge
+     *
+     * @return {number}
+     *
+     * @throws {SwollySequelizeError}
+     */
+    async _getOutstanding(pledge) {
+        const payments = await this.store.Payment.findAll({
+            where: { PledgeId: pledge.id, status: {[Op.in]: [PaymentStatus.AUTHORIZED, PaymentStatus.CAPTURED]} },
+            transaction: this.transaction
+        })
+
+        const paid = payments.reduce((sum, payment) => sum + payment.amount - payment.amountRefunded, 0)
+        return Math.max(0, Math.round((pledge.amount - paid) * 100) / 100)
+    }
+}
+
+module.exports = PaymentRepository
@@ -0,0 +1,353 @@
+const Repository = require("./repository")
+const Pledge = require("../models/pledge")
+const Project = require("../models/project")
+const Errors = require("../errors")
+const { Sequelize } = require("sequelize")
+
+const EventType = require("../enums/eventType")
+const PledgeFilterField = require("../enums/pledgeFilterField")
+const PledgeStatus = require("../enums/pledgeStatus")
+const PledgeValidationErrorCode = require("../enums/pledgeValidationErrorCode")
+const ProjectPermission = require("../enums/projectPermission")
+const ProjectStatus = require("../enums/projectStatus")
+
+/**
+ * Repository for all methods relating to pledges
+ */
+class PledgeRepository extends Repository {
+    /**
+     *
+     * Get a listing of pledges, optionally filtered and sorted
+     *
+     * Authorized Cases:
+     * - A user accessing their own pledges
+     * - A project creator accessing pledges to their project
+     * - A project member allowed to see the funding (see {@link ProjectPermission}.VIEW_FUNDING)
+     * - An admin accessing pledges
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     *
+     * @param {object} [options] An object with options
+     *
+     * @param {object} [options.filter] Describes how to filter the results
+     * @param {string} [options.filter.userId] Filters result down to pledges of a single user
+     * @param {string} [options.filter.projectId] Filters result down to pledges to a single project
+     * @param {PledgeStatus} [options.filter.status] Filters result down to pledges with a specific status
+     *
+     * @param {object} [options.where] A filter expression further filtering the results, using the fields in {@link PledgeFilterField} (see {@link compileFilter})
+     *
+     * @param {object} [options.sort] Describes how to sort the results
+     * @param {PledgeSortField} [options.sort.field] The field to sort by
+     * @param {SortDirection} [options.sort.direction] The direction to sort in
+     *
+     * @param {object} [options.page] Paginates the results
+     * @param {number} options.page.limit The maximum number of items per page
+     * @param {string} [options.page.cursor] The nextCursor of the previous page. Starts with the first page if not set.
+     * @param {boolean} [options.page.totalCount=false] Whether to count the items on all pages
+     *
+     * @return {Pledge[]|Page} Returns a {@link Page} if options.page is set
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollySequelizeError}
+     */
+    async getAll(token, options = {}) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        const { filter } = options
+
+        if (
+            !caller.isAdmin
+            && (!filter || filter.userId != caller.getId())
+            && !(filter && filter.projectId != null && await this.swolly.ProjectMember._hasPermission(caller, filter.projectId, ProjectPermission.VIEW_FUNDING))
+        ) {
+            throw new Errors.AuthorizationError()
+        }
+
+        const result = await this._findAll(this.store.Pledge, {
+            ...(filter != null && {where: {
+                ...(filter.userId != null && {UserId: filter.userId}),
+                ...(filter.projectId != null && {ProjectId: filter.projectId}),
+                ...(filter.status != null && {status: filter.status}),
+            }}),
+        }, options, PledgeFilterField)
+
+        return await this._createResult(Pledge, result, token, caller)
+    })}
+
+    /**
+     *
+     * Get a pledge object by its id
+     *
+     * Authorized Cases:
+     * - The user who made the pledge
+     * - The creator of the project pledged to
+     * - A member of the project allowed to see the funding
+     * - Caller is admin
+     *
+     * @param {string} token - A authentication token for verifying authorization
+     * @param {string} id - A valid pledge id
+     *
+     * @return {Pledge}
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollySequelizeError}
+     */
+    async get(token, id) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+        const result = await this.store.Pledge.findByPk(id, { transaction: this.transaction })
+
+        if (result == null) {
+            return null
+        }
+
+        if (
+            !caller.isAdmin
+            && result.UserId !== caller.getId()
+            && !await this.swolly.ProjectMember._hasPermission(caller, result.ProjectId, ProjectPermission.VIEW_FUNDING)
+        ) {
+            throw new Errors.AuthorizationError()
+        }
+
+        return await Pledge.create(result, this.swolly, token, caller)
+    })}
+
+    /**
+     *
+     * Get the total of all active pledges to a project
+     *
+     * Authorized Cases:
+     * - The creator of the project
+     * - A member of the project allowed to see the funding
+     * - Caller is admin
+     *
+     * @param {string} token - A authentication token for verifying authorization
+     * @param {string} projectId - The project to get the total of
+     *
+     * @return {{amount: number, count: number, supporterCount: number}} The sum of all active pledges, the number of active pledges and the number of users who made them
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyNotFoundError} Thrown when the project could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async getTotal(token, projectId) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        const project = await this.store.Project.findByPk(projectId, { transaction: this.transaction })
+        if (project == null) {
+            throw new Errors.NotFoundError("Project could not be found.")
+        }
+
+        if (!caller.isAdmin && !await this.swolly.ProjectMember._hasPermission(caller, project, ProjectPermission.VIEW_FUNDING)) {
+            throw new Errors.AuthorizationError()
+        }
+
+        const [total] = await this.store.Pledge.findAll({
+            transaction: this.transaction,
+            attributes: [
+                [Sequelize.fn("SUM", Sequelize.col("amount")), "amount"],
+                [Sequelize.fn("COUNT", Sequelize.col("id")), "count"],
+                [Sequelize.fn("COUNT", Sequelize.fn("DISTINCT", Sequelize.col("UserId"))), "supporterCount"],
+            ],
+            where: {
+                ProjectId: projectId,
+                status: PledgeStatus.ACTIVE
+            },
+            raw: true
+        })
+
+        return {
+            // Rounded, as SQLite sums decimals as floating point numbers
+            amount: total.amount == null ? 0 : Math.round(Number(total.amount) * 100) / 100,
+            count: Number(total.count),
+            supporterCount: Number(total.supporterCount)
+        }
+    })}
+
+    /**
+     *
+     * Pledge money to a project. The pledged money of the project is updated accordingly.
+     *
+     * Authorized Cases:
+     * - A supporter pledging to a public project whose funding campaign is running
+     *
+     * @param {string} token - A authentication token for verifying authorization
+     *
+     * @param {object} values - The object containing the values of the pledge
+     * @param {string} values.projectId - The project to pledge to
+     * @param {number} values.amount - The amount of money to pledge
+     *
+     * @return {Pledge}
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyValidationError} Thrown when the pledge is not correct in some way (see {@link PledgeValidationErrorCode} for codes)
+     * @throws {SwollySequelizeError}
+     */
+    async create(token, values) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        if (!caller.isSupporter) {
+            throw new Errors.AuthorizationError()
+        }
+
+        Pledge.validate(values)
+
+        const pledge = await this._inTransaction(async repository => {
+            const project = await repository.store.Project.findByPk(values.projectId, { transaction: repository.transaction })
+
+            if (project == null) {
+                throw new Errors.ValidationError(
+                    "This project does not exist.",
+                    PledgeValidationErrorCode.PROJECT_INVALID
+                )
+            }
+
+            if (project.status !== ProjectStatus.PUBLIC) {
+                throw new Errors.ValidationError(
+                    "Only public projects may be pledged to.",
+                    PledgeValidationErrorCode.PROJECT_NOT_PUBLIC
+                )
+            }
+
+            if (!Project.isFundingOpen(project)) {
+                throw new Errors.ValidationError(
+                    "The funding campaign of this project has not started yet or has already ended.",
+                    PledgeValidationErrorCode.FUNDING_CLOSED
+                )
+            }
+
+            const data = {
+                amount: values.amount,
+                status: PledgeStatus.ACTIVE,
+                UserId: caller.getId(),
+            }
+
+            return await repository._mutate(EventType.PLEDGE_CREATE, {
+                after: { ...data, ProjectId: project.id }, caller
+            }, async () => {
+                const pledge = await project.createPledge(data, { transaction: repository.transaction })
+                await repository._addMoneyPledged(project.id, values.amount)
+                return pledge
+            })
+        })
+
+        return await Pledge.create(pledge, this.swolly, token)
+    })}
+
+    /**
+     *
+     * Cancel a pledge. Its amount is subtracted from the pledged money of the project and its payments are voided or refunded (see {@link PaymentRepository}).
+     * Once the funding campaign has ended or the project is no longer public, pledges can not be cancelled either, as the outcome of the funding is settled.
+     *
+     * Authorized Cases:
+     * - The user who made the pledge
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} id - The pledge to operate on
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyValidationError} Thrown when the pledge has already been cancelled or the funding of the project is closed
+     * @throws {SwollyNotFoundError} Thrown when the pledge could not be found
+     * @throws {SwollyPaymentError} Thrown when the provider declined giving back a payment or no provider is configured
+     * @throws {SwollySequelizeError}
+     */
+    async cancel(token, id) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        await this._inTransaction(async repository => {
+            const pledge = await repository.store.Pledge.findByPk(id, {
+                transaction: repository.transaction,
+                include: {
+                    model: repository.store.Project,
+                    as: "project"
+                }
+            })
+            if (pledge == null) {
+                throw new Errors.NotFoundError("Pledge could not be found.")
+            }
+
+            if (!caller.isAdmin && pledge.UserId !== caller.getId()) {
+                throw new Errors.AuthorizationError()
+            }
+
+            if (pledge.project == null || pledge.project.status !== ProjectStatus.PUBLIC) {
+                throw new Errors.ValidationError(
+                    "Pledges may only be cancelled while the project is public.",
+                    PledgeValidationErrorCode.PROJECT_NOT_PUBLIC
+                )
+            }
+
+            if (!Project.isFundingOpen(pledge.project)) {
+                throw new Errors.ValidationError(
+                    "The funding campaign of this project has not started yet or has already ended.",
+                    PledgeValidationErrorCode.FUNDING_CLOSED
+                )
+            }
+
+            // Only cancels active pledges, so a pledge cancelled concurrently is not subtracted twice
+            if (await repository._cancelAll({ id }, caller) === 0) {
+                throw new Errors.ValidationError(
+                    "This pledge has already been cancelled.",
+                    PledgeValidationErrorCode.ALREADY_CANCELLED
+                )
+            }
+        })
+    })}
+
+    /**
+     *
+     * Cancel all active pledges matching a condition, e.g. all pledges to a project, voiding or refunding their payments. Has to be called in a transaction.
+     *
+     * @param {object} where - The condition the pledges to cancel have to match
+     * @param {User} [caller] - The user causing the change, or null for changes made by swolly itself
+     *
+     * @return {number} The number of cancelled pledges
+     *
+     * @throws {SwollyPaymentError} Thrown when the provider declined giving back a payment or no provider is configured
+     * @throws {SwollySequelizeError}
+     */
+    async _cancelAll(where, caller = null) {
+        const pledges = await this.store.Pledge.findAll({
+            where: { ...where, status: PledgeStatus.ACTIVE },
+            transaction: this.transaction,
+            lock: true
+        })
+
+        for (const pledge of pledges) {
+            const before = Repository._snapshot(pledge)
+
+            await this._mutate(EventType.PLEDGE_CANCEL, {
+                id: pledge.id, before, after: { ...before, status: PledgeStatus.CANCELLED }, caller
+            }, async repository => {
+                await pledge.update({ status: PledgeStatus.CANCELLED }, { transaction: repository.transaction })
+                await repository._addMoneyPledged(pledge.ProjectId, -pledge.amount)
+                return pledge
+            })
+
+            // Released once the pledge is cancelled, so refunding the last payment does not cancel it again
+            await this.swolly.Payment._release(pledge.id, caller)
+        }
+
+        return pledges.length
+    }
+
+    /**
+     *
+     * Add an amount to the pledged money of a project
+     *
+     * @param {string} projectId - The project to update
+     * @param {number} amount - The amount to add, negative to subtract
+     *
+     * @throws {SwollySequelizeError}
+     */
+    async _addMoneyPledged(projectId, amount) {
+        // Incremented in the database, so concurrent changes can not overwrite each other
+        await this.store.Project.increment("moneyPledged", {
+            by: amount,
+            where: { id: projectId },
+            transaction: this.transaction
+        })
+    }
+}
+
+module.exports = PledgeRepository
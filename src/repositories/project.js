@@ -1,9 +1,27 @@
 const Repository = require("./repository")
 const Project = require("../models/project")
 const Errors = require("../errors")
-const { QueryTypes, Sequelize } = require("sequelize")
+const Geo = require("../utils/geo")
+const ProjectLifecycle = require("../utils/projectLifecycle")
+const buildSearch = require("../utils/search")
+const { Op, fn, col, where: whereFn } = require("sequelize")
 
 const ProjectStatus = require("../enums/projectStatus")
+const PledgeStatus = require("../enums/pledgeStatus")
+const SortDirection = require("../enums/sortDirection")
+const EventType = require("../enums/eventType")
+const FundingMode = require("../enums/fundingMode")
+const ProjectFilterField = require("../enums/projectFilterField")
+const ProjectPermission = require("../enums/projectPermission")
+const ProjectTransitionEffect = require("../enums/projectTransitionEffect")
+const ProjectValidationErrorCode = require("../enums/projectValidationErrorCode")
+const Tag = require("../models/tag")
+const TagMatch = require("../enums/tagMatch")
+
+/**
+ * The fields making up the address of a project
+ */
+const ADDRESS_FIELDS = ["street", "postalCode", "city", "country"]
 
 /**
  * Repository for all methods relating to projects
@@ -23,19 +41,33 @@ class ProjectRepository extends Repository {
      * @param {object} [options.filter] Describes how to filter the results
      * @param {string} [options.filter.categoryId] Filters result down to projects of a category
      * @param {string} [options.filter.creatorId] Filters result down to projects created by a user
-     * @param {string} [options.filter.imageId] Filters result down to projects using this image (Not available when querying by location)
+     * @param {string} [options.filter.imageId] Filters result down to projects using this image
      * @param {ProjectStatus} [options.filter.status] Filters result down to projects with a specific status
+     * @param {string} [options.filter.followedBy] Filters result down to projects followed by a user (only the user themself or admins)
+     * @param {string[]} [options.filter.tags] Filters result down to projects labeled with tags, by their names
+     * @param {TagMatch} [options.filter.tagMatch="ANY"] Whether projects need any or all of the tags in filter.tags
+     *
+     * @param {object} [options.where] A filter expression further filtering the results, using the fields in {@link ProjectFilterField} (see {@link compileFilter})
      *
-     * @param {object} [options.sort] Describes how to sort the results (Note: This is overidden by options.location)
+     * @param {object} [options.sort] Describes how to sort the results (Note: When querying by location, results are sorted by distance if this is not set)
      * @param {ProjectSortField} options.sort.field - The field to sort by
      * @param {SortDirection} options.sort.direction - The direction to sort in
      *
-     * @param {object} [options.location] Describes how to sort the results
+     * @param {object} [options.location] Filters result down to projects near a location. Each project will carry its distance to the origin (see {@link Project#getDistance}).
      * @param {number} options.location.lat - The latitude of the location to use as the origin for the search
      * @param {number} options.location.lon - The longitude of the location to use as the origin for the search
-     * @param {number} [options.location.maxDistance=15000] - The maximum distance to search in
+     * @param {number} [options.location.maxDistance=15000] - The maximum distance to search in, in meters
+     *
+     * @param {boolean} [options.showHidden] Whether to show projects that are not publicly listed (see {@link ProjectLifecycle}.LISTED_STATUSES)
+     *
+     * @param {boolean} [options.includeDeleted=false] Whether to show deleted projects (only admins, see {@link ProjectRepository#delete})
+     *
+     * @param {object} [options.page] Paginates the results (Note: When querying by location without sorting, results are paginated by distance)
+     * @param {number} options.page.limit - The maximum number of items per page
+     * @param {string} [options.page.cursor] - The nextCursor of the previous page. Starts with the first page if not set.
+     * @param {boolean} [options.page.totalCount=false] - Whether to count the items on all pages
      *
-     * @param {boolean} [options.showHidden] Whether to show projects that are not publicly listed
+     * @return {Project[]|Page} Returns a {@link Page} if options.page is set
      *
      * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
      * @throws {SwollySequelizeError}
@@ -43,13 +75,94 @@ class ProjectRepository extends Repository {
     async getAll(token, options = {}) { return Repository._rethrow(async () => {
         const caller = await this._getAuth(token)
 
-        let { filter, sort, location, showHidden=false } = options
+        return await this._query(token, caller, options)
+    })}
+
+    /**
+     *
+     * Search projects by their title and description, optionally filtered and sorted. The results are ranked by relevance (see {@link buildSearch}).
+     *
+     * Authorized Cases:
+     * - Any registered user
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} query - The text to search for
+     *
+     * @param {object} [options] An object with options. Each project will carry its relevance (see {@link Project#getRelevance}).
+     *
+     * @param {object} [options.filter] Describes how to filter the results
+     * @param {string} [options.filter.categoryId] Filters result down to projects of a category
+     * @param {string} [options.filter.creatorId] Filters result down to projects created by a user
+     * @param {string} [options.filter.imageId] Filters result down to projects using this image
+     * @param {ProjectStatus} [options.filter.status] Filters result down to projects with a specific status
+     * @param {string} [options.filter.followedBy] Filters result down to projects followed by a user (only the user themself or admins)
+     * @param {string[]} [options.filter.tags] Filters result down to projects labeled with tags, by their names
+     * @param {TagMatch} [options.filter.tagMatch="ANY"] Whether projects need any or all of the tags in filter.tags
+     *
+     * @param {object} [options.where] A filter expression further filtering the results, using the fields in {@link ProjectFilterField} (see {@link compileFilter})
+     *
+     * @param {object} [options.sort] Describes how to sort the results (Note: Results are sorted by relevance if this is not set)
+     * @param {ProjectSortField} options.sort.field - The field to sort by
+     * @param {SortDirection} options.sort.direction - The direction to sort in
+     *
+     * @param {object} [options.location] Filters result down to projects near a location. Each project will carry its distance to the origin (see {@link Project#getDistance}).
+     * @param {number} options.location.lat - The latitude of the location to use as the origin for the search
+     * @param {number} options.location.lon - The longitude of the location to use as the origin for the search
+     * @param {number} [options.location.maxDistance=15000] - The maximum distance to search in, in meters
+     *
+     * @param {boolean} [options.showHidden] Whether to show projects that are not publicly listed (see {@link ProjectLifecycle}.LISTED_STATUSES)
+     *
+     * @param {boolean} [options.includeDeleted=false] Whether to show deleted projects (only admins, see {@link ProjectRepository#delete})
+     *
+     * @param {object} [options.page] Paginates the results (Note: Without sorting, results are paginated by relevance)
+     * @param {number} options.page.limit - The maximum number of items per page
+     * @param {string} [options.page.cursor] - The nextCursor of the previous page. Starts with the first page if not set.
+     * @param {boolean} [options.page.totalCount=false] - Whether to count the items on all pages
+     *
+     * @return {Project[]|Page} Returns a {@link Page} if options.page is set
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyValidationError} Thrown when the query is invalid (see {@link SearchValidationErrorCode} for codes)
+     * @throws {SwollySequelizeError}
+     */
+    async search(token, query, options = {}) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        const search = buildSearch(this.store.Project, query, { title: 2, description: 1 })
+
+        return await this._query(token, caller, options, search)
+    })}
+
+    /**
+     *
+     * Query projects for {@link ProjectRepository#getAll} and {@link ProjectRepository#search}
+     *
+     * @param {string} token - The token the results are queried with
+     * @param {User} caller - The authenticated caller
+     * @param {object} options - The options passed to getAll or search
+     * @param {{where: object, relevance: Sequelize.Utils.Literal}} [search] - A search built by {@link buildSearch}
+     *
+     * @return {Project[]|Page}
+     */
+    async _query(token, caller, options, search = null) {
+        let { filter, sort, location, showHidden=false, includeDeleted=false } = options
+
+        if (
+            filter != null && filter.followedBy != null
+            && !caller.isAdmin && filter.followedBy !== caller.getId()
+        ) {
+            throw new Errors.AuthorizationError()
+        }
+
+        if (includeDeleted && !caller.isAdmin) {
+            throw new Errors.AuthorizationError()
+        }
 
         if (!showHidden) {
             if (
                 filter != null
                 && filter.status != null
-                && filter.status != ProjectStatus.PUBLIC
+                && !ProjectLifecycle.LISTED_STATUSES.includes(filter.status)
             ) {
                 console.warn(
                     "ProjectRepostiory.getAll was called as such"
@@ -57,74 +170,249 @@ class ProjectRepository extends Repository {
                     + "but showHidden was set to false",
                     (new Error().trace)
                 )
-                return []
+                return await this._createResult(Project, Repository._paginate([], options), token, caller)
+            }
+
+            // filter.status must either be a listed status or undefined now
+            filter = {
+                ...filter,
+                status: filter != null && filter.status != null ? filter.status : ProjectLifecycle.LISTED_STATUSES
             }
+        }
 
-            // filter.status must either be "PUBLIC" or undefined now
-            filter = filter == null ? {} : filter
-            filter.status = ProjectStatus.PUBLIC
+        const where = {
+            ...(filter != null && filter.categoryId != null && {CategoryId: filter.categoryId}),
+            ...(filter != null && filter.creatorId != null && {CreatorId: filter.creatorId}),
+            ...(filter != null && filter.status != null && {status: filter.status}),
+            ...(filter != null && filter.tags != null && {id: {[Op.in]: await this._getTaggedProjectIds(filter.tags, filter.tagMatch)}})
         }
 
-        let result = []
+        // Distances and relevances are computed by the database, so results can be sorted and paginated by them there
+        const computed = {
+            ...(location != null && {distance: this._distanceTo(location.lat, location.lon)}),
+            ...(search != null && {relevance: search.relevance})
+        }
+        const conditions = [where]
 
         if (location != null) {
             const { lat, lon, maxDistance=15000 } = location
 
-            let condition = "TRUE"
-            if (filter != null) {
-                if (filter.categoryId != null) {
-                    condition += " AND " + `CategoryId = ${this.store.sequelize.escape(filter.categoryId)}` 
-                }
-                if (filter.creatorId != null) {
-                    condition += " AND " + `CreatorId = ${this.store.sequelize.escape(filter.creatorId)}`
-                }
-                if (filter.status != null) {
-                    condition += " AND " + `status = ${this.store.sequelize.escape(filter.status)}`
-                }
-            }
-
-            let [results, metadata] = await this.store.sequelize.query("CALL FindNearest(:lat, :lon, :startDistance, :maxDistance, :limit, :condition, :table);", {
-                replacements: {
-                    lat,
-                    lon,
-                    startDistance: 10,
-                    maxDistance,
-                    limit: 1000,
-                    condition,
-                    table: "Projects"
-                },
-                type: QueryTypes.SELECT
-            })
+            // The box rules out most projects by cheap comparisons, before their distance is computed
+            conditions.push(ProjectRepository._inBox(Geo.boundingBox(lat, lon, maxDistance)))
+            conditions.push(whereFn(computed.distance, Op.lte, maxDistance))
+        }
 
-            for (const [key, value] of Object.entries(results)) {
-                if (key != "meta") {
-                    result.push(value);
-                }
-            }
+        if (search != null) {
+            conditions.push(search.where)
+        }
 
-        } else {
-            result = await this.store.Project.findAll({
-                ...(filter != null && {where: {
-                    ...(filter.categoryId != null && {CategoryId: filter.categoryId}),
-                    ...(filter.creatorId != null && {CreatorId: filter.creatorId}),
-                    ...(filter.status != null && {status: filter.status})
-                }}),
-                ...(sort != null && {order: [[sort.field, sort.direction]]}),
-                ...(filter != null && filter.imageId != null && { include: {
+        const query = {
+            where: conditions.length === 1 ? where : {[Op.and]: conditions},
+            ...(Object.keys(computed).length > 0 && {attributes: {include: Object.entries(computed).map(([name, value]) => [value, name])}}),
+            ...(includeDeleted && {paranoid: false}),
+            include: [
+                ...(filter != null && filter.imageId != null ? [{
                     model: this.store.Image,
                     as: "images",
+                    required: true,
                     through: {
                         where: {
                             ImageId: filter.imageId
                         }
                     }
-                }}),
-            })
+                }] : []),
+                ...(filter != null && filter.followedBy != null ? [{
+                    model: this.store.User,
+                    as: "followers",
+                    attributes: [],
+                    required: true,
+                    through: {
+                        where: {
+                            UserId: filter.followedBy
+                        }
+                    }
+                }] : []),
+            ],
+        }
+
+        if (sort == null && search != null) {
+            sort = { field: "relevance", direction: SortDirection.DESC }
+        } else if (sort == null && location != null) {
+            sort = { field: "distance", direction: SortDirection.ASC }
+        }
+
+        const result = await this._findAll(this.store.Project, query, { ...options, sort }, ProjectFilterField, computed)
+        return await this._createResult(Project, result, token, caller)
+    }
+
+    /**
+     *
+     * Get the public projects inside the viewport of a map. At low zoom levels, projects close to each other are grouped into clusters (see {@link Geo.cluster}).
+     *
+     * Authorized Cases:
+     * - Any registered user
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     *
+     * @param {object} bounds - The viewport. If it crosses the antimeridian, minLon is greater than maxLon.
+     * @param {number} bounds.minLat - The southern edge of the viewport
+     * @param {number} bounds.maxLat - The northern edge of the viewport
+     * @param {number} bounds.minLon - The western edge of the viewport
+     * @param {number} bounds.maxLon - The eastern edge of the viewport
+     *
+     * @param {object} [options] An object with options
+     *
+     * @param {number} [options.zoom] The zoom level of the map (0 to 22). Projects are not clustered if this is not set.
+     *
+     * @param {object} [options.filter] Describes how to filter the results
+     * @param {string} [options.filter.categoryId] Filters result down to projects of a category
+     * @param {string} [options.filter.creatorId] Filters result down to projects created by a user
+     * @param {string[]} [options.filter.tags] Filters result down to projects labeled with tags, by their names
+     * @param {TagMatch} [options.filter.tagMatch="ANY"] Whether projects need any or all of the tags in filter.tags
+     *
+     * @param {object} [options.where] A filter expression further filtering the results, using the fields in {@link ProjectFilterField} (see {@link compileFilter})
+     *
+     * @return {{projects: Project[], clusters: {lat: number, lon: number, count: number, bounds: object}[]}}
+     * The projects shown on their own, and the clusters with the number of their projects, their centroid and the smallest box containing their projects
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyValidationError} Thrown when the viewport or the zoom level is invalid (see {@link MapValidationErrorCode} for codes)
+     * @throws {SwollySequelizeError}
+     */
+    async getInBounds(token, bounds, options = {}) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        Geo.validateBounds(bounds)
+
+        if (options.zoom != null) {
+            Geo.validateZoom(options.zoom)
         }
 
-        return result == null ? [] : await Project.createFromArray(result, this.swolly, token, caller)
+        const { filter } = options
+
+        // Only the positions are queried at first, as most projects end up in clusters at low zoom levels
+        const points = await this._findAll(this.store.Project, {
+            attributes: ["id", "lat", "lon"],
+            where: {
+                ...ProjectRepository._inBox(bounds),
+                status: ProjectLifecycle.LISTED_STATUSES,
+                ...(filter != null && filter.categoryId != null && {CategoryId: filter.categoryId}),
+                ...(filter != null && filter.creatorId != null && {CreatorId: filter.creatorId}),
+                ...(filter != null && filter.tags != null && {id: {[Op.in]: await this._getTaggedProjectIds(filter.tags, filter.tagMatch)}}),
+            }
+        }, { where: options.where }, ProjectFilterField)
+
+        const clusters = Geo.cluster(points, options.zoom != null ? options.zoom : Geo.MAX_ZOOM)
+
+        const projects = await this.store.Project.findAll({
+            where: { id: {[Op.in]: clusters.filter(cluster => cluster.count === 1).map(cluster => cluster.points[0].id)} },
+            transaction: this.transaction
+        })
+
+        return {
+            projects: await this._createResult(Project, projects, token, caller),
+            clusters: clusters
+                .filter(cluster => cluster.count > 1)
+                .map(({ lat, lon, count, bounds }) => ({ lat, lon, count, bounds }))
+        }
     })}
 
+    /**
+     *
+     * Look up the coordinates of the address of a project (see {@link Swolly#geocoder})
+     *
+     * @param {Address} address - The address of the project
+     *
+     * @return {{lat: number, lon: number}} The coordinates, or an empty object if the address has neither a postal code nor a city or could not be found
+     *
+     * @throws {SwollyValidationError} Thrown when the address is not correct in some way (see {@link ProjectValidationErrorCode} for codes)
+     */
+    async _geocode(address) {
+        if (address.postalCode == null && address.city == null) {
+            return {}
+        }
+
+        Project.validateAddress(address)
+
+        const { street, postalCode, city, country } = address
+        const coordinates = await this.swolly.geocoder.geocode({ street, postalCode, city, country })
+
+        return coordinates == null ? {} : { lat: coordinates.lat, lon: coordinates.lon }
+    }
+
+    /**
+     *
+     * Get the ids of the projects labeled with tags
+     *
+     * @param {string|string[]} names - The names of the tags, which are normalized (see {@link Tag.normalize})
+     * @param {TagMatch} [match="ANY"] - Whether projects need any or all of the tags
+     *
+     * @return {string[]}
+     */
+    async _getTaggedProjectIds(names, match = TagMatch.ANY) {
+        names = [...new Set((Array.isArray(names) ? names : [names]).map(Tag.normalize))]
+
+        const tags = await this.store.Tag.findAll({
+            where: { name: {[Op.in]: names} },
+            transaction: this.transaction
+        })
+
+        if (tags.length === 0 || (match === TagMatch.ALL && tags.length < names.length)) {
+            return []
+        }
+
+        const links = await this.store.ProjectTag.findAll({
+            attributes: ["ProjectId"],
+            where: { TagId: {[Op.in]: tags.map(tag => tag.id)} },
+            group: ["ProjectId"],
+            ...(match === TagMatch.ALL && {having: whereFn(fn("COUNT", col("TagId")), Op.gte, tags.length)}),
+            raw: true,
+            transaction: this.transaction
+        })
+
+        return links.map(link => link.ProjectId)
+    }
+
+    /**
+     *
+     * Build a condition matching all projects inside a box
+     *
+     * @param {{minLat: number, maxLat: number, minLon: number, maxLon: number}} box - The box. If it crosses the antimeridian, minLon is greater than maxLon.
+     *
+     * @return {object}
+     */
+    static _inBox(box) {
+        return {
+            lat: { [Op.between]: [box.minLat, box.maxLat] },
+            lon: box.minLon <= box.maxLon
+                ? { [Op.between]: [box.minLon, box.maxLon] }
+                // The box crosses the antimeridian
+                : { [Op.or]: [{ [Op.gte]: box.minLon }, { [Op.lte]: box.maxLon }] }
+        }
+    }
+
+    /**
+     *
+     * Build an expression computing the distance of projects to a location in meters, using the haversine formula like {@link Geo.haversine}
+     *
+     * @param {number} lat - The latitude of the location
+     * @param {number} lon - The longitude of the location
+     *
+     * @return {Sequelize.Utils.Literal}
+     */
+    _distanceTo(lat, lon) {
+        const { sequelize } = this.store
+        const generator = sequelize.getQueryInterface().queryGenerator
+        const column = name => `${generator.quoteIdentifier("Project")}.${generator.quoteIdentifier(name)}`
+
+        const a = `POWER(SIN(RADIANS(${column("lat")} - ${sequelize.escape(lat)}) / 2), 2)`
+            + ` + COS(RADIANS(${sequelize.escape(lat)})) * COS(RADIANS(${column("lat")}))`
+            + ` * POWER(SIN(RADIANS(${column("lon")} - ${sequelize.escape(lon)}) / 2), 2)`
+
+        // Rounding errors may push a little above 1 for antipodal points, which ASIN does not accept
+        return sequelize.literal(`(${2 * Geo.EARTH_RADIUS} * ASIN(CASE WHEN ${a} > 1 THEN 1 ELSE SQRT(${a}) END))`)
+    }
+
     /**
      *
      * Get project object by its id
@@ -142,7 +430,7 @@ class ProjectRepository extends Repository {
      */
     async get(token, id) { return Repository._rethrow(async () => {
         const caller = await this._getAuth(token)
-        const result = await this.store.Project.findByPk(id)
+        const result = await this.store.Project.findByPk(id, { transaction: this.transaction })
         return result == null ? null : await Project.create(result, this.swolly, token, caller)
     })}
 
@@ -161,15 +449,23 @@ class ProjectRepository extends Repository {
      * @param {string} values.description - Description of the project
      * @param {ProjectStatus} [values.status="NEEDS_VERIFICATION"] - Status of the project (only for admins)
      * @param {number} values.moneyGoal - MoneyGoal for the project
-     * @param {number} values.lat - Latitude of the project
-     * @param {number} values.lon - Longitude of the project
+     * @param {number} [values.lat] - Latitude of the project. Looked up from the address if neither lat nor lon are set.
+     * @param {number} [values.lon] - Longitude of the project. Looked up from the address if neither lat nor lon are set.
+     * @param {string} [values.street] - Street and house number of the address of the project
+     * @param {string} [values.postalCode] - Postal code of the address of the project
+     * @param {string} [values.city] - City of the address of the project
+     * @param {string} [values.country] - Country of the address of the project, as ISO 3166-1 alpha-2 code
+     * @param {Date} [values.fundingStart] - Start of the funding campaign. Starts right away if not set.
+     * @param {Date} [values.fundingEnd] - End of the funding campaign. Does not end if not set.
+     * @param {FundingMode} [values.fundingMode="ALL_OR_NOTHING"] - How the funding campaign ends
      * @param {string} [values.CreatorId=self] - Id of the user creating this project (only for admins)
      * @param {string} values.CategoryId - Id of the category this project should belong to
+     * @param {string[]} [values.tags] - Names of the tags to label the project with (max: 10). Tags which do not exist yet are created.
      *
      * @return {Project}
      *
      * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
-     * @throws {SwollyValidationError} Thrown when the project is not correct in some way (see {@link ProjectValidationErrorCode} for codes)
+     * @throws {SwollyValidationError} Thrown when the project is not correct in some way or its address could not be found (see {@link ProjectValidationErrorCode} for codes), or a tag is not correct (see {@link TagValidationErrorCode} for codes)
      * @throws {SwollySequelizeError}
      */
     async create(token, values) { return Repository._rethrow(async () => {
@@ -187,6 +483,18 @@ class ProjectRepository extends Repository {
             values.CreatorId = caller.getId()
         }
 
+        if (values && values.lat == null && values.lon == null) {
+            Object.assign(values, await this._geocode(values))
+
+            // Without coordinates to fall back to, the address has to be found
+            if (values.lat == null && (values.postalCode != null || values.city != null)) {
+                throw new Errors.ValidationError(
+                    "The address could not be found, lat and lon have to be set.",
+                    ProjectValidationErrorCode.ADDRESS_NOT_FOUND
+                )
+            }
+        }
+
         Project.validate(values)
 
         if (!caller.isAdmin && values.status != ProjectStatus.NEEDS_VERIFICATION) {
@@ -198,15 +506,34 @@ class ProjectRepository extends Repository {
         }
 
         try {
-            const project = await this.store.Project.create({
+            const data = {
                 title: values.title,
                 description: values.description,
                 status: values.status,
                 moneyGoal: values.moneyGoal,
                 lat: values.lat,
                 lon: values.lon,
+                street: values.street != null ? values.street : null,
+                postalCode: values.postalCode != null ? values.postalCode : null,
+                city: values.city != null ? values.city : null,
+                country: values.country != null ? values.country : null,
+                fundingStart: values.fundingStart != null ? values.fundingStart : null,
+                fundingEnd: values.fundingEnd != null ? values.fundingEnd : null,
+                fundingMode: values.fundingMode != null ? values.fundingMode : FundingMode.ALL_OR_NOTHING,
                 CreatorId: values.CreatorId,
                 CategoryId: values.CategoryId,
+            }
+            const project = await this._inTransaction(async repository => {
+                const tags = values.tags != null ? await repository.swolly.Tag._findOrCreate(values.tags) : []
+
+                return await repository._mutate(EventType.PROJECT_CREATE, {
+                    after: { ...data, ...(values.tags != null && {tags: tags.map(tag => tag.name)}) }, caller
+                }, async () => {
+                    const project = await repository.store.Project.create(data, { transaction: repository.transaction })
+                    await project.setTags(tags, { transaction: repository.transaction })
+                    await repository._addRevision(project, { caller })
+                    return project
+                })
             })
             return await Project.create(project, this.swolly, token)
         } catch (err) {
@@ -222,11 +549,12 @@ class ProjectRepository extends Repository {
 
     /**
      *
-     * Update an existing project
+     * Update an existing project. Changes of the title or description are kept in its revision history (see {@link ProjectRevisionRepository}).
      *
      * Authorized Cases:
      * - An admin updating a project
      * - A supporter updating a project they own
+     * - A project member allowed to edit the project (see {@link ProjectPermission}.EDIT)
      *
      * @param {string} token - A authentication token for verifying authorization
      *
@@ -235,15 +563,23 @@ class ProjectRepository extends Repository {
      * @param {object} update - The object containing the values of the project
      * @param {string} [update.title] - Title of the project
      * @param {string} [update.description] - Description of the project
-     * @param {ProjectStatus} [update.status] - Status of the project (only for admins)
+     * @param {ProjectStatus} [update.status] - Status of the project (only transitions described by {@link ProjectLifecycle} are allowed)
      * @param {number} [update.moneyGoal] - MoneyGoal for the project
-     * @param {number} [update.lat] - Latitude of the project
-     * @param {number} [update.lon] - Longitude of the project
+     * @param {number} [update.lat] - Latitude of the project. Looked up from the address if the address changes and neither lat nor lon are set. Kept if the address could not be found.
+     * @param {number} [update.lon] - Longitude of the project. Looked up from the address if the address changes and neither lat nor lon are set. Kept if the address could not be found.
+     * @param {string} [update.street] - Street and house number of the address of the project, null to remove it
+     * @param {string} [update.postalCode] - Postal code of the address of the project, null to remove it
+     * @param {string} [update.city] - City of the address of the project, null to remove it
+     * @param {string} [update.country] - Country of the address of the project, as ISO 3166-1 alpha-2 code, null to remove it
+     * @param {Date} [update.fundingStart] - Start of the funding campaign, null to start it right away
+     * @param {Date} [update.fundingEnd] - End of the funding campaign, null to not end it
+     * @param {FundingMode} [update.fundingMode] - How the funding campaign ends
      * @param {string} [update.CreatorId] - Id of the user creating this project (only for admins)
      * @param {string} [update.CategoryId] - Id of the category this project should belong to
+     * @param {string[]} [update.tags] - Names of the tags to label the project with instead of its current ones (max: 10). Tags which do not exist yet are created.
      *
      * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
-     * @throws {SwollyValidationError} Thrown when the project is not correct in some way (see {@link ProjectValidationErrorCode} for codes)
+     * @throws {SwollyValidationError} Thrown when the project is not correct in some way or the status may not follow the current one (see {@link ProjectValidationErrorCode} for codes), or a tag is not correct (see {@link TagValidationErrorCode} for codes)
      * @throws {SwollyNotFoundError} Thrown when the project could not be found
      * @throws {SwollySequelizeError}
      */
@@ -254,42 +590,114 @@ class ProjectRepository extends Repository {
 
         const caller = await this._getAuth(token)
 
-        const project = await this.store.Project.findByPk(id)
+        await this._update(caller, id, update)
+    })}
+
+    /**
+     *
+     * Update an existing project for {@link ProjectRepository#update} and {@link ProjectRevisionRepository#rollback}. Adds a revision if the title or description changes.
+     *
+     * @param {User} caller - The user updating the project
+     * @param {string} id - The project to operate on
+     * @param {object} update - The object containing the values of the project (see {@link ProjectRepository#update})
+     *
+     * @param {object} [options] - An object with options
+     * @param {EventType} [options.type="project.update"] - The type of the change
+     * @param {number} [options.restoredFrom] - The number of the revision restored by the update
+     *
+     * @throws {SwollyAuthorizationError}
+     * @throws {SwollyValidationError}
+     * @throws {SwollyNotFoundError}
+     * @throws {SwollySequelizeError}
+     */
+    async _update(caller, id, update, { type = EventType.PROJECT_UPDATE, restoredFrom = null } = {}) {
+        const project = await this.store.Project.findByPk(id, { transaction: this.transaction })
         if (project == null) {
-            throw new Error.NotFoundError("project could not be found.")
+            throw new Errors.NotFoundError("Project could not be found.")
         }
 
-        if(
-            !caller.isAdmin
-            && (
-                update.status == ProjectStatus.NEEDS_VERIFICATION
-                || category.getStatus() == ProjectStatus.NEEDS_VERIFICATION
-            )
-        ) { 
+        if(!caller.isAdmin && !await this.swolly.ProjectMember._hasPermission(caller, project, ProjectPermission.EDIT)) { 
             throw new Errors.AuthorizationError()
         }
 
+        // Projects are locked while being reviewed
+        if(!caller.isAdmin && project.status == ProjectStatus.NEEDS_VERIFICATION) { 
+            throw new Errors.AuthorizationError()
+        }
+
+        // Only admins may hand a project over to another creator
         if(
             !caller.isAdmin
             && update.CreatorId != null
-            && update.CreatorId === caller.getId()
+            && update.CreatorId !== project.CreatorId
         ) { 
             throw new Errors.AuthorizationError()
         }
 
-        Project.validate({ ...project.dataValues, ...update })
+        // If the new address could not be found, the project keeps its coordinates
+        if (
+            update.lat == null && update.lon == null
+            && ADDRESS_FIELDS.some(field => update[field] !== undefined)
+        ) {
+            update = { ...update, ...await this._geocode({ ...project.get(), ...update }) }
+        }
+
+        Project.validate({ ...project.get(), ...update })
+
+        const transition = update.status != null && update.status != project.status
+            ? await this._getTransition(project, update.status, caller)
+            : null
+
+        const changes = {
+            ...(update.title != null && {title: update.title}),
+            ...(update.description != null && {description: update.description}),
+            ...(update.status != null && {status: update.status}),
+            ...(update.moneyGoal != null && {moneyGoal: update.moneyGoal}),
+            ...(update.lat != null && {lat: update.lat}),
+            ...(update.lon != null && {lon: update.lon}),
+            ...(update.street !== undefined && {street: update.street}),
+            ...(update.postalCode !== undefined && {postalCode: update.postalCode}),
+            ...(update.city !== undefined && {city: update.city}),
+            ...(update.country !== undefined && {country: update.country}),
+            ...(update.fundingStart !== undefined && {fundingStart: update.fundingStart}),
+            ...(update.fundingEnd !== undefined && {fundingEnd: update.fundingEnd}),
+            ...(update.fundingMode != null && {fundingMode: update.fundingMode}),
+            ...(update.CreatorId != null && {CreatorId: update.CreatorId}),
+            ...(update.CategoryId != null && {CategoryId: update.CategoryId})
+        }
+        const before = Repository._snapshot(project)
         
         try {
-            await this.store.Project.update({
-                ...(update.title != null && {title: update.title}),
-                ...(update.description != null && {description: update.description}),
-                ...(update.status != null && {status: update.status}),
-                ...(update.moneyGoal != null && {moneyGoal: update.moneyGoal}),
-                ...(update.lat != null && {lat: update.lat}),
-                ...(update.lon != null && {lon: update.lon}),
-                ...(update.CreatorId != null && {CreatorId: update.CreatorId}),
-                ...(update.CategoryId != null && {CategoryId: update.CategoryId})
-            }, { where: { id } })
+            await this._inTransaction(async repository => {
+                const tags = update.tags != null ? await repository.swolly.Tag._findOrCreate(update.tags) : null
+
+                await repository._mutate(type, {
+                    id, before, after: { ...before, ...changes, ...(tags != null && {tags: tags.map(tag => tag.name)}) }, caller
+                }, async () => {
+                    await repository.store.Project.update(changes, { where: { id }, transaction: repository.transaction })
+
+                    if (tags != null) {
+                        await project.setTags(tags, { transaction: repository.transaction })
+                    }
+
+                    if (transition != null) {
+                        await repository._runTransition(id, transition, { caller })
+                    }
+
+                    await project.reload({ transaction: repository.transaction })
+
+                    if (project.title !== before.title || project.description !== before.description) {
+                        // Projects created before revisions were kept start their history with the values they had
+                        if (await repository.store.ProjectRevision.count({ where: { ProjectId: id }, transaction: repository.transaction }) === 0) {
+                            await repository._addRevision(before)
+                        }
+
+                        await repository._addRevision(project, { caller, restoredFrom })
+                    }
+
+                    return project
+                })
+            })
         } catch (err) {
             // if (err instanceof Sequelize.ForeignKeyConstraintError) {
             //     throw new Errors.ValidationError(
@@ -299,15 +707,16 @@ class ProjectRepository extends Repository {
             // }
             throw err
         }
-    })}
+    }
 
     /**
      *
-     * Delete an existing project
+     * Delete an existing project along with its tasks. They are kept, hidden, until they are purged (see {@link ProjectRepository#purge}) and may be restored (see {@link ProjectRepository#restore}).
      *
      * Authorized Cases:
      * - An admin deleting a project
      * - A supporter deleting a project they own
+     * - A project member allowed to delete the project (see {@link ProjectPermission}.DELETE)
      *
      * @param {string} token - An authentication token for verifying authorization
      * @param {string} id - The project to operate on
@@ -319,19 +728,592 @@ class ProjectRepository extends Repository {
     async delete(token, id) { return Repository._rethrow(async () => {
         const caller = await this._getAuth(token)
 
-        const project = await this.store.Project.findByPk(id)
+        const project = await this.store.Project.findByPk(id, { transaction: this.transaction })
+        if (project == null) {
+            throw new Errors.NotFoundError("Project could not be found.")
+        }
+
+        if(!caller.isAdmin && !await this.swolly.ProjectMember._hasPermission(caller, project, ProjectPermission.DELETE)) { 
+            throw new Errors.AuthorizationError()
+        }
+
+
+        await this._inTransaction(repository => repository._mutate(EventType.PROJECT_DELETE, {
+            id, before: Repository._snapshot(project), caller
+        }, async () => {
+            await repository._softDelete({ id }, new Date())
+            return null
+        }))
+    })}
+
+    /**
+     *
+     * Restore a deleted project along with the tasks deleted with it
+     *
+     * Authorized Cases:
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} id - The project to operate on
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyValidationError} Thrown when the creator of the project is deleted (see {@link ProjectValidationErrorCode} for codes)
+     * @throws {SwollyNotFoundError} Thrown when the project could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async restore(token, id) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        if (!caller.isAdmin) {
+            throw new Errors.AuthorizationError()
+        }
+
+        const project = await this.store.Project.findByPk(id, { paranoid: false, transaction: this.transaction })
+        if (project == null) {
+            throw new Errors.NotFoundError("Project could not be found.")
+        }
+
+        if (project.deletedAt == null) {
+            return
+        }
+
+        if (await this.store.User.findByPk(project.CreatorId, { transaction: this.transaction }) == null) {
+            throw new Errors.ValidationError(
+                "The creator of the project is deleted and has to be restored first.",
+                ProjectValidationErrorCode.CREATOR_DELETED
+            )
+        }
+
+        await this._inTransaction(repository => repository._mutate(EventType.PROJECT_RESTORE, {
+            id, before: Repository._snapshot(project), caller
+        }, async () => {
+            await repository._restoreDeleted({ id }, project.deletedAt)
+            return await project.reload({ transaction: repository.transaction })
+        }))
+    })}
+
+    /**
+     *
+     * Delete a project for good, deleted or not, along with everything depending on it.
+     * Projects which have been pledged or paid to may not be purged, so that their pledges and payments are kept.
+     *
+     * Authorized Cases:
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} id - The project to operate on
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyValidationError} Thrown when the project has pledges or payments (see {@link ProjectValidationErrorCode} for codes)
+     * @throws {SwollyNotFoundError} Thrown when the project could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async purge(token, id) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        if (!caller.isAdmin) {
+            throw new Errors.AuthorizationError()
+        }
+
+        const project = await this.store.Project.findByPk(id, { paranoid: false, transaction: this.transaction })
+        if (project == null) {
+            throw new Errors.NotFoundError("Project could not be found.")
+        }
+
+        if (await this._hasFinancialRecords({ id })) {
+            throw new Errors.ValidationError(
+                "Projects which have been pledged or paid to may not be purged.",
+                ProjectValidationErrorCode.HAS_FINANCIAL_RECORDS
+            )
+        }
+
+        await this._mutate(EventType.PROJECT_PURGE, {
+            id, before: Repository._snapshot(project), caller
+        }, async repository => {
+            await project.destroy({ force: true, transaction: repository.transaction })
+            return null
+        })
+    })}
+
+    /**
+     *
+     * Copy a project along with its tasks and images into a new project, e.g. to run it again next season.
+     * The copy needs to be verified like any new project. Its funding campaign is not copied, and its tasks start out open.
+     *
+     * Authorized Cases:
+     * - An initiator who is the creator or a member of the project
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} id - The project to copy
+     *
+     * @param {object} [overrides] - Values of the copy differing from the project (see {@link ProjectRepository#create}). The status is always NEEDS_VERIFICATION.
+     * If the address is overridden without lat and lon, the coordinates are looked up from the new address.
+     *
+     * @return {Project} The copy
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyValidationError} Thrown when the copy is not correct in some way (see {@link ProjectValidationErrorCode} for codes)
+     * @throws {SwollyNotFoundError} Thrown when the project could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async clone(token, id, overrides = {}) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        const project = await this.store.Project.findByPk(id, { transaction: this.transaction })
+        if (project == null) {
+            throw new Errors.NotFoundError("Project could not be found.")
+        }
+
+        if (!caller.isAdmin && (!caller.isInitiator || await this.swolly.ProjectMember._getRole(caller, project) == null)) {
+            throw new Errors.AuthorizationError()
+        }
+
+        const tasks = await project.getTasks({ order: [["createdAt", "ASC"]], transaction: this.transaction })
+        const images = await project.getImages({ transaction: this.transaction })
+        const tags = await project.getTags({ transaction: this.transaction })
+
+        const values = {
+            title: project.title,
+            description: project.description,
+            moneyGoal: project.moneyGoal,
+            ...(!ADDRESS_FIELDS.some(field => field in overrides) && { lat: project.lat, lon: project.lon }),
+            ...Object.fromEntries(ADDRESS_FIELDS.map(field => [field, project[field]])),
+            fundingMode: project.fundingMode,
+            CategoryId: project.CategoryId,
+            tags: tags.map(tag => tag.name),
+            ...overrides,
+            status: ProjectStatus.NEEDS_VERIFICATION
+        }
+
+        return await this._createWithContent(token, values, {
+            tasks: tasks.map(task => ({ title: task.title, description: task.description, supporterGoal: task.supporterGoal })),
+            imageIds: images.map(image => image.id)
+        })
+    })}
+
+    /**
+     *
+     * Create a project along with tasks and images in a single transaction, for {@link ProjectRepository#clone} and {@link ProjectTemplateRepository#instantiate}.
+     * The project, each task and each image assignment are created like by the repository methods, so they are authorized and emit events the same way.
+     *
+     * @param {string} token - The authentication token of the caller
+     * @param {object} values - The values of the project (see {@link ProjectRepository#create})
+     *
+     * @param {object} [content] - What to add to the project
+     * @param {{title: string, description: string, supporterGoal: number}[]} [content.tasks] - The tasks to create
+     * @param {string[]} [content.imageIds] - The images to assign
+     *
+     * @return {Project}
+     *
+     * @throws {SwollyAuthorizationError}
+     * @throws {SwollyValidationError}
+     * @throws {SwollyNotFoundError}
+     * @throws {SwollySequelizeError}
+     */
+    async _createWithContent(token, values, { tasks = [], imageIds = [] } = {}) {
+        return await this._inTransaction(async repository => {
+            const project = await repository.create(token, values)
+
+            for (const task of tasks) {
+                await repository.swolly.Task.create(token, { ...task, projectId: project.getId() })
+            }
+
+            for (const imageId of imageIds) {
+                await repository.swolly.Image.assign(token, imageId, project.getId())
+            }
+
+            return project
+        })
+    }
+
+    /**
+     *
+     * Follow a project, adding it to the watch list of the caller (see {@link User#getFollowedProjects}). Following a project twice has no effect.
+     *
+     * Authorized Cases:
+     * - Any registered user, for publicly listed projects
+     * - The creator or a member of the project
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} id - The project to follow
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyNotFoundError} Thrown when the project could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async follow(token, id) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        const project = await this.store.Project.findByPk(id, { transaction: this.transaction })
+
         if (project == null) {
-            throw new Error.NotFoundError("Category could not be found.")
+            throw new Errors.NotFoundError("Project could not be found.")
         }
 
-        if(!caller.isAdmin && project.CreatorId == caller.getId()) { 
+        if (
+            !caller.isAdmin
+            && !ProjectLifecycle.LISTED_STATUSES.includes(project.status)
+            && await this.swolly.ProjectMember._getRole(caller, project) == null
+        ) {
             throw new Errors.AuthorizationError()
         }
 
+        if (await project.hasFollower(caller.getId(), { transaction: this.transaction })) {
+            return
+        }
 
-        await project.destroy()
+        await this._mutate(EventType.PROJECT_FOLLOW, {
+            id, after: { UserId: caller.getId(), ProjectId: id }, caller
+        }, async repository => {
+            await project.addFollower(caller.getId(), { transaction: repository.transaction })
+            return { UserId: caller.getId(), ProjectId: id }
+        })
     })}
 
+    /**
+     *
+     * Unfollow a project, removing it from the watch list of the caller. Unfollowing a project which is not followed has no effect.
+     *
+     * Authorized Cases:
+     * - Any registered user
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} id - The project to unfollow
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyNotFoundError} Thrown when the project could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async unfollow(token, id) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        const project = await this.store.Project.findByPk(id, { transaction: this.transaction })
+
+        if (project == null) {
+            throw new Errors.NotFoundError("Project could not be found.")
+        }
+
+        if (!await project.hasFollower(caller.getId(), { transaction: this.transaction })) {
+            return
+        }
+
+        await this._mutate(EventType.PROJECT_UNFOLLOW, {
+            id, before: { UserId: caller.getId(), ProjectId: id }, caller
+        }, async repository => {
+            await project.removeFollower(caller.getId(), { transaction: repository.transaction })
+            return null
+        })
+    })}
+
+    /**
+     *
+     * Change the status of a project, running the side effects of the transition and recording it in the status history. Has to be called in a transaction.
+     *
+     * @param {Sequelize.Model} project - The project to change
+     * @param {ProjectStatus} status - The new status
+     * @param {object} values - An object describing the change
+     * @param {EventType} values.type - The type of the change
+     * @param {ReviewDecision} [values.decision] - The decision leading to the change
+     * @param {string} [values.reason] - The reason for the change
+     * @param {User} values.caller - The user making the change, or null for changes made by swolly itself
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller may not make the transition
+     * @throws {SwollyValidationError} Thrown when the status may not follow the current one
+     * @throws {SwollySequelizeError}
+     */
+    async _changeStatus(project, status, { type, decision = null, reason = null, caller }) {
+        const transition = await this._getTransition(project, status, caller)
+        const before = Repository._snapshot(project)
+
+        // The decision and reason are part of the event, so listeners can e.g. notify the creator
+        await this._mutate(type, {
+            id: project.id, before, after: { ...before, status, decision, reason }, caller
+        }, async repository => {
+            await repository.store.Project.update({ status }, { where: { id: project.id }, transaction: repository.transaction })
+            await repository._runTransition(project.id, transition, { decision, reason, caller })
+
+            return { ...Repository._snapshot(await project.reload({ transaction: repository.transaction })), decision, reason }
+        })
+    }
+
+    /**
+     *
+     * Run the side effects of a transition and add it to the status history of the project. Has to be called in a transaction.
+     *
+     * @param {string} projectId - The project whose status changed
+     * @param {ProjectTransition} transition - The transition made
+     * @param {object} [values] - An object describing the change
+     * @param {ReviewDecision} [values.decision] - The decision leading to the change
+     * @param {string} [values.reason] - The reason for the change
+     * @param {User} [values.caller] - The user making the change
+     *
+     * @throws {SwollySequelizeError}
+     */
+    async _runTransition(projectId, transition, { decision = null, reason = null, caller = null } = {}) {
+        for (const effect of transition.effects) {
+            switch (effect) {
+                case ProjectTransitionEffect.CLOSE_TASKS:
+                    await this.swolly.Task._closeAll(projectId, caller)
+                    break
+                case ProjectTransitionEffect.CANCEL_PLEDGES:
+                    await this.swolly.Pledge._cancelAll({ ProjectId: projectId }, caller)
+                    break
+            }
+        }
+
+        await this.store.ProjectStatusChange.create({
+            ProjectId: projectId,
+            fromStatus: transition.from,
+            toStatus: transition.to,
+            decision,
+            reason,
+            ActorId: caller != null ? caller.getId() : null
+        }, { transaction: this.transaction })
+    }
+
+    /**
+     *
+     * Add the current title and description of a project to its revision history. Has to be called in a transaction.
+     *
+     * @param {{id: string, title: string, description: string}} project - The project
+     * @param {object} [values] - An object describing the change
+     * @param {User} [values.caller] - The user making the change
+     * @param {number} [values.restoredFrom] - The number of the revision restored by the change
+     *
+     * @throws {SwollySequelizeError}
+     */
+    async _addRevision(project, { caller = null, restoredFrom = null } = {}) {
+        const last = await this.store.ProjectRevision.max("number", {
+            where: { ProjectId: project.id },
+            transaction: this.transaction
+        })
+
+        await this.store.ProjectRevision.create({
+            ProjectId: project.id,
+            number: last == null ? 1 : last + 1,
+            title: project.title,
+            description: project.description,
+            restoredFrom,
+            AuthorId: caller != null ? caller.getId() : null
+        }, { transaction: this.transaction })
+    }
+
+    /**
+     *
+     * Delete projects along with their tasks, so that they are hidden until they are restored (see {@link ProjectRepository#_restoreDeleted}). Has to be called in a transaction.
+     *
+     * @param {object} where - The condition matching the projects
+     * @param {Date} deletedAt - The time of the deletion. Everything deleted together has the same time, so it is restored together.
+     *
+     * @throws {SwollySequelizeError}
+     */
+    async _softDelete(where, deletedAt) {
+        const projects = await this.store.Project.findAll({ attributes: ["id"], where, transaction: this.transaction })
+        const ids = projects.map(project => project.id)
+
+        await this.store.Task.update({ deletedAt }, { where: { ProjectId: {[Op.in]: ids} }, transaction: this.transaction })
+        await this.store.Project.update({ deletedAt }, { where: { id: {[Op.in]: ids} }, transaction: this.transaction })
+    }
+
+    /**
+     *
+     * Restore projects deleted at some time, along with the tasks deleted with them (see {@link ProjectRepository#_softDelete}). Has to be called in a transaction.
+     *
+     * Rows are matched by being deleted at or after that time rather than by the exact time, which some databases store with less precision.
+     * Projects and tasks are hidden once deleted, so they cannot be deleted again on their own until they are restored,
+     * while those deleted before keep their earlier time and stay deleted.
+     *
+     * @param {object} where - The condition matching the projects
+     * @param {Date} deletedAt - The time of the deletion
+     *
+     * @throws {SwollySequelizeError}
+     */
+    async _restoreDeleted(where, deletedAt) {
+        const projects = await this.store.Project.findAll({
+            attributes: ["id"],
+            where: { ...where, deletedAt: {[Op.gte]: deletedAt} },
+            paranoid: false,
+            transaction: this.transaction
+        })
+        const ids = projects.map(project => project.id)
+
+        await this.store.Project.restore({ where: { id: {[Op.in]: ids} }, transaction: this.transaction })
+        await this.store.Task.restore({
+            where: { ProjectId: {[Op.in]: ids}, deletedAt: {[Op.gte]: deletedAt} },
+            transaction: this.transaction
+        })
+    }
+
+    /**
+     *
+     * Check whether any of some projects, deleted or not, has pledges or payments. These are financial records, which must not be lost when a project is purged.
+     *
+     * @param {object} where - The condition matching the projects
+     *
+     * @return {boolean}
+     *
+     * @throws {SwollySequelizeError}
+     */
+    async _hasFinancialRecords(where) {
+        const projects = await this.store.Project.findAll({ attributes: ["id"], where, paranoid: false, transaction: this.transaction })
+        const ids = projects.map(project => project.id)
+
+        if (ids.length === 0) {
+            return false
+        }
+
+        const condition = { where: { ProjectId: {[Op.in]: ids} }, transaction: this.transaction }
+        return await this.store.Pledge.count(condition) > 0 || await this.store.Payment.count(condition) > 0
+    }
+
+    /**
+     *
+     * Close all funding campaigns which ended up to a point in time (see {@link Swolly#closeExpiredCampaigns})
+     *
+     * @param {Date} date - The point in time up to which campaigns are closed
+     *
+     * @return {{funded: string[], failed: string[], errored: string[]}} The ids of the projects whose campaigns were closed, and of those whose campaigns could not be closed
+     *
+     * @throws {SwollySequelizeError}
+     */
+    async _closeExpiredCampaigns(date) {
+        const closedStatuses = [ProjectStatus.FUNDED, ProjectStatus.FUNDING_FAILED]
+
+        // Campaigns are open until the project has been funded or failed. Projects which are not public only need closing while they still have active pledges.
+        const expired = await this.store.Project.findAll({
+            attributes: ["id"],
+            where: {
+                fundingEnd: { [Op.lte]: date },
+                status: { [Op.notIn]: closedStatuses },
+                "$statusChanges.id$": null,
+                [Op.or]: [
+                    { status: ProjectStatus.PUBLIC },
+                    { "$pledges.id$": { [Op.ne]: null } }
+                ]
+            },
+            include: [{
+                model: this.store.ProjectStatusChange,
+                as: "statusChanges",
+                attributes: [],
+                where: { toStatus: { [Op.in]: closedStatuses } },
+                required: false
+            }, {
+                model: this.store.Pledge,
+                as: "pledges",
+                attributes: [],
+                where: { status: PledgeStatus.ACTIVE },
+                required: false
+            }],
+            group: ["Project.id"],
+            transaction: this.transaction
+        })
+
+        const result = { funded: [], failed: [], errored: [] }
+
+        // Each campaign is closed in its own transaction, so one failing does not keep the others open
+        for (const { id } of expired) {
+            let status
+
+            try {
+                status = await this._inTransaction(repository => repository._closeCampaign(id, date))
+            } catch (err) {
+                console.warn(`The funding campaign of project '${id}' could not be closed:`, err)
+                result.errored.push(id)
+                continue
+            }
+
+            if (status === ProjectStatus.FUNDED) {
+                result.funded.push(id)
+            } else if (status === ProjectStatus.FUNDING_FAILED) {
+                result.failed.push(id)
+            }
+        }
+
+        return result
+    }
+
+    /**
+     *
+     * Close the funding campaign of a project for {@link ProjectRepository#_closeExpiredCampaigns}. Has to be called in a transaction.
+     *
+     * Public projects move on to FUNDED or FUNDING_FAILED. Projects which are not public when their campaign ends can not be funded,
+     * so they keep their status and only their pledges are cancelled.
+     *
+     * @param {string} id - The project whose campaign ended
+     * @param {Date} date - The point in time up to which campaigns are closed
+     *
+     * @return {ProjectStatus} FUNDED or FUNDING_FAILED, or null if the campaign was not closed because the project changed since it was found
+     *
+     * @throws {SwollyValidationError} Thrown when a hook vetoes the change
+     * @throws {SwollySequelizeError}
+     */
+    async _closeCampaign(id, date) {
+        const project = await this.store.Project.findByPk(id, {
+            transaction: this.transaction,
+            lock: true
+        })
+
+        // The project may have changed since it was found
+        if (project == null || project.fundingEnd == null || project.fundingEnd.getTime() > date.getTime()) {
+            return null
+        }
+
+        if (project.status !== ProjectStatus.PUBLIC) {
+            const closings = await this.store.ProjectStatusChange.count({
+                where: { ProjectId: id, toStatus: {[Op.in]: [ProjectStatus.FUNDED, ProjectStatus.FUNDING_FAILED]} },
+                transaction: this.transaction
+            })
+
+            if (closings > 0 || [ProjectStatus.FUNDED, ProjectStatus.FUNDING_FAILED].includes(project.status)) {
+                return null
+            }
+
+            const cancelled = await this.swolly.Pledge._cancelAll({ ProjectId: id }, null)
+            return cancelled > 0 ? ProjectStatus.FUNDING_FAILED : null
+        }
+
+        const funded = project.fundingMode === FundingMode.KEEP_WHAT_YOU_RAISE
+            ? project.moneyPledged > 0
+            : project.moneyPledged >= project.moneyGoal
+        const status = funded ? ProjectStatus.FUNDED : ProjectStatus.FUNDING_FAILED
+
+        await this._changeStatus(project, status, { type: EventType.PROJECT_CLOSE_FUNDING, caller: null })
+        return status
+    }
+
+    /**
+     *
+     * Get the transition of a project to a new status, making sure it is legal and the caller may make it
+     *
+     * @param {Sequelize.Model} project - The project to change
+     * @param {ProjectStatus} status - The new status
+     * @param {User} caller - The user making the change, or null for changes made by swolly itself
+     *
+     * @return {ProjectTransition}
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller may not make the transition
+     * @throws {SwollyValidationError} Thrown when the status may not follow the current one
+     * @throws {SwollySequelizeError}
+     */
+    async _getTransition(project, status, caller) {
+        const transition = ProjectLifecycle.findTransition(project.status, status)
+
+        if (transition == null) {
+            throw new Errors.ValidationError(
+                `The status of a project can not change from ${project.status} to ${status}.`,
+                ProjectValidationErrorCode.TRANSITION_INVALID
+            )
+        }
+
+        const role = await this.swolly.ProjectMember._getRole(caller, project)
+
+        if (!ProjectLifecycle.isAllowed(transition, caller, role, project.fundingEnd)) {
+            throw new Errors.AuthorizationError()
+        }
+        return transition
+    }
 }
 
 module.exports = ProjectRepository
@@ -0,0 +1,383 @@
+const Repository = require("./repository")
+const ProjectMember = require("../models/projectMember")
+const Errors = require("../errors")
+const ProjectLifecycle = require("../utils/projectLifecycle")
+const ProjectRoles = require("../utils/projectRoles")
+
+const EventType = require("../enums/eventType")
+const ProjectMemberFilterField = require("../enums/projectMemberFilterField")
+const ProjectMemberRole = require("../enums/projectMemberRole")
+const ProjectMemberValidationErrorCode = require("../enums/projectMemberValidationErrorCode")
+const ProjectPermission = require("../enums/projectPermission")
+
+/**
+ * Repository for all methods relating to the members of projects
+ *
+ * Members run a project together with its creator. What they may do depends on their role (see {@link ProjectRoles}).
+ * The creator is not listed as a member, but always holds the role OWNER.
+ */
+class ProjectMemberRepository extends Repository {
+    /**
+     *
+     * Get a listing of the members of a project or of the memberships of a user, optionally filtered and sorted
+     *
+     * Authorized Cases:
+     * - Any registered user, listing the members of a public project
+     * - The creator or a member of the project
+     * - A user listing their own memberships
+     * - Caller is admin, also for listings of all memberships
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     *
+     * @param {object} [options] An object with options
+     *
+     * @param {object} [options.filter] Describes how to filter the results. Callers who are not admins have to set projectId or userId.
+     * @param {string} [options.filter.projectId] Filters result down to the members of a project
+     * @param {string} [options.filter.userId] Filters result down to the memberships of a user
+     * @param {ProjectMemberRole} [options.filter.role] Filters result down to members with a specific role
+     *
+     * @param {object} [options.where] A filter expression further filtering the results, using the fields in {@link ProjectMemberFilterField} (see {@link compileFilter})
+     *
+     * @param {object} [options.sort] Describes how to sort the results
+     * @param {ProjectMemberSortField} [options.sort.field] The field to sort by
+     * @param {SortDirection} [options.sort.direction] The direction to sort in
+     *
+     * @param {object} [options.page] Paginates the results
+     * @param {number} options.page.limit The maximum number of items per page
+     * @param {string} [options.page.cursor] The nextCursor of the previous page. Starts with the first page if not set.
+     * @param {boolean} [options.page.totalCount=false] Whether to count the items on all pages
+     *
+     * @return {ProjectMember[]|Page} Returns a {@link Page} if options.page is set
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyNotFoundError} Thrown when the project filtered by could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async getAll(token, options = {}) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        const filter = options.filter == null ? {} : options.filter
+
+        if (!caller.isAdmin) {
+            if (filter.projectId == null && filter.userId == null) {
+                throw new Errors.AuthorizationError()
+            }
+
+            if (filter.userId != null && filter.userId !== caller.getId() && filter.projectId == null) {
+                throw new Errors.AuthorizationError()
+            }
+        }
+
+        if (filter.projectId != null) {
+            const project = await this.store.Project.findByPk(filter.projectId, { transaction: this.transaction })
+
+            if (project == null) {
+                throw new Errors.NotFoundError("Project could not be found.")
+            }
+
+            if (!await this._canAccess(caller, project)) {
+                throw new Errors.AuthorizationError()
+            }
+        }
+
+        const result = await this._findAll(this.store.ProjectMember, {
+            where: {
+                ...(filter.projectId != null && {ProjectId: filter.projectId}),
+                ...(filter.userId != null && {UserId: filter.userId}),
+                ...(filter.role != null && {role: filter.role}),
+            }
+        }, options, ProjectMemberFilterField)
+
+        return await this._createResult(ProjectMember, result, token, caller)
+    })}
+
+    /**
+     *
+     * Get a membership by its id
+     *
+     * Authorized Cases:
+     * - Any registered user, for members of public projects
+     * - The creator or a member of the project
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} id - A valid membership id
+     *
+     * @return {ProjectMember}
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollySequelizeError}
+     */
+    async get(token, id) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        const result = await this.store.ProjectMember.findByPk(id, {
+            transaction: this.transaction,
+            include: {
+                model: this.store.Project,
+                as: "project"
+            }
+        })
+
+        if (result == null) {
+            return null
+        }
+
+        if (!await this._canAccess(caller, result.project)) {
+            throw new Errors.AuthorizationError()
+        }
+
+        return await ProjectMember.create(result, this.swolly, token, caller)
+    })}
+
+    /**
+     *
+     * Add a user to the members of a project
+     *
+     * Authorized Cases:
+     * - The creator of the project
+     * - A member of the project allowed to manage the members (see {@link ProjectPermission}.MANAGE_MEMBERS)
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     *
+     * @param {object} values - The object containing the values of the membership
+     * @param {string} values.projectId - The project to add the user to
+     * @param {string} values.userId - The user to add
+     * @param {ProjectMemberRole} values.role - The role of the user in the project
+     *
+     * @return {ProjectMember}
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyValidationError} Thrown when the membership is not correct in some way (see {@link ProjectMemberValidationErrorCode} for codes)
+     * @throws {SwollyNotFoundError} Thrown when the project or the user could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async create(token, values) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        ProjectMember.validate(values)
+
+        const project = await this.store.Project.findByPk(values.projectId, { transaction: this.transaction })
+
+        if (project == null) {
+            throw new Errors.NotFoundError("Project could not be found.")
+        }
+
+        if (!caller.isAdmin && !await this._hasPermission(caller, project, ProjectPermission.MANAGE_MEMBERS)) {
+            throw new Errors.AuthorizationError()
+        }
+
+        if (await this.store.User.findByPk(values.userId, { transaction: this.transaction }) == null) {
+            throw new Errors.NotFoundError("User could not be found.")
+        }
+
+        if (project.CreatorId === values.userId) {
+            throw new Errors.ValidationError(
+                "The creator of a project always is an owner.",
+                ProjectMemberValidationErrorCode.USER_IS_CREATOR
+            )
+        }
+
+        if (await this.store.ProjectMember.findOne({
+            where: { ProjectId: project.id, UserId: values.userId },
+            transaction: this.transaction
+        }) != null) {
+            throw new Errors.ValidationError(
+                "The user already is a member of the project.",
+                ProjectMemberValidationErrorCode.ALREADY_MEMBER
+            )
+        }
+
+        const data = {
+            role: values.role,
+            ProjectId: project.id,
+            UserId: values.userId
+        }
+
+        const member = await this._mutate(EventType.PROJECT_MEMBER_CREATE, {
+            after: data, caller
+        }, repository => repository.store.ProjectMember.create(data, { transaction: repository.transaction }))
+
+        return await ProjectMember.create(member, this.swolly, token)
+    })}
+
+    /**
+     *
+     * Change the role of a member
+     *
+     * Authorized Cases:
+     * - The creator of the project
+     * - A member of the project allowed to manage the members (see {@link ProjectPermission}.MANAGE_MEMBERS)
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     *
+     * @param {string} id - The membership to operate on
+     *
+     * @param {object} update - The object containing the values of the membership
+     * @param {ProjectMemberRole} [update.role] - The role of the user in the project
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyValidationError} Thrown when the membership is not correct in some way (see {@link ProjectMemberValidationErrorCode} for codes)
+     * @throws {SwollyNotFoundError} Thrown when the membership could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async update(token, id, update) { return Repository._rethrow(async () => {
+        if (update && Object.keys(update).length === 0) {
+            return
+        }
+
+        const caller = await this._getAuth(token)
+
+        const member = await this._getMember(id)
+
+        if (!caller.isAdmin && !await this._hasPermission(caller, member.project, ProjectPermission.MANAGE_MEMBERS)) {
+            throw new Errors.AuthorizationError()
+        }
+
+        ProjectMember.validate({ ...member.dataValues, ...update })
+
+        const changes = {
+            ...(update.role != null && {role: update.role}),
+        }
+        const before = Repository._snapshot(member)
+
+        await this._mutate(EventType.PROJECT_MEMBER_UPDATE, {
+            id, before, after: { ...before, ...changes }, caller
+        }, async repository => {
+            await repository.store.ProjectMember.update(changes, { where: { id }, transaction: repository.transaction })
+            return await member.reload({ transaction: repository.transaction })
+        })
+    })}
+
+    /**
+     *
+     * Remove a user from the members of a project
+     *
+     * Authorized Cases:
+     * - The member themself, leaving the project
+     * - The creator of the project
+     * - A member of the project allowed to manage the members (see {@link ProjectPermission}.MANAGE_MEMBERS)
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} id - The membership to operate on
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyNotFoundError} Thrown when the membership could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async delete(token, id) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        const member = await this._getMember(id)
+
+        if (
+            !caller.isAdmin
+            && member.UserId !== caller.getId()
+            && !await this._hasPermission(caller, member.project, ProjectPermission.MANAGE_MEMBERS)
+        ) {
+            throw new Errors.AuthorizationError()
+        }
+
+        await this._mutate(EventType.PROJECT_MEMBER_DELETE, {
+            id, before: Repository._snapshot(member), caller
+        }, async repository => {
+            await member.destroy({ transaction: repository.transaction })
+            return null
+        })
+    })}
+
+    /**
+     *
+     * Get a membership, including its project
+     *
+     * @param {string} id - The id of the membership
+     *
+     * @return {Sequelize.Model}
+     *
+     * @throws {SwollyNotFoundError} Thrown when the membership could not be found
+     */
+    async _getMember(id) {
+        const member = await this.store.ProjectMember.findByPk(id, {
+            transaction: this.transaction,
+            include: {
+                model: this.store.Project,
+                as: "project"
+            }
+        })
+
+        if (member == null) {
+            throw new Errors.NotFoundError("Project member could not be found.")
+        }
+
+        return member
+    }
+
+    /**
+     *
+     * Check whether a user may see the members of a project
+     *
+     * @param {User} user - The user to check
+     * @param {Sequelize.Model} project - The project
+     *
+     * @return {boolean}
+     *
+     * @throws {SwollySequelizeError}
+     */
+    async _canAccess(user, project) {
+        return user.isAdmin
+            || ProjectLifecycle.LISTED_STATUSES.includes(project.status)
+            || await this._getRole(user, project) != null
+    }
+
+    /**
+     *
+     * Get the role of a user in a project. The creator of a project always is an owner.
+     *
+     * @param {User} user - The user to check
+     * @param {Sequelize.Model|string} project - The project to check, or its id
+     *
+     * @return {ProjectMemberRole} The role, or null if the user is no member of the project
+     *
+     * @throws {SwollySequelizeError}
+     */
+    async _getRole(user, project) {
+        if (typeof project === "string") {
+            project = await this.store.Project.findByPk(project, { transaction: this.transaction })
+        }
+
+        if (project == null || user == null) {
+            return null
+        }
+
+        if (project.CreatorId === user.getId()) {
+            return ProjectMemberRole.OWNER
+        }
+
+        const member = await this.store.ProjectMember.findOne({
+            where: { ProjectId: project.id, UserId: user.getId() },
+            transaction: this.transaction
+        })
+        return member != null ? member.role : null
+    }
+
+    /**
+     *
+     * Check whether the role of a user in a project allows something (see {@link ProjectRoles}). Admins are not considered specially.
+     *
+     * @param {User} user - The user to check
+     * @param {Sequelize.Model|string} project - The project to check, or its id
+     * @param {ProjectPermission} permission - What to check
+     *
+     * @return {boolean}
+     *
+     * @throws {SwollySequelizeError}
+     */
+    async _hasPermission(user, project, permission) {
+        return ProjectRoles.hasPermission(await this._getRole(user, project), permission)
+    }
+}
+
+module.exports = ProjectMemberRepository
@@ -0,0 +1,220 @@
+const Repository = require("./repository")
+const ProjectRevision = require("../models/projectRevision")
+const Errors = require("../errors")
+const diff = require("../utils/diff")
+
+const EventType = require("../enums/eventType")
+const ProjectRevisionFilterField = require("../enums/projectRevisionFilterField")
+const ProjectRevisionSortField = require("../enums/projectRevisionSortField")
+const ProjectRevisionValidationErrorCode = require("../enums/projectRevisionValidationErrorCode")
+const SortDirection = require("../enums/sortDirection")
+
+/**
+ * The fields of a project kept by its revisions
+ */
+const REVISION_FIELDS = ["title", "description"]
+
+/**
+ * Repository for all methods relating to the revision history of projects
+ *
+ * A revision is added when a project is created and whenever its title or description changes (see {@link ProjectRepository#update}).
+ */
+class ProjectRevisionRepository extends Repository {
+    /**
+     *
+     * Get a listing of revisions, by default the newest first
+     *
+     * Authorized Cases:
+     * - The creator or a member of the project
+     * - Caller is admin, also for listings of the revisions of all projects
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     *
+     * @param {object} [options] An object with options
+     *
+     * @param {object} [options.filter] Describes how to filter the results. Callers who are not admins have to set projectId.
+     * @param {string} [options.filter.projectId] Filters result down to the revisions of a project
+     * @param {string} [options.filter.authorId] Filters result down to the revisions made by a user
+     *
+     * @param {object} [options.where] A filter expression further filtering the results, using the fields in {@link ProjectRevisionFilterField} (see {@link compileFilter})
+     *
+     * @param {object} [options.sort] Describes how to sort the results
+     * @param {ProjectRevisionSortField} [options.sort.field] The field to sort by
+     * @param {SortDirection} [options.sort.direction] The direction to sort in
+     *
+     * @param {object} [options.page] Paginates the results
+     * @param {number} options.page.limit The maximum number of items per page
+     * @param {string} [options.page.cursor] The nextCursor of the previous page. Starts with the first page if not set.
+     * @param {boolean} [options.page.totalCount=false] Whether to count the items on all pages
+     *
+     * @return {ProjectRevision[]|Page} Returns a {@link Page} if options.page is set
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyNotFoundError} Thrown when the project filtered by could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async getAll(token, options = {}) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        const filter = options.filter == null ? {} : options.filter
+
+        if (!caller.isAdmin && filter.projectId == null) {
+            throw new Errors.AuthorizationError()
+        }
+
+        if (filter.projectId != null) {
+            const project = await this.store.Project.findByPk(filter.projectId, { transaction: this.transaction })
+
+            if (project == null) {
+                throw new Errors.NotFoundError("Project could not be found.")
+            }
+
+            if (!caller.isAdmin && await this.swolly.ProjectMember._getRole(caller, project) == null) {
+                throw new Errors.AuthorizationError()
+            }
+        }
+
+        const result = await this._findAll(this.store.ProjectRevision, {
+            where: {
+                ...(filter.projectId != null && {ProjectId: filter.projectId}),
+                ...(filter.authorId != null && {AuthorId: filter.authorId}),
+            }
+        }, {
+            ...options,
+            sort: options.sort != null ? options.sort : { field: ProjectRevisionSortField.NUMBER, direction: SortDirection.DESC }
+        }, ProjectRevisionFilterField)
+
+        return await this._createResult(ProjectRevision, result, token, caller)
+    })}
+
+    /**
+     *
+     * Get a revision by its id
+     *
+     * Authorized Cases:
+     * - The creator or a member of the project
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} id - A valid revision id
+     *
+     * @return {ProjectRevision}
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollySequelizeError}
+     */
+    async get(token, id) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        const result = await this.store.ProjectRevision.findByPk(id, { transaction: this.transaction })
+
+        if (result == null) {
+            return null
+        }
+
+        if (!caller.isAdmin && await this.swolly.ProjectMember._getRole(caller, result.ProjectId) == null) {
+            throw new Errors.AuthorizationError()
+        }
+
+        return await ProjectRevision.create(result, this.swolly, token, caller)
+    })}
+
+    /**
+     *
+     * Compare two revisions of the same project
+     *
+     * Authorized Cases:
+     * - The creator or a member of the project
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} fromId - The revision to compare from, usually the older one
+     * @param {string} toId - The revision to compare to, usually the newer one
+     *
+     * @return {object} An object mapping the names of all changed fields (title, description) to an object with a 'from' and a 'to' property (see {@link diff})
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyValidationError} Thrown when the revisions belong to different projects (see {@link ProjectRevisionValidationErrorCode} for codes)
+     * @throws {SwollyNotFoundError} Thrown when one of the revisions could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async diff(token, fromId, toId) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        const from = await this._getRevision(fromId)
+        const to = await this._getRevision(toId)
+
+        if (from.ProjectId !== to.ProjectId) {
+            throw new Errors.ValidationError(
+                "Only revisions of the same project may be compared.",
+                ProjectRevisionValidationErrorCode.PROJECT_MISMATCH
+            )
+        }
+
+        if (!caller.isAdmin && await this.swolly.ProjectMember._getRole(caller, from.ProjectId) == null) {
+            throw new Errors.AuthorizationError()
+        }
+
+        return diff(ProjectRevisionRepository._pick(from), ProjectRevisionRepository._pick(to))
+    })}
+
+    /**
+     *
+     * Restore the title and description of a project from one of its revisions. The project is updated like by {@link ProjectRepository#update},
+     * which adds a new revision referring to the restored one. No revision is added if the project already has the title and description of the revision.
+     *
+     * Authorized Cases:
+     * - A user allowed to update the project (see {@link ProjectRepository#update})
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} id - The revision to restore
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyNotFoundError} Thrown when the revision could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async rollback(token, id) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        const revision = await this._getRevision(id)
+
+        await this.swolly.Project._update(caller, revision.ProjectId, ProjectRevisionRepository._pick(revision), {
+            type: EventType.PROJECT_ROLLBACK,
+            restoredFrom: revision.number
+        })
+    })}
+
+    /**
+     *
+     * Get a revision
+     *
+     * @param {string} id - The id of the revision
+     *
+     * @return {Sequelize.Model}
+     *
+     * @throws {SwollyNotFoundError} Thrown when the revision could not be found
+     */
+    async _getRevision(id) {
+        const revision = await this.store.ProjectRevision.findByPk(id, { transaction: this.transaction })
+
+        if (revision == null) {
+            throw new Errors.NotFoundError("Revision could not be found.")
+        }
+
+        return revision
+    }
+
+    /**
+     *
+     * Get the fields of a project kept by a revision
+     *
+     * @param {Sequelize.Model} revision
+     *
+     * @return {{title: string, description: string}}
+     */
+    static _pick(revision) {
+        return Object.fromEntries(REVISION_FIELDS.map(field => [field, revision[field]]))
+    }
+}
+
+module.exports = ProjectRevisionRepository
@@ -0,0 +1,408 @@
+const Repository = require("./repository")
+const ProjectTemplate = require("../models/projectTemplate")
+const Tag = require("../models/tag")
+const Errors = require("../errors")
+const { Op } = require("sequelize")
+
+const EventType = require("../enums/eventType")
+const FundingMode = require("../enums/fundingMode")
+const ProjectStatus = require("../enums/projectStatus")
+const ProjectTemplateFilterField = require("../enums/projectTemplateFilterField")
+
+/**
+ * Repository for all methods relating to project templates
+ *
+ * Templates are curated by admins. Initiators start new projects from them (see {@link ProjectTemplateRepository#instantiate}),
+ * which are created along with the tasks, tags and images of the template.
+ */
+class ProjectTemplateRepository extends Repository {
+    /**
+     *
+     * Get a listing of templates, optionally filtered and sorted
+     *
+     * Authorized Cases:
+     * - Caller is initiator
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     *
+     * @param {object} [options] An object with options
+     *
+     * @param {object} [options.filter] Describes how to filter the results
+     * @param {string} [options.filter.categoryId] Filters result down to the templates of a category
+     *
+     * @param {object} [options.where] A filter expression further filtering the results, using the fields in {@link ProjectTemplateFilterField} (see {@link compileFilter})
+     *
+     * @param {object} [options.sort] Describes how to sort the results
+     * @param {ProjectTemplateSortField} [options.sort.field] The field to sort by
+     * @param {SortDirection} [options.sort.direction] The direction to sort in
+     *
+     * @param {object} [options.page] Paginates the results
+     * @param {number} options.page.limit The maximum number of items per page
+     * @param {string} [options.page.cursor] The nextCursor of the previous page. Starts with the first page if not set.
+     * @param {boolean} [options.page.totalCount=false] Whether to count the items on all pages
+     *
+     * @return {ProjectTemplate[]|Page} Returns a {@link Page} if options.page is set
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollySequelizeError}
+     */
+    async getAll(token, options = {}) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        if (!caller.isAdmin && !caller.isInitiator) {
+            throw new Errors.AuthorizationError()
+        }
+
+        const { filter } = options
+
+        const result = await this._findAll(this.store.ProjectTemplate, {
+            where: {
+                ...(filter != null && filter.categoryId != null && {CategoryId: filter.categoryId}),
+            }
+        }, options, ProjectTemplateFilterField)
+
+        return await this._createResult(ProjectTemplate, result, token, caller)
+    })}
+
+    /**
+     *
+     * Get a template by its id
+     *
+     * Authorized Cases:
+     * - Caller is initiator
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} id - A valid template id
+     *
+     * @return {ProjectTemplate}
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollySequelizeError}
+     */
+    async get(token, id) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        if (!caller.isAdmin && !caller.isInitiator) {
+            throw new Errors.AuthorizationError()
+        }
+
+        const result = await this.store.ProjectTemplate.findByPk(id, { transaction: this.transaction })
+        return result == null ? null : await ProjectTemplate.create(result, this.swolly, token, caller)
+    })}
+
+    /**
+     *
+     * Create a new template
+     *
+     * Authorized Cases:
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     *
+     * @param {object} values - The object containing the values of the template
+     * @param {string} values.title - Title of the projects started from the template
+     * @param {string} values.description - Description of the projects started from the template
+     * @param {number} values.moneyGoal - MoneyGoal of the projects started from the template
+     * @param {FundingMode} [values.fundingMode="ALL_OR_NOTHING"] - How the funding campaigns of the projects started from the template end
+     * @param {string} [values.CategoryId] - Id of the category of the projects started from the template
+     * @param {string[]} [values.tags] - Names of the tags to label the projects started from the template with (max: 10)
+     * @param {{title: string, description: string, supporterGoal: number}[]} [values.tasks] - The tasks to create for the projects started from the template
+     * @param {string[]} [values.imageIds] - Ids of the images to assign to the projects started from the template (max: 10)
+     *
+     * @return {ProjectTemplate}
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyValidationError} Thrown when the template is not correct in some way (see {@link ProjectTemplateValidationErrorCode} for codes), or one of its tasks or tags is not correct (see {@link TaskValidationErrorCode} and {@link TagValidationErrorCode} for codes)
+     * @throws {SwollyNotFoundError} Thrown when an image could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async create(token, values) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        if (!caller.isAdmin) {
+            throw new Errors.AuthorizationError()
+        }
+
+        ProjectTemplate.validate(values)
+
+        const data = {
+            title: values.title,
+            description: values.description,
+            moneyGoal: values.moneyGoal,
+            fundingMode: values.fundingMode != null ? values.fundingMode : FundingMode.ALL_OR_NOTHING,
+            tags: values.tags != null ? ProjectTemplateRepository._normalizeTags(values.tags) : [],
+            tasks: values.tasks != null ? values.tasks.map(ProjectTemplateRepository._pickTask) : [],
+            CategoryId: values.CategoryId != null ? values.CategoryId : null,
+            CreatorId: caller.getId(),
+        }
+        const imageIds = values.imageIds != null ? [...new Set(values.imageIds)] : []
+
+        const template = await this._inTransaction(async repository => {
+            const images = await repository._getImages(imageIds)
+
+            return await repository._mutate(EventType.PROJECT_TEMPLATE_CREATE, {
+                after: { ...data, imageIds }, caller
+            }, async () => {
+                const template = await repository.store.ProjectTemplate.create(data, { transaction: repository.transaction })
+                await template.setImages(images, { transaction: repository.transaction })
+                return template
+            })
+        })
+        return await ProjectTemplate.create(template, this.swolly, token)
+    })}
+
+    /**
+     *
+     * Create a new template from an existing project, taking over its title, description, moneyGoal, fundingMode, category, tags, tasks and images
+     *
+     * Authorized Cases:
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} projectId - The project to create the template from
+     * @param {object} [values] - Values of the template differing from the project (see {@link ProjectTemplateRepository#create})
+     *
+     * @return {ProjectTemplate}
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyValidationError} Thrown when the template is not correct in some way (see {@link ProjectTemplateValidationErrorCode} for codes)
+     * @throws {SwollyNotFoundError} Thrown when the project could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async createFromProject(token, projectId, values = {}) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        if (!caller.isAdmin) {
+            throw new Errors.AuthorizationError()
+        }
+
+        const project = await this.store.Project.findByPk(projectId, { transaction: this.transaction })
+        if (project == null) {
+            throw new Errors.NotFoundError("Project could not be found.")
+        }
+
+        const tasks = await project.getTasks({ order: [["createdAt", "ASC"]], transaction: this.transaction })
+        const images = await project.getImages({ transaction: this.transaction })
+        const tags = await project.getTags({ transaction: this.transaction })
+
+        return await this.create(token, {
+            title: project.title,
+            description: project.description,
+            moneyGoal: project.moneyGoal,
+            fundingMode: project.fundingMode,
+            CategoryId: project.CategoryId,
+            tags: tags.map(tag => tag.name),
+            tasks: tasks.map(ProjectTemplateRepository._pickTask),
+            imageIds: images.map(image => image.id),
+            ...values
+        })
+    })}
+
+    /**
+     *
+     * Update an existing template. Projects started from it before are not changed.
+     *
+     * Authorized Cases:
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     *
+     * @param {string} id - The template to operate on
+     *
+     * @param {object} update - The object containing the values of the template (see {@link ProjectTemplateRepository#create})
+     * @param {string} [update.title] - Title of the projects started from the template
+     * @param {string} [update.description] - Description of the projects started from the template
+     * @param {number} [update.moneyGoal] - MoneyGoal of the projects started from the template
+     * @param {FundingMode} [update.fundingMode] - How the funding campaigns of the projects started from the template end
+     * @param {string} [update.CategoryId] - Id of the category of the projects started from the template, null to remove it
+     * @param {string[]} [update.tags] - Names of the tags instead of the current ones
+     * @param {{title: string, description: string, supporterGoal: number}[]} [update.tasks] - The tasks instead of the current ones
+     * @param {string[]} [update.imageIds] - Ids of the images instead of the current ones
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyValidationError} Thrown when the template is not correct in some way (see {@link ProjectTemplateValidationErrorCode} for codes), or one of its tasks or tags is not correct (see {@link TaskValidationErrorCode} and {@link TagValidationErrorCode} for codes)
+     * @throws {SwollyNotFoundError} Thrown when the template or an image could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async update(token, id, update) { return Repository._rethrow(async () => {
+        if (update && Object.keys(update).length === 0) {
+            return
+        }
+
+        const caller = await this._getAuth(token)
+
+        if (!caller.isAdmin) {
+            throw new Errors.AuthorizationError()
+        }
+
+        const template = await this.store.ProjectTemplate.findByPk(id, { transaction: this.transaction })
+        if (template == null) {
+            throw new Errors.NotFoundError("Template could not be found.")
+        }
+
+        const before = Repository._snapshot(template)
+
+        ProjectTemplate.validate({ ...before, ...update })
+
+        const changes = {
+            ...(update.title != null && {title: update.title}),
+            ...(update.description != null && {description: update.description}),
+            ...(update.moneyGoal != null && {moneyGoal: update.moneyGoal}),
+            ...(update.fundingMode != null && {fundingMode: update.fundingMode}),
+            ...(update.CategoryId !== undefined && {CategoryId: update.CategoryId}),
+            ...(update.tags != null && {tags: ProjectTemplateRepository._normalizeTags(update.tags)}),
+            ...(update.tasks != null && {tasks: update.tasks.map(ProjectTemplateRepository._pickTask)}),
+        }
+        const imageIds = update.imageIds != null ? [...new Set(update.imageIds)] : null
+
+        await this._inTransaction(async repository => {
+            const images = imageIds != null ? await repository._getImages(imageIds) : null
+
+            await repository._mutate(EventType.PROJECT_TEMPLATE_UPDATE, {
+                id, before, after: { ...before, ...changes, ...(imageIds != null && {imageIds}) }, caller
+            }, async () => {
+                await template.update(changes, { transaction: repository.transaction })
+                if (images != null) {
+                    await template.setImages(images, { transaction: repository.transaction })
+                }
+                return template
+            })
+        })
+    })}
+
+    /**
+     *
+     * Delete an existing template. Projects started from it are kept.
+     *
+     * Authorized Cases:
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} id - The template to operate on
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyNotFoundError} Thrown when the template could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async delete(token, id) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        if (!caller.isAdmin) {
+            throw new Errors.AuthorizationError()
+        }
+
+        const template = await this.store.ProjectTemplate.findByPk(id, { transaction: this.transaction })
+        if (template == null) {
+            throw new Errors.NotFoundError("Template could not be found.")
+        }
+
+        await this._mutate(EventType.PROJECT_TEMPLATE_DELETE, {
+            id, before: Repository._snapshot(template), caller
+        }, async repository => {
+            await template.destroy({ transaction: repository.transaction })
+            return null
+        })
+    })}
+
+    /**
+     *
+     * Start a new project from a template. The project is created like by {@link ProjectRepository#create} and needs to be verified,
+     * then the tasks of the template are created for it and its images are assigned to it.
+     *
+     * Authorized Cases:
+     * - Caller is initiator
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} id - The template to start the project from
+     *
+     * @param {object} values - Values of the project in addition to or differing from the template (see {@link ProjectRepository#create}).
+     * Usually sets the location of the project, i.e. its address or lat and lon. The status is always NEEDS_VERIFICATION.
+     *
+     * @return {Project}
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyValidationError} Thrown when the project is not correct in some way or its address could not be found (see {@link ProjectValidationErrorCode} for codes)
+     * @throws {SwollyNotFoundError} Thrown when the template could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async instantiate(token, id, values = {}) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        if (!caller.isAdmin && !caller.isInitiator) {
+            throw new Errors.AuthorizationError()
+        }
+
+        const template = await this.store.ProjectTemplate.findByPk(id, { transaction: this.transaction })
+        if (template == null) {
+            throw new Errors.NotFoundError("Template could not be found.")
+        }
+
+        const images = await template.getImages({ transaction: this.transaction })
+
+        return await this.swolly.Project._createWithContent(token, {
+            title: template.title,
+            description: template.description,
+            moneyGoal: template.moneyGoal,
+            fundingMode: template.fundingMode,
+            CategoryId: template.CategoryId,
+            tags: template.tags,
+            ...values,
+            status: ProjectStatus.NEEDS_VERIFICATION
+        }, {
+            tasks: template.tasks,
+            imageIds: images.map(image => image.id)
+        })
+    })}
+
+    /**
+     *
+     * Get images by their ids
+     *
+     * @param {string[]} ids - The ids of the images
+     *
+     * @return {Sequelize.Model[]}
+     *
+     * @throws {SwollyNotFoundError} Thrown when an image could not be found
+     */
+    async _getImages(ids) {
+        const images = await this.store.Image.findAll({
+            where: { id: {[Op.in]: ids} },
+            transaction: this.transaction
+        })
+
+        if (images.length !== ids.length) {
+            throw new Errors.NotFoundError("Image not found")
+        }
+
+        return images
+    }
+
+    /**
+     *
+     * Get the fields of a task kept by a template
+     *
+     * @param {object|Sequelize.Model} task
+     *
+     * @return {{title: string, description: string, supporterGoal: number}}
+     */
+    static _pickTask(task) {
+        return { title: task.title, description: task.description, supporterGoal: task.supporterGoal }
+    }
+
+    /**
+     *
+     * Normalize the names of tags and remove duplicates (see {@link Tag.normalize})
+     *
+     * @param {string[]} names
+     *
+     * @return {string[]}
+     */
+    static _normalizeTags(names) {
+        return [...new Set(names.map(Tag.normalize))]
+    }
+}
+
+module.exports = ProjectTemplateRepository
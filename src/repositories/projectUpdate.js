@@ -0,0 +1,425 @@
+const Repository = require("./repository")
+const ProjectUpdate = require("../models/projectUpdate")
+const Errors = require("../errors")
+const { Op } = require("sequelize")
+
+const EventType = require("../enums/eventType")
+const ProjectPermission = require("../enums/projectPermission")
+const ProjectUpdateFilterField = require("../enums/projectUpdateFilterField")
+const ProjectUpdateSortField = require("../enums/projectUpdateSortField")
+const ProjectUpdateVisibility = require("../enums/projectUpdateVisibility")
+const SortDirection = require("../enums/sortDirection")
+
+/**
+ * Repository for all methods relating to updates posted by the creators and members of projects
+ *
+ * Updates are either public or only visible to the supporters of the project, i.e. users whose application for one of its tasks was accepted.
+ * Updates published in the future are only visible to the creator and the members of the project and admins until then.
+ */
+class ProjectUpdateRepository extends Repository {
+    /**
+     *
+     * Get a listing of the updates the caller may read, by default the latest first
+     *
+     * Authorized Cases:
+     * - Any registered user, listing updates of any project
+     * - A user listing the updates of the projects they support
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     *
+     * @param {object} [options] An object with options
+     *
+     * @param {object} [options.filter] Describes how to filter the results
+     * @param {string} [options.filter.projectId] Filters result down to updates of a project
+     * @param {string} [options.filter.supportedBy] Filters result down to updates of the projects a user supports (only the user themself or admins)
+     * @param {ProjectUpdateVisibility} [options.filter.visibility] Filters result down to updates with a specific visibility
+     *
+     * @param {object} [options.where] A filter expression further filtering the results, using the fields in {@link ProjectUpdateFilterField} (see {@link compileFilter})
+     *
+     * @param {object} [options.sort] Describes how to sort the results
+     * @param {ProjectUpdateSortField} [options.sort.field] The field to sort by
+     * @param {SortDirection} [options.sort.direction] The direction to sort in
+     *
+     * @param {object} [options.page] Paginates the results
+     * @param {number} options.page.limit The maximum number of items per page
+     * @param {string} [options.page.cursor] The nextCursor of the previous page. Starts with the first page if not set.
+     * @param {boolean} [options.page.totalCount=false] Whether to count the items on all pages
+     *
+     * @return {ProjectUpdate[]|Page} Returns a {@link Page} if options.page is set
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollySequelizeError}
+     */
+    async getAll(token, options = {}) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        const { filter } = options
+
+        if (
+            filter != null && filter.supportedBy != null
+            && !caller.isAdmin && filter.supportedBy !== caller.getId()
+        ) {
+            throw new Errors.AuthorizationError()
+        }
+
+        const conditions = [
+            ...(caller.isAdmin ? [] : [await this._visibleTo(caller)]),
+            ...(filter != null && filter.projectId != null ? [{ProjectId: filter.projectId}] : []),
+            ...(filter != null && filter.visibility != null ? [{visibility: filter.visibility}] : []),
+            ...(filter != null && filter.supportedBy != null
+                ? [{ProjectId: {[Op.in]: await this._getSupportedProjectIds(filter.supportedBy)}}]
+                : []),
+        ]
+
+        const result = await this._findAll(this.store.ProjectUpdate, {
+            where: {[Op.and]: conditions}
+        }, {
+            ...options,
+            sort: options.sort != null ? options.sort : { field: ProjectUpdateSortField.PUBLISHED_AT, direction: SortDirection.DESC }
+        }, ProjectUpdateFilterField)
+
+        return await this._createResult(ProjectUpdate, result, token, caller)
+    })}
+
+    /**
+     *
+     * Get an update by its id
+     *
+     * Authorized Cases:
+     * - Any registered user, for public updates which are published
+     * - A supporter of the project, for all updates which are published
+     * - The creator or a member of the project
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} id - A valid update id
+     *
+     * @return {ProjectUpdate}
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollySequelizeError}
+     */
+    async get(token, id) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        const result = await this.store.ProjectUpdate.findByPk(id, {
+            transaction: this.transaction,
+            include: {
+                model: this.store.Project,
+                as: "project"
+            }
+        })
+
+        if (result == null) {
+            return null
+        }
+
+        if (!await this._canRead(caller, result)) {
+            throw new Errors.AuthorizationError()
+        }
+
+        return await ProjectUpdate.create(result, this.swolly, token, caller)
+    })}
+
+    /**
+     *
+     * Post a new update on a project
+     *
+     * Authorized Cases:
+     * - The creator of the project
+     * - A member of the project allowed to post updates (see {@link ProjectPermission}.POST_UPDATES)
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     *
+     * @param {object} values - The object containing the values of the update
+     * @param {string} values.projectId - The project the update is about
+     * @param {string} values.title - Title of the update
+     * @param {string} values.body - Text of the update
+     * @param {ProjectUpdateVisibility} [values.visibility="PUBLIC"] - Who may read the update
+     * @param {Date} [values.publishedAt=now] - The date the update is shown from
+     * @param {string[]} [values.imageIds] - The images attached to the update (max: 10)
+     *
+     * @return {ProjectUpdate}
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyValidationError} Thrown when the update is not correct in some way (see {@link ProjectUpdateValidationErrorCode} for codes)
+     * @throws {SwollyNotFoundError} Thrown when the project or one of the images could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async create(token, values) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        ProjectUpdate.validate(values)
+
+        const project = await this.store.Project.findByPk(values.projectId, { transaction: this.transaction })
+
+        if (project == null) {
+            throw new Errors.NotFoundError("Project not found.")
+        }
+
+        if (!caller.isAdmin && !await this.swolly.ProjectMember._hasPermission(caller, project, ProjectPermission.POST_UPDATES)) {
+            throw new Errors.AuthorizationError()
+        }
+
+        const data = {
+            title: values.title,
+            body: values.body,
+            visibility: values.visibility != null ? values.visibility : ProjectUpdateVisibility.PUBLIC,
+            publishedAt: values.publishedAt != null ? values.publishedAt : new Date(),
+            ProjectId: project.id,
+            AuthorId: caller.getId()
+        }
+
+        const update = await this._inTransaction(async repository => {
+            const images = values.imageIds != null ? await repository._getImages(values.imageIds) : []
+
+            return await repository._mutate(EventType.PROJECT_UPDATE_CREATE, {
+                after: { ...data, imageIds: images.map(image => image.id) }, caller
+            }, async () => {
+                const update = await repository.store.ProjectUpdate.create(data, { transaction: repository.transaction })
+                await update.setImages(images, { transaction: repository.transaction })
+                return update
+            })
+        })
+
+        return await ProjectUpdate.create(update, this.swolly, token)
+    })}
+
+    /**
+     *
+     * Edit an existing update
+     *
+     * Authorized Cases:
+     * - The creator of the project
+     * - A member of the project allowed to post updates (see {@link ProjectPermission}.POST_UPDATES)
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     *
+     * @param {string} id - The update to operate on
+     *
+     * @param {object} update - The object containing the values of the update
+     * @param {string} [update.title] - Title of the update
+     * @param {string} [update.body] - Text of the update
+     * @param {ProjectUpdateVisibility} [update.visibility] - Who may read the update
+     * @param {Date} [update.publishedAt] - The date the update is shown from
+     * @param {string[]} [update.imageIds] - The images attached to the update, replacing the current ones (max: 10)
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyValidationError} Thrown when the update is not correct in some way (see {@link ProjectUpdateValidationErrorCode} for codes)
+     * @throws {SwollyNotFoundError} Thrown when the update or one of the images could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async update(token, id, update) { return Repository._rethrow(async () => {
+        if (update && Object.keys(update).length === 0) {
+            return
+        }
+
+        const caller = await this._getAuth(token)
+
+        const projectUpdate = await this._getEditable(caller, id)
+
+        ProjectUpdate.validate({ ...projectUpdate.dataValues, ...update })
+
+        const changes = {
+            ...(update.title != null && {title: update.title}),
+            ...(update.body != null && {body: update.body}),
+            ...(update.visibility != null && {visibility: update.visibility}),
+            ...(update.publishedAt != null && {publishedAt: update.publishedAt}),
+        }
+        const before = Repository._snapshot(projectUpdate)
+
+        await this._inTransaction(async repository => {
+            const images = update.imageIds != null ? await repository._getImages(update.imageIds) : null
+
+            await repository._mutate(EventType.PROJECT_UPDATE_UPDATE, {
+                id, before, after: {
+                    ...before, ...changes, ...(images != null && {imageIds: images.map(image => image.id)})
+                }, caller
+            }, async () => {
+                await repository.store.ProjectUpdate.update(changes, { where: { id }, transaction: repository.transaction })
+
+                if (images != null) {
+                    await projectUpdate.setImages(images, { transaction: repository.transaction })
+                }
+
+                return await projectUpdate.reload({ transaction: repository.transaction })
+            })
+        })
+    })}
+
+    /**
+     *
+     * Delete an existing update
+     *
+     * Authorized Cases:
+     * - The creator of the project
+     * - A member of the project allowed to post updates (see {@link ProjectPermission}.POST_UPDATES)
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} id - The update to operate on
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyNotFoundError} Thrown when the update could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async delete(token, id) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        const projectUpdate = await this._getEditable(caller, id)
+
+        await this._mutate(EventType.PROJECT_UPDATE_DELETE, {
+            id, before: Repository._snapshot(projectUpdate), caller
+        }, async repository => {
+            await projectUpdate.destroy({ transaction: repository.transaction })
+            return null
+        })
+    })}
+
+    /**
+     *
+     * Check whether a user may read an update
+     *
+     * @param {User} user - The user to check
+     * @param {Sequelize.Model} update - The update, including its project
+     *
+     * @return {boolean}
+     *
+     * @throws {SwollySequelizeError}
+     */
+    async _canRead(user, update) {
+        if (user.isAdmin || await this.swolly.ProjectMember._getRole(user, update.project) != null) {
+            return true
+        }
+
+        if (update.publishedAt.getTime() > Date.now()) {
+            return false
+        }
+
+        return update.visibility === ProjectUpdateVisibility.PUBLIC
+            || (await this._getSupportedProjectIds(user.getId())).includes(update.ProjectId)
+    }
+
+    /**
+     *
+     * Build a condition matching all updates a user who is not an admin may read (see {@link ProjectUpdateRepository#_canRead})
+     *
+     * @param {User} user - The user reading the updates
+     *
+     * @return {object}
+     *
+     * @throws {SwollySequelizeError}
+     */
+    async _visibleTo(user) {
+        const created = await this.store.Project.findAll({
+            attributes: ["id"],
+            where: { CreatorId: user.getId() },
+            transaction: this.transaction
+        })
+        const memberships = await this.store.ProjectMember.findAll({
+            attributes: ["ProjectId"],
+            where: { UserId: user.getId() },
+            transaction: this.transaction
+        })
+
+        return {[Op.or]: [
+            {ProjectId: {[Op.in]: [
+                ...created.map(project => project.id),
+                ...memberships.map(membership => membership.ProjectId)
+            ]}},
+            {
+                publishedAt: {[Op.lte]: new Date()},
+                [Op.or]: [
+                    {visibility: ProjectUpdateVisibility.PUBLIC},
+                    {ProjectId: {[Op.in]: await this._getSupportedProjectIds(user.getId())}}
+                ]
+            }
+        ]}
+    }
+
+    /**
+     *
+     * Get the ids of all projects a user supports, i.e. has an accepted application for one of their tasks
+     *
+     * @param {string} userId - The id of the user
+     *
+     * @return {string[]}
+     *
+     * @throws {SwollySequelizeError}
+     */
+    async _getSupportedProjectIds(userId) {
+        const applications = await this.store.Application.findAll({
+            where: { UserId: userId, accepted: true },
+            include: {
+                model: this.store.Task,
+                as: "task",
+                attributes: ["ProjectId"]
+            },
+            transaction: this.transaction
+        })
+
+        return [...new Set(applications.map(application => application.task.ProjectId))]
+    }
+
+    /**
+     *
+     * Get an update a user wants to edit or delete
+     *
+     * @param {User} user - The user editing the update
+     * @param {string} id - The id of the update
+     *
+     * @return {Sequelize.Model}
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the user may not post updates on the project
+     * @throws {SwollyNotFoundError} Thrown when the update could not be found
+     */
+    async _getEditable(user, id) {
+        const update = await this.store.ProjectUpdate.findByPk(id, {
+            transaction: this.transaction,
+            include: {
+                model: this.store.Project,
+                as: "project"
+            }
+        })
+
+        if (update == null) {
+            throw new Errors.NotFoundError("Project update could not be found.")
+        }
+
+        if (!user.isAdmin && !await this.swolly.ProjectMember._hasPermission(user, update.project, ProjectPermission.POST_UPDATES)) {
+            throw new Errors.AuthorizationError()
+        }
+
+        return update
+    }
+
+    /**
+     *
+     * Get the images to attach to an update
+     *
+     * @param {string[]} ids - The ids of the images
+     *
+     * @return {Sequelize.Model[]}
+     *
+     * @throws {SwollyNotFoundError} Thrown when one of the images could not be found
+     */
+    async _getImages(ids) {
+        ids = [...new Set(ids)]
+
+        const images = await this.store.Image.findAll({
+            where: { id: {[Op.in]: ids} },
+            transaction: this.transaction
+        })
+
+        if (images.length !== ids.length) {
+            throw new Errors.NotFoundError("Image not found")
+        }
+
+        return images
+    }
+}
+
+module.exports = ProjectUpdateRepository
@@ -1,19 +1,55 @@
 const Errors = require("../errors")
 const User = require("../models/user")
-const { BaseError: SequelizeBaseError } = require('sequelize');
+const { BaseError: SequelizeBaseError, Model: SequelizeModel, DataTypes, Op, where: whereFn } = require('sequelize');
+const PageValidationErrorCode = require("../enums/pageValidationErrorCode")
+const SortDirection = require("../enums/sortDirection")
+const SortField = require("../enums/sortField")
+const compileFilter = require("../utils/filter")
+
+/**
+ * Fields which are never included in snapshots (see {@link Repository._snapshot})
+ */
+const SECRET_FIELDS = ["password", "token"]
+
+/**
+ * The maximum number of items per page (see {@link Repository#_findAll})
+ */
+const MAX_PAGE_LIMIT = 1000
+
+/**
+ * A single page of a listing, returned by all getAll methods when options.page is set
+ *
+ * @typedef {object} Page
+ * @property {Model[]} items - The items on this page
+ * @property {string} nextCursor - The cursor pointing to the next page. Null if this is the last page.
+ * @property {number} [totalCount] - The number of items on all pages. Only set if options.page.totalCount was set.
+ */
 
 class Repository {
     /**
      * The constructor for this class.
      * 
      * @param {Swolly} swolly - The swolly instance this repository belongs to
+     * @param {Transaction} [transaction] - The sequelize transaction all queries of this repository are made in (see {@link Swolly#transaction})
      * */
-    constructor(swolly) {
+    constructor(swolly, transaction = null) {
         /** @type {Sequelize} */
         this.swolly = swolly
 
         /** @type {Sequelize} */
         this.store = swolly.store
+
+        /** @type {Transaction} */
+        this._transaction = transaction
+    }
+
+    /**
+     * The sequelize transaction all queries of this repository are made in, as long as it has not finished yet.
+     *
+     * @return {Transaction}
+     */
+    get transaction() {
+        return this._transaction != null && !this._transaction.finished ? this._transaction : null
     }
 
 
@@ -64,6 +100,377 @@ class Repository {
         }
     }
 
+    /**
+     *
+     * Make a change, running the hooks registered with {@link Swolly#before} beforehand, then recording it in the audit log and emitting a {@link SwollyEvent}
+     *
+     * The change and its record in the audit log are made in a transaction, so there is no change without a record. The event is only emitted
+     * once the outermost transaction has been committed.
+     *
+     * @param {EventType} type - The type of the change
+     * @param {object} values - An object describing the change
+     * @param {string} [values.id] - The id of the affected entity (may be left away when creating)
+     * @param {object} [values.before] - The data of the entity before the change
+     * @param {object} [values.after] - The proposed data of the entity after the change
+     * @param {User} [values.caller] - The user making the change
+     * @param {!function(repository: Repository): Promise<*>} fn - The function making the change. Gets passed a repository of the same type, which makes all queries in the transaction.
+     * Returns the changed sequelize model instance or the data after the change (null when deleting).
+     *
+     * @return {*} The result of calling fn
+     *
+     * @throws {SwollyVetoError} Thrown when a hook vetoed the change
+     */
+    async _mutate(type, { id = null, before = null, after = null, caller = null }, fn) {
+        if (this.transaction == null) {
+            return await this._inTransaction(repository => repository._mutate(type, { id, before, after, caller }, fn))
+        }
+
+        before = Repository._snapshot(before)
+
+        await this.swolly._runBeforeHooks({ type, id, before, after: Repository._snapshot(after), caller })
+
+        const result = await fn(this)
+        const snapshot = Repository._snapshot(result)
+
+        const event = {
+            type,
+            id: id == null && snapshot != null ? snapshot.id : id,
+            before,
+            after: snapshot,
+            caller
+        }
+
+        await this.swolly.Audit._record(event)
+
+        // Listeners should only learn about changes which actually persist
+        Repository._afterCommit(this.transaction, () => this.swolly._emitEvent(event))
+
+        return result
+    }
+
+    /**
+     *
+     * Run a function once a transaction and all transactions it is nested in have been committed.
+     * Savepoints count as committed as soon as they are released, so the function is handed on to the enclosing transaction then.
+     * It is never run if any of the transactions is rolled back.
+     *
+     * @param {Transaction} transaction - The transaction
+     * @param {!function} fn - The function to run
+     */
+    static _afterCommit(transaction, fn) {
+        if (transaction.parent == null) {
+            transaction.afterCommit(() => fn())
+        } else {
+            transaction.afterCommit(() => Repository._afterCommit(transaction.parent, fn))
+        }
+    }
+
+    /**
+     *
+     * Run a function in a transaction, so that all of its changes are made or none are. If this repository already belongs to a transaction (see {@link Swolly#transaction}), that transaction is used.
+     *
+     * @param {!function(repository: Repository): Promise<*>} fn - The function to run. Gets passed a repository of the same type, which makes all queries in the transaction.
+     *
+     * @return {*} The result of calling fn
+     *
+     * @throws {SwollySequelizeError}
+     */
+    async _inTransaction(fn) {
+        if (this.transaction != null) {
+            return await fn(this)
+        }
+
+        return await this.swolly.transaction(tx => fn(new this.constructor(tx, tx._transaction)))
+    }
+
+    /**
+     *
+     * Get the data of a sequelize model instance as a plain object, excluding virtual fields, passwords and tokens
+     *
+     * @param {Sequelize.Model|object} instance - The instance, plain objects are only stripped of passwords and tokens
+     *
+     * @return {object}
+     */
+    static _snapshot(instance) {
+        if (instance == null) {
+            return null
+        }
+
+        const data = {}
+
+        if (!(instance instanceof SequelizeModel)) {
+            for (const [name, value] of Object.entries(instance)) {
+                if (!SECRET_FIELDS.includes(name)) {
+                    data[name] = value
+                }
+            }
+            return data
+        }
+
+        for (const [name, attribute] of Object.entries(instance.constructor.rawAttributes)) {
+            if (!SECRET_FIELDS.includes(name) && !(attribute.type instanceof DataTypes.VIRTUAL)) {
+                data[name] = instance.get(name)
+            }
+        }
+        return data
+    }
+
+    /**
+     *
+     * Query all rows of a sequelize model, optionally paginated.
+     *
+     * Pages are ordered by the sort field and by id as a tie-breaker, so the ordering is stable. Each cursor holds the position of the last item of the previous page, which keeps pages consistent when rows are created in between.
+     *
+     * @param {typeof Sequelize.Model} model - The sequelize model to query
+     * @param {object} query - The options passed to findAll, without order and transaction
+     * @param {object} [options] - The options passed to the getAll method
+     * @param {object} [options.where] - A filter expression further filtering the results (see {@link compileFilter})
+     * @param {object} [options.sort] - Describes how to sort the results
+     * @param {SortField} options.sort.field - The field to sort by
+     * @param {SortDirection} options.sort.direction - The direction to sort in
+     * @param {object} [options.page] - Paginates the results
+     * @param {number} options.page.limit - The maximum number of items per page
+     * @param {string} [options.page.cursor] - The nextCursor of the previous page. Starts with the first page if not set.
+     * @param {boolean} [options.page.totalCount=false] - Whether to count the items on all pages
+     * @param {object} [fields] - An enum of the fields options.where may use, e.g. {@link ProjectFilterField}
+     * @param {Object<string, Sequelize.Utils.Literal>} [computed] - Expressions the query adds to its attributes under these names, e.g. a distance, which may be sorted by
+     *
+     * @return {Sequelize.Model[]|{rows: Sequelize.Model[], nextCursor: string, totalCount: number}} Returns an array of rows if options.page is not set
+     *
+     * @throws {SwollyValidationError} Thrown when options.where or options.page is invalid
+     * @throws {SwollySequelizeError}
+     */
+    async _findAll(model, query, { sort, page, where: expression } = {}, fields = {}, computed = {}) {
+        if (expression != null) {
+            query = {
+                ...query,
+                where: {[Op.and]: [
+                    query.where == null ? {} : query.where,
+                    compileFilter(expression, fields, model.rawAttributes)
+                ]}
+            }
+        }
+
+        if (page == null) {
+            return await model.findAll({
+                ...query,
+                ...(sort != null && {order: [[computed[sort.field] != null ? computed[sort.field] : sort.field, sort.direction]]}),
+                transaction: this.transaction
+            })
+        }
+
+        const { field, direction } = Repository._pageOrder(sort)
+        const { limit, cursor, totalCount = false } = page
+        const orderBy = computed[field] != null ? computed[field] : field
+        Repository._validateLimit(limit)
+
+        let where = query.where == null ? {} : query.where
+
+        if (cursor != null) {
+            const position = Repository._decodeCursor(cursor)
+            const value = model.rawAttributes[field] != null && model.rawAttributes[field].type instanceof DataTypes.DATE
+                ? new Date(position.value)
+                : position.value
+            const op = direction === SortDirection.DESC ? Op.lt : Op.gt
+
+            // Computed attributes can not be referred to by their name in conditions, so their expressions are compared instead
+            where = {[Op.and]: [where, computed[field] != null
+                ? {[Op.or]: [
+                    whereFn(orderBy, op, value),
+                    {[Op.and]: [whereFn(orderBy, Op.eq, value), {id: {[op]: position.id}}]}
+                ]}
+                : {[Op.or]: [
+                    {[field]: {[op]: value}},
+                    {[field]: value, id: {[op]: position.id}}
+                ]}
+            ]}
+        }
+
+        // One more row than needed is queried to find out whether there is a next page
+        const rows = await model.findAll({
+            ...query,
+            where,
+            order: [[orderBy, direction], ["id", direction]],
+            limit: limit + 1,
+            transaction: this.transaction
+        })
+
+        const last = rows.length > limit ? rows[limit - 1] : null
+
+        return {
+            rows: rows.slice(0, limit),
+            nextCursor: last == null ? null : Repository._encodeCursor(last.get(field), last.id),
+            ...(totalCount && {totalCount: await model.count({
+                ...query,
+                distinct: true,
+                transaction: this.transaction
+            })})
+        }
+    }
+
+    /**
+     *
+     * Sort and paginate rows which have already been queried, in the same way as {@link Repository#_findAll}.
+     *
+     * @param {Sequelize.Model[]} rows - The rows to paginate
+     * @param {object} [options] - The options passed to the getAll method (see {@link Repository#_findAll})
+     * @param {function} [valueOf] - Returns the value to sort a row by. Defaults to the value of the sort field.
+     *
+     * @return {Sequelize.Model[]|{rows: Sequelize.Model[], nextCursor: string, totalCount: number}} Returns all rows sorted if options.page is not set
+     *
+     * @throws {SwollyValidationError} Thrown when options.page is invalid
+     */
+    static _paginate(rows, { sort, page } = {}, valueOf = null) {
+        const { field, direction } = Repository._pageOrder(sort)
+
+        const sign = direction === SortDirection.DESC ? -1 : 1
+        const positionOf = row => ({
+            value: Repository._cursorValue(valueOf != null ? valueOf(row) : row.get(field)),
+            id: row.id
+        })
+        const compare = (a, b) => sign * (
+            a.value < b.value ? -1 : a.value > b.value ? 1 :
+            a.id < b.id ? -1 : a.id > b.id ? 1 : 0
+        )
+
+        let entries = rows
+            .map(row => ({ row, position: positionOf(row) }))
+            .sort((a, b) => compare(a.position, b.position))
+
+        if (page == null) {
+            return entries.map(entry => entry.row)
+        }
+
+        const { limit, cursor, totalCount = false } = page
+        Repository._validateLimit(limit)
+
+        if (cursor != null) {
+            const position = Repository._decodeCursor(cursor)
+            entries = entries.filter(entry => compare(entry.position, position) > 0)
+        }
+
+        const last = entries.length > limit ? entries[limit - 1].position : null
+
+        return {
+            rows: entries.slice(0, limit).map(entry => entry.row),
+            nextCursor: last == null ? null : Repository._encodeCursor(last.value, last.id),
+            ...(totalCount && {totalCount: rows.length})
+        }
+    }
+
+    /**
+     *
+     * Wrap the result of {@link Repository#_findAll} or {@link Repository._paginate} in swolly models
+     *
+     * @param {typeof Model} ModelClass - The swolly model to wrap rows in
+     * @param {Sequelize.Model[]|object} result - The result to wrap
+     * @param {string} token - The token the result was queried with
+     * @param {User} caller - The user the result was queried by
+     *
+     * @return {Model[]|Page} Returns an array if the result is not paginated
+     */
+    async _createResult(ModelClass, result, token, caller) {
+        if (result == null) {
+            return []
+        }
+
+        if (Array.isArray(result)) {
+            return await ModelClass.createFromArray(result, this.swolly, token, caller)
+        }
+
+        return {
+            items: await ModelClass.createFromArray(result.rows, this.swolly, token, caller),
+            nextCursor: result.nextCursor,
+            ...(result.totalCount != null && {totalCount: result.totalCount})
+        }
+    }
+
+    /**
+     *
+     * Get the field and direction pages are ordered by. Defaults to the creation date in ascending order.
+     *
+     * @param {object} [sort] - Describes how to sort the results
+     *
+     * @return {{field: string, direction: SortDirection}}
+     */
+    static _pageOrder(sort) {
+        return {
+            field: sort != null && sort.field != null ? sort.field : SortField.CREATED,
+            direction: sort != null && sort.direction === SortDirection.DESC ? SortDirection.DESC : SortDirection.ASC
+        }
+    }
+
+    /**
+     *
+     * Check that a page limit is valid
+     *
+     * @param {number} limit - The limit to check
+     *
+     * @throws {SwollyValidationError} Thrown when the limit is not an integer between 1 and {@link MAX_PAGE_LIMIT}
+     */
+    static _validateLimit(limit) {
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_LIMIT) {
+            throw new Errors.ValidationError(
+                `options.page.limit has to be an integer between 1 and ${MAX_PAGE_LIMIT}.`,
+                PageValidationErrorCode.LIMIT_INVALID
+            )
+        }
+    }
+
+    /**
+     *
+     * Convert a value into the form it is stored in a cursor in
+     *
+     * @param {*} value
+     *
+     * @return {*}
+     */
+    static _cursorValue(value) {
+        return value instanceof Date ? value.getTime() : value
+    }
+
+    /**
+     *
+     * Encode the position of an item as an opaque cursor
+     *
+     * @param {*} value - The value of the sort field of the item
+     * @param {string} id - The id of the item
+     *
+     * @return {string}
+     */
+    static _encodeCursor(value, id) {
+        return Buffer.from(JSON.stringify({ v: Repository._cursorValue(value), id })).toString("base64url")
+    }
+
+    /**
+     *
+     * Decode a cursor created by {@link Repository._encodeCursor}
+     *
+     * @param {string} cursor - The cursor to decode
+     *
+     * @return {{value: *, id: string}}
+     *
+     * @throws {SwollyValidationError} Thrown when the cursor is malformed
+     */
+    static _decodeCursor(cursor) {
+        let position = null
+
+        try {
+            position = JSON.parse(Buffer.from(String(cursor), "base64url").toString())
+        } catch (err) {
+            position = null
+        }
+
+        if (position == null || typeof position !== "object" || !("v" in position) || typeof position.id !== "string") {
+            throw new Errors.ValidationError(
+                "options.page.cursor is not a valid cursor.",
+                PageValidationErrorCode.CURSOR_INVALID
+            )
+        }
+
+        return { value: position.v, id: position.id }
+    }
+
     /**
      *
      * Get an associated user object from a session token
@@ -81,6 +488,7 @@ class Repository {
             }
 
             const session = await this.store.Session.findOne({
+                transaction: this.transaction,
                 where: {
                     token
                 },
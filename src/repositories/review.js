@@ -0,0 +1,309 @@
+const Repository = require("./repository")
+const ProjectStatusChange = require("../models/projectStatusChange")
+const Errors = require("../errors")
+
+const EventType = require("../enums/eventType")
+const ProjectPermission = require("../enums/projectPermission")
+const ProjectStatus = require("../enums/projectStatus")
+const ProjectStatusChangeFilterField = require("../enums/projectStatusChangeFilterField")
+const ReviewDecision = require("../enums/reviewDecision")
+const ReviewValidationErrorCode = require("../enums/reviewValidationErrorCode")
+const SortDirection = require("../enums/sortDirection")
+const SortField = require("../enums/sortField")
+
+/**
+ * Repository for reviewing projects before they are published
+ *
+ * New projects need verification. Admins approve them, reject them or request changes,
+ * after which the creator may edit and resubmit them. Every decision is recorded in the status history of the project.
+ */
+class ReviewRepository extends Repository {
+    /**
+     *
+     * Get a listing of the projects waiting for verification, by default the longest waiting first
+     *
+     * Authorized Cases:
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     *
+     * @param {object} [options] An object with options. Supports the same options as {@link ProjectRepository#getAll}, except for the status filter.
+     *
+     * @return {Project[]|Page} Returns a {@link Page} if options.page is set
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollySequelizeError}
+     */
+    async getPending(token, options = {}) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        if (!caller.isAdmin) {
+            throw new Errors.AuthorizationError()
+        }
+
+        return await this.swolly.Project.getAll(token, {
+            ...options,
+            filter: { ...options.filter, status: ProjectStatus.NEEDS_VERIFICATION },
+            sort: options.sort != null ? options.sort : { field: SortField.UPDATED, direction: SortDirection.ASC },
+            showHidden: true
+        })
+    })}
+
+    /**
+     *
+     * Approve a project, publishing it
+     *
+     * Authorized Cases:
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} projectId - The project to approve
+     * @param {string} [reason] - A comment on the decision
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyValidationError} Thrown when the project is not waiting for verification (see {@link ReviewValidationErrorCode} for codes)
+     * @throws {SwollyNotFoundError} Thrown when the project could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async approve(token, projectId, reason = null) { return Repository._rethrow(async () => {
+        await this._decide(token, projectId, {
+            decision: ReviewDecision.APPROVE,
+            status: ProjectStatus.PUBLIC,
+            type: EventType.PROJECT_APPROVE,
+            reason,
+            reasonRequired: false
+        })
+    })}
+
+    /**
+     *
+     * Reject a project for good
+     *
+     * Authorized Cases:
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} projectId - The project to reject
+     * @param {string} reason - The reason for rejecting the project, shown to the creator
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyValidationError} Thrown when the reason is missing or the project is not waiting for verification (see {@link ReviewValidationErrorCode} for codes)
+     * @throws {SwollyNotFoundError} Thrown when the project could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async reject(token, projectId, reason) { return Repository._rethrow(async () => {
+        await this._decide(token, projectId, {
+            decision: ReviewDecision.REJECT,
+            status: ProjectStatus.REJECTED,
+            type: EventType.PROJECT_REJECT,
+            reason,
+            reasonRequired: true
+        })
+    })}
+
+    /**
+     *
+     * Request changes to a project. The creator may then edit the project and resubmit it (see {@link ReviewRepository#resubmit}).
+     *
+     * Authorized Cases:
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} projectId - The project to request changes to
+     * @param {string} reason - The changes to make, shown to the creator
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyValidationError} Thrown when the reason is missing or the project is not waiting for verification (see {@link ReviewValidationErrorCode} for codes)
+     * @throws {SwollyNotFoundError} Thrown when the project could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async requestChanges(token, projectId, reason) { return Repository._rethrow(async () => {
+        await this._decide(token, projectId, {
+            decision: ReviewDecision.REQUEST_CHANGES,
+            status: ProjectStatus.CHANGES_REQUESTED,
+            type: EventType.PROJECT_REQUEST_CHANGES,
+            reason,
+            reasonRequired: true
+        })
+    })}
+
+    /**
+     *
+     * Resubmit a project for verification, after changes were requested
+     *
+     * Authorized Cases:
+     * - The creator of the project
+     * - A member of the project allowed to edit it (see {@link ProjectPermission}.EDIT)
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} projectId - The project to resubmit
+     * @param {string} [reason] - A comment on the changes made
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyValidationError} Thrown when no changes were requested (see {@link ReviewValidationErrorCode} for codes)
+     * @throws {SwollyNotFoundError} Thrown when the project could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async resubmit(token, projectId, reason = null) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        ReviewRepository._validateReason(reason, false)
+
+        await this._inTransaction(async repository => {
+            const project = await repository._getProject(projectId)
+
+            if (!caller.isAdmin && !await repository.swolly.ProjectMember._hasPermission(caller, project, ProjectPermission.EDIT)) {
+                throw new Errors.AuthorizationError()
+            }
+
+            if (project.status !== ProjectStatus.CHANGES_REQUESTED) {
+                throw new Errors.ValidationError(
+                    "Only projects changes were requested to may be resubmitted.",
+                    ReviewValidationErrorCode.STATUS_INVALID
+                )
+            }
+
+            await repository.swolly.Project._changeStatus(project, ProjectStatus.NEEDS_VERIFICATION, {
+                type: EventType.PROJECT_RESUBMIT, decision: ReviewDecision.RESUBMIT, reason, caller
+            })
+        })
+    })}
+
+    /**
+     *
+     * Get the status history of a project, by default the oldest change first
+     *
+     * Authorized Cases:
+     * - The creator or a member of the project
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} projectId - The project to get the history of
+     *
+     * @param {object} [options] An object with options
+     *
+     * @param {object} [options.where] A filter expression filtering the results, using the fields in {@link ProjectStatusChangeFilterField} (see {@link compileFilter})
+     *
+     * @param {object} [options.sort] Describes how to sort the results
+     * @param {ProjectStatusChangeSortField} [options.sort.field] The field to sort by
+     * @param {SortDirection} [options.sort.direction] The direction to sort in
+     *
+     * @param {object} [options.page] Paginates the results
+     * @param {number} options.page.limit The maximum number of items per page
+     * @param {string} [options.page.cursor] The nextCursor of the previous page. Starts with the first page if not set.
+     * @param {boolean} [options.page.totalCount=false] Whether to count the items on all pages
+     *
+     * @return {ProjectStatusChange[]|Page} Returns a {@link Page} if options.page is set
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyNotFoundError} Thrown when the project could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async getHistory(token, projectId, options = {}) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        const project = await this._getProject(projectId)
+
+        if (!caller.isAdmin && await this.swolly.ProjectMember._getRole(caller, project) == null) {
+            throw new Errors.AuthorizationError()
+        }
+
+        const result = await this._findAll(this.store.ProjectStatusChange, {
+            where: { ProjectId: projectId }
+        }, {
+            ...options,
+            sort: options.sort != null ? options.sort : { field: SortField.CREATED, direction: SortDirection.ASC }
+        }, ProjectStatusChangeFilterField)
+
+        return await this._createResult(ProjectStatusChange, result, token, caller)
+    })}
+
+    /**
+     *
+     * Make a decision on a project waiting for verification
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} projectId - The project to decide on
+     * @param {object} values - An object describing the decision
+     * @param {ReviewDecision} values.decision - The decision
+     * @param {ProjectStatus} values.status - The status the project gets
+     * @param {EventType} values.type - The type of the change
+     * @param {string} [values.reason] - The reason for the decision
+     * @param {boolean} values.reasonRequired - Whether a reason has to be given
+     */
+    async _decide(token, projectId, { decision, status, type, reason, reasonRequired }) {
+        const caller = await this._getAuth(token)
+
+        if (!caller.isAdmin) {
+            throw new Errors.AuthorizationError()
+        }
+
+        ReviewRepository._validateReason(reason, reasonRequired)
+
+        await this._inTransaction(async repository => {
+            const project = await repository._getProject(projectId)
+
+            if (project.status !== ProjectStatus.NEEDS_VERIFICATION) {
+                throw new Errors.ValidationError(
+                    "Only projects waiting for verification may be reviewed.",
+                    ReviewValidationErrorCode.STATUS_INVALID
+                )
+            }
+
+            await repository.swolly.Project._changeStatus(project, status, {
+                type, decision, reason: reason == null || reason === "" ? null : reason, caller
+            })
+        })
+    }
+
+    /**
+     *
+     * Get a project by its id, locking it for the rest of the transaction
+     *
+     * @param {string} projectId - The id of the project
+     *
+     * @return {Sequelize.Model}
+     *
+     * @throws {SwollyNotFoundError} Thrown when the project could not be found
+     */
+    async _getProject(projectId) {
+        // Locked, so two reviewers can not decide on the same project at once
+        const project = await this.store.Project.findByPk(projectId, {
+            transaction: this.transaction,
+            ...(this.transaction != null && {lock: true})
+        })
+
+        if (project == null) {
+            throw new Errors.NotFoundError("Project could not be found.")
+        }
+        return project
+    }
+
+    /**
+     *
+     * Validate the reason for a decision
+     *
+     * @param {string} [reason] - The reason to validate
+     * @param {boolean} required - Whether a reason has to be given
+     *
+     * @throws {SwollyValidationError}
+     */
+    static _validateReason(reason, required) {
+        if (reason != null && typeof reason !== "string") {
+            throw new Errors.ValidationError(
+                "reason must be a string",
+                ReviewValidationErrorCode.REASON_NOT_STRING
+            )
+        }
+
+        if (required && (reason == null || reason.trim() === "")) {
+            throw new Errors.ValidationError(
+                "A reason has to be given for this decision.",
+                ReviewValidationErrorCode.REASON_MISSING
+            )
+        }
+    }
+}
+
+module.exports = ReviewRepository
@@ -1,9 +1,11 @@
 const Repository = require("./repository")
 const Session = require("../models/session")
 const Errors = require("../errors")
+const EventType = require("../enums/eventType")
 
 const bcrypt = require("bcrypt")
 const { nanoid } = require("nanoid")
+const SessionFilterField = require("../enums/sessionFilterField")
 
 /**
  * Repository for all methods relating to sessions
@@ -24,25 +26,33 @@ class SessionRepository extends Repository {
      * @param {object} [options.filter] Describes how to filter the results
      * @param {string} options.filter.userId Filters result down to sessions belonging to a specific user
      *
+     * @param {object} [options.where] A filter expression further filtering the results, using the fields in {@link SessionFilterField} (see {@link compileFilter})
+     *
      * @param {object} [options.sort] Describes how to sort the results
      * @param {SessionSortField} options.sort.field The field to sort by
      * @param {SortDirection} options.sort.direction The direction to sort in
      *
+     * @param {object} [options.page] Paginates the results
+     * @param {number} options.page.limit The maximum number of items per page
+     * @param {string} [options.page.cursor] The nextCursor of the previous page. Starts with the first page if not set.
+     * @param {boolean} [options.page.totalCount=false] Whether to count the items on all pages
+     *
+     * @return {Session[]|Page} Returns a {@link Page} if options.page is set
+     *
      * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
      * @throws {SwollySequelizeError}
      */
     async getAll(token, options = {}) { return Repository._rethrow(async () => {
         const caller = await this._getAuth(token)
 
-        const { filter, sort } = options
+        const { filter } = options
 
-        const result = await this.store.Session.findAll({
+        const result = await this._findAll(this.store.Session, {
             ...(filter != null && {where: {
                 ...(filter.userId != null && {UserId: filter.userId})
             }}),
-            ...(sort != null && {order: [[sort.field, sort.direction]]})
-        })
-        return result == null ? [] : await Session.createFromArray(result, this.swolly, token, caller)
+        }, options, SessionFilterField)
+        return await this._createResult(Session, result, token, caller)
     })}
 
     /**
@@ -61,7 +71,7 @@ class SessionRepository extends Repository {
      */
     async get(token, id) { return Repository._rethrow(async () => {
         const caller = await this._getAuth(token)
-        const result = await this.store.Session.findByPk(id)
+        const result = await this.store.Session.findByPk(id, { transaction: this.transaction })
         return result == null ? null : await Session.create(result, this.swolly, token, caller)
     })}
 
@@ -94,10 +104,12 @@ class SessionRepository extends Repository {
             throw new Errors.AuthorizationError("User is not known or password was incorrect.")
         }
 
-        const session = await this.store.Session.create({
+        const session = await this._mutate(EventType.SESSION_CREATE, {
+            after: { UserId: user.getId() }, caller: user
+        }, repository => repository.store.Session.create({
             token: nanoid(255),
             UserId: user.getId()
-        })
+        }, { transaction: repository.transaction }))
 
         user.setCallerToken(session.token)
         await user.authenticate()
@@ -123,13 +135,18 @@ class SessionRepository extends Repository {
      */
     async delete(token, id) { return Repository._rethrow(async () => {
         const caller = await this._getAuth(token)
-        const session = await this.store.Session.findByPk(id)
+        const session = await this.store.Session.findByPk(id, { transaction: this.transaction })
 
         if (session.UserId != caller.getId()) {
             throw new Errors.AuthorizationError("Users may only delete their own sessions.")
         }
 
-        await session.destroy()
+        await this._mutate(EventType.SESSION_DELETE, {
+            id: session.id, before: Repository._snapshot(session), caller
+        }, async repository => {
+            await session.destroy({ transaction: repository.transaction })
+            return null
+        })
     })}
 
     /**
@@ -148,6 +165,7 @@ class SessionRepository extends Repository {
     async deleteByToken(token, sessionToken) { return Repository._rethrow(async () => {
         const caller = await this._getAuth(token)
         const session = await this.store.Session.findOne({
+            transaction: this.transaction,
             where: { token: sessionToken }
         })
 
@@ -155,7 +173,12 @@ class SessionRepository extends Repository {
             throw new Errors.AuthorizationError("Users may only delete their own sessions.")
         }
 
-        await session.destroy()
+        await this._mutate(EventType.SESSION_DELETE, {
+            id: session.id, before: Repository._snapshot(session), caller
+        }, async repository => {
+            await session.destroy({ transaction: repository.transaction })
+            return null
+        })
     })}
 }
 
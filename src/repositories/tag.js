@@ -0,0 +1,500 @@
+const Repository = require("./repository")
+const Project = require("../models/project")
+const Tag = require("../models/tag")
+const Errors = require("../errors")
+const ProjectLifecycle = require("../utils/projectLifecycle")
+const { Op } = require("sequelize")
+
+const EventType = require("../enums/eventType")
+const ProjectPermission = require("../enums/projectPermission")
+const TagFilterField = require("../enums/tagFilterField")
+const TagValidationErrorCode = require("../enums/tagValidationErrorCode")
+
+/**
+ * The maximum number of suggestions returned by {@link TagRepository#autocomplete}
+ */
+const MAX_SUGGESTIONS = 50
+
+/**
+ * Repository for all methods relating to tags
+ *
+ * Tags are free-form labels of projects. They are created when a project is first labeled with them and are managed by admins.
+ */
+class TagRepository extends Repository {
+    /**
+     *
+     * Get a listing of tags, optionally filtered and sorted
+     *
+     * Authorized Cases:
+     * - Any registered user, for all tags or those of public projects
+     * - The creator or a member of the project
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     *
+     * @param {object} [options] An object with options
+     *
+     * @param {object} [options.filter] Describes how to filter the results
+     * @param {string} [options.filter.projectId] Filters result down to the tags of a project
+     *
+     * @param {object} [options.where] A filter expression further filtering the results, using the fields in {@link TagFilterField} (see {@link compileFilter})
+     *
+     * @param {object} [options.sort] Describes how to sort the results
+     * @param {TagSortField} [options.sort.field] The field to sort by
+     * @param {SortDirection} [options.sort.direction] The direction to sort in
+     *
+     * @param {object} [options.page] Paginates the results
+     * @param {number} options.page.limit The maximum number of items per page
+     * @param {string} [options.page.cursor] The nextCursor of the previous page. Starts with the first page if not set.
+     * @param {boolean} [options.page.totalCount=false] Whether to count the items on all pages
+     *
+     * @return {Tag[]|Page} Returns a {@link Page} if options.page is set
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyNotFoundError} Thrown when the project filtered by could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async getAll(token, options = {}) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        const { filter } = options
+
+        if (filter != null && filter.projectId != null) {
+            const project = await this._getProject(filter.projectId)
+
+            if (
+                !caller.isAdmin
+                && !ProjectLifecycle.LISTED_STATUSES.includes(project.status)
+                && await this.swolly.ProjectMember._getRole(caller, project) == null
+            ) {
+                throw new Errors.AuthorizationError()
+            }
+        }
+
+        const result = await this._findAll(this.store.Tag, {
+            ...(filter != null && filter.projectId != null && {include: {
+                model: this.store.Project,
+                as: "projects",
+                attributes: [],
+                required: true,
+                through: {
+                    where: {
+                        ProjectId: filter.projectId
+                    }
+                }
+            }})
+        }, options, TagFilterField)
+
+        return await this._createResult(Tag, result, token, caller)
+    })}
+
+    /**
+     *
+     * Get a tag by its id
+     *
+     * Authorized Cases:
+     * - Any registered user
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} id - A valid tag id
+     *
+     * @return {Tag}
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollySequelizeError}
+     */
+    async get(token, id) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+        const result = await this.store.Tag.findByPk(id, { transaction: this.transaction })
+        return result == null ? null : await Tag.create(result, this.swolly, token, caller)
+    })}
+
+    /**
+     *
+     * Suggest tags starting with some text, e.g. while the user is typing. The tags labeling the most projects are suggested first.
+     * Each tag will carry the number of projects it labels (see {@link Tag#getProjectCount}).
+     *
+     * Authorized Cases:
+     * - Any registered user
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} prefix - The text the names of the tags start with
+     *
+     * @param {object} [options] An object with options
+     * @param {number} [options.limit=10] The maximum number of suggestions (max: 50)
+     *
+     * @return {Tag[]}
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollySequelizeError}
+     */
+    async autocomplete(token, prefix, options = {}) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        const { limit = 10 } = options
+        prefix = Tag.normalize(prefix)
+
+        // Names only consist of letters, numbers, spaces and hyphens, so prefixes with other characters (e.g. LIKE wildcards) match no tag
+        if (typeof prefix !== "string" || !/^[\p{L}\p{N} -]+$/u.test(prefix)) {
+            return []
+        }
+
+        const max = Math.min(limit, MAX_SUGGESTIONS)
+
+        if (!(max > 0)) {
+            return []
+        }
+
+        const { sequelize } = this.store
+        const generator = sequelize.getQueryInterface().queryGenerator
+        const projectTags = generator.quoteTable(this.store.ProjectTag.getTableName())
+
+        // Counted, sorted and limited in the database, so only the suggestions are loaded however many tags match
+        const projectCount = sequelize.literal(
+            `(SELECT COUNT(*) FROM ${projectTags}`
+            + ` WHERE ${projectTags}.${generator.quoteIdentifier("TagId")} = ${generator.quoteIdentifier("Tag")}.${generator.quoteIdentifier("id")})`
+        )
+
+        const result = await this.store.Tag.findAll({
+            attributes: { include: [[projectCount, "projectCount"]] },
+            where: { name: {[Op.startsWith]: prefix} },
+            order: [[projectCount, "DESC"], ["name", "ASC"]],
+            limit: max,
+            transaction: this.transaction
+        })
+
+        for (const tag of result) {
+            tag.setDataValue("projectCount", Number(tag.getDataValue("projectCount")))
+        }
+
+        return await this._createResult(Tag, result, token, caller)
+    })}
+
+    /**
+     *
+     * Rename a tag
+     *
+     * Authorized Cases:
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     *
+     * @param {string} id - The tag to operate on
+     *
+     * @param {object} update - The object containing the values of the tag
+     * @param {string} [update.name] - New name of the tag
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyValidationError} Thrown when the tag is not correct in some way or another tag already has the name (see {@link TagValidationErrorCode} for codes)
+     * @throws {SwollyNotFoundError} Thrown when the tag could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async update(token, id, update) { return Repository._rethrow(async () => {
+        if (update && Object.keys(update).length === 0) {
+            return
+        }
+
+        const caller = await this._getAuth(token)
+
+        if (!caller.isAdmin) {
+            throw new Errors.AuthorizationError()
+        }
+
+        const tag = await this._getTag(id)
+
+        Tag.validate({ ...tag.dataValues, ...update })
+
+        const changes = {
+            ...(update.name != null && {name: Tag.normalize(update.name)}),
+        }
+
+        if (changes.name != null && changes.name !== tag.name && await this.store.Tag.findOne({
+            where: { name: changes.name },
+            transaction: this.transaction
+        }) != null) {
+            throw new Errors.ValidationError(
+                "Another tag already has this name, the tags may be merged instead.",
+                TagValidationErrorCode.NAME_TAKEN
+            )
+        }
+
+        const before = Repository._snapshot(tag)
+
+        await this._mutate(EventType.TAG_UPDATE, {
+            id, before, after: { ...before, ...changes }, caller
+        }, async repository => {
+            await repository.store.Tag.update(changes, { where: { id }, transaction: repository.transaction })
+            return await tag.reload({ transaction: repository.transaction })
+        })
+    })}
+
+    /**
+     *
+     * Merge a tag into another one. The projects labeled with the tag are labeled with the other one instead, and the tag is deleted.
+     *
+     * Authorized Cases:
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} id - The tag to merge, which is deleted
+     * @param {string} targetId - The tag to merge into
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyValidationError} Thrown when a tag is merged into itself (see {@link TagValidationErrorCode} for codes)
+     * @throws {SwollyNotFoundError} Thrown when one of the tags could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async merge(token, id, targetId) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        if (!caller.isAdmin) {
+            throw new Errors.AuthorizationError()
+        }
+
+        if (id === targetId) {
+            throw new Errors.ValidationError(
+                "A tag may not be merged into itself.",
+                TagValidationErrorCode.MERGE_INVALID
+            )
+        }
+
+        const tag = await this._getTag(id)
+        const target = await this._getTag(targetId)
+
+        await this._inTransaction(async repository => {
+            const links = await repository.store.ProjectTag.findAll({
+                where: { TagId: id },
+                transaction: repository.transaction
+            })
+            const projectIds = links.map(link => link.ProjectId)
+
+            await repository._mutate(EventType.TAG_MERGE, {
+                id, before: Repository._snapshot(tag), after: { ...Repository._snapshot(target), projectIds }, caller
+            }, async () => {
+                await target.addProjects(projectIds, { transaction: repository.transaction })
+                await tag.destroy({ transaction: repository.transaction })
+                return null
+            })
+        })
+    })}
+
+    /**
+     *
+     * Delete a tag, removing it from all projects
+     *
+     * Authorized Cases:
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} id - The tag to operate on
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyNotFoundError} Thrown when the tag could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async delete(token, id) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        if (!caller.isAdmin) {
+            throw new Errors.AuthorizationError()
+        }
+
+        const tag = await this._getTag(id)
+
+        await this._mutate(EventType.TAG_DELETE, {
+            id, before: Repository._snapshot(tag), caller
+        }, async repository => {
+            await tag.destroy({ transaction: repository.transaction })
+            return null
+        })
+    })}
+
+    /**
+     *
+     * Label a project with tags. Tags which do not exist yet are created, tags the project already has are skipped.
+     *
+     * Authorized Cases:
+     * - The creator of the project
+     * - A member of the project allowed to edit it (see {@link ProjectPermission}.EDIT)
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} projectId - The project to label
+     * @param {string[]} names - The names of the tags
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyValidationError} Thrown when a name is not correct in some way (see {@link TagValidationErrorCode} for codes) or the project would have too many tags (see {@link ProjectValidationErrorCode} for codes)
+     * @throws {SwollyNotFoundError} Thrown when the project could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async assign(token, projectId, names) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        const project = await this._getEditableProject(caller, projectId)
+
+        await this._inTransaction(async repository => {
+            const tags = await repository._findOrCreate(TagRepository._toArray(names))
+            const current = await project.getTags({ transaction: repository.transaction })
+            const added = tags.filter(tag => !current.some(other => other.id === tag.id))
+
+            if (added.length === 0) {
+                return
+            }
+
+            Project.validateTags([...current, ...added].map(tag => tag.name))
+
+            await repository._mutate(EventType.TAG_ASSIGN, {
+                id: projectId, after: { ProjectId: projectId, tags: added.map(tag => tag.name) }, caller
+            }, async () => {
+                await project.addTags(added, { transaction: repository.transaction })
+                return { ProjectId: projectId, tags: added.map(tag => tag.name) }
+            })
+        })
+    })}
+
+    /**
+     *
+     * Remove tags from a project. Tags the project does not have are skipped. The tags themselves are kept.
+     *
+     * Authorized Cases:
+     * - The creator of the project
+     * - A member of the project allowed to edit it (see {@link ProjectPermission}.EDIT)
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} projectId - The project to operate on
+     * @param {string[]} names - The names of the tags
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyNotFoundError} Thrown when the project could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async unassign(token, projectId, names) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        const project = await this._getEditableProject(caller, projectId)
+
+        const removed = await project.getTags({
+            where: { name: {[Op.in]: TagRepository._toArray(names).map(Tag.normalize)} },
+            transaction: this.transaction
+        })
+
+        if (removed.length === 0) {
+            return
+        }
+
+        await this._mutate(EventType.TAG_UNASSIGN, {
+            id: projectId, before: { ProjectId: projectId, tags: removed.map(tag => tag.name) }, caller
+        }, async repository => {
+            await project.removeTags(removed, { transaction: repository.transaction })
+            return null
+        })
+    })}
+
+    /**
+     *
+     * Get a tag
+     *
+     * @param {string} id - The id of the tag
+     *
+     * @return {Sequelize.Model}
+     *
+     * @throws {SwollyNotFoundError} Thrown when the tag could not be found
+     */
+    async _getTag(id) {
+        const tag = await this.store.Tag.findByPk(id, { transaction: this.transaction })
+
+        if (tag == null) {
+            throw new Errors.NotFoundError("Tag could not be found.")
+        }
+
+        return tag
+    }
+
+    /**
+     *
+     * Get a project
+     *
+     * @param {string} id - The id of the project
+     *
+     * @return {Sequelize.Model}
+     *
+     * @throws {SwollyNotFoundError} Thrown when the project could not be found
+     */
+    async _getProject(id) {
+        const project = await this.store.Project.findByPk(id, { transaction: this.transaction })
+
+        if (project == null) {
+            throw new Errors.NotFoundError("Project could not be found.")
+        }
+
+        return project
+    }
+
+    /**
+     *
+     * Get a project whose tags a user wants to change
+     *
+     * @param {User} user - The user changing the tags
+     * @param {string} id - The id of the project
+     *
+     * @return {Sequelize.Model}
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the user may not edit the project
+     * @throws {SwollyNotFoundError} Thrown when the project could not be found
+     */
+    async _getEditableProject(user, id) {
+        const project = await this._getProject(id)
+
+        if (!user.isAdmin && !await this.swolly.ProjectMember._hasPermission(user, project, ProjectPermission.EDIT)) {
+            throw new Errors.AuthorizationError()
+        }
+
+        return project
+    }
+
+    /**
+     *
+     * Accept a single name where a list of names is expected
+     *
+     * @param {string|string[]} names
+     *
+     * @return {string[]}
+     */
+    static _toArray(names) {
+        return Array.isArray(names) ? names : [names]
+    }
+
+    /**
+     *
+     * Get the tags with some names, creating those which do not exist yet. The names are normalized (see {@link Tag.normalize}).
+     *
+     * @param {string[]} names - The names of the tags
+     *
+     * @return {Sequelize.Model[]}
+     *
+     * @throws {SwollyValidationError} Thrown when a name is not correct in some way (see {@link TagValidationErrorCode} for codes)
+     * @throws {SwollySequelizeError}
+     */
+    async _findOrCreate(names) {
+        for (const name of names) {
+            Tag.validate({ name })
+        }
+
+        names = [...new Set(names.map(Tag.normalize))]
+
+        const tags = await this.store.Tag.findAll({
+            where: { name: {[Op.in]: names} },
+            transaction: this.transaction
+        })
+        const missing = names.filter(name => !tags.some(tag => tag.name === name))
+
+        for (const name of missing) {
+            tags.push(await this.store.Tag.create({ name }, { transaction: this.transaction }))
+        }
+
+        return tags
+    }
+}
+
+module.exports = TagRepository
@@ -1,6 +1,14 @@
 const Repository = require("./repository")
 const Task = require("../models/task")
 const Errors = require("../errors")
+const buildSearch = require("../utils/search")
+const { Op } = require("sequelize")
+const EventType = require("../enums/eventType")
+const ProjectPermission = require("../enums/projectPermission")
+const SortDirection = require("../enums/sortDirection")
+const TaskStatus = require("../enums/taskStatus")
+const TaskFilterField = require("../enums/taskFilterField")
+const TaskValidationErrorCode = require("../enums/taskValidationErrorCode")
 
 /**
  * Repository for all methods relating to tasks
@@ -20,26 +28,103 @@ class TaskRepository extends Repository {
      * @param {object} [options.filter] Describes how to filter the results
      * @param {string} [options.filter.projectId] Filters result down to tasks of a project
      * @param {string} [options.filter.supporterId] Filters result down to tasks supported by a user
+     * @param {TaskStatus} [options.filter.status] Filters result down to tasks with a specific status
+     *
+     * @param {object} [options.where] A filter expression further filtering the results, using the fields in {@link TaskFilterField} (see {@link compileFilter})
      *
      * @param {object} [options.sort] Describes how to sort the results
      * @param {TaskSortField} [options.sort.field] The field to sort by
      * @param {SortDirection} [options.sort.direction] The direction to sort in
      *
+     * @param {object} [options.page] Paginates the results
+     * @param {number} options.page.limit The maximum number of items per page
+     * @param {string} [options.page.cursor] The nextCursor of the previous page. Starts with the first page if not set.
+     * @param {boolean} [options.page.totalCount=false] Whether to count the items on all pages
+     *
+     * @param {boolean} [options.includeDeleted=false] Whether to show deleted tasks (only admins, see {@link TaskRepository#delete})
+     *
      * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
      * @throws {SwollySequelizeError}
      *
-     * @return {Task[]}
+     * @return {Task[]|Page} Returns a {@link Page} if options.page is set
      */
     async getAll(token, options = {}) { return Repository._rethrow(async () => {
         const caller = await this._getAuth(token)
 
-        let { filter, sort } = options
+        return await this._query(token, caller, options)
+    })}
 
-        const result = await this.store.Task.findAll({
-            ...(filter != null && {where: {
-                ...(filter.projectId != null && {ProjectId: filter.projectId}),
-            }}),
-            ...(sort != null && {order: [[sort.field, sort.direction]]}),
+    /**
+     *
+     * Search tasks by their title and description, optionally filtered and sorted. The results are ranked by relevance (see {@link buildSearch}).
+     *
+     * Authorized Cases:
+     * - Any registered user
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} query - The text to search for
+     *
+     * @param {object} [options] An object with options. Each task will carry its relevance (see {@link Task#getRelevance}).
+     *
+     * @param {object} [options.filter] Describes how to filter the results
+     * @param {string} [options.filter.projectId] Filters result down to tasks of a project
+     * @param {string} [options.filter.supporterId] Filters result down to tasks supported by a user
+     * @param {TaskStatus} [options.filter.status] Filters result down to tasks with a specific status
+     *
+     * @param {object} [options.where] A filter expression further filtering the results, using the fields in {@link TaskFilterField} (see {@link compileFilter})
+     *
+     * @param {object} [options.sort] Describes how to sort the results (Note: Results are sorted by relevance if this is not set)
+     * @param {TaskSortField} [options.sort.field] The field to sort by
+     * @param {SortDirection} [options.sort.direction] The direction to sort in
+     *
+     * @param {object} [options.page] Paginates the results (Note: Without sorting, results are paginated by relevance)
+     * @param {number} options.page.limit The maximum number of items per page
+     * @param {string} [options.page.cursor] The nextCursor of the previous page. Starts with the first page if not set.
+     * @param {boolean} [options.page.totalCount=false] Whether to count the items on all pages
+     *
+     * @param {boolean} [options.includeDeleted=false] Whether to show deleted tasks (only admins, see {@link TaskRepository#delete})
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyValidationError} Thrown when the query is invalid (see {@link SearchValidationErrorCode} for codes)
+     * @throws {SwollySequelizeError}
+     *
+     * @return {Task[]|Page} Returns a {@link Page} if options.page is set
+     */
+    async search(token, query, options = {}) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        const search = buildSearch(this.store.Task, query, { title: 2, description: 1 })
+
+        return await this._query(token, caller, options, search)
+    })}
+
+    /**
+     *
+     * Query tasks for {@link TaskRepository#getAll} and {@link TaskRepository#search}
+     *
+     * @param {string} token - The token the results are queried with
+     * @param {User} caller - The authenticated caller
+     * @param {object} options - The options passed to getAll or search
+     * @param {{where: object, relevance: Sequelize.Utils.Literal}} [search] - A search built by {@link buildSearch}
+     *
+     * @return {Task[]|Page}
+     */
+    async _query(token, caller, options, search = null) {
+        let { filter, sort, includeDeleted=false } = options
+
+        if (includeDeleted && !caller.isAdmin) {
+            throw new Errors.AuthorizationError()
+        }
+
+        const where = {
+            ...(filter != null && filter.projectId != null && {ProjectId: filter.projectId}),
+            ...(filter != null && filter.status != null && {status: filter.status}),
+        }
+
+        const query = {
+            where: search == null ? where : {[Op.and]: [where, search.where]},
+            ...(search != null && {attributes: {include: [[search.relevance, "relevance"]]}}),
+            ...(includeDeleted && {paranoid: false}),
             ...(filter != null && filter.supporterId != null && { include: {
                 model: this.store.User,
                 as: "supporters",
@@ -49,10 +134,18 @@ class TaskRepository extends Repository {
                     }
                 }
             }}),
-        })
+        }
 
-        return result == null ? [] : await Task.createFromArray(result, this.swolly, token, caller)
-    })}
+        if (sort == null && search != null) {
+            sort = { field: "relevance", direction: SortDirection.DESC }
+        }
+
+        // Relevances are computed by the database, so search results can be sorted and paginated by them there
+        const result = await this._findAll(this.store.Task, query, { ...options, sort }, TaskFilterField, {
+            ...(search != null && {relevance: search.relevance})
+        })
+        return await this._createResult(Task, result, token, caller)
+    }
 
     /**
      *
@@ -71,7 +164,7 @@ class TaskRepository extends Repository {
      */
     async get(token, id) { return Repository._rethrow(async () => {
         const caller = await this._getAuth(token)
-        const result = await this.store.Task.findByPk(id)
+        const result = await this.store.Task.findByPk(id, { transaction: this.transaction })
         return result == null ? null : await Task.create(result, this.swolly, token, caller)
     })}
 
@@ -83,6 +176,7 @@ class TaskRepository extends Repository {
      * Authorized Cases:
      * - An admin creating a new task
      * - A project owner creating a new task on their project
+     * - A project member allowed to manage tasks (see {@link ProjectPermission}.MANAGE_TASKS)
      *
      * @param {string} token - A authentication token for verifying authorization
      *
@@ -91,6 +185,7 @@ class TaskRepository extends Repository {
      * @param {string} task.description - Description of the task
      * @param {number} task.supporterGoal - Supporter goal of the task
      * @param {string} task.projectId - The project this task should be assigned to
+     * @param {TaskStatus} [task.status="OPEN"] - Status of the task
      *
      * @return {Task}
      *
@@ -103,7 +198,7 @@ class TaskRepository extends Repository {
 
         Task.validate(values)
 
-        const project = await this.store.Project.findByPk(values.projectId)
+        const project = await this.store.Project.findByPk(values.projectId, { transaction: this.transaction })
 
         if (project == null) {
             throw new Errors.NotFoundError("Project not found.")
@@ -111,16 +206,21 @@ class TaskRepository extends Repository {
 
         if(
             !caller.isAdmin
-            && project.CreatorId !== caller.getId()
+            && !await this.swolly.ProjectMember._hasPermission(caller, project, ProjectPermission.MANAGE_TASKS)
         ) { 
             throw new Errors.AuthorizationError()
         }
 
-        const task = await project.createTask({
+        const data = {
             title: values.title,
             description: values.description,
             supporterGoal: values.supporterGoal,
-        })
+            status: values.status != null ? values.status : TaskStatus.OPEN,
+        }
+
+        const task = await this._mutate(EventType.TASK_CREATE, {
+            after: { ...data, ProjectId: project.id }, caller
+        }, repository => project.createTask(data, { transaction: repository.transaction }))
 
         return await Task.create(task, this.swolly, token)
     })}
@@ -132,6 +232,7 @@ class TaskRepository extends Repository {
      * Authorized Cases:
      * - An admin updating a task
      * - A project creator updating a task they made
+     * - A project member allowed to manage tasks
      *
      * @param {string} token - A authentication token for verifying authorization
      *
@@ -141,6 +242,7 @@ class TaskRepository extends Repository {
      * @param {string} [update.title] - Title of the task
      * @param {string} [update.description] - Description of the task
      * @param {number} [update.supporterGoal] - Supporter goal of the task
+     * @param {TaskStatus} [update.status] - Status of the task
      *
      * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
      * @throws {SwollyValidationError} Thrown when the task is not correct in some way (see {@link TaskValidationErrorCode} for codes)
@@ -155,19 +257,20 @@ class TaskRepository extends Repository {
         const caller = await this._getAuth(token)
 
         const task = await this.store.Task.findByPk(id, {
+            transaction: this.transaction,
             include: {
                 model: this.store.Project,
                 as: "project"
             }
         })
         if (task == null) {
-            throw new Error.NotFoundError("Task could not be found.")
+            throw new Errors.NotFoundError("Task could not be found.")
         }
 
 
         if(
             !caller.isAdmin
-            && task.project.CreatorId !== caller.getId()
+            && !await this.swolly.ProjectMember._hasPermission(caller, task.project, ProjectPermission.MANAGE_TASKS)
         ) { 
             throw new Errors.AuthorizationError()
         }
@@ -175,20 +278,30 @@ class TaskRepository extends Repository {
 
         Task.validate({ ...task.dataValues, ...update })
 
-        await this.store.Task.update({
+        const changes = {
             ...(update.title != null && {title: update.title}),
             ...(update.description != null && {description: update.description}),
             ...(update.supporterGoal != null && {supporterGoal: update.supporterGoal}),
-        }, { where: { id } })
+            ...(update.status != null && {status: update.status}),
+        }
+        const before = Repository._snapshot(task)
+
+        await this._mutate(EventType.TASK_UPDATE, {
+            id, before, after: { ...before, ...changes }, caller
+        }, async repository => {
+            await repository.store.Task.update(changes, { where: { id }, transaction: repository.transaction })
+            return await task.reload({ transaction: repository.transaction })
+        })
     })}
 
     /**
      *
-     * Delete an existing task
+     * Delete an existing task. It is kept, hidden, until it is purged (see {@link TaskRepository#purge}) and may be restored (see {@link TaskRepository#restore}).
      *
      * Authorized Cases:
      * - An admin deleting a task
      * - A project creator deleting a task they made
+     * - A project member allowed to manage tasks
      *
      * @param {string} token - An authentication token for verifying authorization
      * @param {string} id - The task to operate on
@@ -201,24 +314,134 @@ class TaskRepository extends Repository {
         const caller = await this._getAuth(token)
 
         const task = await this.store.Task.findByPk(id, {
+            transaction: this.transaction,
             include: {
                 model: this.store.Project,
                 as: "project"
             }
         })
         if (task == null) {
-            throw new Error.NotFoundError("Task could not be found.")
+            throw new Errors.NotFoundError("Task could not be found.")
         }
 
         if(
             !caller.isAdmin
-            && task.project.CreatorId !== caller.getId()
+            && !await this.swolly.ProjectMember._hasPermission(caller, task.project, ProjectPermission.MANAGE_TASKS)
         ) { 
             throw new Errors.AuthorizationError()
         }
 
-        await task.destroy()
+        await this._mutate(EventType.TASK_DELETE, {
+            id, before: Repository._snapshot(task), caller
+        }, async repository => {
+            await task.destroy({ transaction: repository.transaction })
+            return null
+        })
     })}
+
+    /**
+     *
+     * Restore a deleted task
+     *
+     * Authorized Cases:
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} id - The task to operate on
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyValidationError} Thrown when the project of the task is deleted (see {@link TaskValidationErrorCode} for codes)
+     * @throws {SwollyNotFoundError} Thrown when the task could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async restore(token, id) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        if (!caller.isAdmin) {
+            throw new Errors.AuthorizationError()
+        }
+
+        const task = await this.store.Task.findByPk(id, { paranoid: false, transaction: this.transaction })
+        if (task == null) {
+            throw new Errors.NotFoundError("Task could not be found.")
+        }
+
+        if (task.deletedAt == null) {
+            return
+        }
+
+        if (await this.store.Project.findByPk(task.ProjectId, { transaction: this.transaction }) == null) {
+            throw new Errors.ValidationError(
+                "The project of the task is deleted and has to be restored first.",
+                TaskValidationErrorCode.PROJECT_DELETED
+            )
+        }
+
+        await this._mutate(EventType.TASK_RESTORE, {
+            id, before: Repository._snapshot(task), caller
+        }, async repository => {
+            await task.restore({ transaction: repository.transaction })
+            return await task.reload({ transaction: repository.transaction })
+        })
+    })}
+
+    /**
+     *
+     * Delete a task for good, deleted or not, along with everything depending on it
+     *
+     * Authorized Cases:
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} id - The task to operate on
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyNotFoundError} Thrown when the task could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async purge(token, id) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        if (!caller.isAdmin) {
+            throw new Errors.AuthorizationError()
+        }
+
+        const task = await this.store.Task.findByPk(id, { paranoid: false, transaction: this.transaction })
+        if (task == null) {
+            throw new Errors.NotFoundError("Task could not be found.")
+        }
+
+        await this._mutate(EventType.TASK_PURGE, {
+            id, before: Repository._snapshot(task), caller
+        }, async repository => {
+            await task.destroy({ force: true, transaction: repository.transaction })
+            return null
+        })
+    })}
+
+    /**
+     *
+     * Close all tasks of a project which are not closed yet
+     *
+     * @param {string} projectId - The project whose tasks to close
+     * @param {User} [caller] - The user causing the change
+     *
+     * @throws {SwollySequelizeError}
+     */
+    async _closeAll(projectId, caller = null) {
+        const tasks = await this.store.Task.findAll({
+            where: { ProjectId: projectId, status: { [Op.ne]: TaskStatus.CLOSED } },
+            transaction: this.transaction
+        })
+
+        for (const task of tasks) {
+            const before = Repository._snapshot(task)
+
+            await this._mutate(EventType.TASK_UPDATE, {
+                id: task.id, before, after: { ...before, status: TaskStatus.CLOSED }, caller
+            }, repository => task.update({ status: TaskStatus.CLOSED }, { transaction: repository.transaction }))
+        }
+    }
 }
 
 module.exports = TaskRepository
@@ -3,10 +3,12 @@ const User = require("../models/user")
 const Session = require("../models/session")
 const Errors = require("../errors")
 const Enums = require("../enums")
+const EventType = require("../enums/eventType")
 
 const { Sequelize } = require("sequelize");
 const { nanoid } = require("nanoid")
 const bcrypt = require("bcrypt")
+const UserFilterField = require("../enums/userFilterField")
 
 /**
  * Repository for all methods relating to users
@@ -28,11 +30,20 @@ class UserRepository extends Repository {
      * @param {string} [options.filter.role] Filters result down to users with a specific role
      * @param {string} [options.filter.supportingTaskId] Filters result down to users supporting this task
      *
+     * @param {object} [options.where] A filter expression further filtering the results, using the fields in {@link UserFilterField} (see {@link compileFilter})
+     *
      * @param {object} [options.sort] Describes how to sort the results
      * @param {UserSortField} [options.sort.field] The field to sort by
      * @param {SortDirection} [options.sort.direction] The direction to sort in
      *
-     * @return {User[]}
+     * @param {object} [options.page] Paginates the results
+     * @param {number} options.page.limit The maximum number of items per page
+     * @param {string} [options.page.cursor] The nextCursor of the previous page. Starts with the first page if not set.
+     * @param {boolean} [options.page.totalCount=false] Whether to count the items on all pages
+     *
+     * @param {boolean} [options.includeDeleted=false] Whether to show deleted users (only admins, see {@link UserRepository#delete})
+     *
+     * @return {User[]|Page} Returns a {@link Page} if options.page is set
      *
      * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
      * @throws {SwollySequelizeError}
@@ -47,13 +58,17 @@ class UserRepository extends Repository {
             throw new Errors.AuthorizationError()
         }
 
-        const { filter, sort } = options
+        const { filter, includeDeleted=false } = options
 
-        const result = await this.store.User.findAll({
+        if (includeDeleted && !caller.isAdmin) {
+            throw new Errors.AuthorizationError()
+        }
+
+        const result = await this._findAll(this.store.User, {
+            ...(includeDeleted && {paranoid: false}),
             ...(filter != null && {where: {
                 ...(filter.role != null && {role: filter.role})
             }}),
-            ...(sort != null && {order: [[sort.field, sort.direction]]}),
             ...(filter != null && filter.supportingTaskId != null && { include: {
                 model: this.store.Task,
                 as: "supportedTasks",
@@ -61,9 +76,9 @@ class UserRepository extends Repository {
                     id: filter.supportingTaskId
                 }
             }}),
-        })
+        }, options, UserFilterField)
 
-        return result == null ? [] : await User.createFromArray(result, this.swolly, token, caller)
+        return await this._createResult(User, result, token, caller)
     })}
 
     /**
@@ -84,7 +99,7 @@ class UserRepository extends Repository {
     async get(token, id) { return Repository._rethrow(async () => {
         const caller = await this._getAuth(token)
 
-        const result = await this.store.User.findByPk(id)
+        const result = await this.store.User.findByPk(id, { transaction: this.transaction })
 
         return result == null ? null : await User.create(result, this.swolly, token, caller)
     })}
@@ -103,6 +118,7 @@ class UserRepository extends Repository {
      */
     async _getByMail(mail) { return Repository._rethrow(async () => {
         const result = await this.store.User.findOne({
+            transaction: this.transaction,
             where: { mail }
         })
 
@@ -143,15 +159,19 @@ class UserRepository extends Repository {
 
         const hash = await bcrypt.hash(user.password, 12)
 
+        const data = {
+            fullname: user.fullname,
+            mail: user.mail,
+            gender: user.gender,
+            role: user.role,
+            password: hash
+        }
+
         var userResult, sessionResult
         try {
-            userResult = await this.store.User.create({
-                fullname: user.fullname,
-                mail: user.mail,
-                gender: user.gender,
-                role: user.role,
-                password: hash
-            })
+            userResult = await this._mutate(EventType.USER_CREATE, {
+                after: data, caller
+            }, repository => repository.store.User.create(data, { transaction: repository.transaction }))
         } catch (err) {
             if (err instanceof Sequelize.UniqueConstraintError) {
                 throw new Errors.ValidationError(
@@ -162,9 +182,11 @@ class UserRepository extends Repository {
             throw err
         }
 
-        sessionResult = await userResult.createSession({
+        sessionResult = await this._mutate(EventType.SESSION_CREATE, {
+            after: { UserId: userResult.id }, caller
+        }, repository => userResult.createSession({
             token: nanoid(255)
-        })
+        }, { transaction: repository.transaction }))
 
         return {
             user: await User.create(userResult, this.swolly, sessionResult.token),
@@ -210,30 +232,39 @@ class UserRepository extends Repository {
             throw new Errors.AuthorizationError()
         }
 
-        const userInstance = await this.store.User.findByPk(id)
+        const userInstance = await this.store.User.findByPk(id, { transaction: this.transaction })
         if (userInstance == null) {
-            throw new Error.NotFoundError("User could not be found.")
+            throw new Errors.NotFoundError("User could not be found.")
         }
 
         let newUserValues = { ...userInstance.dataValues, ...update }
 
         User.validate(newUserValues)
         
-        if (update.password == null) {
-            newUserValues.password = await bcrypt.hash(userValues.password, 12)
+        if (update.password != null) {
+            newUserValues.password = await bcrypt.hash(update.password, 12)
+        }
+
+        const changes = {
+            fullname: newUserValues.fullname,
+            mail: newUserValues.mail,
+            gender: newUserValues.gender,
+            role: newUserValues.role,
+            password: newUserValues.password
         }
+        const before = Repository._snapshot(userInstance)
 
         try {
-            await this.store.User.update({
-                fullname: newUserValues.fullname,
-                mail: newUserValues.mail,
-                gender: newUserValues.gender,
-                role: newUserValues.role,
-                password: newUserValues.password
-            }, {
-                where: {
-                    id: id
-                }
+            await this._mutate(EventType.USER_UPDATE, {
+                id, before, after: { ...before, ...changes }, caller
+            }, async repository => {
+                await repository.store.User.update(changes, {
+                    transaction: repository.transaction,
+                    where: {
+                        id: id
+                    }
+                })
+                return await userInstance.reload({ transaction: repository.transaction })
             })
         } catch (err) {
             if (err instanceof Sequelize.UniqueConstraintError) {
@@ -248,7 +279,8 @@ class UserRepository extends Repository {
 
     /**
      *
-     * Delete an existing user
+     * Delete an existing user along with the projects they created and their tasks. They are kept, hidden, until they are purged (see {@link UserRepository#purge}) and may be restored (see {@link UserRepository#restore}).
+     * Deleted users can not log in, and their mail address stays taken until they are purged.
      *
      * Authorized Cases:
      * - An admin deleting a user
@@ -272,12 +304,107 @@ class UserRepository extends Repository {
             throw new Errors.AuthorizationError()
         }
 
-        const userInstance = await this.store.User.findByPk(id)
+        const userInstance = await this.store.User.findByPk(id, { transaction: this.transaction })
+        if (userInstance == null) {
+            throw new Errors.NotFoundError("User could not be found.")
+        }
+
+        await this._inTransaction(repository => repository._mutate(EventType.USER_DELETE, {
+            id, before: Repository._snapshot(userInstance), caller
+        }, async () => {
+            const deletedAt = new Date()
+
+            await repository.swolly.Project._softDelete({ CreatorId: id }, deletedAt)
+            await repository.store.User.update({ deletedAt }, { where: { id }, transaction: repository.transaction })
+            return null
+        }))
+    })}
+
+    /**
+     *
+     * Restore a deleted user along with the projects and tasks deleted with them
+     *
+     * Authorized Cases:
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} id - The user to operate on
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyNotFoundError} Thrown when the user could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async restore(token, id) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        if (!caller.isAdmin) {
+            throw new Errors.AuthorizationError()
+        }
+
+        const userInstance = await this.store.User.findByPk(id, { paranoid: false, transaction: this.transaction })
+        if (userInstance == null) {
+            throw new Errors.NotFoundError("User could not be found.")
+        }
+
+        if (userInstance.deletedAt == null) {
+            return
+        }
+
+        await this._inTransaction(repository => repository._mutate(EventType.USER_RESTORE, {
+            id, before: Repository._snapshot(userInstance), caller
+        }, async () => {
+            await repository.swolly.Project._restoreDeleted({ CreatorId: id }, userInstance.deletedAt)
+            await userInstance.restore({ transaction: repository.transaction })
+            return await userInstance.reload({ transaction: repository.transaction })
+        }))
+    })}
+
+    /**
+     *
+     * Delete a user for good, deleted or not, along with everything depending on them.
+     * Users who have pledged or paid, or whose projects have been pledged or paid to, may not be purged, so that the pledges and payments are kept.
+     *
+     * Authorized Cases:
+     * - Caller is admin
+     *
+     * @param {string} token - An authentication token for verifying authorization
+     * @param {string} id - The user to operate on
+     *
+     * @throws {SwollyAuthorizationError} Thrown when the caller, identified by the token, could either not be authenticated or is not authorized.
+     * @throws {SwollyValidationError} Thrown when the user or their projects have pledges or payments (see {@link UserValidationErrorCode} for codes)
+     * @throws {SwollyNotFoundError} Thrown when the user could not be found
+     * @throws {SwollySequelizeError}
+     */
+    async purge(token, id) { return Repository._rethrow(async () => {
+        const caller = await this._getAuth(token)
+
+        if (!caller.isAdmin) {
+            throw new Errors.AuthorizationError()
+        }
+
+        const userInstance = await this.store.User.findByPk(id, { paranoid: false, transaction: this.transaction })
         if (userInstance == null) {
-            throw new Error.NotFoundError("User could not be found.")
+            throw new Errors.NotFoundError("User could not be found.")
+        }
+
+        const condition = { where: { UserId: id }, transaction: this.transaction }
+        if (
+            await this.store.Pledge.count(condition) > 0
+            || await this.store.Payment.count(condition) > 0
+            || await this.swolly.Project._hasFinancialRecords({ CreatorId: id })
+        ) {
+            throw new Errors.ValidationError(
+                "Users who have pledged or paid, or whose projects have been pledged or paid to, may not be purged.",
+                Enums.UserValidationErrorCode.HAS_FINANCIAL_RECORDS
+            )
         }
 
-        await userInstance.destroy()
+        await this._mutate(EventType.USER_PURGE, {
+            id, before: Repository._snapshot(userInstance), caller
+        }, async repository => {
+            await userInstance.destroy({ force: true, transaction: repository.transaction })
+            return null
+        })
     })}
 }
 
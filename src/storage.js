@@ -0,0 +1,8 @@
+const Storage = {
+    StorageAdapter: require("./storage/storageAdapter.js"),
+    FileSystemStorageAdapter: require("./storage/fileSystemStorageAdapter.js"),
+    MemoryStorageAdapter: require("./storage/memoryStorageAdapter.js"),
+    S3StorageAdapter: require("./storage/s3StorageAdapter.js"),
+}
+
+module.exports = Storage
@@ -0,0 +1,67 @@
+const StorageAdapter = require("./storageAdapter")
+const Errors = require("../errors")
+
+const fs = require("fs")
+const path = require("path")
+const { pipeline } = require("stream")
+const { promisify } = require("util")
+
+/**
+ * Stores files in a folder of the local file system.
+ */
+class FileSystemStorageAdapter extends StorageAdapter {
+    /**
+     * The constructor for this class.
+     *
+     * @param {string} folder - The folder in which to store files
+     */
+    constructor(folder) {
+        super()
+
+        if (folder == null) {
+            throw new Error("folder may not be null.")
+        }
+
+        /** @type {string} */
+        this.folder = folder
+    }
+
+    /**
+     * Returns the path of a file, making sure it is located in the storage folder.
+     *
+     * @param {string} key - The key of the file
+     * @return {string}
+     */
+    _path(key) {
+        if (typeof key !== "string" || key !== path.basename(key)) {
+            throw new Error(`Invalid key: '${key}'`)
+        }
+        return path.join(this.folder, key)
+    }
+
+    async write(key, stream) {
+        await promisify(pipeline)(stream, fs.createWriteStream(this._path(key)))
+    }
+
+    async read(key) {
+        if (!(await this.exists(key))) {
+            throw new Errors.NotFoundError(`File '${key}' not found.`)
+        }
+        return fs.createReadStream(this._path(key))
+    }
+
+    async delete(key) {
+        await fs.promises.rm(this._path(key), { force: true })
+    }
+
+    async exists(key) {
+        try {
+            await fs.promises.access(this._path(key))
+            return true
+        } catch (err) {
+            return false
+        }
+    }
+}
+
+module.exports = FileSystemStorageAdapter
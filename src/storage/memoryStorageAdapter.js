@@ -0,0 +1,44 @@
+const StorageAdapter = require("./storageAdapter")
+const Errors = require("../errors")
+
+const { Readable } = require("stream")
+
+/**
+ * Stores files in memory. Mainly useful for tests.
+ */
+class MemoryStorageAdapter extends StorageAdapter {
+    /**
+     * The constructor for this class.
+     */
+    constructor() {
+        super()
+
+        /** @type {Map<string, Buffer>} */
+        this.files = new Map()
+    }
+
+    async write(key, stream) {
+        const chunks = []
+        for await (const chunk of stream) {
+            chunks.push(Buffer.from(chunk))
+        }
+        this.files.set(key, Buffer.concat(chunks))
+    }
+
+    async read(key) {
+        if (!this.files.has(key)) {
+            throw new Errors.NotFoundError(`File '${key}' not found.`)
+        }
+        return Readable.from([this.files.get(key)])
+    }
+
+    async delete(key) {
+        this.files.delete(key)
+    }
+
+    async exists(key) {
+        return this.files.has(key)
+    }
+}
+
+module.exports = MemoryStorageAdapter
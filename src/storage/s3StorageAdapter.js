@@ -0,0 +1,115 @@
+const StorageAdapter = require("./storageAdapter")
+const Errors = require("../errors")
+
+/**
+ * Stores files in a bucket of an S3-compatible object storage (e.g. AWS S3 or MinIO).
+ *
+ * To use a local stand-in such as MinIO, pass its address as endpoint and set forcePathStyle:
+ *
+ *     new S3StorageAdapter({
+ *         bucket: "swolly",
+ *         endpoint: "http://localhost:9000",
+ *         region: "us-east-1",
+ *         forcePathStyle: true,
+ *         credentials: { accessKeyId: "minioadmin", secretAccessKey: "minioadmin" }
+ *     })
+ */
+class S3StorageAdapter extends StorageAdapter {
+    /**
+     * The constructor for this class.
+     *
+     * @param {object} options - An object with options
+     * @param {string} options.bucket - The bucket in which to store files
+     * @param {string} [options.prefix=""] - A prefix prepended to all keys, e.g. "images/"
+     * @param {S3Client} [options.client] - An existing client. If set, all other client options are ignored.
+     * @param {string} [options.endpoint] - The endpoint of the storage, if not AWS S3
+     * @param {string} [options.region] - The region of the bucket
+     * @param {boolean} [options.forcePathStyle] - Whether to address buckets by path instead of subdomain (needed for MinIO)
+     * @param {object} [options.credentials] - An object containing accessKeyId and secretAccessKey
+     */
+    constructor(options = {}) {
+        super()
+
+        const { bucket, prefix = "", client, ...clientOptions } = options
+
+        if (bucket == null) {
+            throw new Error("options.bucket may not be null.")
+        }
+
+        // Required here, so the sdk is only loaded and needs only be installed when it is actually used
+        let S3
+        try {
+            S3 = require("@aws-sdk/client-s3")
+        } catch (err) {
+            if (err.code !== "MODULE_NOT_FOUND") {
+                throw err
+            }
+            throw new Error("S3StorageAdapter needs the package '@aws-sdk/client-s3', install it with 'npm install @aws-sdk/client-s3'.")
+        }
+
+        /** @type {object} */
+        this._S3 = S3
+
+        /** @type {S3Client} */
+        this.client = client != null ? client : new S3.S3Client(clientOptions)
+
+        /** @type {string} */
+        this.bucket = bucket
+
+        /** @type {string} */
+        this.prefix = prefix
+    }
+
+    async write(key, stream) {
+        // S3 needs to know the length of the body beforehand, images are small enough to be buffered
+        const chunks = []
+        for await (const chunk of stream) {
+            chunks.push(Buffer.from(chunk))
+        }
+
+        await this.client.send(new this._S3.PutObjectCommand({
+            Bucket: this.bucket,
+            Key: this.prefix + key,
+            Body: Buffer.concat(chunks)
+        }))
+    }
+
+    async read(key) {
+        try {
+            const result = await this.client.send(new this._S3.GetObjectCommand({
+                Bucket: this.bucket,
+                Key: this.prefix + key
+            }))
+            return result.Body
+        } catch (err) {
+            if (err.name === "NoSuchKey" || err.name === "NotFound") {
+                throw new Errors.NotFoundError(`File '${key}' not found.`)
+            }
+            throw err
+        }
+    }
+
+    async delete(key) {
+        await this.client.send(new this._S3.DeleteObjectCommand({
+            Bucket: this.bucket,
+            Key: this.prefix + key
+        }))
+    }
+
+    async exists(key) {
+        try {
+            await this.client.send(new this._S3.HeadObjectCommand({
+                Bucket: this.bucket,
+                Key: this.prefix + key
+            }))
+            return true
+        } catch (err) {
+            if (err.name === "NotFound" || (err.$metadata && err.$metadata.httpStatusCode === 404)) {
+                return false
+            }
+            throw err
+        }
+    }
+}
+
+module.exports = S3StorageAdapter
@@ -0,0 +1,51 @@
+/**
+ * Interface for storing files, e.g. the contents of images.
+ * All methods must be implemented by the adapters extending this class.
+ * Files are identified by a key, which is a plain file name (e.g. "<uuid>.png").
+ */
+class StorageAdapter {
+    /**
+     * Writes a file, replacing it if it already exists.
+     *
+     * @param {string} key - The key of the file
+     * @param {Readable} stream - A stream of the contents of the file
+     */
+    async write(key, stream) {
+        throw new Error(`${this.constructor.name}.write is not implemented.`)
+    }
+
+    /**
+     * Reads a file.
+     *
+     * @param {string} key - The key of the file
+     *
+     * @return {Readable} A stream of the contents of the file
+     *
+     * @throws {SwollyNotFoundError} Thrown when the file does not exist
+     */
+    async read(key) {
+        throw new Error(`${this.constructor.name}.read is not implemented.`)
+    }
+
+    /**
+     * Deletes a file. Deleting a file that does not exist is not an error.
+     *
+     * @param {string} key - The key of the file
+     */
+    async delete(key) {
+        throw new Error(`${this.constructor.name}.delete is not implemented.`)
+    }
+
+    /**
+     * Checks whether a file exists.
+     *
+     * @param {string} key - The key of the file
+     *
+     * @return {boolean}
+     */
+    async exists(key) {
+        throw new Error(`${this.constructor.name}.exists is not implemented.`)
+    }
+}
+
+module.exports = StorageAdapter
@@ -1,3 +1,9 @@
 module.exports = {
+    buildSearch: require("./utils/search"),
+    compileFilter: require("./utils/filter"),
     createStore: require("./utils/createStore"),
+    diff: require("./utils/diff"),
+    Migrator: require("./utils/migrator"),
+    ProjectLifecycle: require("./utils/projectLifecycle"),
+    ProjectRoles: require("./utils/projectRoles"),
 }
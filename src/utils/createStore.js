@@ -1,14 +1,32 @@
 const { Sequelize, DataTypes } = require("sequelize");
+
+/**
+ * Creates a getter which converts the value of a decimal column with two decimal places to a number.
+ * Some dialects (e.g. MariaDB and Postgres) return decimals as strings, others (e.g. SQLite) as numbers.
+ * SQLite also stores them as floating point numbers, so results of arithmetic are rounded to two places again.
+ *
+ * @param {string} name - The name of the column
+ */
+function decimalGetter(name) {
+    return function() {
+        const value = this.getDataValue(name)
+        return value == null ? value : Math.round(Number(value) * 100) / 100
+    }
+}
+
 /**
- * Creates a sequelize instance.
+ * Creates a sequelize instance and defines all models on it.
  *
- * @param {string}  [connectionURI] The connection URI to be passed through to sequelize.
+ * The tables themselves are not created here, this is done by the migrations (see {@link Migrator}).
+ *
+ * @param {string}  [connectionURI] The connection URI to be passed through to sequelize. May be left away if options defines the connection (e.g. dialect and storage for SQLite).
  * @param {object}  [options] The options to be passed through to sequelize.
- * @param {boolean}  [alter] If sequelize should alter the database.
  *
  */
-async function createStore(connectionURI, options, alter) {
-    const sequelize = new Sequelize(connectionURI, options);
+async function createStore(connectionURI, options) {
+    const sequelize = connectionURI == null
+        ? new Sequelize(options)
+        : new Sequelize(connectionURI, options);
 
     const User = sequelize.define("User", {
         id: {
@@ -38,6 +56,9 @@ async function createStore(connectionURI, options, alter) {
             type: DataTypes.STRING,
             allowNull: false
         },
+    }, {
+        // Deleted users are kept until they are purged (see {@link UserRepository#purge})
+        paranoid: true
     })
 
     const Session = sequelize.define("Session", {
@@ -76,12 +97,14 @@ async function createStore(connectionURI, options, alter) {
         moneyGoal: {
             type: DataTypes.DECIMAL(13, 2),
             allowNull: false,
-            defaultValue: 0
+            defaultValue: 0,
+            get: decimalGetter("moneyGoal")
         },
         moneyPledged: {
             type: DataTypes.DECIMAL(13, 2),
             allowNull: false,
-            defaultValue: 0
+            defaultValue: 0,
+            get: decimalGetter("moneyPledged")
         },
         lat: {
             type: DataTypes.DOUBLE,
@@ -92,7 +115,45 @@ async function createStore(connectionURI, options, alter) {
             type: DataTypes.DOUBLE,
             allowNull: false,
             defaultValue: 0
+        },
+        street: {
+            type: DataTypes.STRING,
+            allowNull: true
+        },
+        postalCode: {
+            type: DataTypes.STRING,
+            allowNull: true
+        },
+        city: {
+            type: DataTypes.STRING,
+            allowNull: true
+        },
+        country: {
+            type: DataTypes.STRING(2),
+            allowNull: true
+        },
+        fundingStart: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        fundingEnd: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        fundingMode: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            defaultValue: "ALL_OR_NOTHING"
+        },
+        distance: {
+            type: DataTypes.VIRTUAL
+        },
+        relevance: {
+            type: DataTypes.VIRTUAL
         }
+    }, {
+        // Deleted projects are kept until they are purged (see {@link ProjectRepository#purge})
+        paranoid: true
     })
 
 
@@ -139,10 +200,24 @@ async function createStore(connectionURI, options, alter) {
             allowNull: false
         },
         supporterGoal: {
-            type: DataTypes.INTEGER.UNSIGNED,
+            type: DataTypes.INTEGER,
             allowNull: false,
-            defaultValue: 1
+            defaultValue: 1,
+            validate: {
+                min: 1
+            }
+        },
+        status: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            defaultValue: "OPEN"
+        },
+        relevance: {
+            type: DataTypes.VIRTUAL
         }
+    }, {
+        // Deleted tasks are kept until they are purged (see {@link TaskRepository#purge})
+        paranoid: true
     })
 
     User.Sessions = User.hasMany(Session, {
@@ -307,8 +382,626 @@ async function createStore(connectionURI, options, alter) {
         as: "user",
     })
 
+    const ProjectFollow = sequelize.define("ProjectFollow", {})
+
+    Project.Followers = Project.belongsToMany(User, {
+        foreignKey: {
+            name: "ProjectId",
+            allowNull: false
+        },
+        through: ProjectFollow,
+        as: "followers"
+    })
+    User.FollowedProjects = User.belongsToMany(Project, {
+        foreignKey: {
+            name: "UserId",
+            allowNull: false
+        },
+        through: ProjectFollow,
+        as: "followedProjects"
+    })
+
+    const Tag = sequelize.define("Tag", {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: Sequelize.UUIDV4,
+            allowNull: false,
+            primaryKey: true
+        },
+        name: {
+            type: DataTypes.STRING(32),
+            allowNull: false,
+            unique: true
+        },
+        projectCount: {
+            type: DataTypes.VIRTUAL
+        }
+    })
+
+    const ProjectTag = sequelize.define("ProjectTag", {})
+
+    Project.Tags = Project.belongsToMany(Tag, {
+        foreignKey: {
+            name: "ProjectId",
+            allowNull: false
+        },
+        through: ProjectTag,
+        as: "tags"
+    })
+    Tag.Projects = Tag.belongsToMany(Project, {
+        foreignKey: {
+            name: "TagId",
+            allowNull: false
+        },
+        through: ProjectTag,
+        as: "projects"
+    })
+
+    const ProjectMember = sequelize.define("ProjectMember", {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: Sequelize.UUIDV4,
+            allowNull: false,
+            primaryKey: true
+        },
+        role: {
+            type: DataTypes.STRING,
+            allowNull: false
+        }
+    })
+
+    Project.Members = Project.hasMany(ProjectMember, {
+        foreignKey: {
+            name: "ProjectId",
+            allowNull: false
+        },
+        onDelete: "CASCADE",
+        as: "members"
+    })
+    ProjectMember.Project = ProjectMember.belongsTo(Project, {
+        foreignKey: {
+            name: "ProjectId",
+            allowNull: false
+        },
+        onDelete: "CASCADE",
+        as: "project"
+    })
+
+    User.Memberships = User.hasMany(ProjectMember, {
+        foreignKey: {
+            name: "UserId",
+            allowNull: false
+        },
+        onDelete: "CASCADE",
+        as: "memberships"
+    })
+    ProjectMember.User = ProjectMember.belongsTo(User, {
+        foreignKey: {
+            name: "UserId",
+            allowNull: false
+        },
+        onDelete: "CASCADE",
+        as: "user"
+    })
+
+    const Pledge = sequelize.define("Pledge", {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: Sequelize.UUIDV4,
+            allowNull: false,
+            primaryKey: true
+        },
+        amount: {
+            type: DataTypes.DECIMAL(13, 2),
+            allowNull: false,
+            get: decimalGetter("amount")
+        },
+        status: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            defaultValue: "ACTIVE"
+        }
+    })
+
+    User.Pledges = User.hasMany(Pledge, {
+        foreignKey: {
+            name: "UserId",
+            allowNull: false
+        },
+        onDelete: "CASCADE",
+        as: "pledges"
+    })
+    Pledge.User = Pledge.belongsTo(User, {
+        foreignKey: {
+            name: "UserId",
+            allowNull: false
+        },
+        onDelete: "CASCADE",
+        as: "user"
+    })
+
+    Project.Pledges = Project.hasMany(Pledge, {
+        foreignKey: {
+            name: "ProjectId",
+            allowNull: false
+        },
+        onDelete: "CASCADE",
+        as: "pledges"
+    })
+    Pledge.Project = Pledge.belongsTo(Project, {
+        foreignKey: {
+            name: "ProjectId",
+            allowNull: false
+        },
+        onDelete: "CASCADE",
+        as: "project"
+    })
+
+    const Payment = sequelize.define("Payment", {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: Sequelize.UUIDV4,
+            allowNull: false,
+            primaryKey: true
+        },
+        amount: {
+            type: DataTypes.DECIMAL(13, 2),
+            allowNull: false,
+            get: decimalGetter("amount")
+        },
+        amountCaptured: {
+            type: DataTypes.DECIMAL(13, 2),
+            allowNull: false,
+            defaultValue: 0,
+            get: decimalGetter("amountCaptured")
+        },
+        amountRefunded: {
+            type: DataTypes.DECIMAL(13, 2),
+            allowNull: false,
+            defaultValue: 0,
+            get: decimalGetter("amountRefunded")
+        },
+        status: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        failureCode: {
+            type: DataTypes.STRING,
+            allowNull: true
+        },
+        providerReference: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            unique: true
+        }
+    })
+
+    User.Payments = User.hasMany(Payment, {
+        foreignKey: {
+            name: "UserId",
+            allowNull: false
+        },
+        onDelete: "CASCADE",
+        as: "payments"
+    })
+    Payment.User = Payment.belongsTo(User, {
+        foreignKey: {
+            name: "UserId",
+            allowNull: false
+        },
+        onDelete: "CASCADE",
+        as: "user"
+    })
+
+    Project.Payments = Project.hasMany(Payment, {
+        foreignKey: {
+            name: "ProjectId",
+            allowNull: false
+        },
+        onDelete: "CASCADE",
+        as: "payments"
+    })
+    Payment.Project = Payment.belongsTo(Project, {
+        foreignKey: {
+            name: "ProjectId",
+            allowNull: false
+        },
+        onDelete: "CASCADE",
+        as: "project"
+    })
+
+    Pledge.Payments = Pledge.hasMany(Payment, {
+        foreignKey: {
+            name: "PledgeId",
+            allowNull: false
+        },
+        onDelete: "RESTRICT",
+        as: "payments"
+    })
+    Payment.Pledge = Payment.belongsTo(Pledge, {
+        foreignKey: {
+            name: "PledgeId",
+            allowNull: false
+        },
+        onDelete: "RESTRICT",
+        as: "pledge"
+    })
+
+    const ProjectStatusChange = sequelize.define("ProjectStatusChange", {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: Sequelize.UUIDV4,
+            allowNull: false,
+            primaryKey: true
+        },
+        fromStatus: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        toStatus: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        decision: {
+            type: DataTypes.STRING,
+            allowNull: true
+        },
+        reason: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        }
+    })
+
+    Project.StatusChanges = Project.hasMany(ProjectStatusChange, {
+        foreignKey: {
+            name: "ProjectId",
+            allowNull: false
+        },
+        onDelete: "CASCADE",
+        as: "statusChanges"
+    })
+    ProjectStatusChange.Project = ProjectStatusChange.belongsTo(Project, {
+        foreignKey: {
+            name: "ProjectId",
+            allowNull: false
+        },
+        onDelete: "CASCADE",
+        as: "project"
+    })
+
+    ProjectStatusChange.Actor = ProjectStatusChange.belongsTo(User, {
+        foreignKey: {
+            name: "ActorId",
+            allowNull: true
+        },
+        onDelete: "SET NULL",
+        as: "actor"
+    })
+
+    const ProjectRevision = sequelize.define("ProjectRevision", {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: Sequelize.UUIDV4,
+            allowNull: false,
+            primaryKey: true
+        },
+        number: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        title: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        description: {
+            type: DataTypes.TEXT,
+            allowNull: false
+        },
+        restoredFrom: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        }
+    })
+
+    Project.Revisions = Project.hasMany(ProjectRevision, {
+        foreignKey: {
+            name: "ProjectId",
+            allowNull: false
+        },
+        onDelete: "CASCADE",
+        as: "revisions"
+    })
+    ProjectRevision.Project = ProjectRevision.belongsTo(Project, {
+        foreignKey: {
+            name: "ProjectId",
+            allowNull: false
+        },
+        onDelete: "CASCADE",
+        as: "project"
+    })
+
+    ProjectRevision.Author = ProjectRevision.belongsTo(User, {
+        foreignKey: {
+            name: "AuthorId",
+            allowNull: true
+        },
+        onDelete: "SET NULL",
+        as: "author"
+    })
+
+    const ProjectTemplate = sequelize.define("ProjectTemplate", {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: Sequelize.UUIDV4,
+            allowNull: false,
+            primaryKey: true
+        },
+        title: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        description: {
+            type: DataTypes.TEXT,
+            allowNull: false
+        },
+        moneyGoal: {
+            type: DataTypes.DECIMAL(13, 2),
+            allowNull: false,
+            defaultValue: 0,
+            get: decimalGetter("moneyGoal")
+        },
+        fundingMode: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            defaultValue: "ALL_OR_NOTHING"
+        },
+        // The names of the tags, created once the template is instantiated
+        tags: {
+            type: DataTypes.TEXT,
+            allowNull: false,
+            defaultValue: "[]",
+            get() {
+                return JSON.parse(this.getDataValue("tags"))
+            },
+            set(value) {
+                this.setDataValue("tags", JSON.stringify(value))
+            }
+        },
+        // The title, description and supporterGoal of each task
+        tasks: {
+            type: DataTypes.TEXT,
+            allowNull: false,
+            defaultValue: "[]",
+            get() {
+                return JSON.parse(this.getDataValue("tasks"))
+            },
+            set(value) {
+                this.setDataValue("tasks", JSON.stringify(value))
+            }
+        }
+    })
+
+    ProjectTemplate.Category = ProjectTemplate.belongsTo(Category, {
+        foreignKey: {
+            name: "CategoryId",
+            allowNull: true
+        },
+        onDelete: "SET NULL",
+        as: "category"
+    })
+
+    ProjectTemplate.Creator = ProjectTemplate.belongsTo(User, {
+        foreignKey: {
+            name: "CreatorId",
+            allowNull: true
+        },
+        onDelete: "SET NULL",
+        as: "creator"
+    })
+
+    ProjectTemplate.Images = ProjectTemplate.belongsToMany(Image, {
+        foreignKey: {
+            name: "ProjectTemplateId",
+            allowNull: false
+        },
+        as: "images",
+        through: "ProjectTemplateImages"
+    })
+    Image.ProjectTemplates = Image.belongsToMany(ProjectTemplate, {
+        foreignKey: {
+            name: "ImageId",
+            allowNull: false
+        },
+        as: "projectTemplates",
+        through: "ProjectTemplateImages"
+    })
+
+    const ProjectUpdate = sequelize.define("ProjectUpdate", {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: Sequelize.UUIDV4,
+            allowNull: false,
+            primaryKey: true
+        },
+        title: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        body: {
+            type: DataTypes.TEXT,
+            allowNull: false
+        },
+        visibility: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            defaultValue: "PUBLIC"
+        },
+        publishedAt: {
+            type: DataTypes.DATE,
+            allowNull: false
+        }
+    })
+
+    Project.Updates = Project.hasMany(ProjectUpdate, {
+        foreignKey: {
+            name: "ProjectId",
+            allowNull: false
+        },
+        onDelete: "CASCADE",
+        as: "updates"
+    })
+    ProjectUpdate.Project = ProjectUpdate.belongsTo(Project, {
+        foreignKey: {
+            name: "ProjectId",
+            allowNull: false
+        },
+        onDelete: "CASCADE",
+        as: "project"
+    })
+
+    ProjectUpdate.Author = ProjectUpdate.belongsTo(User, {
+        foreignKey: {
+            name: "AuthorId",
+            allowNull: true
+        },
+        onDelete: "SET NULL",
+        as: "author"
+    })
+
+    ProjectUpdate.Images = ProjectUpdate.belongsToMany(Image, {
+        foreignKey: {
+            name: "ProjectUpdateId",
+            allowNull: false
+        },
+        as: "images",
+        through: "ProjectUpdateImages"
+    })
+    Image.ProjectUpdates = Image.belongsToMany(ProjectUpdate, {
+        foreignKey: {
+            name: "ImageId",
+            allowNull: false
+        },
+        as: "projectUpdates",
+        through: "ProjectUpdateImages"
+    })
+
+    const Comment = sequelize.define("Comment", {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: Sequelize.UUIDV4,
+            allowNull: false,
+            primaryKey: true
+        },
+        text: {
+            type: DataTypes.TEXT,
+            allowNull: false
+        },
+        editedAt: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        deletedAt: {
+            type: DataTypes.DATE,
+            allowNull: true
+        }
+    })
+
+    Project.Comments = Project.hasMany(Comment, {
+        foreignKey: {
+            name: "ProjectId",
+            allowNull: false
+        },
+        onDelete: "CASCADE",
+        as: "comments"
+    })
+    Comment.Project = Comment.belongsTo(Project, {
+        foreignKey: {
+            name: "ProjectId",
+            allowNull: false
+        },
+        onDelete: "CASCADE",
+        as: "project"
+    })
+
+    Task.Comments = Task.hasMany(Comment, {
+        foreignKey: {
+            name: "TaskId",
+            allowNull: true
+        },
+        onDelete: "CASCADE",
+        as: "comments"
+    })
+    Comment.Task = Comment.belongsTo(Task, {
+        foreignKey: {
+            name: "TaskId",
+            allowNull: true
+        },
+        onDelete: "CASCADE",
+        as: "task"
+    })
+
+    Comment.Replies = Comment.hasMany(Comment, {
+        foreignKey: {
+            name: "ParentId",
+            allowNull: true
+        },
+        onDelete: "CASCADE",
+        as: "replies"
+    })
+    Comment.Parent = Comment.belongsTo(Comment, {
+        foreignKey: {
+            name: "ParentId",
+            allowNull: true
+        },
+        onDelete: "CASCADE",
+        as: "parent"
+    })
+
+    Comment.Author = Comment.belongsTo(User, {
+        foreignKey: {
+            name: "AuthorId",
+            allowNull: true
+        },
+        onDelete: "SET NULL",
+        as: "author"
+    })
+
+    const AuditLog = sequelize.define("AuditLog", {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: Sequelize.UUIDV4,
+            allowNull: false,
+            primaryKey: true
+        },
+        action: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        entityType: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        entityId: {
+            type: DataTypes.STRING,
+            allowNull: true
+        },
+        ActorId: {
+            type: DataTypes.UUID,
+            allowNull: true
+        },
+        diff: {
+            type: DataTypes.TEXT,
+            allowNull: false,
+            get() {
+                return JSON.parse(this.getDataValue("diff"))
+            },
+            set(value) {
+                this.setDataValue("diff", JSON.stringify(value))
+            }
+        }
+    })
+
     await sequelize.authenticate()
-    await sequelize.sync({alter})
     return sequelize
 }
 
@@ -0,0 +1,39 @@
+/**
+ * Compares two values, treating dates with the same time as equal.
+ *
+ * @param {*} a
+ * @param {*} b
+ * @return {boolean}
+ */
+function isEqual(a, b) {
+    if (a instanceof Date && b instanceof Date) {
+        return a.getTime() === b.getTime()
+    }
+    return a === b
+}
+
+/**
+ * Computes a field-level diff between two versions of an object.
+ *
+ * @param {object} [before] - The object before the change (null when creating)
+ * @param {object} [after] - The object after the change (null when deleting)
+ *
+ * @return {object} An object mapping the names of all changed fields to an object with a 'from' and a 'to' property
+ */
+function diff(before, after) {
+    before = before == null ? {} : before
+    after = after == null ? {} : after
+
+    const result = {}
+    for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        const from = before[field] === undefined ? null : before[field]
+        const to = after[field] === undefined ? null : after[field]
+
+        if (!isEqual(from, to)) {
+            result[field] = { from, to }
+        }
+    }
+    return result
+}
+
+module.exports = diff
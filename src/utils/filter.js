@@ -0,0 +1,207 @@
+const { Op, DataTypes } = require("sequelize")
+const Errors = require("../errors")
+const FilterOperator = require("../enums/filterOperator")
+const FilterValidationErrorCode = require("../enums/filterValidationErrorCode")
+
+/**
+ * Maps the operators comparing a field to a single value to their sequelize operators
+ */
+const COMPARISONS = {
+    [FilterOperator.EQ]: Op.eq,
+    [FilterOperator.GT]: Op.gt,
+    [FilterOperator.GTE]: Op.gte,
+    [FilterOperator.LT]: Op.lt,
+    [FilterOperator.LTE]: Op.lte,
+}
+
+/**
+ * Checks whether a value may be compared to a field
+ *
+ * @param {*} value
+ * @return {boolean}
+ */
+function isScalar(value) {
+    return typeof value === "string"
+        || typeof value === "boolean"
+        || (typeof value === "number" && Number.isFinite(value))
+        || (value instanceof Date && !isNaN(value.getTime()))
+}
+
+/**
+ * Checks a value and converts it to the type of the field it is compared to
+ *
+ * @param {*} value - The value to convert
+ * @param {string} field - The name of the field
+ * @param {object} [attribute] - The sequelize attribute of the field
+ *
+ * @return {*}
+ *
+ * @throws {SwollyValidationError} Thrown when the value can not be compared to the field
+ */
+function convert(value, field, attribute) {
+    if (!isScalar(value)) {
+        throw new Errors.ValidationError(
+            `The value for field '${field}' has to be a string, number, boolean or date.`,
+            FilterValidationErrorCode.VALUE_INVALID
+        )
+    }
+
+    if (attribute != null && attribute.type instanceof DataTypes.DATE && !(value instanceof Date)) {
+        const date = new Date(value)
+
+        if (typeof value === "boolean" || isNaN(date.getTime())) {
+            throw new Errors.ValidationError(
+                `The value for field '${field}' has to be a date.`,
+                FilterValidationErrorCode.VALUE_INVALID
+            )
+        }
+        return date
+    }
+
+    return value
+}
+
+/**
+ * Compiles the condition of a single field
+ *
+ * @param {string} field - The name of the field
+ * @param {FilterOperator} operator - The operator of the condition
+ * @param {*} value - The value of the condition
+ * @param {object} [attribute] - The sequelize attribute of the field
+ *
+ * @return {object} A sequelize where clause
+ *
+ * @throws {SwollyValidationError} Thrown when the condition is invalid
+ */
+function compileCondition(field, operator, value, attribute) {
+    if (operator in COMPARISONS) {
+        return { [field]: { [COMPARISONS[operator]]: convert(value, field, attribute) } }
+    }
+
+    switch (operator) {
+        case FilterOperator.IN:
+            if (!Array.isArray(value) || value.length === 0) {
+                throw new Errors.ValidationError(
+                    `The value of '${FilterOperator.IN}' has to be a non-empty array.`,
+                    FilterValidationErrorCode.VALUE_INVALID
+                )
+            }
+            return { [field]: { [Op.in]: value.map(item => convert(item, field, attribute)) } }
+
+        case FilterOperator.BETWEEN:
+            if (!Array.isArray(value) || value.length !== 2) {
+                throw new Errors.ValidationError(
+                    `The value of '${FilterOperator.BETWEEN}' has to be an array with a lower and an upper bound.`,
+                    FilterValidationErrorCode.VALUE_INVALID
+                )
+            }
+            return { [field]: { [Op.between]: value.map(item => convert(item, field, attribute)) } }
+
+        case FilterOperator.LIKE:
+            if (typeof value !== "string") {
+                throw new Errors.ValidationError(
+                    `The value of '${FilterOperator.LIKE}' has to be a string.`,
+                    FilterValidationErrorCode.VALUE_INVALID
+                )
+            }
+            return { [field]: { [Op.like]: value } }
+
+        case FilterOperator.IS_NULL:
+            if (typeof value !== "boolean") {
+                throw new Errors.ValidationError(
+                    `The value of '${FilterOperator.IS_NULL}' has to be a boolean.`,
+                    FilterValidationErrorCode.VALUE_INVALID
+                )
+            }
+            return { [field]: value ? { [Op.is]: null } : { [Op.not]: null } }
+
+        default:
+            throw new Errors.ValidationError(
+                `Unknown operator: '${operator}'`,
+                FilterValidationErrorCode.OPERATOR_INVALID
+            )
+    }
+}
+
+/**
+ * Compiles a filter expression into a sequelize where clause.
+ *
+ * An expression is either a condition on a single field, e.g. `{ field: "moneyGoal", between: [100, 500] }`,
+ * or a combination of expressions: `{ and: [...] }`, `{ or: [...] }` or `{ not: {...} }`.
+ *
+ * A condition has exactly one operator besides the field:
+ * - eq, gt, gte, lt, lte: Compare the field to a single value
+ * - in: Checks whether the field equals one of an array of values
+ * - between: Checks whether the field lies between an array of a lower and an upper bound (inclusive)
+ * - like: Matches the field against a pattern, where % matches any number of characters and _ a single character
+ * - isNull: Checks whether the field is (true) or is not (false) null
+ *
+ * Values compared to date fields may also be given as ISO strings or timestamps.
+ *
+ * @example
+ * // Projects with a money goal between 100 and 500, created since the first of October
+ * compileFilter({ and: [
+ *     { field: "moneyGoal", between: [100, 500] },
+ *     { field: "createdAt", gte: "2026-10-01" },
+ * ]}, ProjectFilterField)
+ *
+ * @param {object} expression - The expression to compile
+ * @param {object} fields - An enum of the fields which may be filtered by, e.g. {@link ProjectFilterField}
+ * @param {object} [attributes] - The sequelize attributes of the filtered model, used to convert values
+ *
+ * @return {object} A sequelize where clause
+ *
+ * @throws {SwollyValidationError} Thrown when the expression is invalid or uses a field which may not be filtered by
+ */
+function compileFilter(expression, fields, attributes = {}) {
+    if (expression == null || typeof expression !== "object" || Array.isArray(expression)) {
+        throw new Errors.ValidationError(
+            "A filter expression has to be an object.",
+            FilterValidationErrorCode.EXPRESSION_INVALID
+        )
+    }
+
+    const keys = Object.keys(expression)
+
+    if (keys.length === 1 && (keys[0] === FilterOperator.AND || keys[0] === FilterOperator.OR)) {
+        const expressions = expression[keys[0]]
+
+        if (!Array.isArray(expressions) || expressions.length === 0) {
+            throw new Errors.ValidationError(
+                `The value of '${keys[0]}' has to be a non-empty array of expressions.`,
+                FilterValidationErrorCode.EXPRESSION_INVALID
+            )
+        }
+
+        return {
+            [keys[0] === FilterOperator.AND ? Op.and : Op.or]:
+                expressions.map(item => compileFilter(item, fields, attributes))
+        }
+    }
+
+    if (keys.length === 1 && keys[0] === FilterOperator.NOT) {
+        return { [Op.not]: compileFilter(expression.not, fields, attributes) }
+    }
+
+    const { field, ...condition } = expression
+
+    if (!Object.values(fields).includes(field)) {
+        throw new Errors.ValidationError(
+            `Items may not be filtered by field '${field}'.`,
+            FilterValidationErrorCode.FIELD_INVALID
+        )
+    }
+
+    const operators = Object.keys(condition)
+
+    if (operators.length !== 1) {
+        throw new Errors.ValidationError(
+            `A condition has to have exactly one operator, but '${field}' has ${operators.length}.`,
+            FilterValidationErrorCode.OPERATOR_INVALID
+        )
+    }
+
+    return compileCondition(field, operators[0], condition[operators[0]], attributes[field])
+}
+
+module.exports = compileFilter
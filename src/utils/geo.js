@@ -0,0 +1,245 @@
+const Errors = require("../errors")
+const MapValidationErrorCode = require("../enums/mapValidationErrorCode")
+
+/**
+ * Mean radius of the earth in meters
+ */
+const EARTH_RADIUS = 6371008.8
+
+/**
+ * The size of a map tile in pixels. At zoom level z the whole world is 2^z tiles wide.
+ */
+const TILE_SIZE = 256
+
+/**
+ * The highest zoom level of maps
+ */
+const MAX_ZOOM = 22
+
+/**
+ * The highest zoom level at which points are clustered. Beyond it every point is shown on its own.
+ */
+const MAX_CLUSTER_ZOOM = 16
+
+/**
+ * The size of the cells of the grid points are clustered in, in pixels
+ */
+const CLUSTER_GRID_SIZE = 64
+
+/**
+ * The latitude up to which the web mercator projection is defined
+ */
+const MAX_MERCATOR_LAT = 85.05112878
+
+/**
+ * Converts degrees to radians
+ *
+ * @param {number} degrees
+ * @return {number}
+ */
+function toRadians(degrees) {
+    return degrees * Math.PI / 180
+}
+
+/**
+ * Converts radians to degrees
+ *
+ * @param {number} radians
+ * @return {number}
+ */
+function toDegrees(radians) {
+    return radians * 180 / Math.PI
+}
+
+/**
+ * Calculates the great-circle distance between two points using the haversine formula.
+ *
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lon1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lon2 - Longitude of the second point
+ *
+ * @return {number} The distance in meters
+ */
+function haversine(lat1, lon1, lat2, lon2) {
+    const dLat = toRadians(lat2 - lat1)
+    const dLon = toRadians(lon2 - lon1)
+
+    const a = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2
+
+    return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a)))
+}
+
+/**
+ * Calculates a bounding box which contains all points within a distance of the origin.
+ *
+ * If the box crosses the antimeridian, minLon will be greater than maxLon.
+ *
+ * @param {number} lat - Latitude of the origin
+ * @param {number} lon - Longitude of the origin
+ * @param {number} distance - The distance in meters
+ *
+ * @return {{minLat: number, maxLat: number, minLon: number, maxLon: number}}
+ */
+function boundingBox(lat, lon, distance) {
+    const angularDistance = distance / EARTH_RADIUS
+
+    let minLat = lat - toDegrees(angularDistance)
+    let maxLat = lat + toDegrees(angularDistance)
+
+    // The box contains a pole, so every longitude is in range
+    if (minLat <= -90 || maxLat >= 90) {
+        return {
+            minLat: Math.max(minLat, -90),
+            maxLat: Math.min(maxLat, 90),
+            minLon: -180,
+            maxLon: 180
+        }
+    }
+
+    const deltaLon = toDegrees(Math.asin(Math.sin(angularDistance) / Math.cos(toRadians(lat))))
+
+    let minLon = lon - deltaLon
+    let maxLon = lon + deltaLon
+
+    if (minLon < -180) minLon += 360
+    if (maxLon > 180) maxLon -= 360
+
+    return { minLat, maxLat, minLon, maxLon }
+}
+
+/**
+ * Validates the viewport of a map.
+ *
+ * If the viewport crosses the antimeridian, minLon is greater than maxLon (see {@link boundingBox}).
+ *
+ * @param {{minLat: number, maxLat: number, minLon: number, maxLon: number}} bounds - The viewport to validate
+ *
+ * @throws {SwollyValidationError} Thrown when the viewport is invalid (see {@link MapValidationErrorCode} for codes)
+ */
+function validateBounds(bounds) {
+    if (bounds == null || typeof bounds !== "object") {
+        throw new Errors.ValidationError(
+            "bounds must be an object with minLat, maxLat, minLon and maxLon",
+            MapValidationErrorCode.BOUNDS_INVALID
+        )
+    }
+
+    for (const name of ["minLat", "maxLat"]) {
+        if (typeof bounds[name] !== "number" || !(bounds[name] >= -90 && bounds[name] <= 90)) {
+            throw new Errors.ValidationError(
+                `${name} must be a number between -90 and 90`,
+                MapValidationErrorCode.LATITUDE_INVALID
+            )
+        }
+    }
+
+    for (const name of ["minLon", "maxLon"]) {
+        if (typeof bounds[name] !== "number" || !(bounds[name] >= -180 && bounds[name] <= 180)) {
+            throw new Errors.ValidationError(
+                `${name} must be a number between -180 and 180`,
+                MapValidationErrorCode.LONGITUDE_INVALID
+            )
+        }
+    }
+
+    if (bounds.minLat > bounds.maxLat) {
+        throw new Errors.ValidationError(
+            "minLat may not be greater than maxLat",
+            MapValidationErrorCode.BOUNDS_INVALID
+        )
+    }
+}
+
+/**
+ * Validates the zoom level of a map
+ *
+ * @param {number} zoom - The zoom level to validate
+ *
+ * @throws {SwollyValidationError} Thrown when the zoom level is not a number between 0 and {@link MAX_ZOOM}
+ */
+function validateZoom(zoom) {
+    if (typeof zoom !== "number" || !(zoom >= 0 && zoom <= MAX_ZOOM)) {
+        throw new Errors.ValidationError(
+            `zoom must be a number between 0 and ${MAX_ZOOM}`,
+            MapValidationErrorCode.ZOOM_INVALID
+        )
+    }
+}
+
+/**
+ * Projects a point onto a map using the web mercator projection, as used by most map tiles.
+ *
+ * @param {number} lat - Latitude of the point
+ * @param {number} lon - Longitude of the point
+ * @param {number} zoom - The zoom level of the map
+ *
+ * @return {{x: number, y: number}} The position of the point in pixels, from the top left corner of the map
+ */
+function mercator(lat, lon, zoom) {
+    const size = TILE_SIZE * 2 ** zoom
+    const sin = Math.sin(toRadians(Math.max(-MAX_MERCATOR_LAT, Math.min(MAX_MERCATOR_LAT, lat))))
+
+    return {
+        x: (lon + 180) / 360 * size,
+        y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size
+    }
+}
+
+/**
+ * Groups points which are close to each other on a map at a zoom level.
+ *
+ * The map is divided into a grid of cells {@link CLUSTER_GRID_SIZE} pixels wide, each cell making up one cluster.
+ * Beyond {@link MAX_CLUSTER_ZOOM} every point makes up a cluster on its own.
+ *
+ * @template {{lat: number, lon: number}} T
+ * @param {T[]} points - The points to group
+ * @param {number} zoom - The zoom level of the map
+ *
+ * @return {{lat: number, lon: number, count: number, bounds: {minLat: number, maxLat: number, minLon: number, maxLon: number}, points: T[]}[]}
+ * The clusters, each with the centroid of its points and the smallest box containing them
+ */
+function cluster(points, zoom) {
+    const cells = new Map()
+
+    for (const point of points) {
+        let key = cells.size
+
+        if (zoom <= MAX_CLUSTER_ZOOM) {
+            const { x, y } = mercator(point.lat, point.lon, zoom)
+            key = `${Math.floor(x / CLUSTER_GRID_SIZE)}:${Math.floor(y / CLUSTER_GRID_SIZE)}`
+        }
+
+        if (!cells.has(key)) {
+            cells.set(key, [])
+        }
+        cells.get(key).push(point)
+    }
+
+    return [...cells.values()].map(points => ({
+        lat: points.reduce((sum, point) => sum + point.lat, 0) / points.length,
+        lon: points.reduce((sum, point) => sum + point.lon, 0) / points.length,
+        count: points.length,
+        bounds: {
+            minLat: Math.min(...points.map(point => point.lat)),
+            maxLat: Math.max(...points.map(point => point.lat)),
+            minLon: Math.min(...points.map(point => point.lon)),
+            maxLon: Math.max(...points.map(point => point.lon))
+        },
+        points
+    }))
+}
+
+module.exports = {
+    EARTH_RADIUS,
+    MAX_ZOOM,
+    MAX_CLUSTER_ZOOM,
+    CLUSTER_GRID_SIZE,
+    haversine,
+    boundingBox,
+    validateBounds,
+    validateZoom,
+    mercator,
+    cluster,
+}
@@ -0,0 +1,215 @@
+const { DataTypes } = require("sequelize")
+const Errors = require("../errors")
+
+/**
+ * Applies and reverts the numbered schema migrations and keeps track of them in a table.
+ */
+class Migrator {
+    /**
+     * The constructor for this class.
+     *
+     * @param {Sequelize} sequelize - The sequelize instance to migrate
+     * @param {object} migrations - An object mapping migration names to migrations (see {@link Migrations})
+     * @param {string} [tableName="SwollyMigrations"] - The table in which executed migrations are recorded
+     */
+    constructor(sequelize, migrations, tableName = "SwollyMigrations") {
+        /** @type {Sequelize} */
+        this.sequelize = sequelize
+
+        /** @type {object} */
+        this.migrations = migrations
+
+        /** @type {string} */
+        this.tableName = tableName
+    }
+
+    /**
+     * Creates the migrations table, if it does not exist yet.
+     */
+    async _ensureTable() {
+        await this.sequelize.getQueryInterface().createTable(this.tableName, {
+            name: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                primaryKey: true
+            },
+            executedAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            }
+        })
+    }
+
+    /**
+     * Returns the names of all known migrations in the order they are executed in.
+     *
+     * @return {string[]}
+     */
+    getNames() {
+        return Object.keys(this.migrations).sort()
+    }
+
+    /**
+     * Returns the names of all migrations that have already been executed, in the order they were executed in.
+     *
+     * @return {string[]}
+     */
+    async getExecuted() {
+        await this._ensureTable()
+
+        // Ordered by name as well, as migrations executed in the same millisecond are executed in the order of their names
+        const rows = await this.sequelize.getQueryInterface().select(null, this.tableName, {
+            order: [["executedAt", "ASC"], ["name", "ASC"]]
+        })
+
+        return rows.map(row => row.name)
+    }
+
+    /**
+     * Returns the names of all migrations that have not been executed yet.
+     *
+     * @return {string[]}
+     */
+    async getPending() {
+        const executed = await this.getExecuted()
+        return this.getNames().filter(name => !executed.includes(name))
+    }
+
+    /**
+     * Executes all pending migrations, optionally only up to a certain migration.
+     * Each migration is executed in a transaction together with recording it, where the database supports it (see {@link Migrator#_inTransaction}).
+     *
+     * @param {string} [to] - The name of the last migration to execute
+     *
+     * @return {string[]} The names of the migrations that were executed
+     *
+     * @throws {SwollyMigrationError} Thrown when a migration is unknown or fails
+     */
+    async up(to) {
+        const pending = await this.getPending()
+
+        if (to != null && !this.getNames().includes(to)) {
+            throw new Errors.MigrationError(`Unknown migration: '${to}'`)
+        }
+
+        const queryInterface = this.sequelize.getQueryInterface()
+        const executed = []
+
+        for (const name of pending) {
+            if (to != null && name > to) {
+                break
+            }
+
+            try {
+                await this._inTransaction(async () => {
+                    await this.migrations[name].up(queryInterface, DataTypes)
+                    await queryInterface.bulkInsert(this.tableName, [{ name, executedAt: new Date() }])
+                })
+            } catch (err) {
+                throw new Errors.MigrationError(`Migration '${name}' failed: ${err.message}`)
+            }
+
+            executed.push(name)
+        }
+
+        return executed
+    }
+
+    /**
+     * Records all pending migrations up to a certain migration as executed, without executing them.
+     * This adopts databases whose schema was created before migrations were introduced, e.g. by sequelize.sync(), which matches '0001-initial'.
+     *
+     * @param {string} [to="0001-initial"] - The name of the last migration the schema of the database already contains
+     *
+     * @return {string[]} The names of the migrations that were recorded
+     *
+     * @throws {SwollyMigrationError} Thrown when the migration is unknown
+     */
+    async baseline(to = "0001-initial") {
+        if (!this.getNames().includes(to)) {
+            throw new Errors.MigrationError(`Unknown migration: '${to}'`)
+        }
+
+        const recorded = (await this.getPending()).filter(name => name <= to)
+
+        if (recorded.length > 0) {
+            const executedAt = new Date()
+
+            await this.sequelize.getQueryInterface().bulkInsert(this.tableName, recorded.map(name => ({ name, executedAt })))
+        }
+
+        return recorded
+    }
+
+    /**
+     * Reverts the most recently executed migrations.
+     *
+     * @param {number} [steps=1] - The number of migrations to revert
+     *
+     * @return {string[]} The names of the migrations that were reverted
+     *
+     * @throws {SwollyMigrationError} Thrown when a migration is unknown or fails
+     */
+    async down(steps = 1) {
+        const executed = await this.getExecuted()
+        const queryInterface = this.sequelize.getQueryInterface()
+        const reverted = []
+
+        for (const name of executed.reverse().slice(0, steps)) {
+            if (this.migrations[name] == null) {
+                throw new Errors.MigrationError(`Unknown migration: '${name}'`)
+            }
+
+            try {
+                await this._inTransaction(async () => {
+                    await this.migrations[name].down(queryInterface, DataTypes)
+                    await queryInterface.bulkDelete(this.tableName, { name })
+                })
+            } catch (err) {
+                throw new Errors.MigrationError(`Reverting migration '${name}' failed: ${err.message}`)
+            }
+
+            reverted.push(name)
+        }
+
+        return reverted
+    }
+
+    /**
+     * Runs a function in a transaction on SQLite, so a failing migration leaves neither a partly changed schema nor a record behind.
+     * MariaDB and MySQL commit changes of the schema implicitly, so the function is run without a transaction there.
+     *
+     * Foreign key constraints are disabled as well, as SQLite changes and removes columns by recreating the whole table,
+     * which would otherwise delete all rows referencing it through cascades. This has to happen before the transaction begins,
+     * so it is begun on the connection sequelize uses outside of transactions instead of using a sequelize transaction.
+     * Migrations therefore do not need to pass a transaction on to their queries.
+     *
+     * @param {!function} fn - The function to run
+     * @return {*} The result of calling fn
+     */
+    async _inTransaction(fn) {
+        if (this.sequelize.getDialect() !== "sqlite") {
+            return await fn()
+        }
+
+        await this.sequelize.query("PRAGMA foreign_keys = OFF")
+        try {
+            await this.sequelize.query("BEGIN TRANSACTION")
+
+            let result
+            try {
+                result = await fn()
+            } catch (err) {
+                await this.sequelize.query("ROLLBACK")
+                throw err
+            }
+
+            await this.sequelize.query("COMMIT")
+            return result
+        } finally {
+            await this.sequelize.query("PRAGMA foreign_keys = ON")
+        }
+    }
+}
+
+module.exports = Migrator
@@ -0,0 +1,141 @@
+const ProjectPermission = require("../enums/projectPermission")
+const ProjectStatus = require("../enums/projectStatus")
+const ProjectTransitionActor = require("../enums/projectTransitionActor")
+const ProjectTransitionEffect = require("../enums/projectTransitionEffect")
+const ProjectRoles = require("./projectRoles")
+
+const { ADMIN, CREATOR, SYSTEM } = ProjectTransitionActor
+
+/**
+ * @typedef {object} ProjectTransition
+ * @property {ProjectStatus} from - The status the project has before the transition
+ * @property {ProjectStatus} to - The status the project has after the transition
+ * @property {ProjectTransitionActor[]} actors - Who may make the transition
+ * @property {ProjectTransitionEffect[]} effects - The side effects of the transition
+ * @property {boolean} [afterFunding] - Whether creators may only make the transition once the funding campaign ended
+ */
+
+/**
+ * The statuses of projects which are shown to everyone
+ *
+ * @type {ProjectStatus[]}
+ */
+const LISTED_STATUSES = [
+    ProjectStatus.PUBLIC,
+    ProjectStatus.FUNDED,
+    ProjectStatus.IN_PROGRESS,
+    ProjectStatus.COMPLETED
+]
+
+/**
+ * All transitions a project may make between two statuses. Any transition not listed here is illegal.
+ *
+ * Projects waiting for verification are only moved on by reviews (see {@link ReviewRepository}).
+ *
+ * @type {ProjectTransition[]}
+ */
+const TRANSITIONS = [
+    { from: ProjectStatus.NEEDS_VERIFICATION, to: ProjectStatus.PUBLIC, actors: [ADMIN], effects: [] },
+    { from: ProjectStatus.NEEDS_VERIFICATION, to: ProjectStatus.UNLISTED, actors: [ADMIN], effects: [] },
+    { from: ProjectStatus.NEEDS_VERIFICATION, to: ProjectStatus.CHANGES_REQUESTED, actors: [ADMIN], effects: [] },
+    { from: ProjectStatus.NEEDS_VERIFICATION, to: ProjectStatus.REJECTED, actors: [ADMIN], effects: [] },
+    { from: ProjectStatus.CHANGES_REQUESTED, to: ProjectStatus.NEEDS_VERIFICATION, actors: [ADMIN, CREATOR], effects: [] },
+
+    { from: ProjectStatus.UNLISTED, to: ProjectStatus.PUBLIC, actors: [ADMIN, CREATOR], effects: [] },
+    { from: ProjectStatus.PUBLIC, to: ProjectStatus.UNLISTED, actors: [ADMIN, CREATOR], effects: [], afterFunding: true },
+    { from: ProjectStatus.PUBLIC, to: ProjectStatus.FUNDED, actors: [ADMIN, SYSTEM], effects: [] },
+    { from: ProjectStatus.PUBLIC, to: ProjectStatus.FUNDING_FAILED, actors: [ADMIN, SYSTEM], effects: [ProjectTransitionEffect.CANCEL_PLEDGES] },
+    { from: ProjectStatus.FUNDING_FAILED, to: ProjectStatus.UNLISTED, actors: [ADMIN, CREATOR], effects: [] },
+    { from: ProjectStatus.PUBLIC, to: ProjectStatus.IN_PROGRESS, actors: [ADMIN, CREATOR], effects: [], afterFunding: true },
+    { from: ProjectStatus.FUNDED, to: ProjectStatus.IN_PROGRESS, actors: [ADMIN, CREATOR], effects: [] },
+    { from: ProjectStatus.IN_PROGRESS, to: ProjectStatus.COMPLETED, actors: [ADMIN, CREATOR], effects: [ProjectTransitionEffect.CLOSE_TASKS] },
+
+    { from: ProjectStatus.UNLISTED, to: ProjectStatus.ARCHIVED, actors: [ADMIN, CREATOR], effects: [ProjectTransitionEffect.CLOSE_TASKS] },
+    { from: ProjectStatus.PUBLIC, to: ProjectStatus.ARCHIVED, actors: [ADMIN, CREATOR], effects: [ProjectTransitionEffect.CLOSE_TASKS] },
+    { from: ProjectStatus.FUNDED, to: ProjectStatus.ARCHIVED, actors: [ADMIN, CREATOR], effects: [ProjectTransitionEffect.CLOSE_TASKS] },
+    { from: ProjectStatus.IN_PROGRESS, to: ProjectStatus.ARCHIVED, actors: [ADMIN, CREATOR], effects: [ProjectTransitionEffect.CLOSE_TASKS] },
+    { from: ProjectStatus.COMPLETED, to: ProjectStatus.ARCHIVED, actors: [ADMIN, CREATOR], effects: [] },
+    { from: ProjectStatus.FUNDING_FAILED, to: ProjectStatus.ARCHIVED, actors: [ADMIN, CREATOR], effects: [ProjectTransitionEffect.CLOSE_TASKS] },
+    { from: ProjectStatus.REJECTED, to: ProjectStatus.ARCHIVED, actors: [ADMIN], effects: [ProjectTransitionEffect.CLOSE_TASKS] },
+    { from: ProjectStatus.ARCHIVED, to: ProjectStatus.UNLISTED, actors: [ADMIN], effects: [] },
+]
+
+/**
+ * Finds the transition of a project between two statuses.
+ *
+ * @param {ProjectStatus} from - The current status
+ * @param {ProjectStatus} to - The new status
+ *
+ * @return {ProjectTransition} The transition, or null if it is illegal
+ */
+function findTransition(from, to) {
+    return TRANSITIONS.find(transition => transition.from === from && transition.to === to) || null
+}
+
+/**
+ * Returns the ways a user is involved in a project, as far as they matter for transitions.
+ * Members allowed to edit the project act as its creator.
+ *
+ * @param {User} [user] - The user, or null for changes made by swolly itself
+ * @param {ProjectMemberRole} [role] - The role of the user in the project (the creator is an owner), or null if they are no member
+ *
+ * @return {ProjectTransitionActor[]}
+ */
+function getActors(user, role) {
+    if (user == null) {
+        return [SYSTEM]
+    }
+
+    return [
+        ...(user.isAdmin ? [ADMIN] : []),
+        ...(ProjectRoles.hasPermission(role, ProjectPermission.EDIT) ? [CREATOR] : [])
+    ]
+}
+
+/**
+ * Checks whether a user may make a transition of a project.
+ * Creators may not make transitions marked as afterFunding while the funding campaign is running, as it is only closed
+ * by swolly (see {@link Swolly#closeExpiredCampaigns}) or an admin.
+ *
+ * @param {ProjectTransition} transition - The transition
+ * @param {User} [user] - The user making the transition, or null for changes made by swolly itself
+ * @param {ProjectMemberRole} [role] - The role of the user in the project (the creator is an owner), or null if they are no member
+ * @param {Date} [fundingEnd] - The end of the funding campaign of the project, or null if it does not end
+ * @param {Date} [date=new Date()] - The point in time the transition is made at
+ *
+ * @return {boolean}
+ */
+function isAllowed(transition, user, role, fundingEnd = null, date = new Date()) {
+    const fundingRunning = fundingEnd != null && fundingEnd.getTime() > date.getTime()
+
+    return getActors(user, role)
+        .filter(actor => actor !== CREATOR || !transition.afterFunding || !fundingRunning)
+        .some(actor => transition.actors.includes(actor))
+}
+
+/**
+ * Returns the statuses a user may move a project to.
+ *
+ * @param {ProjectStatus} from - The current status of the project
+ * @param {User} user - The user making the transitions
+ * @param {ProjectMemberRole} [role] - The role of the user in the project (the creator is an owner), or null if they are no member
+ * @param {Date} [fundingEnd] - The end of the funding campaign of the project, or null if it does not end
+ *
+ * @return {ProjectStatus[]}
+ */
+function getNextStatuses(from, user, role, fundingEnd = null) {
+    return TRANSITIONS
+        .filter(transition => transition.from === from && isAllowed(transition, user, role, fundingEnd))
+        .map(transition => transition.to)
+}
+
+/**
+ * Describes the lifecycle of projects: which status may follow which, who may make the change and what happens then.
+ */
+module.exports = {
+    LISTED_STATUSES,
+    TRANSITIONS,
+    findTransition,
+    isAllowed,
+    getNextStatuses
+}
@@ -0,0 +1,44 @@
+const ProjectMemberRole = require("../enums/projectMemberRole")
+const ProjectPermission = require("../enums/projectPermission")
+
+/**
+ * What each role of the members of a project allows them to do. The creator of a project always is an owner.
+ *
+ * @type {Object<ProjectMemberRole, ProjectPermission[]>}
+ */
+const ROLE_PERMISSIONS = {
+    [ProjectMemberRole.OWNER]: Object.values(ProjectPermission),
+    [ProjectMemberRole.EDITOR]: [
+        ProjectPermission.EDIT,
+        ProjectPermission.MANAGE_TASKS,
+        ProjectPermission.POST_UPDATES,
+        ProjectPermission.MODERATE_COMMENTS,
+        ProjectPermission.VIEW_FUNDING
+    ],
+    [ProjectMemberRole.COORDINATOR]: [
+        ProjectPermission.MANAGE_TASKS,
+        ProjectPermission.MANAGE_APPLICATIONS,
+        ProjectPermission.POST_UPDATES,
+        ProjectPermission.MODERATE_COMMENTS
+    ],
+}
+
+/**
+ * Checks whether a role allows something.
+ *
+ * @param {ProjectMemberRole} role - The role, or null for users who are not members
+ * @param {ProjectPermission} permission - What to check
+ *
+ * @return {boolean}
+ */
+function hasPermission(role, permission) {
+    return role != null && ROLE_PERMISSIONS[role] != null && ROLE_PERMISSIONS[role].includes(permission)
+}
+
+/**
+ * Describes what the members of a project may do, depending on their role.
+ */
+module.exports = {
+    ROLE_PERMISSIONS,
+    hasPermission
+}
@@ -0,0 +1,108 @@
+const { Op } = require("sequelize")
+const Errors = require("../errors")
+const SearchValidationErrorCode = require("../enums/searchValidationErrorCode")
+
+/**
+ * The dialects searched using FULLTEXT indexes (see the migration "0007-fulltext-search")
+ */
+const FULLTEXT_DIALECTS = ["mariadb", "mysql"]
+
+/**
+ * The maximum length of a search query
+ */
+const MAX_QUERY_LENGTH = 200
+
+/**
+ * The maximum number of words of a search query which are matched, when not using FULLTEXT indexes
+ */
+const MAX_TERMS = 10
+
+/**
+ * Splits a search query into distinct, lower case words
+ *
+ * @param {string} query
+ * @return {string[]}
+ */
+function tokenize(query) {
+    const words = query.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(word => word !== "")
+    return [...new Set(words)].slice(0, MAX_TERMS)
+}
+
+/**
+ * Escapes the wildcards of a LIKE pattern, using "\" as the escape character
+ *
+ * @param {string} text
+ * @return {string}
+ */
+function escapeLike(text) {
+    return text.replace(/[\\%_]/g, character => "\\" + character)
+}
+
+/**
+ * Builds the conditions and the relevance of a full-text search over some columns of a model.
+ *
+ * On MariaDB and MySQL the columns are matched against a FULLTEXT index over exactly these columns, in natural language mode.
+ * All other dialects match each word of the query using LIKE. The relevance then is the sum of the weights of the columns containing each word.
+ *
+ *     const { where, relevance } = buildSearch(store.Project, "garden berlin", { title: 2, description: 1 })
+ *     await store.Project.findAll({ where, attributes: { include: [[relevance, "relevance"]] } })
+ *
+ * @param {Sequelize.ModelStatic} model - The model to search
+ * @param {string} query - The text to search for
+ * @param {Object<string, number>} weights - The columns to search, mapped to how much a match in them counts (ignored for FULLTEXT indexes)
+ *
+ * @return {{where: object, relevance: Sequelize.Utils.Literal}} A condition matching all rows containing any word of the query, and an expression for the relevance of a row
+ *
+ * @throws {SwollyValidationError} Thrown when the query is invalid (see {@link SearchValidationErrorCode} for codes)
+ */
+function buildSearch(model, query, weights) {
+    if (typeof query !== "string") {
+        throw new Errors.ValidationError(
+            "The search query has to be a string.",
+            SearchValidationErrorCode.QUERY_NOT_STRING
+        )
+    }
+
+    if (query.length > MAX_QUERY_LENGTH) {
+        throw new Errors.ValidationError(
+            `The search query may be at most ${MAX_QUERY_LENGTH} characters long.`,
+            SearchValidationErrorCode.QUERY_TOO_LONG
+        )
+    }
+
+    const terms = tokenize(query)
+
+    if (terms.length === 0) {
+        throw new Errors.ValidationError(
+            "The search query has to contain at least one word.",
+            SearchValidationErrorCode.QUERY_EMPTY
+        )
+    }
+
+    const { sequelize } = model
+    const generator = sequelize.getQueryInterface().queryGenerator
+    const column = name => `${generator.quoteIdentifier(model.name)}.${generator.quoteIdentifier(name)}`
+
+    let relevance
+    if (FULLTEXT_DIALECTS.includes(sequelize.getDialect())) {
+        const columns = Object.keys(weights).map(column).join(", ")
+        relevance = `MATCH (${columns}) AGAINST (${sequelize.escape(terms.join(" "))} IN NATURAL LANGUAGE MODE)`
+    } else {
+        relevance = terms.flatMap(term => {
+            const pattern = sequelize.escape(`%${escapeLike(term)}%`)
+
+            return Object.entries(weights).map(([name, weight]) =>
+                `(CASE WHEN LOWER(${column(name)}) LIKE ${pattern} ESCAPE '\\' THEN ${Number(weight)} ELSE 0 END)`
+            )
+        }).join(" + ")
+    }
+
+    relevance = sequelize.literal(`(${relevance})`)
+
+    return {
+        where: sequelize.where(relevance, Op.gt, 0),
+        relevance
+    }
+}
+
+module.exports = buildSearch
@@ -0,0 +1,156 @@
+const sinon = require("sinon")
+const { expect, createFixture, createPublicProject } = require("./helpers")
+const { Errors, Enums } = require("../src")
+
+const { FundingMode, PledgeStatus, ProjectStatus } = Enums
+
+const DAY = 24 * 60 * 60 * 1000
+
+describe("Funding campaigns", () => {
+    let fixture
+    let fundingEnd
+    let afterEnd
+
+    beforeEach(async () => {
+        fixture = await createFixture()
+        fundingEnd = new Date(Date.now() + DAY)
+        afterEnd = new Date(fundingEnd.getTime() + 1000)
+    })
+
+    afterEach(async () => {
+        await fixture.swolly.store.sequelize.close()
+    })
+
+    async function pledge(project, amount) {
+        return await fixture.swolly.Pledge.create(fixture.supporter.token, { projectId: project.getId(), amount })
+    }
+
+    describe("Swolly.closeExpiredCampaigns", () => {
+        it("funds projects which reached their money goal", async () => {
+            const project = await createPublicProject(fixture, { moneyGoal: 100, fundingEnd })
+            await pledge(project, 100)
+
+            const result = await fixture.swolly.closeExpiredCampaigns(afterEnd)
+            await project.reload()
+
+            expect(result).to.deep.equal({ funded: [project.getId()], failed: [], errored: [] })
+            expect(project.getStatus()).to.equal(ProjectStatus.FUNDED)
+        })
+
+        it("cancels the pledges of projects which missed their money goal", async () => {
+            const project = await createPublicProject(fixture, { moneyGoal: 100, fundingEnd })
+            const item = await pledge(project, 50)
+
+            const result = await fixture.swolly.closeExpiredCampaigns(afterEnd)
+            await project.reload()
+            await item.reload()
+
+            expect(result).to.deep.equal({ funded: [], failed: [project.getId()], errored: [] })
+            expect(project.getStatus()).to.equal(ProjectStatus.FUNDING_FAILED)
+            expect(project.getMoneyPledged()).to.equal(0)
+            expect(item.getStatus()).to.equal(PledgeStatus.CANCELLED)
+        })
+
+        it("funds projects keeping what they raise if anything was pledged", async () => {
+            const funded = await createPublicProject(fixture, { moneyGoal: 100, fundingEnd, fundingMode: FundingMode.KEEP_WHAT_YOU_RAISE })
+            const failed = await createPublicProject(fixture, { moneyGoal: 100, fundingEnd, fundingMode: FundingMode.KEEP_WHAT_YOU_RAISE })
+            await pledge(funded, 10)
+
+            const result = await fixture.swolly.closeExpiredCampaigns(afterEnd)
+
+            expect(result).to.deep.equal({ funded: [funded.getId()], failed: [failed.getId()], errored: [] })
+        })
+
+        it("leaves running campaigns and projects without a deadline open", async () => {
+            const running = await createPublicProject(fixture, { fundingEnd })
+            await createPublicProject(fixture)
+
+            const result = await fixture.swolly.closeExpiredCampaigns()
+            await running.reload()
+
+            expect(result).to.deep.equal({ funded: [], failed: [], errored: [] })
+            expect(running.getStatus()).to.equal(ProjectStatus.PUBLIC)
+        })
+
+        it("cancels the pledges of projects which are not public when their campaign ends", async () => {
+            const project = await createPublicProject(fixture, { moneyGoal: 100, fundingEnd })
+            const item = await pledge(project, 100)
+            await fixture.swolly.Project.update(fixture.admin.token, project.getId(), { status: ProjectStatus.UNLISTED })
+
+            const result = await fixture.swolly.closeExpiredCampaigns(afterEnd)
+            await project.reload()
+            await item.reload()
+
+            expect(result).to.deep.equal({ funded: [], failed: [project.getId()], errored: [] })
+            expect(project.getStatus()).to.equal(ProjectStatus.UNLISTED)
+            expect(item.getStatus()).to.equal(PledgeStatus.CANCELLED)
+        })
+
+        it("does not close campaigns again once the project was funded", async () => {
+            const project = await createPublicProject(fixture, { moneyGoal: 100, fundingEnd })
+            const item = await pledge(project, 100)
+            await fixture.swolly.closeExpiredCampaigns(afterEnd)
+            await fixture.swolly.Project.update(fixture.initiator.token, project.getId(), { status: ProjectStatus.IN_PROGRESS })
+
+            const result = await fixture.swolly.closeExpiredCampaigns(afterEnd)
+            await item.reload()
+
+            expect(result).to.deep.equal({ funded: [], failed: [], errored: [] })
+            expect(item.getStatus()).to.equal(PledgeStatus.ACTIVE)
+        })
+
+        it("keeps closing the other campaigns when one can not be closed", async () => {
+            const vetoed = await createPublicProject(fixture, { fundingEnd })
+            const closed = await createPublicProject(fixture, { fundingEnd })
+            fixture.swolly.before(Enums.EventType.PROJECT_CLOSE_FUNDING, event => event.id !== vetoed.getId())
+            sinon.stub(console, "warn")
+
+            let result
+            try {
+                result = await fixture.swolly.closeExpiredCampaigns(afterEnd)
+            } finally {
+                console.warn.restore()
+            }
+            await vetoed.reload()
+
+            expect(result).to.deep.equal({ funded: [], failed: [closed.getId()], errored: [vetoed.getId()] })
+            expect(vetoed.getStatus()).to.equal(ProjectStatus.PUBLIC)
+        })
+
+        it("records the closing in the status history", async () => {
+            const project = await createPublicProject(fixture, { fundingEnd })
+
+            await fixture.swolly.closeExpiredCampaigns(afterEnd)
+            const history = await fixture.swolly.Review.getHistory(fixture.admin.token, project.getId())
+            const last = history[history.length - 1]
+
+            expect(last.getToStatus()).to.equal(ProjectStatus.FUNDING_FAILED)
+            expect(last.getActorId()).to.be.null
+        })
+    })
+
+    describe("pledges", () => {
+        it("are only accepted while the campaign is running", async () => {
+            const project = await createPublicProject(fixture, { fundingStart: new Date(Date.now() + DAY), fundingEnd: new Date(Date.now() + 2 * DAY) })
+
+            expect(project.isFundingOpen()).to.be.false
+            await expect(pledge(project, 10))
+                .to.be.rejectedWith(Errors.ValidationError)
+                .and.eventually.have.property("code", Enums.PledgeValidationErrorCode.FUNDING_CLOSED)
+        })
+    })
+
+    describe("validation", () => {
+        it("rejects campaigns ending before they start", async () => {
+            await expect(createPublicProject(fixture, { fundingStart: new Date(Date.now() + DAY), fundingEnd: new Date() }))
+                .to.be.rejectedWith(Errors.ValidationError)
+                .and.eventually.have.property("code", Enums.ProjectValidationErrorCode.FUNDING_END_BEFORE_START)
+        })
+
+        it("rejects unknown funding modes", async () => {
+            await expect(createPublicProject(fixture, { fundingMode: "SOMETIMES" }))
+                .to.be.rejectedWith(Errors.ValidationError)
+                .and.eventually.have.property("code", Enums.ProjectValidationErrorCode.FUNDING_MODE_INVALID)
+        })
+    })
+})
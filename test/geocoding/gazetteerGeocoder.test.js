@@ -0,0 +1,71 @@
+const { expect } = require("../helpers")
+const { GazetteerGeocoder } = require("../../src")
+
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+
+describe("GazetteerGeocoder", () => {
+    const geocoder = new GazetteerGeocoder()
+
+    it("finds addresses by their postal code", async () => {
+        const result = await geocoder.geocode({ postalCode: "10117", city: "Berlin" })
+
+        expect(result).to.deep.equal({ lat: 52.5170, lon: 13.3872 })
+    })
+
+    it("compares postal codes without spaces and hyphens", async () => {
+        const result = await geocoder.geocode({ postalCode: "00 001", country: "pl" })
+
+        expect(result).to.deep.equal({ lat: 52.2319, lon: 21.0067 })
+    })
+
+    it("finds addresses by their city, ignoring case and accents", async () => {
+        const result = await geocoder.geocode({ city: "MUNCHEN" })
+
+        expect(result.lat).to.be.closeTo(48.14, 0.01)
+        expect(result.lon).to.be.closeTo(11.57, 0.01)
+    })
+
+    it("roughly locates unknown postal codes by the postal codes starting alike", async () => {
+        const result = await geocoder.geocode({ postalCode: "10999", country: "DE" })
+
+        expect(result).to.deep.equal({ lat: 52.5005, lon: 13.4386 })
+    })
+
+    it("does not locate postal codes sharing only their first characters with known ones", async () => {
+        expect(await geocoder.geocode({ postalCode: "10000", country: "DE" })).to.be.null
+    })
+
+    it("does not find unknown addresses", async () => {
+        expect(await geocoder.geocode({ postalCode: "99999", city: "Atlantis" })).to.be.null
+    })
+
+    describe("with places in more than one country", () => {
+        let file
+
+        before(() => {
+            file = path.join(os.tmpdir(), `gazetteer-${process.pid}.tsv`)
+            fs.writeFileSync(file, [
+                "DE\t12345\tFrankfurt (Oder)\tBrandenburg\tBB\t\t\t\t\t52.3470\t14.5506\t4",
+                "AT\t12345\tSpringfield\tWien\t9\t\t\t\t\t48.2082\t16.3738\t4",
+                "US\t12345\tSpringfield\tIllinois\tIL\t\t\t\t\t39.7817\t-89.6501\t4",
+            ].join("\n"))
+        })
+
+        after(() => {
+            fs.unlinkSync(file)
+        })
+
+        it("does not find ambiguous addresses without a country", async () => {
+            expect(await new GazetteerGeocoder(file).geocode({ city: "Springfield" })).to.be.null
+        })
+
+        it("tells places apart by their country or city", async () => {
+            const geocoder = new GazetteerGeocoder(file)
+
+            expect(await geocoder.geocode({ city: "Springfield", country: "US" })).to.deep.equal({ lat: 39.7817, lon: -89.6501 })
+            expect(await geocoder.geocode({ postalCode: "12345", city: "Frankfurt (Oder)" })).to.deep.equal({ lat: 52.3470, lon: 14.5506 })
+        })
+    })
+})
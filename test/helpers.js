@@ -0,0 +1,89 @@
+const bcrypt = require("bcrypt")
+const chai = require("chai")
+const chaiAsPromised = require("chai-as-promised")
+const { nanoid } = require("nanoid")
+const { Swolly, Enums } = require("../src")
+
+const { ProjectStatus, UserRole } = Enums
+
+chai.use(chaiAsPromised)
+
+// Hashed once with few rounds, as hashing with the rounds of the user repository for every user would make the tests slow
+const PASSWORD_HASH = bcrypt.hashSync("password", 4)
+
+/**
+ * Creates a user with the password "password" directly in the database and returns its id and session token
+ *
+ * @param {Swolly} swolly - The swolly instance to create the user in
+ * @param {string} name - The name of the user, which its mail address is derived from
+ * @param {UserRole} role - The role of the user
+ *
+ * @return {{id: string, token: string}}
+ */
+async function createUser(swolly, name, role) {
+    const user = await swolly.store.User.create({
+        fullname: name,
+        mail: `${name.toLowerCase()}@example.com`,
+        gender: "NONE",
+        role,
+        password: PASSWORD_HASH
+    })
+    const session = await swolly.store.Session.create({ token: nanoid(255), UserId: user.id })
+
+    return { id: user.id, token: session.token }
+}
+
+/**
+ * Creates a swolly instance backed by an in-memory database (see {@link Swolly.createInMemory}),
+ * along with an admin, an initiator, a supporter and a category to create projects in
+ *
+ * @param {object} [options] - The options of the swolly instance
+ *
+ * @return {{swolly: Swolly, admin: object, initiator: object, supporter: object, categoryId: string}}
+ */
+async function createFixture(options = {}) {
+    const swolly = await Swolly.createInMemory(options)
+
+    const image = await swolly.store.Image.create({ extension: "png" })
+    const category = await swolly.store.Category.create({ name: "Garden", ImageId: image.id })
+
+    return {
+        swolly,
+        admin: await createUser(swolly, "Admin", UserRole.ADMIN),
+        initiator: await createUser(swolly, "Initiator", UserRole.INITIATOR),
+        supporter: await createUser(swolly, "Supporter", UserRole.SUPPORTER),
+        categoryId: category.id
+    }
+}
+
+/**
+ * Creates a public project of the initiator of a fixture
+ *
+ * @param {object} fixture - The fixture (see {@link createFixture})
+ * @param {object} [values] - Values overriding the defaults of the project
+ *
+ * @return {Project}
+ */
+async function createPublicProject(fixture, values = {}) {
+    const project = await fixture.swolly.Project.create(fixture.initiator.token, {
+        title: "Community Garden",
+        description: "A garden for the neighbourhood",
+        moneyGoal: 100,
+        lat: 52.52,
+        lon: 13.40,
+        CategoryId: fixture.categoryId,
+        ...values
+    })
+
+    await fixture.swolly.Project.update(fixture.admin.token, project.getId(), { status: ProjectStatus.PUBLIC })
+    await project.reload()
+
+    return project
+}
+
+module.exports = {
+    expect: chai.expect,
+    createUser,
+    createFixture,
+    createPublicProject
+}
@@ -0,0 +1,50 @@
+const { expect, createFixture, createPublicProject } = require("../helpers")
+const { Errors } = require("../../src")
+
+describe("ApplicationRepository", () => {
+    let fixture
+    let task
+    let application
+
+    beforeEach(async () => {
+        fixture = await createFixture()
+
+        const project = await createPublicProject(fixture)
+        task = await fixture.swolly.Task.create(fixture.initiator.token, {
+            title: "Dig", description: "Dig the beds", supporterGoal: 2, projectId: project.getId()
+        })
+        application = await fixture.swolly.Application.create(fixture.supporter.token, { text: "I can help", taskId: task.getId() })
+    })
+
+    afterEach(async () => {
+        await fixture.swolly.store.sequelize.close()
+    })
+
+    it("lets the project creator accept applications", async () => {
+        await fixture.swolly.Application.update(fixture.initiator.token, application.getId(), { accepted: true })
+        await application.reload()
+
+        expect(application.getAccepted()).to.be.true
+    })
+
+    it("does not let applicants accept their own applications", async () => {
+        await expect(fixture.swolly.Application.update(fixture.supporter.token, application.getId(), { accepted: true }))
+            .to.be.rejectedWith(Errors.AuthorizationError)
+    })
+
+    describe("to deleted tasks", () => {
+        beforeEach(async () => {
+            await fixture.swolly.Task.delete(fixture.initiator.token, task.getId())
+        })
+
+        it("can not be updated", async () => {
+            await expect(fixture.swolly.Application.update(fixture.initiator.token, application.getId(), { accepted: true }))
+                .to.be.rejectedWith(Errors.NotFoundError)
+        })
+
+        it("can not be deleted", async () => {
+            await expect(fixture.swolly.Application.delete(fixture.initiator.token, application.getId()))
+                .to.be.rejectedWith(Errors.NotFoundError)
+        })
+    })
+})
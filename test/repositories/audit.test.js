@@ -0,0 +1,74 @@
+const { expect, createFixture, createPublicProject } = require("../helpers")
+const { Errors } = require("../../src")
+
+describe("AuditRepository", () => {
+    let fixture
+    let project
+
+    beforeEach(async () => {
+        fixture = await createFixture()
+        project = await createPublicProject(fixture)
+    })
+
+    afterEach(async () => {
+        await fixture.swolly.store.sequelize.close()
+    })
+
+    it("records the changed fields of updates along with the actor", async () => {
+        await fixture.swolly.Project.update(fixture.initiator.token, project.getId(), { title: "School Garden" })
+
+        const [entry] = await fixture.swolly.Audit.getAll(fixture.admin.token, {
+            filter: { entityId: project.getId(), actorId: fixture.initiator.id, action: "update" }
+        })
+
+        expect(entry.getEntityType()).to.equal("project")
+        expect(entry.getDiff().title).to.deep.equal({ from: "Community Garden", to: "School Garden" })
+        expect(entry.getDiff()).to.not.have.property("description")
+    })
+
+    it("records creations as a diff from nothing", async () => {
+        const [entry] = await fixture.swolly.Audit.getAll(fixture.admin.token, {
+            filter: { entityId: project.getId(), action: "create" }
+        })
+
+        expect(entry.getActorId()).to.equal(fixture.initiator.id)
+        expect(entry.getDiff().title).to.deep.equal({ from: null, to: "Community Garden" })
+    })
+
+    it("records deletions as a diff to nothing", async () => {
+        await fixture.swolly.Project.delete(fixture.initiator.token, project.getId())
+
+        const [entry] = await fixture.swolly.Audit.getAll(fixture.admin.token, {
+            filter: { entityId: project.getId(), action: "delete" }
+        })
+
+        expect(entry.getDiff().title).to.deep.equal({ from: "Community Garden", to: null })
+    })
+
+    it("leaves passwords out of the diff", async () => {
+        await fixture.swolly.User.update(fixture.supporter.token, fixture.supporter.id, { password: "new password" })
+
+        const [entry] = await fixture.swolly.Audit.getAll(fixture.admin.token, {
+            filter: { entityId: fixture.supporter.id, action: "update" }
+        })
+
+        expect(entry.getDiff()).to.not.have.property("password")
+    })
+
+    it("filters entries by time range", async () => {
+        await new Promise(resolve => setTimeout(resolve, 10))
+        const from = new Date()
+        await fixture.swolly.Project.update(fixture.initiator.token, project.getId(), { title: "School Garden" })
+
+        const later = await fixture.swolly.Audit.getAll(fixture.admin.token, { filter: { entityType: "project", from } })
+        const earlier = await fixture.swolly.Audit.getAll(fixture.admin.token, { filter: { entityType: "project", to: from } })
+
+        expect(later.map(entry => entry.getDiff().title)).to.deep.equal([{ from: "Community Garden", to: "School Garden" }])
+        expect(earlier.map(entry => entry.getAction())).to.deep.equal(["create", "update"])
+    })
+
+    it("does not let other users read the log", async () => {
+        await expect(fixture.swolly.Audit.getAll(fixture.initiator.token))
+            .to.be.rejectedWith(Errors.AuthorizationError)
+    })
+})
@@ -0,0 +1,104 @@
+const { expect, createFixture, createPublicProject } = require("../helpers")
+const { Errors, Enums } = require("../../src")
+
+const { CommentValidationErrorCode } = Enums
+
+describe("CommentRepository", () => {
+    let fixture
+    let project
+
+    beforeEach(async () => {
+        fixture = await createFixture()
+        project = await createPublicProject(fixture)
+    })
+
+    afterEach(async () => {
+        await fixture.swolly.store.sequelize.close()
+    })
+
+    it("lists the replies to a comment", async () => {
+        const { swolly, supporter, initiator } = fixture
+        const comment = await swolly.Comment.create(supporter.token, { text: "Can I help?", projectId: project.getId() })
+        await swolly.Comment.create(initiator.token, { text: "Sure!", parentId: comment.getId() })
+
+        const replies = await swolly.Comment.getAll(supporter.token, { filter: { parentId: comment.getId() } })
+
+        expect(replies.map(reply => reply.getText())).to.deep.equal(["Sure!"])
+    })
+
+    it("keeps comments on tasks and their replies apart from those on the project", async () => {
+        const { swolly, supporter, initiator } = fixture
+        const task = await swolly.Task.create(initiator.token, {
+            title: "Dig", description: "Dig the beds", supporterGoal: 2, projectId: project.getId()
+        })
+        await swolly.Comment.create(supporter.token, { text: "On the project", projectId: project.getId() })
+        const comment = await swolly.Comment.create(supporter.token, { text: "On the task", taskId: task.getId() })
+        const reply = await swolly.Comment.create(initiator.token, { text: "Reply on the task", parentId: comment.getId() })
+
+        const onProject = await swolly.Comment.getAll(supporter.token, { filter: { projectId: project.getId() } })
+        const onTask = await swolly.Comment.getAll(supporter.token, { filter: { taskId: task.getId(), topLevel: true } })
+
+        expect(onProject.map(comment => comment.getText())).to.deep.equal(["On the project"])
+        expect(onTask.map(comment => comment.getText())).to.deep.equal(["On the task"])
+        expect(reply.getTaskId()).to.equal(task.getId())
+    })
+
+    it("requires exactly one target", async () => {
+        await expect(fixture.swolly.Comment.create(fixture.supporter.token, { text: "Hello" }))
+            .to.be.rejectedWith(Errors.ValidationError)
+            .and.eventually.have.property("code", CommentValidationErrorCode.TARGET_INVALID)
+    })
+
+    it("does not let supporters comment on projects which are not public", async () => {
+        await fixture.swolly.Project.update(fixture.initiator.token, project.getId(), { status: Enums.ProjectStatus.UNLISTED })
+
+        await expect(fixture.swolly.Comment.create(fixture.supporter.token, { text: "Hello", projectId: project.getId() }))
+            .to.be.rejectedWith(Errors.AuthorizationError)
+    })
+
+    it("lets only the author edit a comment", async () => {
+        const comment = await fixture.swolly.Comment.create(fixture.supporter.token, { text: "Helo", projectId: project.getId() })
+
+        await expect(fixture.swolly.Comment.update(fixture.initiator.token, comment.getId(), { text: "Hi" }))
+            .to.be.rejectedWith(Errors.AuthorizationError)
+
+        await fixture.swolly.Comment.update(fixture.supporter.token, comment.getId(), { text: "Hello" })
+        await comment.reload()
+
+        expect(comment.getText()).to.equal("Hello")
+    })
+
+    it("keeps deleted comments without their text and rejects replies to them", async () => {
+        const comment = await fixture.swolly.Comment.create(fixture.supporter.token, { text: "Spam", projectId: project.getId() })
+
+        // The creator of the project moderates comments on it
+        await fixture.swolly.Comment.delete(fixture.initiator.token, comment.getId())
+
+        const deleted = await fixture.swolly.Comment.get(fixture.supporter.token, comment.getId())
+
+        expect(deleted.isDeleted).to.be.true
+        expect(deleted.getText()).to.be.null
+
+        await expect(fixture.swolly.Comment.create(fixture.supporter.token, { text: "Why?", parentId: comment.getId() }))
+            .to.be.rejectedWith(Errors.ValidationError)
+            .and.eventually.have.property("code", CommentValidationErrorCode.PARENT_DELETED)
+    })
+
+    describe("on deleted projects", () => {
+        let comment
+
+        beforeEach(async () => {
+            comment = await fixture.swolly.Comment.create(fixture.supporter.token, { text: "Hello", projectId: project.getId() })
+            await fixture.swolly.Project.delete(fixture.initiator.token, project.getId())
+        })
+
+        it("hides the comments", async () => {
+            expect(await fixture.swolly.Comment.get(fixture.supporter.token, comment.getId())).to.be.null
+        })
+
+        it("rejects replies", async () => {
+            await expect(fixture.swolly.Comment.create(fixture.supporter.token, { text: "Still there?", parentId: comment.getId() }))
+                .to.be.rejectedWith(Errors.NotFoundError)
+        })
+    })
+})
@@ -0,0 +1,79 @@
+const { Readable } = require("stream")
+const sinon = require("sinon")
+const { expect, createFixture } = require("../helpers")
+const { Errors, Storage } = require("../../src")
+
+// A 1x1 pixel png
+const PNG = Buffer.from(
+    "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==",
+    "base64"
+)
+
+describe("ImageRepository", () => {
+    let fixture
+
+    beforeEach(async () => {
+        fixture = await createFixture({ storage: new Storage.MemoryStorageAdapter() })
+    })
+
+    afterEach(async () => {
+        await fixture.swolly.store.sequelize.close()
+    })
+
+    it("stores the file in the storage adapter", async () => {
+        const image = await fixture.swolly.Image.create(fixture.initiator.token, Readable.from([PNG]))
+
+        expect(await fixture.swolly.storage.exists(`${image.getId()}.png`)).to.be.true
+    })
+
+    it("reads the file from the storage adapter", async () => {
+        const image = await fixture.swolly.Image.create(fixture.initiator.token, Readable.from([PNG]))
+
+        const chunks = []
+        for await (const chunk of await image.read()) {
+            chunks.push(chunk)
+        }
+
+        expect(Buffer.concat(chunks).equals(PNG)).to.be.true
+    })
+
+    it("rejects files which are not images", async () => {
+        await expect(fixture.swolly.Image.create(fixture.initiator.token, Readable.from([Buffer.from("text")])))
+            .to.be.rejectedWith(Errors.UploadError)
+        expect(fixture.swolly.storage.files.size).to.equal(0)
+    })
+
+    it("deletes the file along with the image", async () => {
+        const image = await fixture.swolly.Image.create(fixture.initiator.token, Readable.from([PNG]))
+
+        await fixture.swolly.Image.delete(fixture.admin.token, image.getId())
+
+        expect(await fixture.swolly.storage.exists(`${image.getId()}.png`)).to.be.false
+    })
+
+    it("keeps the file when the deletion is rolled back", async () => {
+        const image = await fixture.swolly.Image.create(fixture.initiator.token, Readable.from([PNG]))
+
+        await expect(fixture.swolly.transaction(async tx => {
+            await tx.Image.delete(fixture.admin.token, image.getId())
+            expect(await fixture.swolly.storage.exists(`${image.getId()}.png`)).to.be.true
+            throw new Error("failed")
+        })).to.be.rejectedWith("failed")
+
+        expect(await fixture.swolly.storage.exists(`${image.getId()}.png`)).to.be.true
+    })
+
+    it("deletes the file when the image can not be created", async () => {
+        const count = await fixture.swolly.store.Image.count()
+        const record = sinon.stub(fixture.swolly.Audit.constructor.prototype, "_record").rejects(new Error("failed"))
+
+        try {
+            await expect(fixture.swolly.Image.create(fixture.initiator.token, Readable.from([PNG]))).to.be.rejectedWith("failed")
+        } finally {
+            record.restore()
+        }
+
+        expect(fixture.swolly.storage.files.size).to.equal(0)
+        expect(await fixture.swolly.store.Image.count()).to.equal(count)
+    })
+})
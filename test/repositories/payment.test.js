@@ -0,0 +1,107 @@
+const { expect, createFixture, createPublicProject } = require("../helpers")
+const { Errors, Enums, FakePaymentProvider } = require("../../src")
+
+describe("PaymentRepository", () => {
+    let fixture
+    let project
+    let pledge
+
+    beforeEach(async () => {
+        fixture = await createFixture({ paymentProvider: new FakePaymentProvider() })
+        project = await createPublicProject(fixture)
+        pledge = await fixture.swolly.Pledge.create(fixture.supporter.token, { projectId: project.getId(), amount: 50 })
+    })
+
+    afterEach(async () => {
+        await fixture.swolly.store.sequelize.close()
+    })
+
+    describe("authorize", () => {
+        it("pays the outstanding amount of a pledge", async () => {
+            const payment = await pledge.pay()
+
+            expect(payment.getStatus()).to.equal(Enums.PaymentStatus.AUTHORIZED)
+            expect(payment.getAmount()).to.equal(50)
+            expect(payment.getPledgeId()).to.equal(pledge.getId())
+        })
+
+        it("rejects paying more than was pledged", async () => {
+            await pledge.pay(30)
+
+            await expect(pledge.pay(30))
+                .to.be.rejectedWith(Errors.ValidationError)
+                .and.eventually.have.property("code", Enums.PaymentValidationErrorCode.AMOUNT_EXCEEDS_PLEDGE)
+        })
+
+        it("rejects paying cancelled pledges", async () => {
+            await fixture.swolly.Pledge.cancel(fixture.supporter.token, pledge.getId())
+
+            await expect(pledge.pay())
+                .to.be.rejectedWith(Errors.ValidationError)
+                .and.eventually.have.property("code", Enums.PaymentValidationErrorCode.PLEDGE_NOT_ACTIVE)
+        })
+
+        it("records payments declined by the provider as failed", async () => {
+            fixture.swolly.paymentProvider.failNext("authorize")
+
+            await expect(pledge.pay())
+                .to.be.rejectedWith(Errors.PaymentError)
+                .and.eventually.have.property("code", Enums.PaymentErrorCode.DECLINED)
+            const [payment] = await pledge.getPayments()
+
+            expect(payment.getStatus()).to.equal(Enums.PaymentStatus.FAILED)
+            expect(payment.getFailureCode()).to.equal(Enums.PaymentErrorCode.DECLINED)
+        })
+
+        it("does not let other users pay a pledge", async () => {
+            await expect(fixture.swolly.Payment.authorize(fixture.initiator.token, { pledgeId: pledge.getId() }))
+                .to.be.rejectedWith(Errors.AuthorizationError)
+        })
+    })
+
+    describe("capture", () => {
+        it("does not count the captured money twice", async () => {
+            const payment = await pledge.pay()
+            await fixture.swolly.Payment.capture(fixture.initiator.token, payment.getId())
+            await project.reload()
+
+            expect(project.getMoneyPledged()).to.equal(50)
+        })
+    })
+
+    describe("handleWebhook", () => {
+        it("applies changes made at the provider", async () => {
+            const payment = await pledge.pay()
+            const { payload, signature } = fixture.swolly.paymentProvider.createWebhook(
+                payment.getProviderReference(false), { capture: 20 }
+            )
+
+            await fixture.swolly.Payment.handleWebhook(payload, signature)
+            await payment.reload()
+
+            expect(payment.getStatus()).to.equal(Enums.PaymentStatus.CAPTURED)
+            expect(payment.getAmountCaptured()).to.equal(20)
+        })
+
+        it("rejects webhooks with an invalid signature", async () => {
+            const payment = await pledge.pay()
+            const { payload } = fixture.swolly.paymentProvider.createWebhook(payment.getProviderReference(false), { capture: 20 })
+
+            await expect(fixture.swolly.Payment.handleWebhook(payload, "invalid"))
+                .to.be.rejectedWith(Errors.PaymentError)
+        })
+    })
+
+    describe("refund", () => {
+        it("cancels the pledge once it is refunded in full", async () => {
+            const payment = await pledge.pay()
+            await fixture.swolly.Payment.capture(fixture.initiator.token, payment.getId())
+            await fixture.swolly.Payment.refund(fixture.initiator.token, payment.getId())
+            await pledge.reload()
+            await project.reload()
+
+            expect(pledge.getStatus()).to.equal(Enums.PledgeStatus.CANCELLED)
+            expect(project.getMoneyPledged()).to.equal(0)
+        })
+    })
+})
@@ -0,0 +1,137 @@
+const { expect, createFixture, createPublicProject } = require("../helpers")
+const { Errors, Enums, FakePaymentProvider } = require("../../src")
+
+describe("PledgeRepository", () => {
+    let fixture
+    let project
+
+    beforeEach(async () => {
+        fixture = await createFixture()
+        project = await createPublicProject(fixture)
+    })
+
+    afterEach(async () => {
+        await fixture.swolly.store.sequelize.close()
+    })
+
+    describe("create", () => {
+        it("adds the amount to the pledged money of the project", async () => {
+            await fixture.swolly.Pledge.create(fixture.supporter.token, { projectId: project.getId(), amount: 10.1 })
+            await fixture.swolly.Pledge.create(fixture.supporter.token, { projectId: project.getId(), amount: 0.2 })
+            await project.reload()
+
+            expect(project.getMoneyPledged()).to.equal(10.3)
+        })
+
+        it("rejects pledges to projects which are not public", async () => {
+            await fixture.swolly.Project.update(fixture.initiator.token, project.getId(), { status: Enums.ProjectStatus.UNLISTED })
+
+            await expect(fixture.swolly.Pledge.create(fixture.supporter.token, { projectId: project.getId(), amount: 10 }))
+                .to.be.rejectedWith(Errors.ValidationError)
+                .and.eventually.have.property("code", Enums.PledgeValidationErrorCode.PROJECT_NOT_PUBLIC)
+        })
+    })
+
+    describe("cancel", () => {
+        it("subtracts the amount from the pledged money of the project", async () => {
+            const pledge = await fixture.swolly.Pledge.create(fixture.supporter.token, { projectId: project.getId(), amount: 10 })
+
+            await fixture.swolly.Pledge.cancel(fixture.supporter.token, pledge.getId())
+            await project.reload()
+
+            expect(project.getMoneyPledged()).to.equal(0)
+        })
+
+        it("does not let other users cancel a pledge", async () => {
+            const pledge = await fixture.swolly.Pledge.create(fixture.supporter.token, { projectId: project.getId(), amount: 10 })
+
+            await expect(fixture.swolly.Pledge.cancel(fixture.initiator.token, pledge.getId()))
+                .to.be.rejectedWith(Errors.AuthorizationError)
+        })
+
+        it("voids authorized and refunds captured payments of the pledge", async () => {
+            fixture.swolly.paymentProvider = new FakePaymentProvider()
+            const pledge = await fixture.swolly.Pledge.create(fixture.supporter.token, { projectId: project.getId(), amount: 10 })
+            const authorized = await pledge.pay(4)
+            const captured = await pledge.pay(6)
+            await fixture.swolly.Payment.capture(fixture.initiator.token, captured.getId())
+
+            await fixture.swolly.Pledge.cancel(fixture.supporter.token, pledge.getId())
+            await authorized.reload()
+            await captured.reload()
+            await pledge.reload()
+
+            expect(pledge.getStatus()).to.equal(Enums.PledgeStatus.CANCELLED)
+            expect(authorized.getStatus()).to.equal(Enums.PaymentStatus.VOIDED)
+            expect(captured.getStatus()).to.equal(Enums.PaymentStatus.REFUNDED)
+            expect(captured.getAmountRefunded()).to.equal(6)
+        })
+
+        it("keeps the pledge when the provider declines giving back a payment", async () => {
+            fixture.swolly.paymentProvider = new FakePaymentProvider().failNext("void")
+            const pledge = await fixture.swolly.Pledge.create(fixture.supporter.token, { projectId: project.getId(), amount: 10 })
+            const payment = await pledge.pay()
+
+            await expect(fixture.swolly.Pledge.cancel(fixture.supporter.token, pledge.getId()))
+                .to.be.rejectedWith(Errors.PaymentError)
+            await pledge.reload()
+            await payment.reload()
+            await project.reload()
+
+            expect(pledge.getStatus()).to.equal(Enums.PledgeStatus.ACTIVE)
+            expect(payment.getStatus()).to.equal(Enums.PaymentStatus.AUTHORIZED)
+            expect(project.getMoneyPledged()).to.equal(10)
+        })
+
+        it("rejects cancelling a pledge twice", async () => {
+            const pledge = await fixture.swolly.Pledge.create(fixture.supporter.token, { projectId: project.getId(), amount: 10 })
+            await fixture.swolly.Pledge.cancel(fixture.supporter.token, pledge.getId())
+
+            await expect(fixture.swolly.Pledge.cancel(fixture.supporter.token, pledge.getId()))
+                .to.be.rejectedWith(Errors.ValidationError)
+                .and.eventually.have.property("code", Enums.PledgeValidationErrorCode.ALREADY_CANCELLED)
+        })
+
+        it("rejects cancelling once the project is funded", async () => {
+            const pledge = await fixture.swolly.Pledge.create(fixture.supporter.token, { projectId: project.getId(), amount: 10 })
+            await fixture.swolly.Project.update(fixture.admin.token, project.getId(), { status: Enums.ProjectStatus.FUNDED })
+
+            await expect(fixture.swolly.Pledge.cancel(fixture.supporter.token, pledge.getId()))
+                .to.be.rejectedWith(Errors.ValidationError)
+                .and.eventually.have.property("code", Enums.PledgeValidationErrorCode.PROJECT_NOT_PUBLIC)
+        })
+
+        it("rejects cancelling once the funding campaign has ended", async () => {
+            const pledge = await fixture.swolly.Pledge.create(fixture.supporter.token, { projectId: project.getId(), amount: 10 })
+            await fixture.swolly.store.Project.update({ fundingEnd: new Date(Date.now() - 1000) }, { where: { id: project.getId() } })
+
+            await expect(fixture.swolly.Pledge.cancel(fixture.supporter.token, pledge.getId()))
+                .to.be.rejectedWith(Errors.ValidationError)
+                .and.eventually.have.property("code", Enums.PledgeValidationErrorCode.FUNDING_CLOSED)
+        })
+    })
+
+    it("cancels all pledges when the funding fails", async () => {
+        const pledge = await fixture.swolly.Pledge.create(fixture.supporter.token, { projectId: project.getId(), amount: 10 })
+
+        await fixture.swolly.Project.update(fixture.admin.token, project.getId(), { status: Enums.ProjectStatus.FUNDING_FAILED })
+        await pledge.reload()
+        await project.reload()
+
+        expect(pledge.getStatus()).to.equal(Enums.PledgeStatus.CANCELLED)
+        expect(project.getMoneyPledged()).to.equal(0)
+    })
+
+    it("gives back the payments of the pledges when the funding fails", async () => {
+        fixture.swolly.paymentProvider = new FakePaymentProvider()
+        const pledge = await fixture.swolly.Pledge.create(fixture.supporter.token, { projectId: project.getId(), amount: 10 })
+        const payment = await pledge.pay()
+        await fixture.swolly.Payment.capture(fixture.initiator.token, payment.getId())
+
+        await fixture.swolly.Project.update(fixture.admin.token, project.getId(), { status: Enums.ProjectStatus.FUNDING_FAILED })
+        await payment.reload()
+
+        expect(payment.getStatus()).to.equal(Enums.PaymentStatus.REFUNDED)
+        expect(payment.getAmountRefunded()).to.equal(10)
+    })
+})
@@ -0,0 +1,395 @@
+const { expect, createFixture, createPublicProject } = require("../helpers")
+const { Errors, Enums } = require("../../src")
+
+describe("ProjectRepository", () => {
+    let fixture
+
+    beforeEach(async () => {
+        fixture = await createFixture()
+    })
+
+    afterEach(async () => {
+        await fixture.swolly.store.sequelize.close()
+    })
+
+    describe("create", () => {
+        it("creates projects which need to be verified", async () => {
+            const project = await fixture.swolly.Project.create(fixture.initiator.token, {
+                title: "Community Garden",
+                description: "A garden for the neighbourhood",
+                moneyGoal: 100,
+                lat: 52.52,
+                lon: 13.40,
+                CategoryId: fixture.categoryId
+            })
+
+            expect(project.getStatus()).to.equal(Enums.ProjectStatus.NEEDS_VERIFICATION)
+            expect(project.getCreatorId()).to.equal(fixture.initiator.id)
+        })
+
+        it("does not let supporters create projects", async () => {
+            await expect(fixture.swolly.Project.create(fixture.supporter.token, {
+                title: "Community Garden",
+                description: "A garden for the neighbourhood",
+                moneyGoal: 100,
+                lat: 52.52,
+                lon: 13.40,
+                CategoryId: fixture.categoryId
+            })).to.be.rejectedWith(Errors.AuthorizationError)
+        })
+
+        it("creates projects without a category", async () => {
+            const project = await fixture.swolly.Project.create(fixture.initiator.token, {
+                title: "Community Garden",
+                description: "A garden for the neighbourhood",
+                moneyGoal: 100,
+                lat: 52.52,
+                lon: 13.40
+            })
+
+            await project.reload()
+
+            expect(project.getCategoryId()).to.be.null
+        })
+
+        it("looks up the coordinates of the address", async () => {
+            const project = await createPublicProject(fixture, {
+                lat: undefined,
+                lon: undefined,
+                postalCode: "10117",
+                city: "Berlin",
+                country: "DE"
+            })
+
+            expect(project.getLat()).to.be.closeTo(52.517, 0.01)
+            expect(project.getLon()).to.be.closeTo(13.387, 0.01)
+        })
+
+        it("rejects addresses which could not be found without coordinates", async () => {
+            await expect(fixture.swolly.Project.create(fixture.initiator.token, {
+                title: "Community Garden",
+                description: "A garden for the neighbourhood",
+                moneyGoal: 100,
+                city: "Atlantis",
+                CategoryId: fixture.categoryId
+            }))
+                .to.be.rejectedWith(Errors.ValidationError)
+                .and.eventually.have.property("code", Enums.ProjectValidationErrorCode.ADDRESS_NOT_FOUND)
+        })
+    })
+
+    describe("get", () => {
+        it("reads the money goal as a number", async () => {
+            const { id } = await fixture.swolly.store.Project.create({
+                title: "Community Garden",
+                description: "A garden for the neighbourhood",
+                status: Enums.ProjectStatus.PUBLIC,
+                moneyGoal: 100.5,
+                lat: 52.52,
+                lon: 13.40,
+                CreatorId: fixture.initiator.id,
+                CategoryId: fixture.categoryId
+            })
+
+            const project = await fixture.swolly.Project.get(fixture.supporter.token, id)
+
+            expect(project.getMoneyGoal()).to.equal(100.5)
+        })
+    })
+
+    describe("getAll", () => {
+        it("pages projects near a location by their distance", async () => {
+            await createPublicProject(fixture, { title: "Far", lat: 52.60, lon: 13.40 })
+            await createPublicProject(fixture, { title: "Near", lat: 52.52, lon: 13.40 })
+            await createPublicProject(fixture, { title: "Middle", lat: 52.55, lon: 13.40 })
+            const options = { location: { lat: 52.52, lon: 13.40, maxDistance: 20000 }, page: { limit: 2 } }
+
+            const first = await fixture.swolly.Project.getAll(fixture.supporter.token, options)
+            const second = await fixture.swolly.Project.getAll(fixture.supporter.token, {
+                ...options, page: { limit: 2, cursor: first.nextCursor }
+            })
+
+            expect(first.items.map(project => project.getTitle())).to.deep.equal(["Near", "Middle"])
+            expect(second.items.map(project => project.getTitle())).to.deep.equal(["Far"])
+            expect(second.nextCursor).to.be.null
+        })
+
+        it("leaves out projects further away than the maximum distance and counts the rest", async () => {
+            await createPublicProject(fixture, { title: "Near", lat: 52.52, lon: 13.40 })
+            // Inside the bounding box, but further away than the maximum distance
+            await createPublicProject(fixture, { title: "Corner", lat: 52.60, lon: 13.53 })
+
+            const page = await fixture.swolly.Project.getAll(fixture.supporter.token, {
+                location: { lat: 52.52, lon: 13.40, maxDistance: 10000 }, page: { limit: 10, totalCount: true }
+            })
+
+            expect(page.items.map(project => project.getTitle())).to.deep.equal(["Near"])
+            expect(page.items[0].getDistance()).to.be.closeTo(0, 1e-6)
+            expect(page.totalCount).to.equal(1)
+        })
+    })
+
+    describe("getInBounds", () => {
+        const bounds = { minLat: 47, maxLat: 54, minLon: 10, maxLon: 14 }
+
+        beforeEach(async () => {
+            await createPublicProject(fixture, { title: "Garden", lat: 52.520, lon: 13.400 })
+            await createPublicProject(fixture, { title: "Library", lat: 52.521, lon: 13.401 })
+            await createPublicProject(fixture, { title: "Playground", lat: 48.137, lon: 11.575 })
+            await createPublicProject(fixture, { title: "Harbour", lat: 53.55, lon: 9.99 })
+        })
+
+        it("clusters projects close to each other at low zoom levels", async () => {
+            const { projects, clusters } = await fixture.swolly.Project.getInBounds(fixture.supporter.token, bounds, { zoom: 5 })
+
+            expect(projects.map(project => project.getTitle())).to.deep.equal(["Playground"])
+            expect(clusters).to.have.length(1)
+            expect(clusters[0].count).to.equal(2)
+        })
+
+        it("shows every project on its own without a zoom level", async () => {
+            const { projects, clusters } = await fixture.swolly.Project.getInBounds(fixture.supporter.token, bounds)
+
+            expect(projects.map(project => project.getTitle())).to.have.members(["Garden", "Library", "Playground"])
+            expect(clusters).to.deep.equal([])
+        })
+
+        it("rejects invalid viewports", async () => {
+            await expect(fixture.swolly.Project.getInBounds(fixture.supporter.token, { ...bounds, minLat: 55 }))
+                .to.be.rejectedWith(Errors.ValidationError)
+                .and.eventually.have.property("code", Enums.MapValidationErrorCode.BOUNDS_INVALID)
+        })
+    })
+
+    describe("search", () => {
+        it("finds projects containing any word of the query, the most relevant first", async () => {
+            await createPublicProject(fixture, { title: "Library", description: "Books and a small garden" })
+            await createPublicProject(fixture, { title: "Garden", description: "A garden with garden tools" })
+            await createPublicProject(fixture, { title: "Playground", description: "Swings and a slide" })
+
+            const { items } = await fixture.swolly.Project.search(fixture.supporter.token, "Garden tools", { page: { limit: 10 } })
+
+            expect(items.map(project => project.getTitle())).to.deep.equal(["Garden", "Library"])
+            expect(items[0].getRelevance()).to.be.greaterThan(items[1].getRelevance())
+        })
+
+        it("pages results by their relevance", async () => {
+            await createPublicProject(fixture, { title: "Library", description: "Books and a small garden" })
+            await createPublicProject(fixture, { title: "Garden", description: "A garden with garden tools" })
+            await createPublicProject(fixture, { title: "Shed", description: "A place for tools" })
+
+            const first = await fixture.swolly.Project.search(fixture.supporter.token, "Garden tools", { page: { limit: 1 } })
+            const second = await fixture.swolly.Project.search(fixture.supporter.token, "Garden tools", {
+                page: { limit: 5, cursor: first.nextCursor }
+            })
+
+            expect(first.items.map(project => project.getTitle())).to.deep.equal(["Garden"])
+            expect(second.items.map(project => project.getTitle())).to.have.members(["Library", "Shed"])
+            expect(second.nextCursor).to.be.null
+        })
+
+        it("does not find projects which are not listed", async () => {
+            const project = await createPublicProject(fixture)
+            await fixture.swolly.Project.update(fixture.initiator.token, project.getId(), { status: Enums.ProjectStatus.UNLISTED })
+
+            const { items } = await fixture.swolly.Project.search(fixture.supporter.token, "garden", { page: { limit: 10 } })
+
+            expect(items).to.be.empty
+        })
+
+        it("ranks results by relevance without a page", async () => {
+            await createPublicProject(fixture, { title: "Library", description: "Books and a small garden" })
+            await createPublicProject(fixture, { title: "Garden", description: "A garden with garden tools" })
+
+            const projects = await fixture.swolly.Project.search(fixture.supporter.token, "garden")
+
+            expect(projects.map(project => project.getTitle())).to.deep.equal(["Garden", "Library"])
+        })
+
+        it("rejects queries without words", async () => {
+            await expect(fixture.swolly.Project.search(fixture.supporter.token, " - "))
+                .to.be.rejectedWith(Errors.ValidationError)
+                .and.eventually.have.property("code", Enums.SearchValidationErrorCode.QUERY_EMPTY)
+        })
+    })
+
+    describe("update", () => {
+        it("keeps the coordinates if the new address could not be found", async () => {
+            const project = await createPublicProject(fixture)
+
+            await fixture.swolly.Project.update(fixture.initiator.token, project.getId(), { city: "Atlantis" })
+            await project.reload()
+
+            expect(project.getCity()).to.equal("Atlantis")
+            expect(project.getLat()).to.equal(52.52)
+        })
+
+        it("lets the creator update the project", async () => {
+            const project = await createPublicProject(fixture)
+
+            await fixture.swolly.Project.update(fixture.initiator.token, project.getId(), { title: "School Garden" })
+            await project.reload()
+
+            expect(project.getTitle()).to.equal("School Garden")
+        })
+
+        it("does not let other users update the project", async () => {
+            const project = await createPublicProject(fixture)
+
+            await expect(fixture.swolly.Project.update(fixture.supporter.token, project.getId(), { title: "School Garden" }))
+                .to.be.rejectedWith(Errors.AuthorizationError)
+        })
+
+        it("rejects updates of unknown projects", async () => {
+            await expect(fixture.swolly.Project.update(fixture.admin.token, "unknown", { title: "School Garden" }))
+                .to.be.rejectedWith(Errors.NotFoundError)
+        })
+    })
+
+    describe("delete", () => {
+        it("does not let other users delete the project", async () => {
+            const project = await createPublicProject(fixture)
+
+            await expect(fixture.swolly.Project.delete(fixture.supporter.token, project.getId()))
+                .to.be.rejectedWith(Errors.AuthorizationError)
+        })
+
+        it("hides deleted projects from everyone but admins until they are restored", async () => {
+            const { swolly, admin, initiator } = fixture
+            const project = await createPublicProject(fixture)
+
+            await swolly.Project.delete(initiator.token, project.getId())
+
+            expect(await swolly.Project.get(initiator.token, project.getId())).to.be.null
+            expect((await swolly.Project.getAll(admin.token, { includeDeleted: true })).map(project => project.getId()))
+                .to.deep.equal([project.getId()])
+            await expect(swolly.Project.getAll(initiator.token, { includeDeleted: true }))
+                .to.be.rejectedWith(Errors.AuthorizationError)
+
+            await swolly.Project.restore(admin.token, project.getId())
+
+            expect(await swolly.Project.get(initiator.token, project.getId())).to.not.be.null
+        })
+
+        it("restores the tasks deleted along with the project", async () => {
+            const { swolly, initiator, admin } = fixture
+            const project = await createPublicProject(fixture)
+            const task = await swolly.Task.create(initiator.token, {
+                title: "Dig", description: "Dig the beds", supporterGoal: 2, projectId: project.getId()
+            })
+
+            await swolly.Project.delete(initiator.token, project.getId())
+            expect(await swolly.Task.get(admin.token, task.getId())).to.be.null
+
+            await swolly.Project.restore(admin.token, project.getId())
+            expect(await swolly.Task.get(admin.token, task.getId())).to.not.be.null
+        })
+
+        it("does not restore projects of deleted creators", async () => {
+            const { swolly, admin, initiator } = fixture
+            const project = await createPublicProject(fixture)
+
+            await swolly.User.delete(admin.token, initiator.id)
+
+            await expect(swolly.Project.restore(admin.token, project.getId()))
+                .to.be.rejectedWith(Errors.ValidationError)
+                .and.eventually.have.property("code", Enums.ProjectValidationErrorCode.CREATOR_DELETED)
+        })
+
+        it("purges projects for good", async () => {
+            const { swolly, admin, initiator } = fixture
+            const project = await createPublicProject(fixture)
+
+            await swolly.Project.delete(initiator.token, project.getId())
+            await swolly.Project.purge(admin.token, project.getId())
+
+            expect(await swolly.store.Project.findByPk(project.getId(), { paranoid: false })).to.be.null
+        })
+
+        it("refuses to purge projects with pledges", async () => {
+            const { swolly, admin, supporter } = fixture
+            const project = await createPublicProject(fixture)
+            await swolly.Pledge.create(supporter.token, { projectId: project.getId(), amount: 10 })
+
+            await expect(swolly.Project.purge(admin.token, project.getId()))
+                .to.be.rejectedWith(Errors.ValidationError)
+                .and.eventually.have.property("code", Enums.ProjectValidationErrorCode.HAS_FINANCIAL_RECORDS)
+        })
+    })
+
+    describe("clone", () => {
+        let project
+
+        beforeEach(async () => {
+            project = await createPublicProject(fixture)
+            await fixture.swolly.Task.create(fixture.initiator.token, {
+                title: "Dig", description: "Dig the beds", supporterGoal: 2, projectId: project.getId()
+            })
+        })
+
+        it("copies the project along with its tasks into a project which needs to be verified", async () => {
+            const copy = await fixture.swolly.Project.clone(fixture.initiator.token, project.getId(), { title: "Garden 2027" })
+            await copy.reload()
+
+            const tasks = await copy.getTasks()
+
+            expect(copy.getId()).to.not.equal(project.getId())
+            expect(copy.getTitle()).to.equal("Garden 2027")
+            expect(copy.getLat()).to.equal(52.52)
+            expect(copy.getStatus()).to.equal(Enums.ProjectStatus.NEEDS_VERIFICATION)
+            expect(tasks.map(task => task.getTitle())).to.deep.equal(["Dig"])
+        })
+
+        it("does not copy anything if the copy is invalid", async () => {
+            await expect(fixture.swolly.Project.clone(fixture.initiator.token, project.getId(), { moneyGoal: -1 }))
+                .to.be.rejectedWith(Errors.ValidationError)
+
+            expect(await fixture.swolly.store.Project.count()).to.equal(1)
+            expect(await fixture.swolly.store.Task.count()).to.equal(1)
+        })
+
+        it("does not let users who are not part of the project clone it", async () => {
+            await expect(fixture.swolly.Project.clone(fixture.supporter.token, project.getId()))
+                .to.be.rejectedWith(Errors.AuthorizationError)
+        })
+    })
+
+    describe("follow", () => {
+        it("adds projects to the watch list of the caller once", async () => {
+            const project = await createPublicProject(fixture)
+
+            await fixture.swolly.Project.follow(fixture.supporter.token, project.getId())
+            await fixture.swolly.Project.follow(fixture.supporter.token, project.getId())
+
+            const user = await fixture.swolly.User.get(fixture.supporter.token, fixture.supporter.id)
+            const followed = await user.getFollowedProjects()
+
+            expect(followed.map(project => project.getId())).to.deep.equal([project.getId()])
+        })
+
+        it("removes unfollowed projects from the watch list", async () => {
+            const project = await createPublicProject(fixture)
+
+            await fixture.swolly.Project.follow(fixture.supporter.token, project.getId())
+            await fixture.swolly.Project.unfollow(fixture.supporter.token, project.getId())
+
+            const followed = await fixture.swolly.Project.getAll(fixture.supporter.token, { filter: { followedBy: fixture.supporter.id } })
+
+            expect(followed).to.deep.equal([])
+        })
+
+        it("does not let users follow projects which are not listed", async () => {
+            const project = await fixture.swolly.Project.create(fixture.initiator.token, {
+                title: "Community Garden", description: "A garden for the neighbourhood", moneyGoal: 100, lat: 52.52, lon: 13.40, CategoryId: fixture.categoryId
+            })
+
+            await expect(fixture.swolly.Project.follow(fixture.supporter.token, project.getId()))
+                .to.be.rejectedWith(Errors.AuthorizationError)
+        })
+
+        it("does not let users list the watch list of others", async () => {
+            await expect(fixture.swolly.Project.getAll(fixture.supporter.token, { filter: { followedBy: fixture.initiator.id } }))
+                .to.be.rejectedWith(Errors.AuthorizationError)
+        })
+    })
+})
@@ -0,0 +1,94 @@
+const { expect, createUser, createFixture, createPublicProject } = require("../helpers")
+const { Errors, Enums } = require("../../src")
+
+const { ProjectMemberRole, ProjectMemberValidationErrorCode, UserRole } = Enums
+
+describe("ProjectMemberRepository", () => {
+    let fixture
+    let project
+    let member
+
+    beforeEach(async () => {
+        fixture = await createFixture()
+        project = await createPublicProject(fixture)
+        member = await createUser(fixture.swolly, "Member", UserRole.SUPPORTER)
+    })
+
+    afterEach(async () => {
+        await fixture.swolly.store.sequelize.close()
+    })
+
+    function addMember(role, token = fixture.initiator.token, userId = member.id) {
+        return fixture.swolly.ProjectMember.create(token, { projectId: project.getId(), userId, role })
+    }
+
+    it("lets the creator add members to the project", async () => {
+        await addMember(ProjectMemberRole.EDITOR)
+
+        const members = await fixture.swolly.ProjectMember.getAll(fixture.supporter.token, { filter: { projectId: project.getId() } })
+
+        expect(members.map(member => [member.getUserId(), member.getRole()])).to.deep.equal([[member.id, ProjectMemberRole.EDITOR]])
+    })
+
+    it("lets editors edit the project but not manage the members", async () => {
+        await addMember(ProjectMemberRole.EDITOR)
+
+        await fixture.swolly.Project.update(member.token, project.getId(), { title: "School Garden" })
+        await project.reload()
+
+        expect(project.getTitle()).to.equal("School Garden")
+
+        await expect(addMember(ProjectMemberRole.EDITOR, member.token, fixture.supporter.id))
+            .to.be.rejectedWith(Errors.AuthorizationError)
+    })
+
+    it("lets coordinators manage the tasks but not edit the project", async () => {
+        await addMember(ProjectMemberRole.COORDINATOR)
+
+        const task = await fixture.swolly.Task.create(member.token, {
+            title: "Dig", description: "Dig the beds", supporterGoal: 2, projectId: project.getId()
+        })
+
+        expect(task.getProjectId()).to.equal(project.getId())
+
+        await expect(fixture.swolly.Project.update(member.token, project.getId(), { title: "School Garden" }))
+            .to.be.rejectedWith(Errors.AuthorizationError)
+    })
+
+    it("lets owners manage the members", async () => {
+        await addMember(ProjectMemberRole.OWNER)
+
+        const coordinator = await addMember(ProjectMemberRole.COORDINATOR, member.token, fixture.supporter.id)
+        await fixture.swolly.ProjectMember.update(member.token, coordinator.getId(), { role: ProjectMemberRole.EDITOR })
+        await coordinator.reload()
+
+        expect(coordinator.getRole()).to.equal(ProjectMemberRole.EDITOR)
+    })
+
+    it("lets members leave the project", async () => {
+        const membership = await addMember(ProjectMemberRole.COORDINATOR)
+
+        await fixture.swolly.ProjectMember.delete(member.token, membership.getId())
+
+        await expect(fixture.swolly.Task.create(member.token, {
+            title: "Dig", description: "Dig the beds", supporterGoal: 2, projectId: project.getId()
+        })).to.be.rejectedWith(Errors.AuthorizationError)
+    })
+
+    it("rejects adding the creator or a member twice", async () => {
+        await addMember(ProjectMemberRole.EDITOR)
+
+        await expect(addMember(ProjectMemberRole.COORDINATOR))
+            .to.be.rejectedWith(Errors.ValidationError)
+            .and.eventually.have.property("code", ProjectMemberValidationErrorCode.ALREADY_MEMBER)
+        await expect(addMember(ProjectMemberRole.OWNER, fixture.initiator.token, fixture.initiator.id))
+            .to.be.rejectedWith(Errors.ValidationError)
+            .and.eventually.have.property("code", ProjectMemberValidationErrorCode.USER_IS_CREATOR)
+    })
+
+    it("rejects unknown roles", async () => {
+        await expect(addMember("JANITOR"))
+            .to.be.rejectedWith(Errors.ValidationError)
+            .and.eventually.have.property("code", ProjectMemberValidationErrorCode.ROLE_INVALID)
+    })
+})
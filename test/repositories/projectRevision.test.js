@@ -0,0 +1,76 @@
+const { expect, createFixture, createPublicProject } = require("../helpers")
+const { Errors, Enums } = require("../../src")
+
+const { ProjectRevisionValidationErrorCode } = Enums
+
+describe("ProjectRevisionRepository", () => {
+    let fixture
+    let project
+
+    beforeEach(async () => {
+        fixture = await createFixture()
+        project = await createPublicProject(fixture)
+    })
+
+    afterEach(async () => {
+        await fixture.swolly.store.sequelize.close()
+    })
+
+    function getRevisions(token = fixture.initiator.token) {
+        return fixture.swolly.ProjectRevision.getAll(token, { filter: { projectId: project.getId() } })
+    }
+
+    it("adds a revision when the title or description changes", async () => {
+        await fixture.swolly.Project.update(fixture.initiator.token, project.getId(), { title: "School Garden" })
+        await fixture.swolly.Project.update(fixture.initiator.token, project.getId(), { moneyGoal: 200 })
+
+        const revisions = await getRevisions()
+
+        expect(revisions.map(revision => [revision.getNumber(), revision.getTitle()])).to.deep.equal([
+            [2, "School Garden"],
+            [1, "Community Garden"]
+        ])
+        expect(revisions[0].getAuthorId()).to.equal(fixture.initiator.id)
+    })
+
+    it("compares revisions of a project", async () => {
+        await fixture.swolly.Project.update(fixture.initiator.token, project.getId(), { title: "School Garden" })
+        const [newer, older] = await getRevisions()
+
+        const changes = await fixture.swolly.ProjectRevision.diff(fixture.initiator.token, older.getId(), newer.getId())
+
+        expect(changes).to.deep.equal({ title: { from: "Community Garden", to: "School Garden" } })
+    })
+
+    it("rejects comparing revisions of different projects", async () => {
+        const other = await createPublicProject(fixture, { title: "Library" })
+        const [revision] = await getRevisions()
+        const [otherRevision] = await fixture.swolly.ProjectRevision.getAll(fixture.initiator.token, { filter: { projectId: other.getId() } })
+
+        await expect(fixture.swolly.ProjectRevision.diff(fixture.initiator.token, revision.getId(), otherRevision.getId()))
+            .to.be.rejectedWith(Errors.ValidationError)
+            .and.eventually.have.property("code", ProjectRevisionValidationErrorCode.PROJECT_MISMATCH)
+    })
+
+    it("rolls the project back to a revision, adding a new one", async () => {
+        await fixture.swolly.Project.update(fixture.initiator.token, project.getId(), { title: "School Garden" })
+        const [, first] = await getRevisions()
+
+        await fixture.swolly.ProjectRevision.rollback(fixture.initiator.token, first.getId())
+        await project.reload()
+
+        const [latest] = await getRevisions()
+
+        expect(project.getTitle()).to.equal("Community Garden")
+        expect(latest.getNumber()).to.equal(3)
+        expect(latest.getRestoredFrom()).to.equal(1)
+    })
+
+    it("does not let other users read or roll back revisions", async () => {
+        const [revision] = await getRevisions()
+
+        await expect(getRevisions(fixture.supporter.token)).to.be.rejectedWith(Errors.AuthorizationError)
+        await expect(fixture.swolly.ProjectRevision.rollback(fixture.supporter.token, revision.getId()))
+            .to.be.rejectedWith(Errors.AuthorizationError)
+    })
+})
@@ -0,0 +1,69 @@
+const { expect, createFixture, createPublicProject } = require("../helpers")
+const { Errors, Enums } = require("../../src")
+
+const { ProjectStatus, ProjectTemplateValidationErrorCode } = Enums
+
+describe("ProjectTemplateRepository", () => {
+    let fixture
+    let project
+
+    beforeEach(async () => {
+        fixture = await createFixture()
+        project = await createPublicProject(fixture, { tags: ["green"] })
+        await fixture.swolly.Task.create(fixture.initiator.token, {
+            title: "Dig", description: "Dig the beds", supporterGoal: 2, projectId: project.getId()
+        })
+    })
+
+    afterEach(async () => {
+        await fixture.swolly.store.sequelize.close()
+    })
+
+    it("takes over the content of a project", async () => {
+        const template = await fixture.swolly.ProjectTemplate.createFromProject(fixture.admin.token, project.getId(), { title: "Garden Kit" })
+
+        expect(template.getTitle()).to.equal("Garden Kit")
+        expect(template.getMoneyGoal()).to.equal(100)
+        expect(template.getTags()).to.deep.equal(["green"])
+        expect(template.getTasks()).to.deep.equal([{ title: "Dig", description: "Dig the beds", supporterGoal: 2 }])
+    })
+
+    it("starts projects of the caller from a template, which need to be verified", async () => {
+        const template = await fixture.swolly.ProjectTemplate.createFromProject(fixture.admin.token, project.getId())
+
+        const started = await fixture.swolly.ProjectTemplate.instantiate(fixture.initiator.token, template.getId(), {
+            title: "Garden in Munich", lat: 48.137, lon: 11.575
+        })
+        await started.reload()
+
+        const tasks = await started.getTasks()
+        const tags = await started.getTags()
+
+        expect(started.getTitle()).to.equal("Garden in Munich")
+        expect(started.getStatus()).to.equal(ProjectStatus.NEEDS_VERIFICATION)
+        expect(started.getCreatorId()).to.equal(fixture.initiator.id)
+        expect(tasks.map(task => task.getTitle())).to.deep.equal(["Dig"])
+        expect(tags.map(tag => tag.getName())).to.deep.equal(["green"])
+    })
+
+    it("does not let supporters start projects from templates", async () => {
+        const template = await fixture.swolly.ProjectTemplate.createFromProject(fixture.admin.token, project.getId())
+
+        await expect(fixture.swolly.ProjectTemplate.instantiate(fixture.supporter.token, template.getId(), { lat: 48.137, lon: 11.575 }))
+            .to.be.rejectedWith(Errors.AuthorizationError)
+    })
+
+    it("lets only admins curate templates", async () => {
+        await expect(fixture.swolly.ProjectTemplate.create(fixture.initiator.token, {
+            title: "Garden Kit", description: "Everything for a garden", moneyGoal: 100
+        })).to.be.rejectedWith(Errors.AuthorizationError)
+    })
+
+    it("rejects invalid templates", async () => {
+        await expect(fixture.swolly.ProjectTemplate.create(fixture.admin.token, {
+            title: "Garden Kit", description: "Everything for a garden", moneyGoal: 100, tasks: "Dig"
+        }))
+            .to.be.rejectedWith(Errors.ValidationError)
+            .and.eventually.have.property("code", ProjectTemplateValidationErrorCode.TASKS_NOT_ARRAY)
+    })
+})
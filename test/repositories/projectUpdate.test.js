@@ -0,0 +1,119 @@
+const { expect, createUser, createFixture, createPublicProject } = require("../helpers")
+const { Errors, Enums } = require("../../src")
+
+const { ProjectUpdateVisibility, ProjectUpdateValidationErrorCode, UserRole } = Enums
+
+describe("ProjectUpdateRepository", () => {
+    let fixture
+    let project
+    let stranger
+
+    beforeEach(async () => {
+        fixture = await createFixture()
+        project = await createPublicProject(fixture)
+        stranger = await createUser(fixture.swolly, "Stranger", UserRole.SUPPORTER)
+
+        // The supporter of the fixture becomes a supporter of the project through an accepted application
+        const task = await fixture.swolly.Task.create(fixture.initiator.token, {
+            title: "Dig", description: "Dig the beds", supporterGoal: 2, projectId: project.getId()
+        })
+        const application = await fixture.swolly.Application.create(fixture.supporter.token, { text: "I can help", taskId: task.getId() })
+        await fixture.swolly.Application.update(fixture.initiator.token, application.getId(), { accepted: true })
+    })
+
+    afterEach(async () => {
+        await fixture.swolly.store.sequelize.close()
+    })
+
+    function post(values = {}) {
+        return fixture.swolly.ProjectUpdate.create(fixture.initiator.token, {
+            projectId: project.getId(), title: "First harvest", body: "The tomatoes are ripe", ...values
+        })
+    }
+
+    async function titlesFor(user) {
+        const updates = await fixture.swolly.ProjectUpdate.getAll(user.token, { filter: { projectId: project.getId() } })
+        return updates.map(update => update.getTitle())
+    }
+
+    it("lets the creator of the project post public updates", async () => {
+        const update = await post()
+
+        expect(update.getVisibility()).to.equal(ProjectUpdateVisibility.PUBLIC)
+        expect(update.getAuthorId()).to.equal(fixture.initiator.id)
+        expect(await titlesFor(stranger)).to.deep.equal(["First harvest"])
+    })
+
+    it("does not let other users post updates", async () => {
+        await expect(fixture.swolly.ProjectUpdate.create(fixture.supporter.token, {
+            projectId: project.getId(), title: "First harvest", body: "The tomatoes are ripe"
+        })).to.be.rejectedWith(Errors.AuthorizationError)
+    })
+
+    it("shows updates for supporters only to the supporters of the project", async () => {
+        const update = await post({ visibility: ProjectUpdateVisibility.SUPPORTERS })
+
+        expect(await titlesFor(fixture.supporter)).to.deep.equal(["First harvest"])
+        expect(await titlesFor(stranger)).to.deep.equal([])
+        expect(await titlesFor(fixture.initiator)).to.deep.equal(["First harvest"])
+
+        await expect(fixture.swolly.ProjectUpdate.get(stranger.token, update.getId()))
+            .to.be.rejectedWith(Errors.AuthorizationError)
+    })
+
+    it("hides updates published in the future until then", async () => {
+        const update = await post({ publishedAt: new Date(Date.now() + 60 * 60 * 1000) })
+
+        expect(await titlesFor(fixture.supporter)).to.deep.equal([])
+        expect(await titlesFor(fixture.initiator)).to.deep.equal(["First harvest"])
+
+        await expect(fixture.swolly.ProjectUpdate.get(fixture.supporter.token, update.getId()))
+            .to.be.rejectedWith(Errors.AuthorizationError)
+    })
+
+    it("lists the latest updates first", async () => {
+        await post({ title: "Older", publishedAt: new Date(Date.now() - 2000) })
+        await post({ title: "Newer", publishedAt: new Date(Date.now() - 1000) })
+
+        expect(await titlesFor(stranger)).to.deep.equal(["Newer", "Older"])
+    })
+
+    it("lists the updates of the projects a user supports", async () => {
+        const other = await createPublicProject(fixture, { title: "Library" })
+        await post({ title: "Supported" })
+        await fixture.swolly.ProjectUpdate.create(fixture.initiator.token, {
+            projectId: other.getId(), title: "Not supported", body: "Shelves arrived"
+        })
+
+        const updates = await fixture.swolly.ProjectUpdate.getAll(fixture.supporter.token, {
+            filter: { supportedBy: fixture.supporter.id }
+        })
+
+        expect(updates.map(update => update.getTitle())).to.deep.equal(["Supported"])
+
+        await expect(fixture.swolly.ProjectUpdate.getAll(stranger.token, { filter: { supportedBy: fixture.supporter.id } }))
+            .to.be.rejectedWith(Errors.AuthorizationError)
+    })
+
+    it("lets the creator edit and delete updates", async () => {
+        const update = await post()
+
+        await fixture.swolly.ProjectUpdate.update(fixture.initiator.token, update.getId(), { title: "Second harvest" })
+        expect(await titlesFor(stranger)).to.deep.equal(["Second harvest"])
+
+        await expect(fixture.swolly.ProjectUpdate.delete(fixture.supporter.token, update.getId()))
+            .to.be.rejectedWith(Errors.AuthorizationError)
+
+        await fixture.swolly.ProjectUpdate.delete(fixture.initiator.token, update.getId())
+        expect(await titlesFor(stranger)).to.deep.equal([])
+    })
+
+    it("rejects invalid updates", async () => {
+        await expect(post({ title: "" }))
+            .to.be.rejectedWith(Errors.ValidationError)
+            .and.eventually.have.property("code", ProjectUpdateValidationErrorCode.TITLE_TOO_SHORT)
+        await expect(post({ visibility: "FRIENDS" }))
+            .to.be.rejectedWith(Errors.ValidationError)
+            .and.eventually.have.property("code", ProjectUpdateValidationErrorCode.VISIBILITY_INVALID)
+    })
+})
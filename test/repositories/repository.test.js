@@ -0,0 +1,114 @@
+const { expect, createFixture, createPublicProject } = require("../helpers")
+const { Errors, Enums } = require("../../src")
+
+describe("Repository", () => {
+    let fixture
+    let project
+
+    beforeEach(async () => {
+        fixture = await createFixture()
+        project = await createPublicProject(fixture)
+    })
+
+    afterEach(async () => {
+        await fixture.swolly.store.sequelize.close()
+    })
+
+    async function createTasks(titles) {
+        for (const title of titles) {
+            await fixture.swolly.Task.create(fixture.initiator.token, {
+                title, description: "Help out", supporterGoal: 1, projectId: project.getId()
+            })
+        }
+    }
+
+    async function getAllPages(options) {
+        const titles = []
+        let cursor = null
+
+        do {
+            const page = await fixture.swolly.Task.getAll(fixture.supporter.token, {
+                ...options, page: { ...options.page, cursor }
+            })
+            expect(page.items.length).to.be.at.most(options.page.limit)
+
+            titles.push(...page.items.map(task => task.getTitle()))
+            cursor = page.nextCursor
+        } while (cursor != null)
+
+        return titles
+    }
+
+    describe("pagination", () => {
+        it("returns every item once across all pages", async () => {
+            await createTasks(["Dig", "Plant", "Water", "Weed", "Harvest"])
+
+            const titles = await getAllPages({ page: { limit: 2 } })
+
+            expect(titles).to.have.members(["Dig", "Plant", "Water", "Weed", "Harvest"])
+            expect(titles).to.have.lengthOf(5)
+        })
+
+        it("orders the pages by the sort field", async () => {
+            await createTasks(["Dig", "Plant", "Water", "Weed", "Harvest"])
+
+            const titles = await getAllPages({
+                sort: { field: Enums.TaskSortField.TITLE, direction: Enums.SortDirection.DESC },
+                page: { limit: 2 }
+            })
+
+            expect(titles).to.deep.equal(["Weed", "Water", "Plant", "Harvest", "Dig"])
+        })
+
+        it("breaks ties of the sort field by id", async () => {
+            await createTasks(["Dig", "Dig", "Dig"])
+
+            const titles = await getAllPages({ sort: { field: Enums.TaskSortField.TITLE }, page: { limit: 1 } })
+
+            expect(titles).to.deep.equal(["Dig", "Dig", "Dig"])
+        })
+
+        it("continues after the last item when items are created in between", async () => {
+            const sort = { field: Enums.TaskSortField.TITLE }
+            await createTasks(["Dig", "Plant", "Water"])
+
+            const first = await fixture.swolly.Task.getAll(fixture.supporter.token, { sort, page: { limit: 2 } })
+            await createTasks(["Compost"])
+            const second = await fixture.swolly.Task.getAll(fixture.supporter.token, {
+                sort, page: { limit: 2, cursor: first.nextCursor }
+            })
+
+            expect(second.items.map(task => task.getTitle())).to.deep.equal(["Water"])
+            expect(second.nextCursor).to.be.null
+        })
+
+        it("counts the items on all pages if asked to", async () => {
+            await createTasks(["Dig", "Plant", "Water"])
+
+            const page = await fixture.swolly.Task.getAll(fixture.supporter.token, { page: { limit: 2, totalCount: true } })
+
+            expect(page.items).to.have.lengthOf(2)
+            expect(page.totalCount).to.equal(3)
+        })
+
+        it("returns an array without a page", async () => {
+            await createTasks(["Dig", "Plant"])
+
+            expect(await fixture.swolly.Task.getAll(fixture.supporter.token)).to.be.an("array").with.lengthOf(2)
+        })
+
+        it("rejects invalid limits", async () => {
+            for (const limit of [0, 1.5, 1001, "2"]) {
+                await expect(fixture.swolly.Task.getAll(fixture.supporter.token, { page: { limit } }))
+                    .to.be.rejectedWith(Errors.ValidationError)
+                    .and.eventually.have.property("code", Enums.PageValidationErrorCode.LIMIT_INVALID)
+            }
+        })
+
+        it("rejects invalid cursors", async () => {
+            await expect(fixture.swolly.Task.getAll(fixture.supporter.token, { page: { limit: 2, cursor: "invalid" } }))
+                .to.be.rejectedWith(Errors.ValidationError)
+                .and.eventually.have.property("code", Enums.PageValidationErrorCode.CURSOR_INVALID)
+        })
+    })
+})
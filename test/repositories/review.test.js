@@ -0,0 +1,117 @@
+const { expect, createFixture } = require("../helpers")
+const { Errors, Enums } = require("../../src")
+
+const { ProjectStatus, ReviewDecision, ReviewValidationErrorCode } = Enums
+
+describe("ReviewRepository", () => {
+    let fixture
+    let project
+
+    beforeEach(async () => {
+        fixture = await createFixture()
+        project = await fixture.swolly.Project.create(fixture.initiator.token, {
+            title: "Community Garden",
+            description: "A garden for the neighbourhood",
+            moneyGoal: 100,
+            lat: 52.52,
+            lon: 13.40,
+            CategoryId: fixture.categoryId
+        })
+    })
+
+    afterEach(async () => {
+        await fixture.swolly.store.sequelize.close()
+    })
+
+    it("lists the projects waiting for verification", async () => {
+        const pending = await fixture.swolly.Review.getPending(fixture.admin.token)
+
+        expect(pending.map(item => item.getId())).to.deep.equal([project.getId()])
+    })
+
+    it("does not let other users list the projects waiting for verification", async () => {
+        await expect(fixture.swolly.Review.getPending(fixture.initiator.token))
+            .to.be.rejectedWith(Errors.AuthorizationError)
+    })
+
+    it("publishes approved projects", async () => {
+        await fixture.swolly.Review.approve(fixture.admin.token, project.getId())
+        await project.reload()
+
+        expect(project.getStatus()).to.equal(ProjectStatus.PUBLIC)
+        expect(await fixture.swolly.Review.getPending(fixture.admin.token)).to.be.empty
+    })
+
+    it("requires a reason to reject projects", async () => {
+        await expect(fixture.swolly.Review.reject(fixture.admin.token, project.getId()))
+            .to.be.rejectedWith(Errors.ValidationError)
+            .and.eventually.have.property("code", ReviewValidationErrorCode.REASON_MISSING)
+
+        await fixture.swolly.Review.reject(fixture.admin.token, project.getId(), "Not a real project")
+        await project.reload()
+
+        expect(project.getStatus()).to.equal(ProjectStatus.REJECTED)
+    })
+
+    it("lets the creator resubmit projects changes were requested to", async () => {
+        const { swolly, admin, initiator } = fixture
+
+        await swolly.Review.requestChanges(admin.token, project.getId(), "Please add a description of the beds")
+        await swolly.Review.resubmit(initiator.token, project.getId())
+        await project.reload()
+
+        expect(project.getStatus()).to.equal(ProjectStatus.NEEDS_VERIFICATION)
+    })
+
+    it("only reviews projects waiting for verification", async () => {
+        await fixture.swolly.Review.approve(fixture.admin.token, project.getId())
+
+        await expect(fixture.swolly.Review.reject(fixture.admin.token, project.getId(), "Changed my mind"))
+            .to.be.rejectedWith(Errors.ValidationError)
+            .and.eventually.have.property("code", ReviewValidationErrorCode.STATUS_INVALID)
+    })
+
+    it("only resubmits projects changes were requested to", async () => {
+        await expect(fixture.swolly.Review.resubmit(fixture.initiator.token, project.getId()))
+            .to.be.rejectedWith(Errors.ValidationError)
+            .and.eventually.have.property("code", ReviewValidationErrorCode.STATUS_INVALID)
+    })
+
+    it("does not let other users review projects", async () => {
+        await expect(fixture.swolly.Review.approve(fixture.initiator.token, project.getId()))
+            .to.be.rejectedWith(Errors.AuthorizationError)
+    })
+
+    it("records every decision in the history of the project", async () => {
+        const { swolly, admin, initiator } = fixture
+
+        await swolly.Review.requestChanges(admin.token, project.getId(), "Please add a description of the beds")
+        await swolly.Review.resubmit(initiator.token, project.getId(), "Added it")
+        await swolly.Review.approve(admin.token, project.getId())
+
+        const history = await swolly.Review.getHistory(initiator.token, project.getId())
+
+        expect(history.map(change => change.getDecision())).to.deep.equal([
+            ReviewDecision.REQUEST_CHANGES, ReviewDecision.RESUBMIT, ReviewDecision.APPROVE
+        ])
+        expect(history[0].getReason()).to.equal("Please add a description of the beds")
+        expect(history[0].getFromStatus()).to.equal(ProjectStatus.NEEDS_VERIFICATION)
+        expect(history[0].getToStatus()).to.equal(ProjectStatus.CHANGES_REQUESTED)
+        expect(history[1].getActorId()).to.equal(initiator.id)
+    })
+
+    it("does not let other users read the history", async () => {
+        await expect(fixture.swolly.Review.getHistory(fixture.supporter.token, project.getId()))
+            .to.be.rejectedWith(Errors.AuthorizationError)
+    })
+
+    it("notifies listeners of decisions", async () => {
+        const events = []
+        fixture.swolly.on(Enums.EventType.PROJECT_REJECT, event => events.push(event))
+
+        await fixture.swolly.Review.reject(fixture.admin.token, project.getId(), "Not a real project")
+
+        expect(events).to.have.lengthOf(1)
+        expect(events[0].id).to.equal(project.getId())
+    })
+})
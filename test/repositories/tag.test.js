@@ -0,0 +1,119 @@
+const { expect, createFixture, createPublicProject } = require("../helpers")
+const { Errors, Enums } = require("../../src")
+
+const { TagMatch, TagValidationErrorCode } = Enums
+
+describe("TagRepository", () => {
+    let fixture
+    let library
+
+    beforeEach(async () => {
+        fixture = await createFixture()
+        await createPublicProject(fixture, { title: "Garden", tags: ["Green", "Outdoor", "kids"] })
+        library = await createPublicProject(fixture, { title: "Library", tags: [" GREEN ", "Books"] })
+    })
+
+    afterEach(async () => {
+        await fixture.swolly.store.sequelize.close()
+    })
+
+    async function findTag(name) {
+        const [tag] = await fixture.swolly.Tag.autocomplete(fixture.supporter.token, name)
+        return tag
+    }
+
+    async function titlesTagged(tags, tagMatch) {
+        const projects = await fixture.swolly.Project.getAll(fixture.supporter.token, { filter: { tags, tagMatch } })
+        return projects.map(project => project.getTitle()).sort()
+    }
+
+    it("filters projects by any or all of their tags", async () => {
+        expect(await titlesTagged(["green"])).to.deep.equal(["Garden", "Library"])
+        expect(await titlesTagged(["books", "kids"], TagMatch.ANY)).to.deep.equal(["Garden", "Library"])
+        expect(await titlesTagged(["green", "kids"], TagMatch.ALL)).to.deep.equal(["Garden"])
+        expect(await titlesTagged(["green", "unknown"], TagMatch.ALL)).to.deep.equal([])
+    })
+
+    describe("autocomplete", () => {
+        it("suggests the tags labeling the most projects first", async () => {
+            await createPublicProject(fixture, { title: "Playground", tags: ["kids"] })
+            await fixture.swolly.Tag.assign(fixture.initiator.token, library.getId(), ["Kitchen"])
+
+            const tags = await fixture.swolly.Tag.autocomplete(fixture.supporter.token, "K")
+
+            expect(tags.map(tag => [tag.getName(), tag.getProjectCount()])).to.deep.equal([["kids", 2], ["kitchen", 1]])
+        })
+
+        it("limits the number of suggestions", async () => {
+            await fixture.swolly.Tag.assign(fixture.initiator.token, library.getId(), ["Kitchen"])
+
+            const tags = await fixture.swolly.Tag.autocomplete(fixture.supporter.token, "k", { limit: 1 })
+
+            expect(tags.map(tag => tag.getName())).to.deep.equal(["kids"])
+        })
+
+        it("suggests nothing for an empty prefix or limit", async () => {
+            expect(await fixture.swolly.Tag.autocomplete(fixture.supporter.token, " ")).to.deep.equal([])
+            expect(await fixture.swolly.Tag.autocomplete(fixture.supporter.token, "k", { limit: 0 })).to.deep.equal([])
+        })
+
+        it("does not treat wildcards as such", async () => {
+            expect(await fixture.swolly.Tag.autocomplete(fixture.supporter.token, "%")).to.deep.equal([])
+        })
+    })
+
+    describe("merge", () => {
+        it("labels the projects with the target and deletes the tag", async () => {
+            const outdoor = await findTag("outdoor")
+            const books = await findTag("books")
+
+            await fixture.swolly.Tag.merge(fixture.admin.token, outdoor.getId(), books.getId())
+
+            expect(await titlesTagged(["books"])).to.deep.equal(["Garden", "Library"])
+            expect(await fixture.swolly.Tag.get(fixture.supporter.token, outdoor.getId())).to.be.null
+        })
+
+        it("keeps projects labeled with both tags labeled once", async () => {
+            const kids = await findTag("kids")
+            const green = await findTag("green")
+
+            await fixture.swolly.Tag.merge(fixture.admin.token, kids.getId(), green.getId())
+
+            expect((await findTag("green")).getProjectCount()).to.equal(2)
+        })
+
+        it("rejects merging a tag into itself", async () => {
+            const green = await findTag("green")
+
+            await expect(fixture.swolly.Tag.merge(fixture.admin.token, green.getId(), green.getId()))
+                .to.be.rejectedWith(Errors.ValidationError)
+                .and.eventually.have.property("code", TagValidationErrorCode.MERGE_INVALID)
+        })
+
+        it("does not let users who are not admins merge tags", async () => {
+            const kids = await findTag("kids")
+            const green = await findTag("green")
+
+            await expect(fixture.swolly.Tag.merge(fixture.initiator.token, kids.getId(), green.getId()))
+                .to.be.rejectedWith(Errors.AuthorizationError)
+        })
+    })
+
+    describe("update", () => {
+        it("renames tags", async () => {
+            const kids = await findTag("kids")
+
+            await fixture.swolly.Tag.update(fixture.admin.token, kids.getId(), { name: "Children" })
+
+            expect(await titlesTagged(["children"])).to.deep.equal(["Garden"])
+        })
+
+        it("rejects names of other tags", async () => {
+            const kids = await findTag("kids")
+
+            await expect(fixture.swolly.Tag.update(fixture.admin.token, kids.getId(), { name: "Green" }))
+                .to.be.rejectedWith(Errors.ValidationError)
+                .and.eventually.have.property("code", TagValidationErrorCode.NAME_TAKEN)
+        })
+    })
+})
@@ -0,0 +1,106 @@
+const { expect, createFixture, createPublicProject } = require("../helpers")
+const { Errors, Enums } = require("../../src")
+
+describe("TaskRepository", () => {
+    let fixture
+    let project
+
+    beforeEach(async () => {
+        fixture = await createFixture()
+        project = await createPublicProject(fixture)
+    })
+
+    afterEach(async () => {
+        await fixture.swolly.store.sequelize.close()
+    })
+
+    describe("create", () => {
+        it("creates tasks for the project", async () => {
+            const task = await fixture.swolly.Task.create(fixture.initiator.token, {
+                title: "Dig", description: "Dig the beds", supporterGoal: 2, projectId: project.getId()
+            })
+
+            expect(task.getProjectId()).to.equal(project.getId())
+        })
+
+        it("does not let supporters create tasks", async () => {
+            await expect(fixture.swolly.Task.create(fixture.supporter.token, {
+                title: "Dig", description: "Dig the beds", supporterGoal: 2, projectId: project.getId()
+            })).to.be.rejectedWith(Errors.AuthorizationError)
+        })
+    })
+
+    describe("search", () => {
+        it("finds tasks containing the query, the most relevant first", async () => {
+            const { swolly, initiator, supporter } = fixture
+            await swolly.Task.create(initiator.token, { title: "Paint", description: "Paint the garden fence", supporterGoal: 1, projectId: project.getId() })
+            await swolly.Task.create(initiator.token, { title: "Garden", description: "Weed the garden", supporterGoal: 1, projectId: project.getId() })
+            await swolly.Task.create(initiator.token, { title: "Cook", description: "Cook for the helpers", supporterGoal: 1, projectId: project.getId() })
+
+            const { items } = await swolly.Task.search(supporter.token, "garden", { page: { limit: 10 } })
+
+            expect(items.map(task => task.getTitle())).to.deep.equal(["Garden", "Paint"])
+        })
+
+        it("pages results by their relevance", async () => {
+            const { swolly, initiator, supporter } = fixture
+            await swolly.Task.create(initiator.token, { title: "Paint", description: "Paint the garden fence", supporterGoal: 1, projectId: project.getId() })
+            await swolly.Task.create(initiator.token, { title: "Garden", description: "Weed the garden", supporterGoal: 1, projectId: project.getId() })
+
+            const first = await swolly.Task.search(supporter.token, "garden", { page: { limit: 1 } })
+            const second = await swolly.Task.search(supporter.token, "garden", { page: { limit: 1, cursor: first.nextCursor } })
+
+            expect(first.items.map(task => task.getTitle())).to.deep.equal(["Garden"])
+            expect(second.items.map(task => task.getTitle())).to.deep.equal(["Paint"])
+            expect(second.nextCursor).to.be.null
+        })
+
+        it("ranks results by relevance without a page", async () => {
+            const { swolly, initiator, supporter } = fixture
+            await swolly.Task.create(initiator.token, { title: "Paint", description: "Paint the garden fence", supporterGoal: 1, projectId: project.getId() })
+            await swolly.Task.create(initiator.token, { title: "Garden", description: "Weed the garden", supporterGoal: 1, projectId: project.getId() })
+
+            const tasks = await swolly.Task.search(supporter.token, "garden")
+
+            expect(tasks.map(task => task.getTitle())).to.deep.equal(["Garden", "Paint"])
+        })
+    })
+
+    describe("delete", () => {
+        let task
+
+        beforeEach(async () => {
+            task = await fixture.swolly.Task.create(fixture.initiator.token, {
+                title: "Dig", description: "Dig the beds", supporterGoal: 2, projectId: project.getId()
+            })
+        })
+
+        it("hides deleted tasks until they are restored", async () => {
+            const { swolly, admin, initiator } = fixture
+
+            await swolly.Task.delete(initiator.token, task.getId())
+            expect(await swolly.Task.get(initiator.token, task.getId())).to.be.null
+
+            await swolly.Task.restore(admin.token, task.getId())
+            expect(await swolly.Task.get(initiator.token, task.getId())).to.not.be.null
+        })
+
+        it("does not restore tasks of deleted projects", async () => {
+            const { swolly, admin, initiator } = fixture
+
+            await swolly.Task.delete(initiator.token, task.getId())
+            await swolly.Project.delete(initiator.token, project.getId())
+
+            await expect(swolly.Task.restore(admin.token, task.getId()))
+                .to.be.rejectedWith(Errors.ValidationError)
+                .and.eventually.have.property("code", Enums.TaskValidationErrorCode.PROJECT_DELETED)
+        })
+
+        it("does not let users who are not admins restore tasks", async () => {
+            await fixture.swolly.Task.delete(fixture.initiator.token, task.getId())
+
+            await expect(fixture.swolly.Task.restore(fixture.initiator.token, task.getId()))
+                .to.be.rejectedWith(Errors.AuthorizationError)
+        })
+    })
+})
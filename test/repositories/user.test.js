@@ -0,0 +1,104 @@
+const { expect, createFixture, createPublicProject } = require("../helpers")
+const { Errors, Enums } = require("../../src")
+
+describe("UserRepository", () => {
+    let fixture
+
+    beforeEach(async () => {
+        fixture = await createFixture()
+    })
+
+    afterEach(async () => {
+        await fixture.swolly.store.sequelize.close()
+    })
+
+    describe("create", () => {
+        it("creates a user along with a session", async () => {
+            const { user, session } = await fixture.swolly.User.create(null, {
+                fullname: "Jane Doe",
+                mail: "jane@example.com",
+                gender: "FEMALE",
+                role: "SUPPORTER",
+                password: "password"
+            })
+
+            expect(user.getFullname()).to.equal("Jane Doe")
+            expect(session.getToken(false)).to.be.a("string")
+        })
+
+        it("rejects short passwords", async () => {
+            await expect(fixture.swolly.User.create(null, {
+                fullname: "Jane Doe",
+                mail: "jane@example.com",
+                gender: "FEMALE",
+                role: "SUPPORTER",
+                password: "short"
+            })).to.be.rejectedWith(Errors.ValidationError)
+        })
+    })
+
+    describe("update", () => {
+        it("lets users change their own password", async () => {
+            const { supporter } = fixture
+
+            await fixture.swolly.User.update(supporter.token, supporter.id, { password: "new password" })
+            const { user } = await fixture.swolly.Session.create("supporter@example.com", "new password")
+
+            expect(user.getId()).to.equal(supporter.id)
+        })
+
+        it("does not let users update other users", async () => {
+            await expect(
+                fixture.swolly.User.update(fixture.supporter.token, fixture.initiator.id, { fullname: "Someone" })
+            ).to.be.rejectedWith(Errors.AuthorizationError)
+        })
+    })
+
+    describe("delete", () => {
+        it("hides deleted users until they are restored", async () => {
+            const { swolly, admin, supporter } = fixture
+
+            await swolly.User.delete(admin.token, supporter.id)
+            expect(await swolly.User.get(admin.token, supporter.id)).to.be.null
+
+            await swolly.User.restore(admin.token, supporter.id)
+            expect(await swolly.User.get(admin.token, supporter.id)).to.not.be.null
+        })
+
+        it("deletes and restores the projects of the user along with them", async () => {
+            const { swolly, admin, initiator } = fixture
+            const project = await createPublicProject(fixture)
+
+            await swolly.User.delete(admin.token, initiator.id)
+            expect(await swolly.Project.get(admin.token, project.getId())).to.be.null
+
+            await swolly.User.restore(admin.token, initiator.id)
+            expect(await swolly.Project.get(admin.token, project.getId())).to.not.be.null
+        })
+
+        it("lets only admins list deleted users", async () => {
+            const { swolly, admin, supporter } = fixture
+
+            await swolly.User.delete(admin.token, supporter.id)
+
+            const users = await swolly.User.getAll(admin.token, { includeDeleted: true })
+
+            expect(users.map(user => user.getId())).to.include(supporter.id)
+            await expect(swolly.User.getAll(supporter.token, { includeDeleted: true }))
+                .to.be.rejectedWith(Errors.AuthorizationError)
+        })
+    })
+
+    describe("purge", () => {
+        it("refuses to purge users with pledges", async () => {
+            const { swolly, admin, supporter } = fixture
+
+            const project = await createPublicProject(fixture)
+            await swolly.Pledge.create(supporter.token, { projectId: project.getId(), amount: 10 })
+
+            await expect(swolly.User.purge(admin.token, supporter.id))
+                .to.be.rejectedWith(Errors.ValidationError)
+                .and.eventually.have.property("code", Enums.UserValidationErrorCode.HAS_FINANCIAL_RECORDS)
+        })
+    })
+})
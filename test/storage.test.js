@@ -0,0 +1,122 @@
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { Readable } = require("stream")
+const { expect } = require("./helpers")
+const { Errors, Storage } = require("../src")
+
+/**
+ * Stands in for the client of an S3-compatible storage, keeping objects in memory
+ */
+class FakeS3Client {
+    constructor() {
+        this.objects = new Map()
+    }
+
+    async send(command) {
+        const { Bucket, Key, Body } = command.input
+        const id = `${Bucket}/${Key}`
+        const missing = Object.assign(new Error("The object does not exist."), {
+            name: command.constructor.name === "GetObjectCommand" ? "NoSuchKey" : "NotFound",
+            $metadata: { httpStatusCode: 404 }
+        })
+
+        switch (command.constructor.name) {
+            case "PutObjectCommand":
+                this.objects.set(id, Body)
+                return {}
+            case "GetObjectCommand":
+                if (!this.objects.has(id)) {
+                    throw missing
+                }
+                return { Body: Readable.from([this.objects.get(id)]) }
+            case "HeadObjectCommand":
+                if (!this.objects.has(id)) {
+                    throw missing
+                }
+                return {}
+            case "DeleteObjectCommand":
+                this.objects.delete(id)
+                return {}
+        }
+    }
+}
+
+async function readAll(stream) {
+    const chunks = []
+    for await (const chunk of stream) {
+        chunks.push(Buffer.from(chunk))
+    }
+    return Buffer.concat(chunks).toString()
+}
+
+const adapters = {
+    FileSystemStorageAdapter: () => new Storage.FileSystemStorageAdapter(fs.mkdtempSync(path.join(os.tmpdir(), "swolly-"))),
+    MemoryStorageAdapter: () => new Storage.MemoryStorageAdapter(),
+    S3StorageAdapter: () => new Storage.S3StorageAdapter({ bucket: "swolly", prefix: "images/", client: new FakeS3Client() })
+}
+
+for (const [name, createAdapter] of Object.entries(adapters)) {
+    describe(name, () => {
+        let storage
+
+        beforeEach(() => {
+            storage = createAdapter()
+        })
+
+        afterEach(async () => {
+            if (storage.folder != null) {
+                await fs.promises.rm(storage.folder, { recursive: true, force: true })
+            }
+        })
+
+        it("reads written files", async () => {
+            await storage.write("a.png", Readable.from(["contents"]))
+
+            expect(await storage.exists("a.png")).to.be.true
+            expect(await readAll(await storage.read("a.png"))).to.equal("contents")
+        })
+
+        it("replaces existing files", async () => {
+            await storage.write("a.png", Readable.from(["old"]))
+            await storage.write("a.png", Readable.from(["new"]))
+
+            expect(await readAll(await storage.read("a.png"))).to.equal("new")
+        })
+
+        it("deletes files", async () => {
+            await storage.write("a.png", Readable.from(["contents"]))
+            await storage.delete("a.png")
+
+            expect(await storage.exists("a.png")).to.be.false
+        })
+
+        it("ignores deleting missing files", async () => {
+            await storage.delete("a.png")
+        })
+
+        it("rejects reading missing files", async () => {
+            expect(await storage.exists("a.png")).to.be.false
+            await expect(storage.read("a.png")).to.be.rejectedWith(Errors.NotFoundError)
+        })
+    })
+}
+
+describe("S3StorageAdapter", () => {
+    it("prefixes the keys of the bucket", async () => {
+        const client = new FakeS3Client()
+        const storage = new Storage.S3StorageAdapter({ bucket: "swolly", prefix: "images/", client })
+
+        await storage.write("a.png", Readable.from(["contents"]))
+
+        expect([...client.objects.keys()]).to.deep.equal(["swolly/images/a.png"])
+    })
+})
+
+describe("FileSystemStorageAdapter", () => {
+    it("rejects keys outside of its folder", async () => {
+        const storage = new Storage.FileSystemStorageAdapter(os.tmpdir())
+
+        await expect(storage.write("../a.png", Readable.from(["contents"]))).to.be.rejectedWith(Error)
+    })
+})
@@ -0,0 +1,293 @@
+const fs = require("fs")
+const sinon = require("sinon")
+const { expect, createFixture, createPublicProject } = require("./helpers")
+const { Swolly, Errors, Enums } = require("../src")
+
+describe("Swolly.createInMemory", () => {
+    let swolly
+
+    afterEach(async () => {
+        await swolly.store.sequelize.close()
+    })
+
+    it("executes all migrations", async () => {
+        swolly = await Swolly.createInMemory()
+
+        expect(await swolly.getPendingMigrations()).to.be.empty
+    })
+
+    it("creates a temporary data folder", async () => {
+        swolly = await Swolly.createInMemory()
+
+        expect(fs.existsSync(swolly.dataFolder)).to.be.true
+    })
+
+    it("creates independent databases", async () => {
+        swolly = await Swolly.createInMemory()
+        const other = await Swolly.createInMemory()
+
+        await swolly.User.create(null, {
+            fullname: "Supporter",
+            mail: "supporter@example.com",
+            gender: "NONE",
+            role: "SUPPORTER",
+            password: "password"
+        })
+
+        expect(await swolly.store.User.count()).to.equal(1)
+        expect(await other.store.User.count()).to.equal(0)
+
+        await other.store.sequelize.close()
+    })
+
+    it("reverts and re-executes migrations", async () => {
+        swolly = await Swolly.createInMemory()
+
+        const reverted = await swolly.rollback()
+
+        expect(await swolly.getPendingMigrations()).to.deep.equal(reverted)
+        expect(await swolly.migrate()).to.deep.equal(reverted)
+    })
+})
+
+describe("Swolly events", () => {
+    let fixture
+
+    beforeEach(async () => {
+        fixture = await createFixture()
+    })
+
+    afterEach(async () => {
+        await fixture.swolly.store.sequelize.close()
+    })
+
+    it("emits events with the data before and after the change and the caller", async () => {
+        const project = await createPublicProject(fixture)
+        const events = []
+        fixture.swolly.on(Enums.EventType.PROJECT_UPDATE, event => events.push(event))
+
+        await fixture.swolly.Project.update(fixture.initiator.token, project.getId(), { title: "School Garden" })
+
+        expect(events).to.have.lengthOf(1)
+        expect(events[0].id).to.equal(project.getId())
+        expect(events[0].before.title).to.equal("Community Garden")
+        expect(events[0].after.title).to.equal("School Garden")
+        expect(events[0].caller.getId()).to.equal(fixture.initiator.id)
+    })
+
+    it("leaves passwords out of events", async () => {
+        const events = []
+        fixture.swolly.on(Enums.EventType.USER_UPDATE, event => events.push(event))
+
+        await fixture.swolly.User.update(fixture.supporter.token, fixture.supporter.id, { fullname: "Someone" })
+
+        expect(events[0].after.fullname).to.equal("Someone")
+        expect(events[0].after).to.not.have.property("password")
+        expect(events[0].before).to.not.have.property("password")
+    })
+
+    it("runs listeners registered with once only once", async () => {
+        const project = await createPublicProject(fixture)
+        const events = []
+        fixture.swolly.once(Enums.EventType.PROJECT_UPDATE, event => events.push(event))
+
+        for (const title of ["School Garden", "Roof Garden"]) {
+            await fixture.swolly.Project.update(fixture.initiator.token, project.getId(), { title })
+        }
+
+        expect(events).to.have.lengthOf(1)
+    })
+
+    it("does not fail changes when a listener throws or rejects", async () => {
+        const project = await createPublicProject(fixture)
+        const listener = sinon.spy()
+        fixture.swolly.on(Enums.EventType.PROJECT_UPDATE, () => { throw new Error("listener failed") })
+        fixture.swolly.on(Enums.EventType.PROJECT_UPDATE, async () => { throw new Error("listener failed") })
+        fixture.swolly.on(Enums.EventType.PROJECT_UPDATE, listener)
+        sinon.stub(console, "warn")
+
+        try {
+            await fixture.swolly.Project.update(fixture.initiator.token, project.getId(), { title: "School Garden" })
+            await new Promise(resolve => setImmediate(resolve))
+
+            expect(listener.calledOnce).to.be.true
+            expect(console.warn.calledTwice).to.be.true
+        } finally {
+            console.warn.restore()
+        }
+
+        await project.reload()
+        expect(project.getTitle()).to.equal("School Garden")
+    })
+
+    it("does not make changes vetoed by a hook returning false", async () => {
+        const project = await createPublicProject(fixture)
+        const events = []
+        fixture.swolly.on(Enums.EventType.PROJECT_UPDATE, event => events.push(event))
+        fixture.swolly.before(Enums.EventType.PROJECT_UPDATE, event => event.after.title !== "Forbidden")
+
+        await expect(fixture.swolly.Project.update(fixture.initiator.token, project.getId(), { title: "Forbidden" }))
+            .to.be.rejectedWith(Errors.VetoError)
+        await project.reload()
+
+        expect(project.getTitle()).to.equal("Community Garden")
+        expect(events).to.be.empty
+    })
+
+    it("does not make changes vetoed by a hook throwing", async () => {
+        const project = await createPublicProject(fixture)
+        fixture.swolly.before(Enums.EventType.PROJECT_UPDATE, () => { throw new Error("vetoed") })
+
+        await expect(fixture.swolly.Project.update(fixture.initiator.token, project.getId(), { title: "School Garden" }))
+            .to.be.rejectedWith("vetoed")
+        await project.reload()
+
+        expect(project.getTitle()).to.equal("Community Garden")
+    })
+
+    it("stops running removed hooks", async () => {
+        const project = await createPublicProject(fixture)
+        const hook = () => false
+        fixture.swolly.before(Enums.EventType.PROJECT_UPDATE, hook)
+        fixture.swolly.removeBeforeHook(Enums.EventType.PROJECT_UPDATE, hook)
+
+        await fixture.swolly.Project.update(fixture.initiator.token, project.getId(), { title: "School Garden" })
+        await project.reload()
+
+        expect(project.getTitle()).to.equal("School Garden")
+    })
+})
+
+describe("Swolly.transaction", () => {
+    let fixture
+    let values
+
+    beforeEach(async () => {
+        fixture = await createFixture()
+        values = {
+            title: "Community Garden",
+            description: "A garden for the neighbourhood",
+            moneyGoal: 100,
+            lat: 52.52,
+            lon: 13.40,
+            CategoryId: fixture.categoryId
+        }
+    })
+
+    afterEach(async () => {
+        await fixture.swolly.store.sequelize.close()
+    })
+
+    it("commits the changes of all calls", async () => {
+        const { swolly, initiator } = fixture
+
+        const project = await swolly.transaction(async tx => {
+            const project = await tx.Project.create(initiator.token, values)
+            await tx.Task.create(initiator.token, { title: "Dig", description: "Dig the beds", supporterGoal: 2, projectId: project.getId() })
+            return project
+        })
+
+        expect(await swolly.Project.get(initiator.token, project.getId())).to.not.be.null
+        expect(await swolly.store.Task.count()).to.equal(1)
+    })
+
+    it("rolls back the changes of all calls and rethrows the error", async () => {
+        const { swolly, initiator } = fixture
+
+        await expect(swolly.transaction(async tx => {
+            await tx.Project.create(initiator.token, values)
+            await tx.Task.create(initiator.token, { title: "Dig", description: "Dig the beds", supporterGoal: 2, projectId: "unknown" })
+        })).to.be.rejectedWith(Errors.NotFoundError)
+
+        expect(await swolly.store.Project.count()).to.equal(0)
+        expect(await swolly.store.AuditLog.count({ where: { entityType: "project" } })).to.equal(0)
+    })
+
+    it("rethrows database errors as swolly errors", async () => {
+        await expect(fixture.swolly.transaction(async tx => {
+            await tx.store.User.create({ fullname: "Admin", mail: "admin@example.com", gender: "NONE", role: "ADMIN", password: "-" }, {
+                transaction: tx.Project.transaction
+            })
+        })).to.be.rejectedWith(Errors.SequelizeError)
+    })
+
+    it("emits events once the transaction has been committed", async () => {
+        const { swolly, initiator } = fixture
+        const events = []
+        swolly.on(Enums.EventType.PROJECT_CREATE, event => events.push(event))
+
+        await swolly.transaction(async tx => {
+            await tx.Project.create(initiator.token, values)
+            expect(events).to.be.empty
+        })
+
+        expect(events).to.have.lengthOf(1)
+    })
+
+    it("does not emit events of rolled back changes", async () => {
+        const { swolly, initiator } = fixture
+        const events = []
+        swolly.on(Enums.EventType.PROJECT_CREATE, event => events.push(event))
+
+        await expect(swolly.transaction(async tx => {
+            await tx.Project.create(initiator.token, values)
+            throw new Error("failed")
+        })).to.be.rejectedWith("failed")
+
+        expect(events).to.be.empty
+    })
+
+    it("only rolls back nested transactions which fail", async () => {
+        const { swolly, initiator } = fixture
+
+        await swolly.transaction(async tx => {
+            await tx.Project.create(initiator.token, values)
+            await expect(tx.transaction(async nested => {
+                await nested.Project.create(initiator.token, { ...values, title: "Library" })
+                throw new Error("failed")
+            })).to.be.rejectedWith("failed")
+        })
+
+        const projects = await swolly.store.Project.findAll()
+
+        expect(projects.map(project => project.title)).to.deep.equal(["Community Garden"])
+    })
+
+    it("emits events of nested transactions once the outermost transaction has been committed", async () => {
+        const { swolly, initiator } = fixture
+        const events = []
+        swolly.on(Enums.EventType.PROJECT_CREATE, event => events.push(event.after.title))
+
+        await expect(swolly.transaction(async tx => {
+            await tx.transaction(nested => nested.Project.create(initiator.token, { ...values, title: "Library" }))
+            expect(events).to.be.empty
+            throw new Error("failed")
+        })).to.be.rejectedWith("failed")
+
+        await swolly.transaction(async tx => {
+            await tx.transaction(nested => nested.Project.create(initiator.token, values))
+            await expect(tx.transaction(async nested => {
+                await nested.Project.create(initiator.token, { ...values, title: "Library" })
+                throw new Error("failed")
+            })).to.be.rejectedWith("failed")
+        })
+
+        expect(events).to.deep.equal(["Community Garden"])
+    })
+
+    it("does not make changes which can not be recorded in the audit log", async () => {
+        const { swolly, initiator } = fixture
+        const project = await swolly.Project.create(initiator.token, values)
+        const record = sinon.stub(swolly.Audit.constructor.prototype, "_record").rejects(new Error("failed"))
+
+        try {
+            await expect(swolly.Task.create(initiator.token, {
+                title: "Dig", description: "Dig the beds", supporterGoal: 2, projectId: project.getId()
+            })).to.be.rejectedWith("failed")
+        } finally {
+            record.restore()
+        }
+
+        expect(await swolly.store.Task.count()).to.equal(0)
+    })
+})
@@ -0,0 +1,92 @@
+const { expect, createFixture, createPublicProject } = require("../helpers")
+const { Errors, Enums } = require("../../src")
+
+describe("compileFilter", () => {
+    let fixture
+
+    before(async () => {
+        fixture = await createFixture()
+
+        await createPublicProject(fixture, { title: "Garden", moneyGoal: 100 })
+        await createPublicProject(fixture, { title: "Library", moneyGoal: 300 })
+        await createPublicProject(fixture, { title: "Playground", moneyGoal: 500 })
+
+        const unlisted = await createPublicProject(fixture, { title: "Archive", moneyGoal: 100 })
+        await fixture.swolly.Project.update(fixture.admin.token, unlisted.getId(), { status: Enums.ProjectStatus.UNLISTED })
+    })
+
+    after(async () => {
+        await fixture.swolly.store.sequelize.close()
+    })
+
+    async function getTitles(where) {
+        const projects = await fixture.swolly.Project.getAll(fixture.supporter.token, {
+            where,
+            sort: { field: Enums.ProjectSortField.TITLE, direction: Enums.SortDirection.ASC }
+        })
+        return projects.map(project => project.getTitle())
+    }
+
+    async function expectInvalid(where, code) {
+        await expect(fixture.swolly.Project.getAll(fixture.supporter.token, { where }))
+            .to.be.rejectedWith(Errors.ValidationError)
+            .and.eventually.have.property("code", code)
+    }
+
+    it("compares fields to values", async () => {
+        expect(await getTitles({ field: "moneyGoal", eq: 300 })).to.deep.equal(["Library"])
+        expect(await getTitles({ field: "moneyGoal", gt: 300 })).to.deep.equal(["Playground"])
+        expect(await getTitles({ field: "moneyGoal", lte: 300 })).to.deep.equal(["Garden", "Library"])
+    })
+
+    it("checks whether fields are in a list or a range", async () => {
+        expect(await getTitles({ field: "title", in: ["Garden", "Playground"] })).to.deep.equal(["Garden", "Playground"])
+        expect(await getTitles({ field: "moneyGoal", between: [200, 500] })).to.deep.equal(["Library", "Playground"])
+    })
+
+    it("matches fields against patterns", async () => {
+        expect(await getTitles({ field: "title", like: "%ar%" })).to.deep.equal(["Garden", "Library"])
+    })
+
+    it("checks whether fields are null", async () => {
+        expect(await getTitles({ field: "CategoryId", isNull: true })).to.be.empty
+        expect(await getTitles({ field: "CategoryId", isNull: false })).to.have.lengthOf(3)
+    })
+
+    it("combines expressions", async () => {
+        expect(await getTitles({ or: [
+            { field: "title", eq: "Garden" },
+            { and: [{ field: "moneyGoal", gt: 100 }, { not: { field: "title", eq: "Library" } }] }
+        ]})).to.deep.equal(["Garden", "Playground"])
+    })
+
+    it("converts values compared to dates", async () => {
+        expect(await getTitles({ field: "createdAt", lt: new Date(Date.now() + 60000).toISOString() })).to.have.lengthOf(3)
+        expect(await getTitles({ field: "createdAt", gt: Date.now() + 60000 })).to.be.empty
+    })
+
+    it("keeps hiding projects which are not public", async () => {
+        expect(await getTitles({ field: "title", eq: "Archive" })).to.be.empty
+    })
+
+    it("rejects fields which may not be filtered by", async () => {
+        await expectInvalid({ field: "unknown", eq: 1 }, Enums.FilterValidationErrorCode.FIELD_INVALID)
+    })
+
+    it("rejects unknown operators and conditions with more than one operator", async () => {
+        await expectInvalid({ field: "moneyGoal", near: 1 }, Enums.FilterValidationErrorCode.OPERATOR_INVALID)
+        await expectInvalid({ field: "moneyGoal", gt: 1, lt: 2 }, Enums.FilterValidationErrorCode.OPERATOR_INVALID)
+    })
+
+    it("rejects invalid values", async () => {
+        await expectInvalid({ field: "moneyGoal", eq: {} }, Enums.FilterValidationErrorCode.VALUE_INVALID)
+        await expectInvalid({ field: "moneyGoal", between: [1] }, Enums.FilterValidationErrorCode.VALUE_INVALID)
+        await expectInvalid({ field: "title", in: [] }, Enums.FilterValidationErrorCode.VALUE_INVALID)
+        await expectInvalid({ field: "createdAt", gt: "yesterday" }, Enums.FilterValidationErrorCode.VALUE_INVALID)
+    })
+
+    it("rejects invalid expressions", async () => {
+        await expectInvalid([], Enums.FilterValidationErrorCode.EXPRESSION_INVALID)
+        await expectInvalid({ and: [] }, Enums.FilterValidationErrorCode.EXPRESSION_INVALID)
+    })
+})
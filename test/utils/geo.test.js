@@ -0,0 +1,75 @@
+const { expect } = require("../helpers")
+const { Errors, Enums } = require("../../src")
+const Geo = require("../../src/utils/geo")
+
+const { MapValidationErrorCode } = Enums
+
+describe("Geo", () => {
+    describe("boundingBox", () => {
+        it("contains every point within the distance", () => {
+            const box = Geo.boundingBox(52.52, 13.40, 10000)
+
+            expect(Geo.haversine(52.52, 13.40, box.maxLat, 13.40)).to.be.closeTo(10000, 1)
+            expect(box.minLon).to.be.lessThan(13.40)
+            expect(box.maxLon).to.be.greaterThan(13.40)
+        })
+
+        it("wraps around the antimeridian", () => {
+            const box = Geo.boundingBox(0, 179.95, 20000)
+
+            expect(box.minLon).to.be.greaterThan(box.maxLon)
+        })
+
+        it("spans every longitude around the poles", () => {
+            const box = Geo.boundingBox(89.99, 0, 20000)
+
+            expect(box).to.include({ maxLat: 90, minLon: -180, maxLon: 180 })
+        })
+    })
+
+    describe("cluster", () => {
+        const points = [
+            { id: "a", lat: 52.520, lon: 13.400 },
+            { id: "b", lat: 52.521, lon: 13.401 },
+            { id: "c", lat: 48.137, lon: 11.575 },
+        ]
+
+        it("groups points close to each other at low zoom levels", () => {
+            const clusters = Geo.cluster(points, 5)
+
+            expect(clusters.map(cluster => cluster.count)).to.deep.equal([2, 1])
+            expect(clusters[0].lat).to.be.closeTo(52.5205, 1e-9)
+            expect(clusters[0].bounds).to.deep.equal({ minLat: 52.520, maxLat: 52.521, minLon: 13.400, maxLon: 13.401 })
+        })
+
+        it("shows every point on its own beyond the highest clustering zoom level", () => {
+            const clusters = Geo.cluster(points, Geo.MAX_CLUSTER_ZOOM + 1)
+
+            expect(clusters.map(cluster => cluster.points[0].id)).to.deep.equal(["a", "b", "c"])
+        })
+    })
+
+    describe("validateBounds", () => {
+        it("accepts viewports crossing the antimeridian", () => {
+            expect(() => Geo.validateBounds({ minLat: -10, maxLat: 10, minLon: 170, maxLon: -170 })).not.to.throw()
+        })
+
+        it("rejects invalid viewports", () => {
+            const cases = [
+                [null, MapValidationErrorCode.BOUNDS_INVALID],
+                [{ minLat: 10, maxLat: -10, minLon: 0, maxLon: 1 }, MapValidationErrorCode.BOUNDS_INVALID],
+                [{ minLat: -91, maxLat: 10, minLon: 0, maxLon: 1 }, MapValidationErrorCode.LATITUDE_INVALID],
+                [{ minLat: -10, maxLat: 10, minLon: "0", maxLon: 1 }, MapValidationErrorCode.LONGITUDE_INVALID],
+            ]
+
+            for (const [bounds, code] of cases) {
+                expect(() => Geo.validateBounds(bounds)).to.throw(Errors.ValidationError).with.property("code", code)
+            }
+        })
+    })
+
+    it("rejects zoom levels out of range", () => {
+        expect(() => Geo.validateZoom(Geo.MAX_ZOOM + 1)).to.throw(Errors.ValidationError)
+            .with.property("code", MapValidationErrorCode.ZOOM_INVALID)
+    })
+})
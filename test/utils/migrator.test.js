@@ -0,0 +1,68 @@
+const { Sequelize, DataTypes } = require("sequelize")
+const { expect } = require("../helpers")
+const { Swolly, Errors } = require("../../src")
+const Migrator = require("../../src/utils/migrator")
+
+describe("Migrator", () => {
+    let sequelize
+
+    beforeEach(() => {
+        sequelize = new Sequelize({ dialect: "sqlite", storage: ":memory:", logging: false })
+    })
+
+    afterEach(async () => {
+        await sequelize.close()
+    })
+
+    function createTable(name) {
+        return queryInterface => queryInterface.createTable(name, { id: { type: DataTypes.INTEGER, primaryKey: true } })
+    }
+
+    it("rolls back migrations which fail, without recording them", async () => {
+        const migrator = new Migrator(sequelize, {
+            "0001-first": { up: createTable("First") },
+            "0002-second": {
+                async up(queryInterface) {
+                    await createTable("Second")(queryInterface)
+                    throw new Error("Broken")
+                }
+            }
+        })
+
+        await expect(migrator.up()).to.be.rejectedWith(Errors.MigrationError)
+
+        const tables = await sequelize.getQueryInterface().showAllTables()
+
+        expect(await migrator.getExecuted()).to.deep.equal(["0001-first"])
+        expect(tables).to.include("First").and.not.include("Second")
+    })
+
+    it("records migrations as executed without executing them", async () => {
+        const migrator = new Migrator(sequelize, {
+            "0001-first": { up: createTable("First") },
+            "0002-second": { up: createTable("Second") }
+        })
+        await createTable("First")(sequelize.getQueryInterface())
+
+        expect(await migrator.baseline("0001-first")).to.deep.equal(["0001-first"])
+        expect(await migrator.up()).to.deep.equal(["0002-second"])
+        await expect(migrator.baseline("0003-unknown")).to.be.rejectedWith(Errors.MigrationError)
+    })
+})
+
+describe("Swolly.baselineMigrations", () => {
+    let swolly
+
+    afterEach(async () => {
+        await swolly.store.sequelize.close()
+    })
+
+    it("adopts databases created before migrations were introduced", async () => {
+        swolly = await Swolly.createInMemory()
+        await swolly.rollback(swolly.migrator.getNames().length - 1)
+        await swolly.store.sequelize.getQueryInterface().dropTable(swolly.migrator.tableName)
+
+        expect(await swolly.baselineMigrations()).to.deep.equal(["0001-initial"])
+        expect(await swolly.migrate()).to.have.lengthOf(swolly.migrator.getNames().length - 1)
+    })
+})
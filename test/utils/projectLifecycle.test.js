@@ -0,0 +1,148 @@
+const { expect, createFixture, createPublicProject } = require("../helpers")
+const { Errors, Enums } = require("../../src")
+const ProjectLifecycle = require("../../src/utils/projectLifecycle")
+
+const { ProjectMemberRole, ProjectStatus, ProjectValidationErrorCode, TaskStatus } = Enums
+
+const admin = { isAdmin: true, getId: () => "admin" }
+const creator = { isAdmin: false, getId: () => "creator" }
+const other = { isAdmin: false, getId: () => "other" }
+
+describe("ProjectLifecycle", () => {
+    it("finds the transitions of the table", () => {
+        const transition = ProjectLifecycle.findTransition(ProjectStatus.IN_PROGRESS, ProjectStatus.COMPLETED)
+
+        expect(transition.effects).to.deep.equal([Enums.ProjectTransitionEffect.CLOSE_TASKS])
+        expect(ProjectLifecycle.findTransition(ProjectStatus.COMPLETED, ProjectStatus.PUBLIC)).to.be.null
+    })
+
+    it("only lets admins move projects out of verification", () => {
+        expect(ProjectLifecycle.getNextStatuses(ProjectStatus.NEEDS_VERIFICATION, admin, "creator")).to.have.members([
+            ProjectStatus.PUBLIC, ProjectStatus.UNLISTED, ProjectStatus.CHANGES_REQUESTED, ProjectStatus.REJECTED
+        ])
+        expect(ProjectLifecycle.getNextStatuses(ProjectStatus.NEEDS_VERIFICATION, creator, "creator")).to.be.empty
+    })
+
+    it("only lets admins restore archived projects", () => {
+        expect(ProjectLifecycle.getNextStatuses(ProjectStatus.ARCHIVED, admin, "creator")).to.deep.equal([ProjectStatus.UNLISTED])
+        expect(ProjectLifecycle.getNextStatuses(ProjectStatus.ARCHIVED, creator, "creator")).to.be.empty
+    })
+
+    it("only lets swolly and admins close funding campaigns", () => {
+        const closings = [ProjectStatus.FUNDED, ProjectStatus.FUNDING_FAILED]
+
+        expect(ProjectLifecycle.getNextStatuses(ProjectStatus.PUBLIC, admin, ProjectMemberRole.OWNER)).to.include.members(closings)
+        expect(ProjectLifecycle.getNextStatuses(ProjectStatus.PUBLIC, null, null)).to.have.members(closings)
+        expect(ProjectLifecycle.getNextStatuses(ProjectStatus.PUBLIC, creator, ProjectMemberRole.OWNER)).not.to.include.oneOf(closings)
+    })
+
+    it("does not let the creator leave a running funding campaign", () => {
+        const date = new Date("2026-01-01T00:00:00Z")
+        const running = new Date("2026-02-01T00:00:00Z")
+        const ended = new Date("2025-12-01T00:00:00Z")
+
+        for (const to of [ProjectStatus.IN_PROGRESS, ProjectStatus.UNLISTED]) {
+            const transition = ProjectLifecycle.findTransition(ProjectStatus.PUBLIC, to)
+
+            expect(ProjectLifecycle.isAllowed(transition, creator, ProjectMemberRole.OWNER, running, date)).to.be.false
+            expect(ProjectLifecycle.isAllowed(transition, creator, ProjectMemberRole.OWNER, ended, date)).to.be.true
+            expect(ProjectLifecycle.isAllowed(transition, creator, ProjectMemberRole.OWNER, null, date)).to.be.true
+            expect(ProjectLifecycle.isAllowed(transition, admin, ProjectMemberRole.OWNER, running, date)).to.be.true
+        }
+        expect(ProjectLifecycle.isAllowed(
+            ProjectLifecycle.findTransition(ProjectStatus.PUBLIC, ProjectStatus.ARCHIVED), creator, ProjectMemberRole.OWNER, running, date
+        )).to.be.true
+    })
+
+    it("does not let other users make any transition", () => {
+        for (const status of Object.values(ProjectStatus)) {
+            expect(ProjectLifecycle.getNextStatuses(status, other, "creator")).to.be.empty
+        }
+    })
+
+    it("only lists projects past their review which are not archived", () => {
+        expect(ProjectLifecycle.LISTED_STATUSES).to.have.members([
+            ProjectStatus.PUBLIC, ProjectStatus.FUNDED, ProjectStatus.IN_PROGRESS, ProjectStatus.COMPLETED
+        ])
+    })
+})
+
+describe("ProjectRepository transitions", () => {
+    let fixture
+    let project
+
+    beforeEach(async () => {
+        fixture = await createFixture()
+        project = await createPublicProject(fixture)
+    })
+
+    afterEach(async () => {
+        await fixture.swolly.store.sequelize.close()
+    })
+
+    it("lets the creator make transitions of the table", async () => {
+        await fixture.swolly.Project.update(fixture.initiator.token, project.getId(), { status: ProjectStatus.IN_PROGRESS })
+        await project.reload()
+
+        expect(project.getStatus()).to.equal(ProjectStatus.IN_PROGRESS)
+        expect(project.getNextStatuses()).to.have.members([ProjectStatus.COMPLETED, ProjectStatus.ARCHIVED])
+    })
+
+    it("does not let the creator start a project before its funding campaign ended", async () => {
+        const fundingEnd = new Date(Date.now() + 24 * 60 * 60 * 1000)
+        await fixture.swolly.Project.update(fixture.initiator.token, project.getId(), { fundingEnd })
+
+        await expect(fixture.swolly.Project.update(fixture.initiator.token, project.getId(), { status: ProjectStatus.IN_PROGRESS }))
+            .to.be.rejectedWith(Errors.AuthorizationError)
+        await expect(fixture.swolly.Project.update(fixture.initiator.token, project.getId(), { status: ProjectStatus.FUNDED }))
+            .to.be.rejectedWith(Errors.AuthorizationError)
+
+        const loaded = await fixture.swolly.Project.get(fixture.initiator.token, project.getId())
+
+        expect(loaded.getNextStatuses()).to.have.members([ProjectStatus.ARCHIVED])
+    })
+
+    it("rejects transitions which are not in the table", async () => {
+        await expect(fixture.swolly.Project.update(fixture.admin.token, project.getId(), { status: ProjectStatus.COMPLETED }))
+            .to.be.rejectedWith(Errors.ValidationError)
+            .and.eventually.have.property("code", ProjectValidationErrorCode.TRANSITION_INVALID)
+    })
+
+    it("does not let the creator make transitions reserved for admins", async () => {
+        await fixture.swolly.Project.update(fixture.initiator.token, project.getId(), { status: ProjectStatus.ARCHIVED })
+
+        await expect(fixture.swolly.Project.update(fixture.initiator.token, project.getId(), { status: ProjectStatus.UNLISTED }))
+            .to.be.rejectedWith(Errors.AuthorizationError)
+    })
+
+    it("closes the open tasks of completed projects", async () => {
+        const { swolly, initiator } = fixture
+        const task = await swolly.Task.create(initiator.token, {
+            title: "Dig", description: "Dig the beds", supporterGoal: 2, projectId: project.getId()
+        })
+
+        await swolly.Project.update(initiator.token, project.getId(), { status: ProjectStatus.IN_PROGRESS })
+        await swolly.Project.update(initiator.token, project.getId(), { status: ProjectStatus.COMPLETED })
+        await task.reload()
+
+        expect(task.getStatus()).to.equal(TaskStatus.CLOSED)
+    })
+
+    it("records transitions in the status history", async () => {
+        await fixture.swolly.Project.update(fixture.initiator.token, project.getId(), { status: ProjectStatus.UNLISTED })
+
+        const history = await fixture.swolly.Review.getHistory(fixture.initiator.token, project.getId())
+        const last = history[history.length - 1]
+
+        expect(last.getFromStatus()).to.equal(ProjectStatus.PUBLIC)
+        expect(last.getToStatus()).to.equal(ProjectStatus.UNLISTED)
+    })
+
+    it("keeps listing projects in progress", async () => {
+        await fixture.swolly.Project.update(fixture.initiator.token, project.getId(), { status: ProjectStatus.IN_PROGRESS })
+
+        const projects = await fixture.swolly.Project.getAll(fixture.supporter.token)
+
+        expect(projects.map(item => item.getId())).to.deep.equal([project.getId()])
+    })
+})